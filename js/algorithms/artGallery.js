@@ -1,7 +1,9 @@
 /**
  * The Art Gallery Problem
  * This implementation requires a simple polygon and places guards using a 3-coloring
- * algorithm on the triangulated polygon. It computes visibility regions for each guard.
+ * algorithm on the triangulated polygon. It computes the exact visibility polygon of each guard
+ * with a rotational sweep, and measures how much of the polygon their union covers. Guards can
+ * then be dragged, added or removed, and any unseen regions are highlighted.
  * - Resources:
  *   - https://en.wikipedia.org/wiki/Art_gallery_problem
  *   - https://en.wikipedia.org/wiki/Visibility_(geometry)
@@ -15,6 +17,7 @@ class ArtGalleryAlgorithm {
     this.polygon = new Polygon();
     this.guards = [];
     this.visibilityRegions = [];
+    this.coverage = null;
     this.triangulation = [];
     this.steps = [];
     this.currentStep = 0;
@@ -24,6 +27,7 @@ class ArtGalleryAlgorithm {
     this.polygon = new Polygon();
     this.guards = [];
     this.visibilityRegions = [];
+    this.coverage = null;
     this.triangulation = [];
     this.steps = [];
     this.currentStep = 0;
@@ -172,31 +176,109 @@ class ArtGalleryAlgorithm {
       },
     });
 
-    // Step 5: Show visibility regions
+    // Step 5: Compute the visibility polygons and measure their coverage
+    this.steps.push(this.buildVisibilityStep());
+  }
+
+  // Builds the final step from the current guards: exact visibility polygons, coverage and unseen regions
+  buildVisibilityStep() {
     this.computeVisibilityRegions();
-    this.steps.push({
+    const coverage = this.measureCoverage();
+    this.coverage = coverage;
+
+    const percent = `${(coverage.ratio * 100).toFixed(1)}%`;
+    const fullyCovered = coverage.unseen.length === 0;
+    return {
       type: "visibility",
-      description: "Show visibility regions for each guard",
+      description: fullyCovered
+        ? `Visibility polygons of ${this.guards.length} guard${
+            this.guards.length === 1 ? "" : "s"
+          } cover the whole polygon (${percent})`
+        : `Guards see ${percent} of the polygon - unseen regions are highlighted in red`,
       polygon: JSON.parse(JSON.stringify(this.polygon)),
       guards: JSON.parse(JSON.stringify(this.guards)),
       triangulation: JSON.parse(JSON.stringify(this.triangulation)),
       visibilityRegions: JSON.parse(JSON.stringify(this.visibilityRegions)),
+      unseenRegions: coverage.unseen,
       eventSets: {
         visibility: {
-          coverage: "100%",
+          coverage: percent,
           guards: this.guards.length,
+          seenArea: coverage.covered.toFixed(2),
+          unseenArea: (coverage.total - coverage.covered).toFixed(2),
+          unseenRegions: coverage.unseen.length,
         },
         eventQueue: [
-          { label: "Compute visibility regions", status: "processed" },
+          { label: "Compute visibility polygons", status: "processed" },
+          { label: "Measure union coverage", status: "processed" },
         ],
         activeSet: this.guards.map((g, i) => ({
-          label: `Guard ${i + 1}`,
+          label: `Guard ${i + 1} sees ${this.polygonArea(
+            this.visibilityRegions[i].polygon
+          ).toFixed(1)} (${this.visibilityRegions[i].polygon.length} vertices)`,
           status: "active",
           point: g,
         })),
-        output: [{ label: "Visibility coverage: 100%", status: "new" }],
+        output: [
+          {
+            label: `Visibility coverage: ${percent}`,
+            status: fullyCovered ? "completed" : "new",
+          },
+          ...(fullyCovered
+            ? []
+            : [
+                {
+                  label: `Unseen area: ${(
+                    coverage.total - coverage.covered
+                  ).toFixed(2)}`,
+                  status: "current",
+                },
+              ]),
+        ],
       },
-    });
+    };
+  }
+
+  // Recomputes the final (visibility) step in place, after the guards were edited
+  updateVisibilityStep() {
+    const last = this.steps.length - 1;
+    if (last < 0 || this.steps[last].type !== "visibility") return;
+    this.steps[last] = this.buildVisibilityStep();
+  }
+
+  // Index of the guard within radius r of (x, y), or -1
+  guardAt(x, y, r) {
+    return this.guards.findIndex((g) => Math.hypot(g.x - x, g.y - y) <= r);
+  }
+
+  addGuard(x, y) {
+    if (!this.polygon.containsPoint(x, y)) return false;
+    const color = this.guards.length > 0 ? this.guards[0].color : 0;
+    this.guards.push({ x, y, color });
+    this.updateVisibilityStep();
+    return true;
+  }
+
+  // Guards may move anywhere inside the polygon (or stay where they are)
+  moveGuard(index, x, y) {
+    if (!this.guards[index] || !this.polygon.containsPoint(x, y)) return false;
+    this.guards[index].x = x;
+    this.guards[index].y = y;
+    this.updateVisibilityStep();
+    return true;
+  }
+
+  // Replaces all guards (a restored scene). No containment check: computed guards sit on vertices
+  setGuards(guards) {
+    this.guards = guards.map((g) => ({ x: g.x, y: g.y, color: g.color ?? 0 }));
+    this.updateVisibilityStep();
+  }
+
+  removeGuard(index) {
+    if (!this.guards[index]) return false;
+    this.guards.splice(index, 1);
+    this.updateVisibilityStep();
+    return true;
   }
 
   removeVertex(point) {
@@ -217,6 +299,7 @@ class ArtGalleryAlgorithm {
       this.triangulation = [];
       this.guards = [];
       this.visibilityRegions = [];
+      this.coverage = null;
     }
   }
 
@@ -324,39 +407,122 @@ class ArtGalleryAlgorithm {
   }
 
   computeVisibilityRegions() {
-    this.visibilityRegions = [];
+    this.visibilityRegions = this.guards.map((guard) => ({
+      guard: guard,
+      polygon: this.polygon.visibilityPolygon(guard),
+    }));
+  }
+
+  polygonArea(vertices) {
+    return Math.abs(this.polygon.signedAreaOf(vertices));
+  }
+
+  // Exact area of the polygon covered by the union of the visibility polygons, via a slab decomposition:
+  // between consecutive critical x-coordinates (vertices and edge crossings) no two edges cross, so each
+  // vertical cut meets the same edges in the same order, and the covered length varies linearly.
+  // Returns { total, covered, ratio, unseen }, where unseen lists the uncovered trapezoids.
+  measureCoverage() {
+    const rings = [
+      this.polygon.vertices,
+      ...this.visibilityRegions
+        .map((r) => r.polygon)
+        .filter((ring) => ring.length >= 3),
+    ];
+    const total = this.polygon.area();
+    const ringEdges = rings.map((ring) =>
+      ring
+        .map((a, i) => [a, ring[(i + 1) % ring.length]])
+        .filter(([a, b]) => a.x !== b.x)
+    );
 
-    for (let guard of this.guards) {
-      const visiblePoints = [];
-
-      // Sample points around the polygon and check visibility
-      const sampleCount = 100;
-      for (let i = 0; i < sampleCount; i++) {
-        const angle = (2 * Math.PI * i) / sampleCount;
-        const maxDistance = 500; // Maximum visibility distance
-
-        for (let distance = 10; distance < maxDistance; distance += 10) {
-          const testPoint = {
-            x: guard.x + Math.cos(angle) * distance,
-            y: guard.y + Math.sin(angle) * distance,
-          };
-
-          if (
-            this.polygon.containsPoint(testPoint.x, testPoint.y) &&
-            this.polygon.canSee(guard, testPoint)
-          ) {
-            visiblePoints.push(testPoint);
-          } else {
-            break; // Hit an obstacle
+    // Critical x-coordinates: all vertices, plus proper crossings between edges of different rings
+    const xs = rings.flat().map((v) => v.x);
+    for (let r1 = 0; r1 < ringEdges.length; r1++) {
+      for (let r2 = r1 + 1; r2 < ringEdges.length; r2++) {
+        for (const [a, b] of ringEdges[r1]) {
+          for (const [c, d] of ringEdges[r2]) {
+            const denom = (b.x - a.x) * (d.y - c.y) - (b.y - a.y) * (d.x - c.x);
+            if (denom === 0) continue;
+            const t =
+              ((c.x - a.x) * (d.y - c.y) - (c.y - a.y) * (d.x - c.x)) / denom;
+            const u =
+              ((c.x - a.x) * (b.y - a.y) - (c.y - a.y) * (b.x - a.x)) / denom;
+            if (t > 0 && t < 1 && u > 0 && u < 1)
+              xs.push(a.x + t * (b.x - a.x));
           }
         }
       }
+    }
+    xs.sort((a, b) => a - b);
+
+    const yAt = ([a, b], x) => a.y + ((x - a.x) * (b.y - a.y)) / (b.x - a.x);
+    // Even-odd intervals of a ring along the vertical line at x, each with its bounding edges
+    const intervalsAt = (edges, x) => {
+      const hits = edges
+        .filter(([a, b]) => Math.min(a.x, b.x) < x && Math.max(a.x, b.x) > x)
+        .map((e) => ({ y: yAt(e, x), edge: e }))
+        .sort((p, q) => p.y - q.y);
+      const intervals = [];
+      for (let i = 0; i + 1 < hits.length; i += 2) {
+        intervals.push({ lo: hits[i], hi: hits[i + 1] });
+      }
+      return intervals;
+    };
+
+    let covered = 0;
+    const unseen = [];
+    const minArea = total * 1e-6;
+    for (let k = 0; k + 1 < xs.length; k++) {
+      const x0 = xs[k];
+      const x1 = xs[k + 1];
+      if (x1 - x0 <= 1e-9) continue;
+      const xm = (x0 + x1) / 2;
+
+      // Union of the visibility intervals, merged in order
+      const seen = ringEdges
+        .slice(1)
+        .flatMap((edges) => intervalsAt(edges, xm))
+        .sort((p, q) => p.lo.y - q.lo.y);
+      const merged = [];
+      for (const iv of seen) {
+        const last = merged[merged.length - 1];
+        if (last && iv.lo.y <= last.hi.y) {
+          if (iv.hi.y > last.hi.y) last.hi = iv.hi;
+        } else {
+          merged.push({ lo: iv.lo, hi: iv.hi });
+        }
+      }
 
-      this.visibilityRegions.push({
-        guard: guard,
-        visibleArea: visiblePoints,
-      });
+      // Polygon intervals minus the union leave the unseen trapezoids
+      for (const inside of intervalsAt(ringEdges[0], xm)) {
+        let from = inside.lo;
+        for (const iv of merged) {
+          if (iv.hi.y <= from.y || iv.lo.y >= inside.hi.y) continue;
+          const overlap =
+            Math.min(iv.hi.y, inside.hi.y) - Math.max(iv.lo.y, from.y);
+          covered += overlap * (x1 - x0);
+          if (iv.lo.y > from.y) unseen.push({ lo: from, hi: iv.lo, x0, x1 });
+          if (iv.hi.y > from.y) from = iv.hi;
+        }
+        if (from.y < inside.hi.y)
+          unseen.push({ lo: from, hi: inside.hi, x0, x1 });
+      }
     }
+
+    return {
+      total,
+      covered: Math.min(covered, total),
+      ratio: total > 0 ? Math.min(covered / total, 1) : 0,
+      // Slivers left over from floating-point error are not worth highlighting
+      unseen: unseen
+        .filter(({ lo, hi, x0, x1 }) => (hi.y - lo.y) * (x1 - x0) > minArea)
+        .map(({ lo, hi, x0, x1 }) => [
+          { x: x0, y: yAt(lo.edge, x0) },
+          { x: x1, y: yAt(lo.edge, x1) },
+          { x: x1, y: yAt(hi.edge, x1) },
+          { x: x0, y: yAt(hi.edge, x0) },
+        ]),
+    };
   }
 
   getStep(index) {
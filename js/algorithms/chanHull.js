@@ -0,0 +1,467 @@
+/**
+ * Convex Hull - Chan's Algorithm
+ * This implementation computes the convex hull of a set of points in 2D space in O(n log h) time, where h is the
+ * number of hull vertices. It guesses h with m = 2^(2^t): the points are split into groups of at most m, each group's
+ * "mini hull" is built with Graham scan, and a Jarvis march of at most m wraps is run over the mini hulls, finding the
+ * tangent from the current hull point to each mini hull by binary search. If the hull is not closed after m wraps,
+ * the guess was too small and m is squared.
+ * NOTE: Groups are consecutive runs of the x-sorted points; any partition works, this one keeps the mini hulls apart on screen.
+ * - Resources:
+ *   - https://en.wikipedia.org/wiki/Chan%27s_algorithm
+ *   - "Optimal output-sensitive convex hull algorithms in two and three dimensions" by T.M. Chan (https://doi.org/10.1007/BF02712873)
+ *   - https://www.geomalgorithms.com/a15-_tangents.html - Tangents to a convex polygon by binary search, by Dan Sunday
+ *   - Chapter 2, "Convex Hulls", in "Computational Geometry: Algorithms and Applications" by Mark de Berg et al.
+ */
+
+class ChanHullAlgorithm {
+  constructor() {
+    this.points = [];
+    this.steps = [];
+    this.currentStep = 0;
+    this.hull = [];
+    this.algorithmStep = 0;
+  }
+
+  addPoint(point) {
+    this.points.push(point);
+    this.reset();
+  }
+
+  removePoint(point) {
+    const index = this.points.findIndex(
+      (p) => Math.abs(p.x - point.x) < 10 && Math.abs(p.y - point.y) < 10
+    );
+    if (index !== -1) {
+      this.points.splice(index, 1);
+      this.reset();
+    }
+  }
+
+  reset() {
+    this.steps = [];
+    this.currentStep = 0;
+    this.hull = [];
+    this.algorithmStep = 0;
+  }
+
+  clear() {
+    this.points = [];
+    this.reset();
+  }
+
+  // Mini hull of one group with Graham scan, returned with cross > 0 at every vertex (collinear points dropped)
+  grahamScan(group) {
+    if (group.length < 3) {
+      const unique = group.filter(
+        (p, i) => group.findIndex((q) => q.x === p.x && q.y === p.y) === i
+      );
+      return { pivot: unique[0] || null, order: unique, hull: unique };
+    }
+
+    const pivot = group.reduce((best, p) =>
+      p.y < best.y || (p.y === best.y && p.x < best.x) ? p : best
+    );
+    const dist2 = (p) => (p.x - pivot.x) ** 2 + (p.y - pivot.y) ** 2;
+    const order = group
+      .filter((p) => p !== pivot)
+      .sort((a, b) => {
+        const cross = Point.crossProduct(pivot, a, b);
+        return cross !== 0 ? -cross : dist2(a) - dist2(b);
+      });
+
+    const stack = [pivot];
+    for (const p of order) {
+      while (
+        stack.length >= 2 &&
+        Point.crossProduct(
+          stack[stack.length - 2],
+          stack[stack.length - 1],
+          p
+        ) <= 0
+      ) {
+        stack.pop();
+      }
+      stack.push(p);
+    }
+    return { pivot, order, hull: stack };
+  }
+
+  // Tangent from p to a mini hull: the vertex t with every hull vertex on the cross >= 0 side of p → t.
+  // Returns the vertex index and the indices probed by the binary search.
+  findTangent(p, hull) {
+    const k = hull.length;
+    const at = (i) => hull[((i % k) + k) % k];
+    const cross = (a, b, c) => Point.crossProduct(a, b, c);
+    const dist2 = (a) => (a.x - p.x) ** 2 + (a.y - p.y) ** 2;
+    const isTangent = (t) =>
+      hull.every((v) => {
+        const c = cross(p, t, v);
+        return c > 0 || (c === 0 && dist2(v) <= dist2(t));
+      });
+
+    const own = hull.findIndex((v) => v.x === p.x && v.y === p.y);
+    if (own !== -1) {
+      // p is (a copy of) a vertex of this mini hull: the tangent is its successor
+      return k === 1
+        ? { index: -1, probes: [], own: true }
+        : { index: (own + 1) % k, probes: [], own: true };
+    }
+
+    const probes = [];
+    let index = -1;
+    if (k <= 2) {
+      index = 0;
+      probes.push(0);
+      if (k === 2) {
+        probes.push(1);
+        if (!isTangent(hull[0])) index = 1;
+      }
+      return { index, probes, own: false };
+    }
+
+    const above = (i, j) => cross(p, at(i), at(j)) > 0;
+    const below = (i, j) => cross(p, at(i), at(j)) < 0;
+
+    probes.push(0);
+    if (below(1, 0) && !above(-1, 0)) {
+      index = 0;
+    } else {
+      let a = 0;
+      let b = k;
+      for (let guard = 0; guard < 2 * k && index === -1; guard++) {
+        const c = Math.floor((a + b) / 2);
+        probes.push(c % k);
+        const dnC = below(c + 1, c);
+        if (dnC && !above(c - 1, c)) {
+          index = c % k;
+        } else if (above(a + 1, a)) {
+          if (dnC || above(a, c)) b = c;
+          else a = c;
+        } else {
+          if (dnC && below(a, c)) b = c;
+          else a = c;
+        }
+      }
+    }
+
+    // Guards degenerate (collinear or coincident) configurations
+    if (index === -1 || !isTangent(hull[index])) {
+      index = hull.findIndex(isTangent);
+    }
+    return { index, probes, own: false };
+  }
+
+  computeSteps() {
+    const n = this.points.length;
+    const label = (p) => `P${this.points.indexOf(p) + 1}`;
+
+    if (n < 3) {
+      this.steps = [
+        {
+          description: "Need at least 3 points for convex hull",
+          hull: [],
+          groups: [],
+          miniHulls: [],
+          eventSets: {
+            points: this.points.map((p, i) => ({
+              point: p,
+              index: i,
+              status: "pending",
+              group: -1,
+            })),
+            guesses: [],
+            probes: [],
+            eventQueue: [],
+            activeSet: [],
+            output: [],
+          },
+        },
+      ];
+      return;
+    }
+
+    this.steps = [];
+    const sorted = [...this.points].sort((a, b) =>
+      a.x !== b.x ? a.x - b.x : a.y - b.y
+    );
+    const start = sorted[0]; // Leftmost point is always on the hull
+    const guesses = [];
+
+    // Per-guess state read by pushStep
+    let round = 0;
+    let m = 0;
+    let groups = [];
+    let miniHulls = [];
+    let builtHulls = 0;
+    let path = [];
+    let tangents = [];
+
+    const pushStep = (description, algorithmStep, extra = {}) => {
+      const {
+        phase = "partition",
+        currentGroup = -1,
+        currentPoint = null,
+        probes = [],
+        tangentPoint = null,
+        nextPoint = null,
+        fan = null,
+        failed = false,
+      } = extra;
+      const groupOf = new Map();
+      groups.forEach((g, gi) => g.forEach((p) => groupOf.set(p, gi)));
+      const done = phase === "done";
+
+      this.steps.push({
+        description,
+        phase,
+        round,
+        m,
+        groups: groups.map((g) => [...g]),
+        miniHulls: miniHulls.slice(0, builtHulls).map((h) => [...h]),
+        currentGroup,
+        currentPoint,
+        probes: probes.map((i) => ({
+          point: miniHulls[currentGroup][i],
+          index: i,
+        })),
+        tangentPoint,
+        tangents: tangents.map((t) => ({ ...t })),
+        nextPoint,
+        hullPath: [...path],
+        fan,
+        failed,
+        hull: done ? [...this.hull] : [],
+        algorithmStep,
+        eventSets: {
+          points: this.points.map((p, i) => ({
+            point: p,
+            index: i,
+            group: groupOf.has(p) ? groupOf.get(p) : -1,
+            status:
+              p === currentPoint
+                ? "current"
+                : done
+                ? this.hull.includes(p)
+                  ? "accepted"
+                  : "rejected"
+                : path.includes(p)
+                ? "accepted"
+                : p === tangentPoint || p === nextPoint
+                ? "candidate"
+                : "pending",
+          })),
+          guesses: guesses.map((g) => ({ ...g })),
+          probes: probes.map((i, pi) => ({
+            label: `v${i}${
+              pi === probes.length - 1 && tangentPoint ? " → tangent" : ""
+            }`,
+            status: pi === probes.length - 1 ? "current" : "processed",
+          })),
+
+          eventQueue: groups.map((g, gi) => ({
+            label: `Group ${gi + 1}: ${g.length} point${
+              g.length === 1 ? "" : "s"
+            }${
+              gi < builtHulls ? `, mini hull of ${miniHulls[gi].length}` : ""
+            }`,
+            status:
+              gi === currentGroup
+                ? "current"
+                : gi < builtHulls
+                ? "processed"
+                : "pending",
+          })),
+          activeSet: path.map((p, i) => ({
+            label: `Hull ${i + 1}: ${label(p)}`,
+            status: "active",
+            point: p,
+          })),
+          output: done
+            ? this.hull.map((p, i) => ({
+                label: `Hull ${i + 1}: ${label(p)} (${p.x.toFixed(
+                  1
+                )}, ${p.y.toFixed(1)})`,
+                status: "completed",
+                point: p,
+              }))
+            : tangents.map((t) => ({
+                label: `Group ${t.group + 1} tangent: ${label(t.point)}`,
+                status: t.point === nextPoint ? "new" : "kept",
+                point: t.point,
+              })),
+        },
+      });
+    };
+
+    for (round = 1; ; round++) {
+      m = Math.min(2 ** (2 ** round), n);
+      guesses.push({ round, m, status: "current" });
+      groups = [];
+      miniHulls = [];
+      builtHulls = 0;
+      path = [];
+      tangents = [];
+
+      pushStep(
+        `Round ${round}: guess h ≤ m = ${m}${
+          m === n
+            ? " (capped at n)"
+            : round > 1
+            ? ` = ${guesses[round - 2].m}²`
+            : ""
+        }`,
+        0,
+        { phase: "guess" }
+      );
+
+      for (let i = 0; i < n; i += m) groups.push(sorted.slice(i, i + m));
+      pushStep(
+        `Partition the ${n} points into ⌈${n}/${m}⌉ = ${groups.length} group${
+          groups.length === 1 ? "" : "s"
+        } of at most ${m}`,
+        1
+      );
+
+      for (let gi = 0; gi < groups.length; gi++) {
+        const { pivot, order, hull } = this.grahamScan(groups[gi]);
+        miniHulls.push(hull);
+        builtHulls++;
+        pushStep(
+          `Graham scan on group ${gi + 1}: ${groups[gi].length} point${
+            groups[gi].length === 1 ? "" : "s"
+          } → mini hull with ${hull.length} vertices`,
+          2,
+          { phase: "graham", currentGroup: gi, fan: { pivot, order } }
+        );
+      }
+
+      path = [start];
+      pushStep(
+        `Jarvis march over the mini hulls: start at the leftmost point ${label(
+          start
+        )}, at most ${m} wraps`,
+        3,
+        { phase: "jarvis", currentPoint: start }
+      );
+
+      let closed = false;
+      for (let wrap = 1; wrap <= m; wrap++) {
+        const p = path[path.length - 1];
+        tangents = [];
+
+        for (let gi = 0; gi < miniHulls.length; gi++) {
+          const { index, probes, own } = this.findTangent(p, miniHulls[gi]);
+          if (index === -1) continue; // Group is just p itself
+          const t = miniHulls[gi][index];
+          tangents.push({ group: gi, point: t });
+          pushStep(
+            own
+              ? `Wrap ${wrap}, group ${gi + 1}: ${label(
+                  p
+                )} is on this mini hull, so the tangent is its successor ${label(
+                  t
+                )}`
+              : `Wrap ${wrap}, group ${gi + 1}: binary search probed ${
+                  probes.length
+                } of ${miniHulls[gi].length} vertices → tangent ${label(t)}`,
+            4,
+            {
+              phase: "jarvis",
+              currentGroup: gi,
+              currentPoint: p,
+              probes,
+              tangentPoint: t,
+            }
+          );
+        }
+
+        // Gift wrap over the tangent points only
+        const dist2 = (a) => (a.x - p.x) ** 2 + (a.y - p.y) ** 2;
+        let q = tangents[0].point;
+        for (const { point: r } of tangents) {
+          const cross = Point.crossProduct(p, q, r);
+          if (cross < 0 || (cross === 0 && dist2(r) > dist2(q))) q = r;
+        }
+
+        if (q.x === start.x && q.y === start.y) {
+          closed = true;
+          pushStep(
+            `Wrap ${wrap}: best tangent is ${label(
+              start
+            )}, the start point: the hull closed within m = ${m}`,
+            5,
+            { phase: "jarvis", currentPoint: p, nextPoint: q }
+          );
+          break;
+        }
+        pushStep(
+          `Wrap ${wrap}: of ${tangents.length} tangent${
+            tangents.length === 1 ? "" : "s"
+          }, ${label(q)} has every point on one side: next hull vertex`,
+          5,
+          { phase: "jarvis", currentPoint: p, nextPoint: q }
+        );
+        path.push(q);
+      }
+
+      // m = n cannot fail in exact arithmetic; the second test guards float round-off
+      if (closed || m === n) {
+        guesses[guesses.length - 1].status = "accepted";
+        break;
+      }
+
+      guesses[guesses.length - 1].status = "rejected";
+      tangents = [];
+      pushStep(
+        `Hull not closed after m = ${m} wraps, so h > ${m}: guess failed, square m to ${Math.min(
+          m * m,
+          n
+        )}`,
+        6,
+        { phase: "jarvis", failed: true }
+      );
+    }
+
+    this.hull = [...path];
+    tangents = [];
+    pushStep(
+      `Convex hull complete with ${
+        this.hull.length
+      } vertices after ${round} round${
+        round === 1 ? "" : "s"
+      } (final m = ${m})`,
+      7,
+      { phase: "done" }
+    );
+  }
+
+  getCurrentStep() {
+    if (this.steps.length === 0) this.computeSteps();
+    return this.steps[this.currentStep] || this.steps[0];
+  }
+
+  nextStep() {
+    if (this.steps.length === 0) this.computeSteps();
+    if (this.currentStep < this.steps.length - 1) {
+      this.currentStep++;
+      return true;
+    }
+    return false;
+  }
+
+  prevStep() {
+    if (this.currentStep > 0) {
+      this.currentStep--;
+      return true;
+    }
+    return false;
+  }
+
+  canGoNext() {
+    return this.currentStep < this.steps.length - 1;
+  }
+
+  canGoPrev() {
+    return this.currentStep > 0;
+  }
+}
@@ -6,22 +6,49 @@
  * the polygonal hole formed. The algorithm ensures that no triangle's circumcircle
  * contains any other point, thus maximizing the minimum angle of the triangles.
  * This results in a triangulation that avoids skinny triangles.
+ * In constrained mode, segments (e.g. polygon edges) are split where they cross, triangulated
+ * as sites, then inserted one by one: the triangles a segment crosses are removed and the two
+ * cavities it leaves are retriangulated (Anglada's method). A flood fill over the triangles,
+ * flipping inside/outside at each constraint, finally discards the triangles outside the
+ * polygons and inside their holes.
+ * The lifting view maps each point to (x, y, x² + y²) on a paraboloid: the Delaunay triangles are
+ * the facets of the lower convex hull of the lifted points, and a point lies inside a triangle's
+ * circumcircle exactly when its lift lies below the plane through the triangle's lifted corners.
  * - Resources:
  *   - https://en.wikipedia.org/wiki/Delaunay_triangulation
  *   - https://en.wikipedia.org/wiki/Bowyer%E2%80%93Watson_algorithm
  *   - https://www.youtube.com/watch?v=IqdSdbxrTsY - Mod-08 Lec-19 Delaunay Triangulation by Dr. Sandeep Sen, NPTEL Course on Computational Geometry
  *   - Section 6.6 of "Computational Geometry & Computer Graphics in C++" by Michael J. Laszlo
  *   - Chapter 9 of "Computational Geometry: Algorithms and Applications" by Mark Mark de Berg et al.
+ *   - Section 11.5, "Convex Hulls and Voronoi Diagrams", of "Computational Geometry: Algorithms and Applications" by Mark de Berg et al.
+ *   - "Constrained Delaunay triangulations" by L. P. Chew (Algorithmica, 1989)
+ *   - "An improved incremental algorithm for constructing restricted Delaunay triangulations" by M. V. Anglada (Computers & Graphics, 1997)
  */
 
 class DelaunayBowyerWatson {
+  // Modes offered in the UI's mode select (see AlgorithmManager.setMode)
+  static modes = [
+    { value: "standard", label: "Points" },
+    { value: "constrained", label: "Constrained (segments & polygons)" },
+  ];
+
   constructor() {
     this.points = [];
+    this.segments = []; // Constraint segments (constrained mode)
+    this.sites = []; // Points actually inserted, incl. constraint endpoints
+    this.mode = "standard";
     this.steps = [];
     this.currentStep = 0;
     this.triangles = [];
     this.circumcircles = [];
     this.showDuality = false;
+    this.showLifting = false; // 3D view of the points lifted onto the paraboloid z = x² + y²
+  }
+
+  setMode(mode) {
+    if (!DelaunayBowyerWatson.modes.some((m) => m.value === mode)) return;
+    this.mode = mode;
+    this.reset();
   }
 
   addPoint(point) {
@@ -29,6 +56,31 @@ class DelaunayBowyerWatson {
     this.reset();
   }
 
+  // Constraint segments snap their endpoints to nearby points and segment endpoints, so that
+  // polygons can be drawn edge by edge
+  addSegment(segment) {
+    if (this.mode !== "constrained") return;
+    const snap = (p) =>
+      [...this.points, ...this.segments.flatMap((s) => [s.p1, s.p2])].find(
+        (q) => Math.hypot(q.x - p.x, q.y - p.y) < 10
+      ) || p;
+    const p1 = snap(segment.p1);
+    const p2 = snap(segment.p2);
+    if (p1.x === p2.x && p1.y === p2.y) return;
+    this.segments.push(
+      new LineSegment(new Point(p1.x, p1.y), new Point(p2.x, p2.y))
+    );
+    this.reset();
+  }
+
+  removeSegment(segment) {
+    const index = this.segments.indexOf(segment);
+    if (index !== -1) {
+      this.segments.splice(index, 1);
+      this.reset();
+    }
+  }
+
   removePoint(point) {
     const index = this.points.findIndex(
       (p) => Math.abs(p.x - point.x) < 10 && Math.abs(p.y - point.y) < 10
@@ -48,11 +100,19 @@ class DelaunayBowyerWatson {
 
   clear() {
     this.points = [];
+    this.segments = [];
+    this.sites = [];
     this.reset();
   }
 
   computeSteps() {
-    if (this.points.length < 3) {
+    // Constrained mode also inserts the constraint endpoints (and the crossings between constraints)
+    const constraints =
+      this.mode === "constrained" ? this.splitConstraints() : null;
+    const points = constraints ? constraints.sites : this.points;
+    this.sites = points;
+
+    if (points.length < 3) {
       this.steps = [
         {
           description: "Need at least 3 points for Delaunay triangulation",
@@ -61,7 +121,7 @@ class DelaunayBowyerWatson {
           highlightedPoints: [],
           newPoint: null,
           eventSets: {
-            points: this.points.map((p, i) => ({
+            points: points.map((p, i) => ({
               point: p,
               index: i,
               status: "pending",
@@ -78,7 +138,7 @@ class DelaunayBowyerWatson {
     this.circumcircles = [];
 
     // Create super triangle that contains all points
-    const bounds = this.getBounds();
+    const bounds = this.getBounds(points);
     const superTriangle = this.createSuperTriangle(bounds);
     this.triangles.push(superTriangle);
 
@@ -90,7 +150,7 @@ class DelaunayBowyerWatson {
       newPoint: null,
       algorithmStep: 0,
       eventSets: {
-        points: this.points.map((p, i) => ({
+        points: points.map((p, i) => ({
           point: p,
           index: i,
           status: "pending",
@@ -111,8 +171,8 @@ class DelaunayBowyerWatson {
     });
 
     // Add points one by one
-    for (let i = 0; i < this.points.length; i++) {
-      const point = this.points[i];
+    for (let i = 0; i < points.length; i++) {
+      const point = points[i];
 
       this.steps.push({
         description: `Adding point ${i + 1}: (${point.x.toFixed(
@@ -124,7 +184,7 @@ class DelaunayBowyerWatson {
         newPoint: point,
         algorithmStep: 1,
         eventSets: {
-          points: this.points.map((p, j) => ({
+          points: points.map((p, j) => ({
             point: p,
             index: j,
             status: j < i ? "processed" : j === i ? "current" : "pending",
@@ -165,7 +225,7 @@ class DelaunayBowyerWatson {
         badTriangles: badTriangles,
         algorithmStep: 2,
         eventSets: {
-          points: this.points.map((p, j) => ({
+          points: points.map((p, j) => ({
             point: p,
             index: j,
             status: j < i ? "processed" : j === i ? "current" : "pending",
@@ -217,7 +277,7 @@ class DelaunayBowyerWatson {
         newPoint: null,
         algorithmStep: 3,
         eventSets: {
-          points: this.points.map((p, j) => ({
+          points: points.map((p, j) => ({
             point: p,
             index: j,
             status: j <= i ? "processed" : "pending",
@@ -247,6 +307,11 @@ class DelaunayBowyerWatson {
       });
     }
 
+    if (constraints) {
+      this.addConstraintSteps(constraints, superTriangle);
+      return;
+    }
+
     // Remove triangles that share vertices with the super triangle
     const superVertices = superTriangle;
     const finalTriangles = this.triangles.filter((triangle) => {
@@ -279,7 +344,7 @@ class DelaunayBowyerWatson {
       newPoint: null,
       algorithmStep: 4,
       eventSets: {
-        points: this.points.map((p, j) => ({
+        points: points.map((p, j) => ({
           point: p,
           index: j,
           status: "processed",
@@ -314,16 +379,417 @@ class DelaunayBowyerWatson {
     });
   }
 
-  getBounds() {
-    if (this.points.length === 0)
-      return { minX: 0, maxX: 100, minY: 0, maxY: 100 };
+  // Sites and constraint edges (index pairs) of constrained mode. Crossing constraints are split at
+  // their crossing (a new site), and constraints are split at any site lying on them, so that the
+  // constraints that are inserted neither cross nor pass through a site.
+  splitConstraints() {
+    const sites = [];
+    const siteIndex = (p) => {
+      let i = sites.findIndex(
+        (q) => Math.abs(q.x - p.x) < 1e-9 && Math.abs(q.y - p.y) < 1e-9
+      );
+      if (i === -1) {
+        sites.push(new Point(p.x, p.y));
+        i = sites.length - 1;
+      }
+      return i;
+    };
+    this.points.forEach(siteIndex);
+    let edges = this.segments.map((s) => [siteIndex(s.p1), siteIndex(s.p2)]);
+    const inputSites = sites.length;
+
+    const cross = (o, a, b) =>
+      (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+    const onOpenSegment = (p, a, b) => {
+      const len2 = (b.x - a.x) ** 2 + (b.y - a.y) ** 2;
+      const dot = (p.x - a.x) * (b.x - a.x) + (p.y - a.y) * (b.y - a.y);
+      return Math.abs(cross(a, b, p)) <= 1e-9 * len2 && dot > 0 && dot < len2;
+    };
+    const splitOnce = () => {
+      for (let e = 0; e < edges.length; e++) {
+        const [a, b] = edges[e];
+        const v = sites.findIndex(
+          (p, i) => i !== a && i !== b && onOpenSegment(p, sites[a], sites[b])
+        );
+        if (v !== -1) {
+          edges.splice(e, 1, [a, v], [v, b]);
+          return true;
+        }
+      }
+      for (let e = 0; e < edges.length; e++) {
+        for (let f = e + 1; f < edges.length; f++) {
+          const [a, b] = edges[e];
+          const [c, d] = edges[f];
+          if (a === c || a === d || b === c || b === d) continue;
+          const [pa, pb, pc, pd] = [sites[a], sites[b], sites[c], sites[d]];
+          const d1 = cross(pa, pb, pc);
+          const d2 = cross(pa, pb, pd);
+          const d3 = cross(pc, pd, pa);
+          const d4 = cross(pc, pd, pb);
+          if (!(d1 * d2 < 0 && d3 * d4 < 0)) continue;
+          const t = d3 / (d3 - d4);
+          const v = siteIndex({
+            x: pa.x + t * (pb.x - pa.x),
+            y: pa.y + t * (pb.y - pa.y),
+          });
+          edges.splice(f, 1, [c, v], [v, d]);
+          edges.splice(e, 1, [a, v], [v, b]);
+          return true;
+        }
+      }
+      return false;
+    };
+    while (splitOnce());
+
+    // Overlapping constraints leave duplicate pieces behind
+    const seen = new Set();
+    edges = edges.filter(([a, b]) => {
+      const key = a < b ? `${a},${b}` : `${b},${a}`;
+      if (a === b || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+    return { sites, edges, steinerPoints: sites.slice(inputSites) };
+  }
 
-    let minX = this.points[0].x,
-      maxX = this.points[0].x;
-    let minY = this.points[0].y,
-      maxY = this.points[0].y;
+  // Inserts each constraint into the Delaunay triangulation: the triangles it crosses are removed
+  // and the cavities on either side are retriangulated (Anglada's pseudo-polygon triangulation).
+  // Closed loops of constraints then bound the domain; triangles outside it or inside holes are
+  // removed by a flood fill that toggles inside/outside whenever it crosses a constraint.
+  addConstraintSteps({ sites, edges, steinerPoints }, superTriangle) {
+    // The super triangle is kept until the domain is known, so that every constraint lies inside
+    // the triangulation (its removal can otherwise drop hull edges next to near-collinear points)
+    const vertices = [...sites, ...superTriangle];
+    const isSuper = (i) => i >= sites.length;
+    const index = new Map(vertices.map((p, i) => [p, i]));
+    let tris = this.triangles.map((t) => t.map((p) => index.get(p)));
+    const label = (i) =>
+      isSuper(i) ? `S${i - sites.length + 1}` : `P${i + 1}`;
+    const edgeKey = (a, b) => (a < b ? `${a},${b}` : `${b},${a}`);
+    const cross = (o, a, b) =>
+      (vertices[a].x - vertices[o].x) * (vertices[b].y - vertices[o].y) -
+      (vertices[a].y - vertices[o].y) * (vertices[b].x - vertices[o].x);
+    const inserted = [];
+    const constraintKeys = new Set(edges.map(([a, b]) => edgeKey(a, b)));
+
+    const pushStep = (description, algorithmStep, extra = {}) => {
+      const {
+        status = () => "active",
+        constraint = null,
+        cavities = [],
+        circles = [],
+        queueStatus = (k) => (k < inserted.length ? "processed" : "pending"),
+        output = [],
+      } = extra;
+      const triangles = tris.map((t) => t.map((i) => vertices[i]));
+      this.steps.push({
+        description,
+        triangles,
+        circumcircles: tris.map((t, k) =>
+          circles.includes(k) ? this.getCircumcircle(triangles[k]) : null
+        ),
+        highlightedPoints: [],
+        newPoint: null,
+        constraints: inserted.map(([a, b]) => [vertices[a], vertices[b]]),
+        currentConstraint: constraint
+          ? [vertices[constraint[0]], vertices[constraint[1]]]
+          : null,
+        cavities: cavities.map((chain) => chain.map((i) => vertices[i])),
+        steinerPoints,
+        algorithmStep,
+        eventSets: {
+          points: sites.map((p, j) => ({
+            point: p,
+            index: j,
+            status: "processed",
+          })),
+          triangles: tris.map((t, k) => ({
+            triangle: triangles[k],
+            index: k,
+            status: status(k),
+            description: `Triangle ${k + 1}`,
+          })),
+          eventQueue: edges.map(([a, b], k) => ({
+            label: `Constraint ${label(a)}–${label(b)}`,
+            status: queueStatus(k),
+          })),
+          activeSet: [],
+          output,
+        },
+      });
+    };
+
+    // Retriangulates the pseudo-polygon a, chain..., b (on one side of a-b): the chain vertex c
+    // whose circle through a and b holds no other chain vertex forms triangle a-b-c
+    const triangulatePseudoPolygon = (a, b, chain, out) => {
+      if (chain.length === 0) return;
+      let c = 0;
+      for (let k = 1; k < chain.length; k++) {
+        const circle = this.getCircumcircle([
+          vertices[a],
+          vertices[b],
+          vertices[chain[c]],
+        ]);
+        if (this.pointInCircumcircle(vertices[chain[k]], circle)) c = k;
+      }
+      triangulatePseudoPolygon(a, chain[c], chain.slice(0, c), out);
+      triangulatePseudoPolygon(chain[c], b, chain.slice(c + 1), out);
+      out.push([a, b, chain[c]]);
+    };
+
+    // A vertex whose triangles were all crossed by a constraint is left inside its cavity, on
+    // neither side: put it back with a Bowyer-Watson insertion that stops at inserted constraints
+    const reinsert = (v) => {
+      const p = vertices[v];
+      const ccw = (t) => (cross(...t) > 0 ? t : [...t].reverse());
+      const start = tris.findIndex((t) => {
+        const [u, w, x] = ccw(t);
+        return (
+          cross(u, w, v) >= 0 && cross(w, x, v) >= 0 && cross(x, u, v) >= 0
+        );
+      });
+      const walls = new Set(inserted.map(([u, w]) => edgeKey(u, w)));
+      const bad = new Set([start]);
+      const queue = [start];
+      while (queue.length) {
+        const t = tris[queue.pop()];
+        for (let e = 0; e < 3; e++) {
+          const key = edgeKey(t[e], t[(e + 1) % 3]);
+          if (walls.has(key)) continue;
+          const j = tris.findIndex(
+            (s, i) =>
+              !bad.has(i) && s.includes(t[e]) && s.includes(t[(e + 1) % 3])
+          );
+          if (
+            j !== -1 &&
+            this.pointInCircumcircle(
+              p,
+              this.getCircumcircle(tris[j].map((i) => vertices[i]))
+            )
+          ) {
+            bad.add(j);
+            queue.push(j);
+          }
+        }
+      }
+      const directed = new Set();
+      for (const j of bad) {
+        const t = ccw(tris[j]);
+        for (let e = 0; e < 3; e++) directed.add(`${t[e]},${t[(e + 1) % 3]}`);
+      }
+      const fan = [...directed]
+        .map((d) => d.split(",").map(Number))
+        .filter(([u, w]) => !directed.has(`${w},${u}`))
+        .map(([u, w]) => [u, w, v]);
+      tris = tris.filter((_, j) => !bad.has(j));
+      tris.push(...fan);
+      return fan;
+    };
+
+    edges.forEach(([a, b], k) => {
+      const name = `${label(a)}–${label(b)}`;
+      if (tris.some((t) => t.includes(a) && t.includes(b))) {
+        inserted.push([a, b]);
+        pushStep(
+          `Constraint ${name} is already an edge of the triangulation`,
+          5,
+          {
+            constraint: [a, b],
+            queueStatus: (j) =>
+              j < k ? "processed" : j === k ? "current" : "pending",
+            output: [{ label: `${name} kept`, status: "kept" }],
+          }
+        );
+        return;
+      }
 
-    for (const point of this.points) {
+      // Triangles whose edges are properly crossed by a-b
+      const properlyCrosses = (u, v) =>
+        cross(a, b, u) * cross(a, b, v) < 0 &&
+        cross(u, v, a) * cross(u, v, b) < 0;
+      const crossed = tris
+        .map((t, j) => j)
+        .filter((j) =>
+          [0, 1, 2].some((e) =>
+            properlyCrosses(tris[j][e], tris[j][(e + 1) % 3])
+          )
+        );
+
+      // The cavity's boundary, walked counter-clockwise, splits at a and b into the two sides
+      const next = new Map();
+      const directed = new Set();
+      for (const j of crossed) {
+        const t = cross(...tris[j]) > 0 ? tris[j] : [...tris[j]].reverse();
+        for (let e = 0; e < 3; e++) directed.add(`${t[e]},${t[(e + 1) % 3]}`);
+      }
+      for (const d of directed) {
+        const [u, v] = d.split(",").map(Number);
+        if (!directed.has(`${v},${u}`)) next.set(u, v);
+      }
+      const walk = (from, to) => {
+        const chain = [];
+        for (
+          let v = next.get(from);
+          v !== to && chain.length <= vertices.length;
+          v = next.get(v)
+        )
+          chain.push(v);
+        return chain;
+      };
+      const sideA = walk(a, b);
+      const sideB = walk(b, a);
+      const cavities = [
+        [a, ...sideA, b],
+        [b, ...sideB, a],
+      ];
+
+      pushStep(
+        `Insert constraint ${name}: it crosses ${crossed.length} triangle${
+          crossed.length === 1 ? "" : "s"
+        } - remove them, leaving a cavity on each side of ${name}`,
+        5,
+        {
+          status: (j) => (crossed.includes(j) ? "rejected" : "active"),
+          constraint: [a, b],
+          cavities,
+          queueStatus: (j) =>
+            j < k ? "processed" : j === k ? "current" : "pending",
+          output: crossed.map((j) => ({
+            label: `Remove triangle ${tris[j].map(label).join(" ")}`,
+            status: "rejected",
+          })),
+        }
+      );
+
+      const created = [];
+      triangulatePseudoPolygon(a, b, sideA, created);
+      triangulatePseudoPolygon(b, a, sideB, created);
+      const onSides = new Set([a, b, ...sideA, ...sideB]);
+      const orphans = [...new Set(crossed.flatMap((j) => tris[j]))].filter(
+        (v) => !onSides.has(v)
+      );
+      tris = tris.filter((_, j) => !crossed.includes(j));
+      tris.push(...created);
+      inserted.push([a, b]);
+      const fresh = new Set(created);
+      orphans.forEach((v) => reinsert(v).forEach((t) => fresh.add(t)));
+      const isNew = (j) => fresh.has(tris[j]);
+
+      pushStep(
+        `Retriangulate both cavities: ${
+          tris.filter((_, j) => isNew(j)).length
+        } new triangles, each with an empty circle among the vertices it can see - ${name} is now an edge${
+          orphans.length
+            ? ` (${orphans
+                .map(label)
+                .join(", ")} lay inside a cavity and is inserted again)`
+            : ""
+        }`,
+        6,
+        {
+          status: (j) => (isNew(j) ? "accepted" : "active"),
+          constraint: [a, b],
+          cavities,
+          circles: tris.map((_, j) => j).filter(isNew),
+          queueStatus: (j) => (j <= k ? "processed" : "pending"),
+          output: tris
+            .filter((_, j) => isNew(j))
+            .map((t) => ({
+              label: `New triangle ${t.map(label).join(" ")}`,
+              status: "new",
+            })),
+        }
+      );
+    });
+
+    const doneQueue = () => "processed";
+
+    // Flood fill from the super triangle's edges: crossing a constraint toggles outside/inside
+    const neighbours = tris.map(() => []);
+    const owner = new Map();
+    tris.forEach((t, j) => {
+      for (let e = 0; e < 3; e++) {
+        const key = edgeKey(t[e], t[(e + 1) % 3]);
+        if (owner.has(key)) {
+          const other = owner.get(key);
+          const wall = constraintKeys.has(key) ? 1 : 0;
+          neighbours[j].push({ node: other, wall });
+          neighbours[other].push({ node: j, wall });
+          owner.delete(key);
+        } else owner.set(key, j);
+      }
+    });
+    const depth = tris.map(() => Infinity);
+    const deque = [];
+    // The edges left in `owner` are the super triangle's own
+    for (const j of owner.values()) {
+      depth[j] = 0;
+      deque.push(j);
+    }
+    while (deque.length > 0) {
+      const j = deque.shift();
+      for (const { node, wall } of neighbours[j]) {
+        if (depth[j] + wall < depth[node]) {
+          depth[node] = depth[j] + wall;
+          wall === 0 ? deque.unshift(node) : deque.push(node);
+        }
+      }
+    }
+
+    // Without a closed boundary, the domain is the convex hull, as in the unconstrained case
+    const bounded = depth.some((d) => d > 0);
+    const keep = (j) => (bounded ? depth[j] % 2 === 1 : !tris[j].some(isSuper));
+    const removed = tris.map((_, j) => j).filter((j) => !keep(j));
+    pushStep(
+      bounded
+        ? `Flood fill from the super triangle, toggling inside/outside at each constraint: ${
+            removed.length
+          } triangle${
+            removed.length === 1 ? " lies" : "s lie"
+          } outside the boundary or inside a hole`
+        : `No constraints form a closed boundary: remove the ${removed.length} triangles that use a super triangle vertex, keeping the convex hull`,
+      7,
+      {
+        status: (j) => (keep(j) ? "accepted" : "rejected"),
+        queueStatus: doneQueue,
+        output: [
+          { label: `Inside: ${tris.length - removed.length}`, status: "kept" },
+          {
+            label: `${bounded ? "Outside / holes" : "Super triangle"}: ${
+              removed.length
+            }`,
+            status: "rejected",
+          },
+        ],
+      }
+    );
+
+    tris = tris.filter((_, j) => keep(j));
+    this.triangles = tris.map((t) => t.map((i) => vertices[i]));
+    pushStep(
+      `Constrained Delaunay triangulation complete: ${tris.length} triangles${
+        bounded ? " inside the domain" : ""
+      }`,
+      8,
+      {
+        status: () => "accepted",
+        queueStatus: doneQueue,
+        output: [
+          { label: `Final triangles: ${tris.length}`, status: "completed" },
+        ],
+      }
+    );
+  }
+
+  getBounds(points = this.points) {
+    if (points.length === 0) return { minX: 0, maxX: 100, minY: 0, maxY: 100 };
+
+    let minX = points[0].x,
+      maxX = points[0].x;
+    let minY = points[0].y,
+      maxY = points[0].y;
+
+    for (const point of points) {
       minX = Math.min(minX, point.x);
       maxX = Math.max(maxX, point.x);
       minY = Math.min(minY, point.y);
@@ -418,6 +884,7 @@ class DelaunayBowyerWatson {
 
     const step = this.steps[this.currentStep] || this.steps[0];
     step.showDuality = this.showDuality;
+    step.showLifting = this.showLifting;
     return step;
   }
 
@@ -449,4 +916,8 @@ class DelaunayBowyerWatson {
   toggleDuality() {
     this.showDuality = !this.showDuality;
   }
+
+  toggleLifting() {
+    this.showLifting = !this.showLifting;
+  }
 }
@@ -48,215 +48,534 @@ class FortuneVoronoiAlgorithm {
     this.showDuality = !this.showDuality;
   }
 
+  // Parabola of points equidistant from `site` and the sweep line y = sweepY.
+  // NOTE: Canvas y grows downward, so the sweep moves towards larger y and the
+  // beach line is the upper envelope (max y) of these parabolas.
+  static parabolaY(site, sweepY, x) {
+    const d = site.y - sweepY;
+    if (Math.abs(d) < 1e-9) return -Infinity; // degenerate: vertical ray above the site
+    return ((x - site.x) * (x - site.x)) / (2 * d) + (site.y + sweepY) / 2;
+  }
+
+  // x-coordinate of the breakpoint between the arc of `left` and the arc of `right`
+  static breakpointX(left, right, sweepY) {
+    const eps = 1e-9;
+    const dl = left.y - sweepY;
+    const dr = right.y - sweepY;
+    if (Math.abs(dl) < eps && Math.abs(dr) < eps) return (left.x + right.x) / 2;
+    if (Math.abs(dl) < eps) return left.x;
+    if (Math.abs(dr) < eps) return right.x;
+
+    // Solve yLeft(x) - yRight(x) = a x^2 + b x + c = 0
+    const a = 1 / (2 * dl) - 1 / (2 * dr);
+    const b = -left.x / dl + right.x / dr;
+    const c =
+      (left.x * left.x) / (2 * dl) +
+      (left.y + sweepY) / 2 -
+      (right.x * right.x) / (2 * dr) -
+      (right.y + sweepY) / 2;
+    if (Math.abs(a) < 1e-12) return -c / b; // same y: vertical bisector
+
+    const sq = Math.sqrt(Math.max(0, b * b - 4 * a * c));
+    const q = -0.5 * (b + (b >= 0 ? sq : -sq)); // numerically stable roots
+    const r1 = q / a;
+    const r2 = Math.abs(q) > 1e-12 ? c / q : r1;
+    // Left of the breakpoint the left arc must be the beach line (larger y):
+    // the sign of a decides which root that is.
+    return a > 0 ? Math.min(r1, r2) : Math.max(r1, r2);
+  }
+
+  static breakpoint(left, right, sweepY) {
+    const x = FortuneVoronoiAlgorithm.breakpointX(left, right, sweepY);
+    const y = Math.max(
+      FortuneVoronoiAlgorithm.parabolaY(left, sweepY, x),
+      FortuneVoronoiAlgorithm.parabolaY(right, sweepY, x)
+    );
+    return new Point(x, y);
+  }
+
+  static circumcircle(A, B, C) {
+    const D = 2 * (A.x * (B.y - C.y) + B.x * (C.y - A.y) + C.x * (A.y - B.y));
+    if (Math.abs(D) < 1e-9) return null;
+    const ux =
+      ((A.x * A.x + A.y * A.y) * (B.y - C.y) +
+        (B.x * B.x + B.y * B.y) * (C.y - A.y) +
+        (C.x * C.x + C.y * C.y) * (A.y - B.y)) /
+      D;
+    const uy =
+      ((A.x * A.x + A.y * A.y) * (C.x - B.x) +
+        (B.x * B.x + B.y * B.y) * (A.x - C.x) +
+        (C.x * C.x + C.y * C.y) * (B.x - A.x)) /
+      D;
+    const center = new Point(ux, uy);
+    return { center, radius: Point.distance(center, A) };
+  }
+
   // Build pedagogical steps for Fortune's algorithm
   computeSteps() {
     this.steps = [];
 
-    // Step 0: Intro
-    this.steps.push({
-      description:
-        "Fortune's algorithm: sweep a horizontal line downward; the beach line is the envelope of parabolas",
-      points: [...this.points],
-      processedSites: [],
-      sweepY: null,
-      eventSets: {
-        points: this.points.map((p, i) => ({
-          point: p,
-          index: i,
-          status: "pending",
-        })),
-        eventQueue: [],
-        activeSet: [],
-        output: [],
-      },
-      algorithmStep: 0,
-    });
-
-    if (this.points.length < 2) return; // need at least 2 sites to make the beach interesting
+    const FV = FortuneVoronoiAlgorithm;
+    const FAR = 100000; // NOTE: Stands in for "infinity" on unbounded edges
+    const sites = this.points.map((p, i) => ({ point: p, index: i }));
+    const siteLabel = (s) => `P${s.index + 1}`;
+    const fmt = (p) => `(${p.x.toFixed(1)}, ${p.y.toFixed(1)})`;
+    const sameSite = (p, q) =>
+      (p.equals && p.equals(q)) || (p.x === q.x && p.y === q.y);
 
-    // Fortune processes site events by decreasing y (top to bottom in typical math coords).
-    // Our canvas y increases downward, so we sort by increasing y.
-    const events = this.points
-      .map((p, i) => ({ type: "site", y: p.y, point: p, index: i }))
-      .sort((a, b) => a.y - b.y);
+    // Fortune processes events by decreasing y (top to bottom in typical math coords).
+    // Our canvas y increases downward, so events are ordered by increasing y;
+    // circle events go before site events at the same y.
+    const byY = (a, b) =>
+      a.y - b.y || (a.type === b.type ? 0 : a.type === "circle" ? -1 : 1);
 
-    // Step 1: Initialize event queue
-    this.steps.push({
-      description:
-        "Initialize event queue with site events (sorted by y ascending)",
-      points: [...this.points],
-      processedSites: [],
-      sweepY: null,
-      eventSets: {
-        points: this.points.map((p, i) => ({
-          point: p,
-          index: i,
-          status: "pending",
-        })),
-        eventQueue: events.map((ev) => ({
-          label: `SITE P${ev.index + 1} @ y=${ev.y.toFixed(1)}`,
-          status: "pending",
-          y: ev.y,
-        })),
-        activeSet: [],
-        output: [],
-      },
-      algorithmStep: 1,
-    });
+    let queue = sites
+      .slice()
+      .sort((a, b) => a.point.y - b.point.y || a.point.x - b.point.x)
+      .map((s) => ({
+        type: "site",
+        y: s.point.y,
+        site: s,
+        label: `SITE ${siteLabel(s)} @ y=${s.point.y.toFixed(1)}`,
+        status: "pending",
+      }));
+    const allEvents = queue.slice(); // every queued event, incl. cancelled ones
 
+    // Beach line: arcs from left to right, { site, circleEvent, edgeLeft, edgeRight }.
+    // The edge between two neighbouring arcs is traced by their breakpoint.
+    const beachLine = [];
+    const edges = []; // { left, right, start, end }
+    const vertices = [];
     const processedSites = [];
-    for (let k = 0; k < events.length; k++) {
-      const ev = events[k];
-      // Move sweep slightly below the site (canvas y grows downward) so new arc is a proper parabola
-      const sweepY = ev.y + 1.0; // pixels below site
-      processedSites.push(ev.point);
-
-      // Build event queue status for this step
-      const eventQueue = events.map((e, idx) => ({
-        label: `${e.type.toUpperCase()} P${e.index + 1} @ y=${e.y.toFixed(1)}`,
-        status: idx < k ? "processed" : idx === k ? "current" : "pending",
-        y: e.y,
+    let sweepY = null;
+    let currentSite = null;
+    let newVertex = null;
+    let squeezedArc = null;
+    let cancelledNow = [];
+    let queuedNow = [];
+
+    const snapshot = (description, algorithmStep, extra = {}) => {
+      const arcs = beachLine.map((arc, i) => ({
+        site: arc.site.point,
+        siteIndex: arc.site.index,
+        xl:
+          i > 0
+            ? FV.breakpointX(
+                beachLine[i - 1].site.point,
+                arc.site.point,
+                sweepY
+              )
+            : -Infinity,
+        xr:
+          i < beachLine.length - 1
+            ? FV.breakpointX(
+                arc.site.point,
+                beachLine[i + 1].site.point,
+                sweepY
+              )
+            : Infinity,
       }));
 
+      // Edges still being traced run from their start to the current breakpoint
+      const growingEdges = [];
+      for (let i = 0; i < beachLine.length - 1; i++) {
+        const edge = beachLine[i].edgeRight;
+        if (!edge || edge.end) continue;
+        const bp = FV.breakpoint(
+          beachLine[i].site.point,
+          beachLine[i + 1].site.point,
+          sweepY
+        );
+        if (isFinite(bp.y)) growingEdges.push({ a: edge.start, b: bp });
+      }
+
+      const circleEvents = allEvents
+        .filter(
+          (ev) =>
+            ev.type === "circle" &&
+            (ev.status === "pending" ||
+              ev.status === "current" ||
+              cancelledNow.includes(ev))
+        )
+        .map((ev) => ({
+          center: ev.center,
+          radius: ev.radius,
+          y: ev.y,
+          status: ev.status,
+        }));
+
       this.steps.push({
-        description: `Process site P${
-          ev.index + 1
-        }; move sweep line to y=${sweepY.toFixed(1)} and update beach line`,
+        description,
         points: [...this.points],
         processedSites: [...processedSites],
+        currentSite: currentSite ? currentSite.point : null,
         sweepY,
-        // No true circle-event handling here; focus on beach line depiction
+        beachLine: arcs,
+        voronoiEdges: edges
+          .filter((e) => e.end)
+          .map((e) => ({ a: e.start, b: e.end })),
+        growingEdges,
+        voronoiVertices: [...vertices],
+        circumcenters: [...vertices],
+        newVertex,
+        squeezedArc,
+        circleEvents,
         eventSets: {
-          points: this.points.map((p, i) => ({
-            point: p,
-            index: i,
-            status: processedSites.includes(p) ? "processed" : "pending",
+          points: sites.map((s) => ({
+            point: s.point,
+            index: s.index,
+            status:
+              currentSite === s
+                ? "current"
+                : processedSites.includes(s.point)
+                ? "processed"
+                : "pending",
           })),
-          eventQueue,
-          activeSet: processedSites.map((p, i) => ({
-            label: `Site P${this.points.indexOf(p) + 1}`,
-            status: "active",
-            point: p,
+          eventQueue: allEvents.map((ev) => ({
+            label: ev.label,
+            status: ev.status,
+            y: ev.y,
           })),
-          output: [],
+          beachLine: arcs.map((arc) => ({
+            label: `P${arc.siteIndex + 1}`,
+            status:
+              currentSite && arc.site === currentSite.point
+                ? "current"
+                : "active",
+          })),
+          output: [
+            ...vertices.map((v, k) => ({
+              label: `Vertex V${k + 1} ${fmt(v)}`,
+              status: v === newVertex ? "new" : "completed",
+            })),
+            ...edges
+              .filter((e) => e.end)
+              .map((e) => ({
+                label: `Edge ${siteLabel(e.left)}|${siteLabel(e.right)}`,
+                status: "completed",
+              })),
+          ],
         },
-        algorithmStep: 2,
+        algorithmStep,
+        ...extra,
       });
-    }
+    };
+
+    // A circle event whose triple no longer exists on the beach line is a false alarm
+    const cancelCircleEvent = (arc) => {
+      const ev = arc && arc.circleEvent;
+      if (!ev) return null;
+      ev.status = "rejected";
+      queue = queue.filter((e) => e !== ev);
+      arc.circleEvent = null;
+      cancelledNow.push(ev);
+      return ev;
+    };
+
+    // Queue a circle event for the arc at index i if its breakpoints converge
+    const checkCircleEvent = (i) => {
+      if (i <= 0 || i >= beachLine.length - 1) return;
+      const a = beachLine[i - 1].site;
+      const b = beachLine[i].site;
+      const c = beachLine[i + 1].site;
+      if (a === c) return;
+      // Breakpoints converge only if a, b, c turn clockwise on screen
+      if (Point.crossProduct(a.point, b.point, c.point) <= 1e-9) return;
+      const circle = FV.circumcircle(a.point, b.point, c.point);
+      if (!circle) return;
+      const y = circle.center.y + circle.radius; // bottom of the circle
+      if (y < sweepY - 1e-6) return;
+
+      const ev = {
+        type: "circle",
+        y,
+        arc: beachLine[i],
+        center: circle.center,
+        radius: circle.radius,
+        label: `CIRCLE (${siteLabel(a)}, ${siteLabel(b)}, ${siteLabel(
+          c
+        )}) @ y=${y.toFixed(1)}`,
+        status: "pending",
+      };
+      beachLine[i].circleEvent = ev;
+      queue.push(ev);
+      queue.sort(byY);
+      allEvents.push(ev);
+      queuedNow.push(ev);
+    };
+
+    // Step 0: Intro
+    snapshot(
+      "Fortune's algorithm: sweep a horizontal line downward; the beach line is the envelope of parabolas",
+      0
+    );
 
-    // Finalize: compute finished Voronoi cells using dual method for correctness
-    try {
-      if (this.points.length >= 3) {
-        // Use the project's Delaunay implementation (DelaunayBowyerWatson)
-        const del = new DelaunayBowyerWatson();
-        this.points.forEach((pt) => del.addPoint(pt));
-        del.computeSteps();
-        const finalStep = del.steps[del.steps.length - 1] || {};
-
-        // Build Voronoi cells from Delaunay triangles (circumcenters of triangles incident to each site)
-        const buildCellsFromDelaunay = () => {
-          const voronoiCells = [];
-          const circumcentersMap = new Map();
-
-          const circumcenterOf = (tri) => {
-            const [A, B, C] = tri;
-            const D =
-              2 * (A.x * (B.y - C.y) + B.x * (C.y - A.y) + C.x * (A.y - B.y));
-            if (Math.abs(D) < 1e-9) return null;
-            const ux =
-              ((A.x * A.x + A.y * A.y) * (B.y - C.y) +
-                (B.x * B.x + B.y * B.y) * (C.y - A.y) +
-                (C.x * C.x + C.y * C.y) * (A.y - B.y)) /
-              D;
-            const uy =
-              ((A.x * A.x + A.y * A.y) * (C.x - B.x) +
-                (B.x * B.x + B.y * B.y) * (A.x - C.x) +
-                (C.x * C.x + C.y * C.y) * (B.x - A.x)) /
-              D;
-            return new Point(ux, uy);
+    if (this.points.length < 2) return; // need at least 2 sites to make the beach interesting
+
+    // Step 1: Initialize event queue
+    snapshot(
+      "Initialize event queue with site events (sorted by y ascending); circle events are added as they are found",
+      0
+    );
+
+    let previous = null;
+    while (queue.length > 0) {
+      const ev = queue.shift();
+      if (previous) previous.status = "processed";
+      previous = ev;
+      ev.status = "current";
+      sweepY = ev.y;
+      currentSite = null;
+      newVertex = null;
+      squeezedArc = null;
+      cancelledNow = [];
+      queuedNow = [];
+
+      if (ev.type === "site") {
+        const s = ev.site;
+        currentSite = s;
+
+        if (processedSites.some((p) => sameSite(p, s.point))) {
+          processedSites.push(s.point);
+          snapshot(
+            `Site ${siteLabel(s)} coincides with an earlier site; skipped`,
+            1
+          );
+          continue;
+        }
+        processedSites.push(s.point);
+
+        if (beachLine.length === 0) {
+          beachLine.push({
+            site: s,
+            circleEvent: null,
+            edgeLeft: null,
+            edgeRight: null,
+          });
+          snapshot(
+            `Site event ${siteLabel(
+              s
+            )}: the beach line is empty, so its arc becomes the whole beach line`,
+            1
+          );
+          continue;
+        }
+
+        // Locate the arc vertically above the new site
+        let idx = 0;
+        while (
+          idx < beachLine.length - 1 &&
+          FV.breakpointX(
+            beachLine[idx].site.point,
+            beachLine[idx + 1].site.point,
+            sweepY
+          ) < s.point.x
+        )
+          idx++;
+        const above = beachLine[idx];
+
+        if (Math.abs(above.site.point.y - sweepY) < 1e-9) {
+          // Degenerate start: all sites so far lie on the sweep line, so there is
+          // no parabola to split. The new arc goes beside the last one and their
+          // vertical bisector comes down from infinity.
+          const edge = {
+            left: above.site,
+            right: s,
+            start: new Point(
+              (above.site.point.x + s.point.x) / 2,
+              sweepY - FAR
+            ),
+            end: null,
           };
+          edges.push(edge);
+          above.edgeRight = edge;
+          beachLine.splice(idx + 1, 0, {
+            site: s,
+            circleEvent: null,
+            edgeLeft: edge,
+            edgeRight: null,
+          });
+          snapshot(
+            `Site event ${siteLabel(s)}: same y as ${siteLabel(
+              above.site
+            )}, so no arc lies above it; add its arc alongside (vertical bisector from infinity)`,
+            1
+          );
+          continue;
+        }
 
-          const tris = finalStep.triangles || del.triangles || [];
-
-          for (let i = 0; i < this.points.length; i++) {
-            const site = this.points[i];
-            const siteCenters = [];
-            for (const t of tris) {
-              if (
-                t.some(
-                  (p) =>
-                    (p.equals && p.equals(site)) ||
-                    (p.x === site.x && p.y === site.y)
-                )
-              ) {
-                const key = t.map((p) => `${p.x},${p.y}`).join("|");
-                let c = circumcentersMap.get(key);
-                if (!c) {
-                  c = circumcenterOf(t);
-                  circumcentersMap.set(key, c);
-                }
-                if (c) siteCenters.push(c);
-              }
-            }
-            // sort vertices around the site (polar angle)
-            siteCenters.sort(
-              (p1, p2) =>
-                Math.atan2(p1.y - site.y, p1.x - site.x) -
-                Math.atan2(p2.y - site.y, p2.x - site.x)
-            );
-            if (siteCenters.length >= 1) {
-              voronoiCells.push({ site, vertices: siteCenters });
-            }
+        // Split the arc above into left piece, new arc, right piece
+        const start = new Point(
+          s.point.x,
+          FV.parabolaY(above.site.point, sweepY, s.point.x)
+        );
+        const eLeft = { left: above.site, right: s, start, end: null };
+        const eRight = { left: s, right: above.site, start, end: null };
+        edges.push(eLeft, eRight);
+        beachLine.splice(
+          idx,
+          1,
+          {
+            site: above.site,
+            circleEvent: null,
+            edgeLeft: above.edgeLeft,
+            edgeRight: eLeft,
+          },
+          { site: s, circleEvent: null, edgeLeft: eLeft, edgeRight: eRight },
+          {
+            site: above.site,
+            circleEvent: null,
+            edgeLeft: eRight,
+            edgeRight: above.edgeRight,
           }
+        );
+        snapshot(
+          `Site event ${siteLabel(s)}: split the arc of ${siteLabel(
+            above.site
+          )} above it; two edges start growing from ${fmt(start)}`,
+          1
+        );
+
+        // The split arc was the middle of a triple that no longer exists
+        const falseAlarm = cancelCircleEvent(above);
+        if (falseAlarm) {
+          snapshot(
+            `False alarm: ${
+              falseAlarm.label
+            } cancelled, since the arc of ${siteLabel(
+              above.site
+            )} was split by ${siteLabel(s)}`,
+            2
+          );
+        }
 
-          return voronoiCells;
+        checkCircleEvent(idx);
+        checkCircleEvent(idx + 2);
+        if (queuedNow.length > 0) {
+          snapshot(
+            `Check the new arc triples around ${siteLabel(
+              s
+            )}: queued ${queuedNow.map((e) => e.label).join(", ")}`,
+            3
+          );
+        }
+      } else {
+        // Circle event: the middle arc shrinks to a point and disappears
+        const i = beachLine.indexOf(ev.arc);
+        if (i <= 0 || i >= beachLine.length - 1) continue; // NOTE: stale events are removed on cancellation
+        const left = beachLine[i - 1];
+        const arc = beachLine[i];
+        const right = beachLine[i + 1];
+        const v = ev.center;
+
+        vertices.push(v);
+        newVertex = v;
+        if (arc.edgeLeft) arc.edgeLeft.end = v;
+        if (arc.edgeRight) arc.edgeRight.end = v;
+        const edge = {
+          left: left.site,
+          right: right.site,
+          start: v,
+          end: null,
         };
+        edges.push(edge);
+        left.edgeRight = edge;
+        right.edgeLeft = edge;
+        beachLine.splice(i, 1);
+        arc.circleEvent = null;
+        squeezedArc = { site: arc.site.point, siteIndex: arc.site.index };
 
-        const cells = buildCellsFromDelaunay();
-
-        this.steps.push({
-          description:
-            "Finalize: Voronoi diagram (built from Delaunay) with Fortune sweep visualization complete",
-          points: [...this.points],
-          processedSites: [...this.points],
-          sweepY: Math.max(...this.points.map((p) => p.y)) + 10,
-          voronoiCells: cells,
-          delaunayTriangulation: finalStep.triangles
-            ? [...finalStep.triangles]
-            : [...del.triangles],
-          eventSets: {
-            points: this.points.map((p, i) => ({
-              point: p,
-              index: i,
-              status: "processed",
-            })),
-            eventQueue: [],
-            activeSet: [],
-            output: [],
-          },
-          algorithmStep: 3,
-        });
+        snapshot(
+          `Circle event: the arc of ${siteLabel(
+            arc.site
+          )} is squeezed out between ${siteLabel(left.site)} and ${siteLabel(
+            right.site
+          )}; emit Voronoi vertex ${fmt(v)} and start edge ${siteLabel(
+            left.site
+          )}|${siteLabel(right.site)}`,
+          4
+        );
+
+        // Events of the neighbouring arcs involved the removed arc
+        const cancelled = [cancelCircleEvent(left), cancelCircleEvent(right)]
+          .filter(Boolean)
+          .map((e) => e.label);
+        if (cancelled.length > 0) {
+          snapshot(
+            `False alarm: ${cancelled.join(
+              ", "
+            )} cancelled, as the arc of ${siteLabel(arc.site)} is gone`,
+            2
+          );
+        }
+
+        checkCircleEvent(i - 1);
+        checkCircleEvent(i);
+        if (queuedNow.length > 0) {
+          snapshot(
+            `Check the new arc triples around V${
+              vertices.length
+            }: queued ${queuedNow.map((e) => e.label).join(", ")}`,
+            3
+          );
+        }
       }
-    } catch (e) {
-      // If anything goes wrong, still push a final step without cells
-      this.steps.push({
-        description: "Finalize Fortune sweep (could not build final cells)",
-        points: [...this.points],
-        processedSites: [...this.points],
-        sweepY: Math.max(...this.points.map((p) => p.y)) + 10,
-        eventSets: {
-          points: this.points.map((p, i) => ({
-            point: p,
-            index: i,
-            status: "processed",
-          })),
-          eventQueue: [],
-          activeSet: [],
-          output: [],
-        },
-        algorithmStep: 3,
-      });
     }
+    if (previous) previous.status = "processed";
+
+    // Finalize: edges still traced by the beach line are unbounded; extend them
+    // along the direction their breakpoints keep moving in.
+    const lastY = sweepY;
+    for (let i = 0; i < beachLine.length - 1; i++) {
+      const edge = beachLine[i].edgeRight;
+      if (!edge || edge.end) continue;
+      const bp = FV.breakpoint(
+        beachLine[i].site.point,
+        beachLine[i + 1].site.point,
+        lastY + 1000
+      );
+      const dx = bp.x - edge.start.x;
+      const dy = bp.y - edge.start.y;
+      const len = Math.hypot(dx, dy);
+      edge.end =
+        len > 1e-9
+          ? new Point(bp.x + (dx / len) * FAR, bp.y + (dy / len) * FAR)
+          : bp;
+    }
+
+    // Cells: each site's cell is bounded by the edges it borders
+    const voronoiCells = [];
+    for (const s of sites) {
+      const cellVertices = [];
+      for (const e of edges) {
+        if (e.left !== s && e.right !== s) continue;
+        for (const p of [e.start, e.end]) {
+          if (p && !cellVertices.some((q) => Point.distance(p, q) < 1e-6))
+            cellVertices.push(p);
+        }
+      }
+      // sort vertices around the site (polar angle)
+      cellVertices.sort(
+        (p1, p2) =>
+          Math.atan2(p1.y - s.point.y, p1.x - s.point.x) -
+          Math.atan2(p2.y - s.point.y, p2.x - s.point.x)
+      );
+      if (cellVertices.length > 2)
+        voronoiCells.push({ site: s.point, vertices: cellVertices });
+    }
+
+    currentSite = null;
+    newVertex = null;
+    squeezedArc = null;
+    cancelledNow = [];
+    sweepY =
+      Math.max(...this.points.map((p) => p.y), ...vertices.map((v) => v.y)) +
+      10;
+    snapshot(
+      `Finalize: extend the unbounded edges; Voronoi diagram complete (${vertices.length} vertices, ${edges.length} edges)`,
+      5,
+      { voronoiCells }
+    );
   }
 
   getCurrentStep() {
@@ -1,11 +1,12 @@
 /**
  * Interval Tree Algorithm
  * Interval Tree is a binary search tree that efficiently stores intervals and supports
- * fast interval queries. Each node stores a median value and intervals that cross that median.
+ * fast interval queries. Each node stores a median value and intervals that cross that median,
+ * kept in two lists: sorted by start point and sorted by end point.
  * This implementation builds an Interval Tree by recursively partitioning
  * the set of intervals based on their endpoints. Main use is to allow efficient
- * querying of intervals that overlap with a given point or range, AKA
- * range-search, not implemented here though.
+ * querying of intervals that overlap with a given point (stabbing query) or
+ * range, which is visualized as a walk down the tree after construction.
  * - Resources:
  *   - https://en.wikipedia.org/wiki/Interval_tree
  *   - Section 10.1, "Interval Trees", in "Computational Geometry: Algorithms and Applications" by Mark de Berg et al.
@@ -20,6 +21,8 @@ class IntervalTreeAlgorithm {
     this.algorithmStep = 0;
     this.numberLineMin = 0;
     this.numberLineMax = 100;
+    this.query = null; // { lo, hi }; lo === hi for a stabbing query
+    this.queryStartStep = null;
   }
 
   addInterval(interval) {
@@ -44,10 +47,25 @@ class IntervalTreeAlgorithm {
     this.currentStep = 0;
     this.tree = null;
     this.algorithmStep = 0;
+    this.queryStartStep = null;
   }
 
   clear() {
     this.intervals = [];
+    this.query = null;
+    this.reset();
+  }
+
+  // Sets a stabbing query (hi omitted) or range query [lo, hi] and jumps to its walk
+  setQuery(lo, hi = lo) {
+    this.query = { lo: Math.min(lo, hi), hi: Math.max(lo, hi) };
+    this.reset();
+    this.computeSteps();
+    if (this.queryStartStep !== null) this.currentStep = this.queryStartStep;
+  }
+
+  clearQuery() {
+    this.query = null;
     this.reset();
   }
 
@@ -92,6 +110,9 @@ class IntervalTreeAlgorithm {
 
     // Build the interval tree step-by-step
     this.buildIntervalTree();
+
+    // Then walk it for the current query, if any
+    if (this.query && this.tree) this.computeQuerySteps();
   }
 
   buildIntervalTree() {
@@ -178,7 +199,7 @@ class IntervalTreeAlgorithm {
       intervals: this.intervals,
       currentNode: null,
       highlightedIntervals: [],
-      algorithmStep: 100, // Final step
+      algorithmStep: 4, // "Interval tree complete"; query walks use 5-8 (see UIControls.getAlgorithmSteps)
       eventSets: {
         intervals: this.intervals.map((interval, i) => ({
           interval: interval,
@@ -216,10 +237,12 @@ class IntervalTreeAlgorithm {
       }
     }
 
-    // Create node
+    // Create node; center intervals are kept sorted by start (ascending) and by end (descending)
     const node = {
       median: median,
       centerIntervals: centerIntervals,
+      leftSorted: [...centerIntervals].sort((a, b) => a.start - b.start),
+      rightSorted: [...centerIntervals].sort((a, b) => b.end - a.end),
       left: null,
       right: null,
       depth: depth,
@@ -240,7 +263,9 @@ class IntervalTreeAlgorithm {
       leftIntervals: leftIntervals,
       rightIntervals: rightIntervals,
       centerIntervals: centerIntervals,
-      algorithmStep: 3 + depth,
+      depth: depth,
+      // One pseudocode line ("Create node") for every depth, so the query lines can follow it
+      algorithmStep: 3,
       eventSets: {
         intervals: intervals.map((interval, i) => {
           let status = "pending";
@@ -293,11 +318,205 @@ class IntervalTreeAlgorithm {
     return node;
   }
 
+  // Walks the finished tree for this.query, one step per node visit, list scan and recursion
+  computeQuerySteps() {
+    const { lo, hi } = this.query;
+    const isStab = lo === hi;
+    const qLabel = isStab
+      ? `q = ${lo.toFixed(1)}`
+      : `[${lo.toFixed(1)}, ${hi.toFixed(1)}]`;
+    const label = (iv) =>
+      `I${this.intervals.indexOf(iv) + 1} [${iv.start.toFixed(
+        1
+      )}, ${iv.end.toFixed(1)}]`;
+    const tree = this.copyTree(this.tree);
+
+    const visited = [];
+    const reported = [];
+    const stack = [tree];
+    this.queryStartStep = this.steps.length;
+
+    const pushQueryStep = (description, algorithmStep, extra = {}) => {
+      const {
+        node = null,
+        scanList = null,
+        scanned = [],
+        stopAt = null,
+      } = extra;
+      this.steps.push({
+        description,
+        tree,
+        intervals: this.intervals,
+        currentNode: node,
+        query: this.query,
+        visitedMedians: [...visited],
+        scanList,
+        highlightedIntervals: [...scanned],
+        reportedIntervals: [...reported],
+        stopInterval: stopAt,
+        algorithmStep,
+        eventSets: {
+          intervals: this.intervals.map((interval, i) => ({
+            interval: interval,
+            index: i,
+            status: reported.includes(interval) ? "completed" : "pending",
+          })),
+          nodes: [],
+
+          eventQueue: stack.map((n) => ({
+            label: `Visit node m=${n.median.toFixed(1)}`,
+            status: "pending",
+          })),
+          activeSet: [
+            ...scanned.map((iv) => ({ label: label(iv), status: "accepted" })),
+            ...(stopAt
+              ? [{ label: `${label(stopAt)} (stop)`, status: "rejected" }]
+              : []),
+          ],
+          output: reported.map((iv) => ({
+            label: label(iv),
+            status: scanned.includes(iv) ? "new" : "completed",
+          })),
+        },
+      });
+    };
+
+    pushQueryStep(
+      `${
+        isStab ? "Stabbing" : "Range"
+      } query ${qLabel}: start the walk at the root`,
+      5
+    );
+
+    while (stack.length > 0) {
+      const node = stack.pop();
+      const m = node.median;
+      visited.push(m);
+
+      if (hi < m) {
+        // Query lies left of the median: center intervals overlap it iff they start early enough
+        pushQueryStep(
+          `Node m=${m.toFixed(
+            1
+          )}: ${qLabel} lies left of the median; scan the list sorted by start`,
+          5,
+          { node }
+        );
+        const scanned = [];
+        let stopAt = null;
+        for (const iv of node.leftSorted) {
+          if (iv.start > hi) {
+            stopAt = iv;
+            break;
+          }
+          scanned.push(iv);
+          reported.push(iv);
+        }
+        pushQueryStep(
+          `Scan by start (ascending): report ${
+            scanned.length
+          } interval(s) with start ≤ ${hi.toFixed(1)}${
+            stopAt ? `; stop at ${label(stopAt)}` : ""
+          }`,
+          6,
+          { node, scanList: "left", scanned, stopAt }
+        );
+        if (node.left) {
+          stack.push(node.left);
+          pushQueryStep(
+            `Recurse into the left subtree (m=${node.left.median.toFixed(1)})`,
+            7,
+            { node }
+          );
+        }
+      } else if (lo > m) {
+        // Query lies right of the median: center intervals overlap it iff they end late enough
+        pushQueryStep(
+          `Node m=${m.toFixed(
+            1
+          )}: ${qLabel} lies right of the median; scan the list sorted by end`,
+          5,
+          { node }
+        );
+        const scanned = [];
+        let stopAt = null;
+        for (const iv of node.rightSorted) {
+          if (iv.end < lo) {
+            stopAt = iv;
+            break;
+          }
+          scanned.push(iv);
+          reported.push(iv);
+        }
+        pushQueryStep(
+          `Scan by end (descending): report ${
+            scanned.length
+          } interval(s) with end ≥ ${lo.toFixed(1)}${
+            stopAt ? `; stop at ${label(stopAt)}` : ""
+          }`,
+          6,
+          { node, scanList: "right", scanned, stopAt }
+        );
+        if (node.right) {
+          stack.push(node.right);
+          pushQueryStep(
+            `Recurse into the right subtree (m=${node.right.median.toFixed(
+              1
+            )})`,
+            7,
+            { node }
+          );
+        }
+      } else {
+        // Median inside the query: every center interval contains the median, so all overlap
+        pushQueryStep(
+          `Node m=${m.toFixed(
+            1
+          )}: the median lies inside ${qLabel}; every center interval overlaps`,
+          5,
+          { node }
+        );
+        const scanned = [...node.leftSorted];
+        reported.push(...scanned);
+        pushQueryStep(
+          `Report all ${scanned.length} center interval(s) without comparisons`,
+          6,
+          { node, scanList: "all", scanned }
+        );
+        // Children can only overlap the part of the query beyond the median
+        const children = [];
+        if (node.right && hi > m) children.push(node.right);
+        if (node.left && lo < m) children.push(node.left);
+        if (children.length > 0) {
+          stack.push(...children);
+          pushQueryStep(
+            `Recurse into ${
+              children.length === 2
+                ? "both subtrees"
+                : children[0] === node.left
+                ? "the left subtree"
+                : "the right subtree"
+            }`,
+            7,
+            { node }
+          );
+        }
+      }
+    }
+
+    pushQueryStep(
+      `Query ${qLabel} complete: ${reported.length} interval(s) reported after visiting ${visited.length} node(s)`,
+      8
+    );
+  }
+
   copyTree(node) {
     if (!node) return null;
     return {
       median: node.median,
       centerIntervals: [...node.centerIntervals],
+      leftSorted: [...node.leftSorted],
+      rightSorted: [...node.rightSorted],
       left: this.copyTree(node.left),
       right: this.copyTree(node.right),
       depth: node.depth,
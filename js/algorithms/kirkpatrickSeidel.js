@@ -0,0 +1,477 @@
+/**
+ * Convex Hull - The Kirkpatrick-Seidel Algorithm ("Ultimate Planar Convex Hull")
+ * This implementation computes the upper and lower hulls separately by "marriage before conquest": each subproblem is
+ * split at the median x, and the hull edge crossing that vertical line (the bridge) is found first by prune-and-search.
+ * Candidates are paired up, the median of the pair slopes gives a supporting line, and one point of every pair that
+ * cannot be on the bridge is discarded, so each round drops about a quarter of the candidates. The algorithm then
+ * recurses on the points left of the bridge and right of it, running in O(n log h) time.
+ * NOTE: "Upper" and "lower" refer to the hulls as seen on screen (canvas y grows downward); slopes are measured in
+ * the frame where the hull being built is the upper one (y up for the upper hull, y down for the lower hull).
+ * - Resources:
+ *   - https://en.wikipedia.org/wiki/Kirkpatrick%E2%80%93Seidel_algorithm
+ *   - "The Ultimate Planar Convex Hull Algorithm?" by D.G. Kirkpatrick and R. Seidel (https://doi.org/10.1137/0215021)
+ */
+
+class KirkpatrickSeidelAlgorithm {
+  constructor() {
+    this.points = [];
+    this.steps = [];
+    this.currentStep = 0;
+    this.hull = [];
+    this.algorithmStep = 0;
+  }
+
+  addPoint(point) {
+    this.points.push(point);
+    this.reset();
+  }
+
+  removePoint(point) {
+    const index = this.points.findIndex(
+      (p) => Math.abs(p.x - point.x) < 10 && Math.abs(p.y - point.y) < 10
+    );
+    if (index !== -1) {
+      this.points.splice(index, 1);
+      this.reset();
+    }
+  }
+
+  reset() {
+    this.steps = [];
+    this.currentStep = 0;
+    this.hull = [];
+    this.algorithmStep = 0;
+  }
+
+  clear() {
+    this.points = [];
+    this.reset();
+  }
+
+  computeSteps() {
+    const n = this.points.length;
+    const label = (p) => `P${this.points.indexOf(p) + 1}`;
+
+    if (n < 3) {
+      this.steps = [
+        {
+          description: "Need at least 3 points for convex hull",
+          hull: [],
+          upperEdges: [],
+          lowerEdges: [],
+          eventSets: {
+            points: this.points.map((p, i) => ({
+              point: p,
+              index: i,
+              status: "pending",
+            })),
+            eventQueue: [],
+            activeSet: [],
+            output: [],
+          },
+        },
+      ];
+      return;
+    }
+
+    this.steps = [];
+    const edges = { upper: [], lower: [] };
+    const extremes = {};
+
+    // State of the hull being built, read by pushStep
+    let phase = "upper";
+    let sign = -1; // Maps screen y to "height" so that both hulls are upper hulls
+    let stack = [];
+    let sub = null;
+    let median = null;
+    let candidates = [];
+    let pairs = [];
+    let slope = null;
+    let support = [];
+    let pruned = [];
+    let bridge = null;
+    let rounds = [];
+    let removed = new Set(); // Outside the extremes or under a bridge
+    let discarded = new Set(); // Pruned in the current bridge search only
+
+    const Y = (p) => sign * p.y;
+    const fmt = (v) => (Math.abs(v) < 0.005 ? "0.00" : v.toFixed(2));
+    const phaseName = () => (phase === "upper" ? "Upper" : "Lower");
+
+    const pushStep = (description, algorithmStep) => {
+      const done = phase === "done";
+      const onHull = new Set(
+        [...edges.upper, ...edges.lower].flatMap((e) => [e[0], e[1]])
+      );
+
+      this.steps.push({
+        description,
+        phase,
+        sign,
+        subproblem: sub ? { k: sub.k, m: sub.m, points: [...sub.S] } : null,
+        median,
+        candidates: [...candidates],
+        pairs: pairs.map((pr) => ({ ...pr })),
+        slope,
+        support: [...support],
+        pruned: [...pruned],
+        bridge: bridge ? [...bridge] : null,
+        upperEdges: edges.upper.map((e) => [...e]),
+        lowerEdges: edges.lower.map((e) => [...e]),
+        hull: done ? [...this.hull] : [],
+        algorithmStep,
+        eventSets: {
+          points: this.points.map((p, i) => ({
+            point: p,
+            index: i,
+            status: done
+              ? this.hull.includes(p)
+                ? "accepted"
+                : "rejected"
+              : pruned.includes(p)
+              ? "backtrack"
+              : support.includes(p) || (bridge && bridge.includes(p))
+              ? "current"
+              : onHull.has(p)
+              ? "accepted"
+              : removed.has(p) || discarded.has(p)
+              ? "rejected"
+              : candidates.includes(p)
+              ? "candidate"
+              : "pending",
+          })),
+
+          // Subproblems waiting on the recursion stack (top first)
+          eventQueue: [
+            ...(sub
+              ? [
+                  {
+                    label: `${phaseName()}: connect ${label(sub.k)} → ${label(
+                      sub.m
+                    )} (${sub.S.length} points)`,
+                    status: "current",
+                  },
+                ]
+              : []),
+            ...stack
+              .slice()
+              .reverse()
+              .map((s) => ({
+                label: `${phaseName()}: connect ${label(s.k)} → ${label(
+                  s.m
+                )} (${s.S.length} points)`,
+                status: "pending",
+              })),
+          ],
+          // Pairs of the current pruning round
+          activeSet: pairs.map((pr) => ({
+            label: `${label(pr.p)}–${label(pr.q)}: ${
+              pr.slope === null ? "vertical" : `slope ${fmt(pr.slope)}`
+            }${pr.discard ? `, discard ${label(pr.discard)}` : ""}`,
+            status: pr.discard ? "rejected" : "active",
+          })),
+          // Bridges found so far and the pairs discarded in each round of this search
+          output: [
+            ...[...edges.upper, ...edges.lower].map(([a, b], i) => ({
+              label: `${
+                i < edges.upper.length ? "Upper" : "Lower"
+              } bridge ${label(a)}–${label(b)}`,
+              status: "completed",
+            })),
+            ...rounds.map((r) => ({
+              label: `Round ${r.round}: discarded ${r.discarded} point${
+                r.discarded === 1 ? "" : "s"
+              } from ${r.pairs} pair${r.pairs === 1 ? "" : "s"}, ${
+                r.left
+              } candidates left`,
+              status: "processed",
+            })),
+          ],
+        },
+      });
+    };
+
+    // Prune-and-search for the hull edge of sub.S crossing x = median
+    const findBridge = () => {
+      candidates = [...sub.S];
+      rounds = [];
+      discarded = new Set();
+      for (let round = 1; ; round++) {
+        if (candidates.length === 2) {
+          return [...candidates].sort((a, b) => a.x - b.x);
+        }
+
+        // Pair up the candidates; of a vertical pair only the higher point can be on the hull
+        pairs = [];
+        const next = [];
+        for (let i = 0; i + 1 < candidates.length; i += 2) {
+          let [p, q] = [candidates[i], candidates[i + 1]];
+          if (p.x > q.x) [p, q] = [q, p];
+          if (p.x === q.x) {
+            const [high, low] = Y(p) >= Y(q) ? [p, q] : [q, p];
+            pairs.push({ p, q, slope: null, discard: low });
+            next.push(high);
+          } else {
+            pairs.push({
+              p,
+              q,
+              slope: (Y(q) - Y(p)) / (q.x - p.x),
+              discard: null,
+            });
+          }
+        }
+        if (candidates.length % 2 === 1) {
+          next.push(candidates[candidates.length - 1]); // Unpaired
+        }
+
+        const slopes = pairs
+          .filter((pr) => pr.slope !== null)
+          .map((pr) => pr.slope)
+          .sort((a, b) => a - b);
+
+        if (slopes.length > 0) {
+          // Supporting line with the median slope K: the candidates maximizing Y - K·x
+          slope = slopes[Math.floor((slopes.length - 1) / 2)];
+          const score = (p) => Y(p) - slope * p.x;
+          const best = Math.max(...candidates.map(score));
+          const eps = 1e-9 * (1 + Math.abs(best));
+          const touching = candidates.filter((p) => best - score(p) <= eps);
+          const pk = touching.reduce((a, b) => (b.x < a.x ? b : a));
+          const pm = touching.reduce((a, b) => (b.x > a.x ? b : a));
+          support = pk === pm ? [pk] : [pk, pm];
+
+          pushStep(
+            `Round ${round}: ${pairs.length} pair${
+              pairs.length === 1 ? "" : "s"
+            }, median slope K = ${fmt(
+              slope
+            )}; the supporting line touches ${support
+              .map(label)
+              .join(" and ")}`,
+            2
+          );
+
+          if (pk.x <= median && pm.x > median) {
+            return [pk, pm];
+          }
+
+          // Bridge is right of the support (its slope is below K) or left of it (above K)
+          const bridgeRight = pm.x <= median;
+          for (const pr of pairs) {
+            if (pr.slope === null) continue;
+            if (bridgeRight ? pr.slope >= slope : pr.slope <= slope) {
+              pr.discard = bridgeRight ? pr.p : pr.q;
+              next.push(bridgeRight ? pr.q : pr.p);
+            } else {
+              next.push(pr.p, pr.q);
+            }
+          }
+          pruned = pairs.filter((pr) => pr.discard).map((pr) => pr.discard);
+          pruned.forEach((p) => discarded.add(p));
+          rounds.push({
+            round,
+            pairs: pairs.length,
+            discarded: pruned.length,
+            left: next.length,
+          });
+          pushStep(
+            `Support ${
+              bridgeRight ? "ends left" : "starts right"
+            } of the median line, so the bridge slope is ${
+              bridgeRight ? "below" : "above"
+            } K: discard the ${
+              bridgeRight ? "left" : "right"
+            } point of every pair with slope ${bridgeRight ? "≥" : "≤"} K (${
+              pruned.length
+            } discarded)`,
+            3
+          );
+        } else {
+          slope = null;
+          support = [];
+          pruned = pairs.map((pr) => pr.discard);
+          pruned.forEach((p) => discarded.add(p));
+          rounds.push({
+            round,
+            pairs: pairs.length,
+            discarded: pruned.length,
+            left: next.length,
+          });
+          pushStep(
+            `Round ${round}: every pair is vertical, so discard the lower point of each (${pruned.length} discarded)`,
+            3
+          );
+        }
+
+        candidates = next;
+        pairs = [];
+        pruned = [];
+        slope = null;
+        support = [];
+      }
+    };
+
+    for (const [name, s] of [
+      ["upper", -1],
+      ["lower", 1],
+    ]) {
+      phase = name;
+      sign = s;
+      removed = new Set();
+      stack = [];
+      sub = null;
+      median = null;
+      candidates = [];
+      bridge = null;
+      rounds = [];
+
+      // Extreme points; ties in x are broken towards the hull being built
+      const byX = [...this.points].sort((a, b) =>
+        a.x !== b.x ? a.x - b.x : Y(b) - Y(a)
+      );
+      const left = byX[0];
+      const right = byX.reduce((best, p) =>
+        p.x > best.x || (p.x === best.x && Y(p) > Y(best)) ? p : best
+      );
+      extremes[phase] = [left, right];
+      if (left === right) {
+        pushStep(
+          `${phaseName()} hull: all points share x, so ${label(
+            left
+          )} is the whole ${phase} hull`,
+          0
+        );
+        continue;
+      }
+
+      const S = [
+        left,
+        right,
+        ...this.points.filter((p) => p.x > left.x && p.x < right.x),
+      ];
+      this.points.forEach((p) => {
+        if (!S.includes(p)) removed.add(p);
+      });
+      stack.push({ k: left, m: right, S });
+      pushStep(
+        `${phaseName()} hull: ${label(left)} is leftmost and ${label(
+          right
+        )} rightmost; keep the ${S.length} points between them`,
+        0
+      );
+
+      while (stack.length > 0) {
+        sub = stack.pop();
+        bridge = null;
+        candidates = [...sub.S];
+        rounds = [];
+        const xs = sub.S.map((p) => p.x).sort((a, b) => a - b);
+        median = xs[Math.floor((xs.length - 1) / 2)];
+        pushStep(
+          `Connect ${label(sub.k)} → ${label(sub.m)}: split the ${
+            sub.S.length
+          } points at the median x = ${median.toFixed(1)}`,
+          1
+        );
+
+        bridge = findBridge();
+        discarded = new Set();
+        pairs = [];
+        slope = null;
+        support = [];
+        const [i, j] = bridge;
+        edges[phase].push([i, j]);
+
+        // Recurse on each side of the bridge; points under it are gone
+        const leftS = [i, ...sub.S.filter((p) => p.x < i.x)];
+        const rightS = [j, ...sub.S.filter((p) => p.x > j.x)];
+        sub.S.forEach((p) => {
+          if (!leftS.includes(p) && !rightS.includes(p)) removed.add(p);
+        });
+        if (j !== sub.m) stack.push({ k: j, m: sub.m, S: rightS });
+        if (i !== sub.k) stack.push({ k: sub.k, m: i, S: leftS });
+
+        const sides = [
+          i !== sub.k ? `left on ${leftS.length} points` : null,
+          j !== sub.m ? `right on ${rightS.length} points` : null,
+        ].filter(Boolean);
+        candidates = [];
+        pushStep(
+          `Bridge ${label(i)}–${label(j)} crosses x = ${median.toFixed(1)}${
+            rounds.length
+              ? ` after ${rounds.length} pruning round${
+                  rounds.length === 1 ? "" : "s"
+                }`
+              : ""
+          }; ${
+            sides.length ? `recurse ${sides.join(" and ")}` : "both sides done"
+          }`,
+          4
+        );
+      }
+      sub = null;
+      median = null;
+      bridge = null;
+      rounds = [];
+    }
+
+    // Upper hull left → right, then lower hull right → left
+    const chain = (name, dir) => {
+      const pts = [...extremes[name]].filter(
+        (p, i, arr) => arr.indexOf(p) === i
+      );
+      edges[name].forEach(([a, b]) => {
+        if (!pts.includes(a)) pts.push(a);
+        if (!pts.includes(b)) pts.push(b);
+      });
+      return pts.sort((a, b) => dir * (a.x - b.x));
+    };
+    const upper = chain("upper", 1);
+    const lower = chain("lower", -1);
+    this.hull = [
+      ...upper,
+      ...lower.filter(
+        (p, idx) =>
+          !(
+            (idx === 0 && p === upper[upper.length - 1]) ||
+            (idx === lower.length - 1 && p === upper[0])
+          )
+      ),
+    ];
+    phase = "done";
+    pushStep(
+      `Join the upper and lower hulls: convex hull complete with ${this.hull.length} vertices`,
+      5
+    );
+  }
+
+  getCurrentStep() {
+    if (this.steps.length === 0) this.computeSteps();
+    return this.steps[this.currentStep] || this.steps[0];
+  }
+
+  nextStep() {
+    if (this.steps.length === 0) this.computeSteps();
+    if (this.currentStep < this.steps.length - 1) {
+      this.currentStep++;
+      return true;
+    }
+    return false;
+  }
+
+  prevStep() {
+    if (this.currentStep > 0) {
+      this.currentStep--;
+      return true;
+    }
+    return false;
+  }
+
+  canGoNext() {
+    return this.currentStep < this.steps.length - 1;
+  }
+
+  canGoPrev() {
+    return this.currentStep > 0;
+  }
+}
@@ -0,0 +1,512 @@
+/**
+ * Delaunay Triangulation - Lawson's Edge Flipping
+ * This implementation starts from an arbitrary triangulation of the points and repeatedly flips
+ * illegal edges until none is left. An interior edge a-b, shared by triangles a-b-c and b-a-d, is
+ * illegal when d lies inside the circle through a, b and c; flipping it to c-d replaces the two
+ * triangles of the convex quadrilateral a-d-b-c with the other two. Each flip increases the
+ * sorted vector of angles of the triangulation, so flipping terminates (after O(n²) flips), and a
+ * triangulation without illegal edges is the Delaunay triangulation - which is how de Berg et al.
+ * show that it maximizes the minimum angle.
+ * The starting triangulation is either a fan from a hull vertex (interior points then split the
+ * triangle that contains them) or a left-to-right sweep (each point joined to the hull edges it sees).
+ * - Resources:
+ *   - https://en.wikipedia.org/wiki/Delaunay_triangulation#Flip_algorithms
+ *   - "Software for C1 surface interpolation" by C. L. Lawson (Mathematical Software III, 1977)
+ *   - Section 9.1, "Triangulations of Planar Point Sets", in "Computational Geometry: Algorithms and Applications" by Mark de Berg et al.
+ */
+
+class LawsonFlipDelaunay {
+  // Starting triangulations offered in the UI's mode select (see AlgorithmManager.setMode)
+  static modes = [
+    { value: "fan", label: "Start from a fan" },
+    { value: "sweep", label: "Start from a sweep" },
+  ];
+
+  constructor() {
+    this.points = [];
+    this.mode = "fan";
+    this.steps = [];
+    this.currentStep = 0;
+    this.triangles = [];
+    this.flips = 0;
+    this.algorithmStep = 0;
+  }
+
+  setMode(mode) {
+    if (!LawsonFlipDelaunay.modes.some((m) => m.value === mode)) return;
+    this.mode = mode;
+    this.reset();
+  }
+
+  addPoint(point) {
+    this.points.push(point);
+    this.reset();
+  }
+
+  removePoint(point) {
+    const index = this.points.findIndex(
+      (p) => Math.abs(p.x - point.x) < 10 && Math.abs(p.y - point.y) < 10
+    );
+    if (index !== -1) {
+      this.points.splice(index, 1);
+      this.reset();
+    }
+  }
+
+  reset() {
+    this.steps = [];
+    this.currentStep = 0;
+    this.triangles = [];
+    this.flips = 0;
+    this.algorithmStep = 0;
+  }
+
+  clear() {
+    this.points = [];
+    this.reset();
+  }
+
+  // Twice the signed area of a-b-c (positive when c is to the left of a->b in math axes)
+  static cross(a, b, c) {
+    return (b.x - a.x) * (c.y - a.y) - (b.y - a.y) * (c.x - a.x);
+  }
+
+  // Orientation of a-b-c as -1, 0 or 1, where "collinear" allows for rounding (relative to the
+  // lengths involved), so that points generated along a line count as collinear
+  static orient(a, b, c) {
+    const d = LawsonFlipDelaunay.cross(a, b, c);
+    const scale =
+      Math.hypot(b.x - a.x, b.y - a.y) * Math.hypot(c.x - a.x, c.y - a.y);
+    return Math.abs(d) <= 1e-10 * scale ? 0 : Math.sign(d);
+  }
+
+  static circumcircle(a, b, c) {
+    const d = 2 * LawsonFlipDelaunay.cross(a, b, c);
+    if (d === 0) return null;
+    const a2 = a.x * a.x + a.y * a.y;
+    const b2 = b.x * b.x + b.y * b.y;
+    const c2 = c.x * c.x + c.y * c.y;
+    const center = new Point(
+      (a2 * (b.y - c.y) + b2 * (c.y - a.y) + c2 * (a.y - b.y)) / d,
+      (a2 * (c.x - b.x) + b2 * (a.x - c.x) + c2 * (b.x - a.x)) / d
+    );
+    return { center, radius: Point.distance(center, a) };
+  }
+
+  // Smallest angle of a triangle, in degrees
+  static minAngle([a, b, c]) {
+    const angle = (p, q, r) => {
+      const u = { x: q.x - p.x, y: q.y - p.y };
+      const v = { x: r.x - p.x, y: r.y - p.y };
+      return Math.atan2(Math.abs(u.x * v.y - u.y * v.x), u.x * v.x + u.y * v.y);
+    };
+    return (
+      (Math.min(angle(a, b, c), angle(b, c, a), angle(c, a, b)) * 180) / Math.PI
+    );
+  }
+
+  computeSteps() {
+    this.steps = [];
+    this.triangles = [];
+    this.flips = 0;
+    const cross = LawsonFlipDelaunay.cross;
+    const orient = LawsonFlipDelaunay.orient;
+
+    // Duplicates would give zero-area triangles; keep the first copy of each point
+    const ids = this.points
+      .map((p, i) => i)
+      .filter(
+        (i) =>
+          !this.points
+            .slice(0, i)
+            .some(
+              (q) =>
+                Math.abs(q.x - this.points[i].x) < 1e-9 &&
+                Math.abs(q.y - this.points[i].y) < 1e-9
+            )
+      );
+    const pts = this.points;
+    const label = (i) => `P${i + 1}`;
+    const edgeLabel = (u, v) =>
+      `${label(Math.min(u, v))}–${label(Math.max(u, v))}`;
+    const collinear =
+      ids.length < 3 ||
+      ids.every((i) => orient(pts[ids[0]], pts[ids[1]], pts[i]) === 0);
+    if (collinear) {
+      this.steps.push({
+        description:
+          ids.length < 3
+            ? "Need at least 3 points for a triangulation"
+            : "All points are collinear - there is no triangulation",
+        triangles: [],
+        algorithmStep: 0,
+        eventSets: {
+          points: ids.map((i) => ({
+            point: pts[i],
+            index: i,
+            status: "pending",
+          })),
+          eventQueue: [],
+          activeSet: [],
+          output: [],
+        },
+      });
+      return;
+    }
+
+    // Triangles are index triples with a positive cross product; `owner` maps each directed
+    // edge u,v to the triangle that has it
+    const tris = [];
+    const owner = new Map();
+    const setTriangle = (k, t) => {
+      // (The other flipped triangle may already own some of this one's old edges)
+      if (tris[k])
+        for (let e = 0; e < 3; e++) {
+          const key = `${tris[k][e]},${tris[k][(e + 1) % 3]}`;
+          if (owner.get(key) === k) owner.delete(key);
+        }
+      const [a, b, c] = t;
+      tris[k] = cross(pts[a], pts[b], pts[c]) > 0 ? t : [a, c, b];
+      for (let e = 0; e < 3; e++)
+        owner.set(`${tris[k][e]},${tris[k][(e + 1) % 3]}`, k);
+    };
+    const { triangles, summary } =
+      this.mode === "sweep"
+        ? this.sweepTriangulation(ids)
+        : this.fanTriangulation(ids);
+    triangles.forEach((t) => setTriangle(tris.length, t));
+
+    // Every interior edge starts on the stack; a flip pushes the quadrilateral's four sides back
+    const stack = [];
+    const onStack = new Set();
+    const edgeKey = (u, v) => (u < v ? `${u},${v}` : `${v},${u}`);
+    const push = (u, v) => {
+      if (!owner.has(`${u},${v}`) || !owner.has(`${v},${u}`)) return; // Hull edge
+      if (onStack.has(edgeKey(u, v))) return;
+      onStack.add(edgeKey(u, v));
+      stack.push([u, v]);
+    };
+    tris.forEach((t) => {
+      for (let e = 0; e < 3; e++) push(t[e], t[(e + 1) % 3]);
+    });
+
+    let checked = 0;
+    const flipped = [];
+    const minAngle = () =>
+      Math.min(
+        ...tris.map((t) => LawsonFlipDelaunay.minAngle(t.map((i) => pts[i])))
+      );
+    const initialMinAngle = minAngle();
+
+    const pushStep = (description, algorithmStep, extra = {}) => {
+      const {
+        edge = null,
+        quad = null,
+        circle = null,
+        opposite = null,
+        newEdge = null,
+      } = extra;
+      const inQuad = (i) => !!quad && quad.includes(i);
+      const triangleLabel = (t) => t.map(label).join(" ");
+      const quadTriangles = quad ? tris.filter((t) => t.every(inQuad)) : [];
+      const angle = minAngle();
+      this.steps.push({
+        description,
+        triangles: tris.map((t) => t.map((i) => pts[i])),
+        edge: edge && edge.map((i) => pts[i]),
+        newEdge: newEdge && newEdge.map((i) => pts[i]),
+        quad: quad && quad.map((i) => pts[i]),
+        circle,
+        opposite: opposite !== null ? pts[opposite] : null,
+        flips: this.flips,
+        minAngle: angle,
+        algorithmStep,
+        eventSets: {
+          points: ids.map((i) => ({
+            point: pts[i],
+            index: i,
+            status: inQuad(i) ? "current" : "processed",
+          })),
+          flips: {
+            flips: this.flips,
+            checked,
+            stacked: stack.length,
+            minAngle: angle.toFixed(1),
+            initialMinAngle: initialMinAngle.toFixed(1),
+          },
+          eventQueue: [...stack].reverse().map(([u, v]) => ({
+            label: `Edge ${edgeLabel(u, v)}`,
+            status: "pending",
+          })),
+          activeSet: quadTriangles.map((t) => ({
+            label: `Triangle ${triangleLabel(t)}`,
+            status: algorithmStep === 3 ? "new" : "current",
+          })),
+          output: flipped.map((text, k) => ({
+            label: text,
+            status:
+              algorithmStep === 3 && k === flipped.length - 1
+                ? "new"
+                : algorithmStep === 4
+                ? "completed"
+                : "processed",
+          })),
+        },
+      });
+    };
+
+    pushStep(
+      `${summary} - ${
+        tris.length
+      } triangles, smallest angle ${initialMinAngle.toFixed(1)}°; all ${
+        stack.length
+      } interior edges go on the stack`,
+      0
+    );
+
+    // Bounded by the O(n²) flip count; the cap only guards against rounding loops
+    const maxFlips = 4 * ids.length * ids.length;
+    while (stack.length && this.flips < maxFlips) {
+      const [u, v] = stack.pop();
+      onStack.delete(edgeKey(u, v));
+      checked++;
+      // Triangles u-v-c and v-u-d, i.e. the quadrilateral u-d-v-c
+      const t1 = owner.get(`${u},${v}`);
+      const t2 = owner.get(`${v},${u}`);
+      const c = tris[t1].find((i) => i !== u && i !== v);
+      const d = tris[t2].find((i) => i !== u && i !== v);
+      const circle = LawsonFlipDelaunay.circumcircle(pts[u], pts[v], pts[c]);
+      const quad = [u, d, v, c];
+      const name = edgeLabel(u, v);
+
+      // (A sliver u-v-c left by rounding has no circle; its edge is kept)
+      if (
+        !circle ||
+        Point.distance(pts[d], circle.center) >= circle.radius * (1 - 1e-9)
+      ) {
+        pushStep(
+          `Edge ${name} is legal: ${label(
+            d
+          )} lies outside the circle through ${label(u)}, ${label(
+            v
+          )} and ${label(c)}`,
+          1,
+          { edge: [u, v], quad, circle, opposite: d }
+        );
+        continue;
+      }
+
+      pushStep(
+        `Edge ${name} is illegal: ${label(
+          d
+        )} lies inside the circle through ${label(u)}, ${label(v)} and ${label(
+          c
+        )}, so the quadrilateral ${quad
+          .map(label)
+          .join(" ")} is convex and its other diagonal is better`,
+        2,
+        { edge: [u, v], quad, circle, opposite: d }
+      );
+
+      const before = Math.min(
+        LawsonFlipDelaunay.minAngle([u, v, c].map((i) => pts[i])),
+        LawsonFlipDelaunay.minAngle([v, u, d].map((i) => pts[i]))
+      );
+      setTriangle(t1, [u, d, c]);
+      setTriangle(t2, [d, v, c]);
+      const after = Math.min(
+        LawsonFlipDelaunay.minAngle([u, d, c].map((i) => pts[i])),
+        LawsonFlipDelaunay.minAngle([d, v, c].map((i) => pts[i]))
+      );
+      this.flips++;
+      flipped.push(`Flip ${this.flips}: ${name} → ${edgeLabel(c, d)}`);
+      [
+        [u, d],
+        [d, v],
+        [v, c],
+        [c, u],
+      ].forEach(([a, b]) => push(a, b));
+
+      pushStep(
+        `Flip ${name} to ${edgeLabel(c, d)} (flip ${
+          this.flips
+        }): the quadrilateral's smallest angle grows from ${before.toFixed(
+          1
+        )}° to ${after.toFixed(1)}°; push its four sides`,
+        3,
+        {
+          quad,
+          circle: LawsonFlipDelaunay.circumcircle(pts[u], pts[d], pts[c]),
+          newEdge: [c, d],
+        }
+      );
+    }
+
+    this.triangles = tris.map((t) => t.map((i) => pts[i]));
+    pushStep(
+      `No illegal edges left: this is the Delaunay triangulation, reached after ${
+        this.flips
+      } flip${
+        this.flips === 1 ? "" : "s"
+      } and ${checked} edge tests. Smallest angle ${initialMinAngle.toFixed(
+        1
+      )}° → ${minAngle().toFixed(1)}°`,
+      4
+    );
+  }
+
+  // Joins the points, sorted left to right, to the hull edges they see
+  sweepTriangulation(ids) {
+    const pts = this.points;
+    const orient = LawsonFlipDelaunay.orient;
+    const triangles = [];
+    const addTriangle = (t) => triangles.push(t);
+    const sorted = [...ids].sort(
+      (i, j) => pts[i].x - pts[j].x || pts[i].y - pts[j].y
+    );
+    // The first points may be collinear: fan them to the first point off their line
+    let k = 2;
+    while (orient(pts[sorted[0]], pts[sorted[1]], pts[sorted[k]]) === 0) k++;
+    for (let i = 0; i + 1 < k; i++)
+      addTriangle([sorted[i], sorted[i + 1], sorted[k]]);
+    // The hull is kept with a positive orientation
+    let hull = sorted.slice(0, k + 1);
+    if (orient(pts[sorted[0]], pts[sorted[1]], pts[sorted[k]]) < 0)
+      hull = [sorted[k], ...sorted.slice(0, k).reverse()];
+
+    for (const p of sorted.slice(k + 1)) {
+      const n = hull.length;
+      const sees = (e) =>
+        orient(pts[hull[e]], pts[hull[(e + 1) % n]], pts[p]) < 0;
+      // The visible edges form one chain; find where it starts
+      let first = 0;
+      while (!(sees(first) && !sees((first - 1 + n) % n))) first++;
+      let last = first;
+      while (sees((last + 1) % n)) last = (last + 1) % n;
+      for (let e = first; ; e = (e + 1) % n) {
+        addTriangle([hull[e], hull[(e + 1) % n], p]);
+        if (e === last) break;
+      }
+      // Drop the vertices strictly inside the visible chain, then insert p
+      const kept = [];
+      for (let j = (last + 1) % n; ; j = (j + 1) % n) {
+        kept.push(hull[j]);
+        if (j === first) break;
+      }
+      hull = [...kept, p];
+    }
+    return {
+      triangles,
+      summary:
+        "Start triangulation: sweep the points left to right, joining each to the hull edges it sees",
+    };
+  }
+
+  // Fans the convex hull from its first vertex, then splits the triangle (or the two triangles,
+  // for a point on an edge) containing each remaining point
+  fanTriangulation(ids) {
+    const pts = this.points;
+    const cross = LawsonFlipDelaunay.cross;
+    const orient = LawsonFlipDelaunay.orient;
+    const ccw = ([a, b, c]) =>
+      cross(pts[a], pts[b], pts[c]) > 0 ? [a, b, c] : [a, c, b];
+    const tris = [];
+    const addTriangle = (t) => tris.push(ccw(t));
+    const setTriangle = (k, t) => (tris[k] = ccw(t));
+    const sorted = [...ids].sort(
+      (i, j) => pts[i].x - pts[j].x || pts[i].y - pts[j].y
+    );
+    // Monotone chain, dropping collinear hull points (they are inserted later, on a hull edge)
+    const chain = (order) => {
+      const h = [];
+      for (const i of order) {
+        while (
+          h.length >= 2 &&
+          orient(pts[h[h.length - 2]], pts[h[h.length - 1]], pts[i]) <= 0
+        )
+          h.pop();
+        h.push(i);
+      }
+      h.pop();
+      return h;
+    };
+    const hull = [...chain(sorted), ...chain([...sorted].reverse())];
+    for (let i = 1; i + 1 < hull.length; i++)
+      addTriangle([hull[0], hull[i], hull[i + 1]]);
+
+    const inside = ids.filter((i) => !hull.includes(i));
+    for (const p of inside) {
+      const k = tris.findIndex((t) =>
+        [0, 1, 2].every(
+          (e) => orient(pts[t[e]], pts[t[(e + 1) % 3]], pts[p]) >= 0
+        )
+      );
+      const [a, b, c] = tris[k];
+      const onEdge = [
+        [a, b, c],
+        [b, c, a],
+        [c, a, b],
+      ].find(([u, v]) => orient(pts[u], pts[v], pts[p]) === 0);
+      if (!onEdge) {
+        setTriangle(k, [a, b, p]);
+        addTriangle([b, c, p]);
+        addTriangle([c, a, p]);
+        continue;
+      }
+      // On edge u-v: split u-v-w, and the triangle across u-v if there is one
+      const [u, v, w] = onEdge;
+      const across = tris.findIndex(
+        (t, j) => j !== k && t.includes(u) && t.includes(v)
+      );
+      setTriangle(k, [u, p, w]);
+      addTriangle([p, v, w]);
+      if (across !== -1) {
+        const x = tris[across].find((i) => i !== u && i !== v);
+        setTriangle(across, [v, p, x]);
+        addTriangle([p, u, x]);
+      }
+    }
+    return {
+      triangles: tris,
+      summary: `Start triangulation: fan the ${hull.length}-vertex hull from P${
+        hull[0] + 1
+      }${
+        inside.length
+          ? `, then split the triangles holding the other ${
+              inside.length
+            } point${inside.length === 1 ? "" : "s"}`
+          : ""
+      }`,
+    };
+  }
+
+  getCurrentStep() {
+    if (this.steps.length === 0) this.computeSteps();
+    return this.steps[this.currentStep] || this.steps[0];
+  }
+
+  nextStep() {
+    if (this.steps.length === 0) this.computeSteps();
+    if (this.currentStep < this.steps.length - 1) {
+      this.currentStep++;
+      return true;
+    }
+    return false;
+  }
+
+  prevStep() {
+    if (this.currentStep > 0) {
+      this.currentStep--;
+      return true;
+    }
+    return false;
+  }
+
+  canGoNext() {
+    return this.currentStep < this.steps.length - 1;
+  }
+
+  canGoPrev() {
+    return this.currentStep > 0;
+  }
+}
@@ -0,0 +1,451 @@
+/**
+ * Convex Hull - Divide and Conquer (Merge Hull)
+ * This implementation computes the convex hull of a set of points in 2D space by sorting them by x-coordinate,
+ * splitting them recursively at the median until at most 3 points remain, and merging the hulls of the two halves.
+ * Two hulls separated by x are merged by walking the upper and lower common tangents, starting from the rightmost
+ * point of the left hull and the leftmost point of the right hull, in O(n log n) time overall.
+ * NOTE: "Upper" and "lower" refer to the tangents as seen on screen (canvas y grows downward).
+ * - Resources:
+ *   - https://en.wikipedia.org/wiki/Convex_hull_algorithms#Divide_and_conquer
+ *   - "Convex hulls of finite sets of points in two and three dimensions" by F.P. Preparata and S.J. Hong (https://doi.org/10.1145/359423.359430)
+ *   - Chapter 3, "Convex Hulls: Basic Algorithms", in "Computational Geometry: An Introduction" by F.P. Preparata and M.I. Shamos
+ */
+
+class MergeHullAlgorithm {
+  constructor() {
+    this.points = [];
+    this.steps = [];
+    this.currentStep = 0;
+    this.hull = [];
+    this.sortedPoints = [];
+    this.algorithmStep = 0;
+  }
+
+  addPoint(point) {
+    this.points.push(point);
+    this.reset();
+  }
+
+  removePoint(point) {
+    const index = this.points.findIndex(
+      (p) => Math.abs(p.x - point.x) < 10 && Math.abs(p.y - point.y) < 10
+    );
+    if (index !== -1) {
+      this.points.splice(index, 1);
+      this.reset();
+    }
+  }
+
+  reset() {
+    this.steps = [];
+    this.currentStep = 0;
+    this.hull = [];
+    this.sortedPoints = [];
+    this.algorithmStep = 0;
+  }
+
+  clear() {
+    this.points = [];
+    this.reset();
+  }
+
+  // Drops duplicate and collinear vertices so every hull is strictly convex (cross < 0 at each vertex)
+  cleanHull(hull) {
+    const pts = [...hull];
+    let changed = true;
+    while (changed && pts.length > 2) {
+      changed = false;
+      for (let i = 0; i < pts.length && pts.length > 2; i++) {
+        const a = pts[(i - 1 + pts.length) % pts.length];
+        const b = pts[i];
+        const c = pts[(i + 1) % pts.length];
+        if (Point.crossProduct(a, b, c) !== 0) continue;
+        // Collinear: drop b only if it lies between a and c (or repeats one of them)
+        const dot = (a.x - b.x) * (c.x - b.x) + (a.y - b.y) * (c.y - b.y);
+        if (dot <= 0) {
+          pts.splice(i, 1);
+          changed = true;
+          i--;
+        }
+      }
+    }
+    if (pts.length === 2 && pts[0].x === pts[1].x && pts[0].y === pts[1].y) {
+      pts.pop();
+    }
+    return pts;
+  }
+
+  computeSteps() {
+    if (this.points.length < 3) {
+      this.steps = [
+        {
+          description: "Need at least 3 points for convex hull",
+          hull: [],
+          liveHulls: [],
+          sortedPoints: [...this.points],
+          eventSets: {
+            points: this.points.map((p, i) => ({
+              point: p,
+              index: i,
+              status: "pending",
+            })),
+            tree: [],
+            eventQueue: [],
+            activeSet: [],
+            output: [],
+          },
+        },
+      ];
+      return;
+    }
+
+    this.steps = [];
+    // Coincident points would make the tangent tests degenerate, so only one copy is kept
+    this.sortedPoints = [...this.points]
+      .sort((a, b) => (a.x !== b.x ? a.x - b.x : a.y - b.y))
+      .filter(
+        (p, i, arr) => i === 0 || p.x !== arr[i - 1].x || p.y !== arr[i - 1].y
+      );
+    const pts = this.sortedPoints;
+    const duplicates = this.points.length - pts.length;
+    const label = (p) => `P${pts.indexOf(p) + 1}`;
+    const range = (node) =>
+      node.hi - node.lo === 1
+        ? `P${node.lo + 1}`
+        : `P${node.lo + 1}–P${node.hi}`;
+
+    // Recursion tree over the sorted order, laid out up front so pending nodes can be shown
+    const nodes = [];
+    const makeNode = (lo, hi, depth, parent) => {
+      const node = {
+        id: nodes.length,
+        lo,
+        hi,
+        depth,
+        parent,
+        children: [],
+        status: "pending",
+        hull: null,
+      };
+      nodes.push(node);
+      if (hi - lo > 3) {
+        const mid = Math.floor((lo + hi) / 2);
+        node.children.push(makeNode(lo, mid, depth + 1, node));
+        node.children.push(makeNode(mid, hi, depth + 1, node));
+      }
+      return node;
+    };
+    const root = makeNode(0, pts.length, 0, null);
+
+    // Merge state read by pushStep
+    let current = null;
+    let merge = null; // { left, right, i, j, upper, lower, walking }
+    let discarded = new Set();
+
+    const liveHulls = () =>
+      nodes
+        .filter(
+          (nd) =>
+            nd.status === "done" && (!nd.parent || nd.parent.status !== "done")
+        )
+        .map((nd) => ({ id: nd.id, hull: [...nd.hull] }));
+
+    const pushStep = (description, algorithmStep, extra = {}) => {
+      const { split = null, moved = null, done = false } = extra;
+      const live = liveHulls();
+      const onHull = new Set(live.flatMap((h) => h.hull));
+      const tangentEnds = merge
+        ? [merge.left[merge.i], merge.right[merge.j]]
+        : [];
+
+      this.steps.push({
+        description,
+        currentNode: current ? { lo: current.lo, hi: current.hi } : null,
+        split,
+        liveHulls: live,
+        merge: merge
+          ? {
+              left: [...merge.left],
+              right: [...merge.right],
+              candidate: merge.walking ? tangentEnds : null,
+              upper: merge.upper ? [...merge.upper] : null,
+              lower: merge.lower ? [...merge.lower] : null,
+            }
+          : null,
+        movedFrom: moved,
+        hull: done ? [...this.hull] : [],
+        sortedPoints: [...pts],
+        algorithmStep,
+        eventSets: {
+          points: pts.map((p, i) => ({
+            point: p,
+            index: i,
+            status:
+              p === moved
+                ? "backtrack"
+                : merge && merge.walking && tangentEnds.includes(p)
+                ? "current"
+                : onHull.has(p)
+                ? "accepted"
+                : discarded.has(p)
+                ? "rejected"
+                : "pending",
+          })),
+          // Preorder recursion tree for the side panel
+          tree: nodes.map((nd) => ({
+            label: `${range(nd)} (${nd.hi - nd.lo} pt${
+              nd.hi - nd.lo === 1 ? "" : "s"
+            })${nd.hull ? ` → hull of ${nd.hull.length}` : ""}`,
+            depth: nd.depth,
+            status: nd === current ? "current" : nd.status,
+          })),
+
+          eventQueue: nodes
+            .filter((nd) => nd.status === "pending")
+            .map((nd) => ({
+              label: `Subproblem ${range(nd)}`,
+              status: "pending",
+            })),
+          activeSet: live.map((h) => ({
+            label: `Hull of ${range(nodes[h.id])}: ${h.hull
+              .map(label)
+              .join(", ")}`,
+            status: "active",
+          })),
+          output: done
+            ? this.hull.map((p, idx) => ({
+                label: `Hull ${idx + 1}: (${p.x.toFixed(1)}, ${p.y.toFixed(
+                  1
+                )})`,
+                status: "completed",
+                point: p,
+              }))
+            : [],
+        },
+      });
+    };
+
+    // Walks one common tangent; on screen, the upper tangent keeps every point below it
+    const walkTangent = (upper) => {
+      const { left, right } = merge;
+      const name = upper ? "upper" : "lower";
+      const side = upper ? 1 : -1; // Points must satisfy side * cross >= 0
+      // Upper: the left hull is walked counter-clockwise (i + 1) on screen, the right hull clockwise (j - 1)
+      const stepL = upper ? 1 : -1;
+      const stepR = upper ? -1 : 1;
+      const at = (hull, k) => (k + hull.length) % hull.length;
+      const dist2 = (a, b) => (a.x - b.x) ** 2 + (a.y - b.y) ** 2;
+      // A neighbour replaces the endpoint if it lies outside the line, or on it but farther out
+      const outside = (c, neighbour, end, other) =>
+        side * c < 0 ||
+        (c === 0 && dist2(neighbour, other) > dist2(end, other));
+      const why = (c, neighbour, a, b) =>
+        c === 0
+          ? `${label(neighbour)} extends ${label(a)}–${label(b)}`
+          : `${label(neighbour)} lies ${upper ? "above" : "below"} ${label(
+              a
+            )}–${label(b)}`;
+      merge.i = left.indexOf(
+        left.reduce((a, b) => (b.x > a.x || (b.x === a.x && b.y > a.y) ? b : a))
+      );
+      merge.j = right.indexOf(
+        right.reduce((a, b) =>
+          b.x < a.x || (b.x === a.x && b.y < a.y) ? b : a
+        )
+      );
+      merge.walking = true;
+      pushStep(
+        `Merge ${range(current)}: ${name} tangent starts at ${label(
+          left[merge.i]
+        )} (rightmost of left) and ${label(
+          right[merge.j]
+        )} (leftmost of right)`,
+        upper ? 3 : 5
+      );
+
+      let moved = true;
+      while (moved) {
+        moved = false;
+        for (;;) {
+          const next = at(left, merge.i + stepL);
+          const c = Point.crossProduct(
+            left[merge.i],
+            right[merge.j],
+            left[next]
+          );
+          if (!outside(c, left[next], left[merge.i], right[merge.j])) break;
+          const from = left[merge.i];
+          merge.i = next;
+          moved = true;
+          pushStep(
+            `${label(from)} is not on the ${name} tangent (${why(
+              c,
+              left[next],
+              from,
+              right[merge.j]
+            )}): move along the left hull to ${label(left[next])}`,
+            upper ? 4 : 6,
+            { moved: from }
+          );
+        }
+        for (;;) {
+          const next = at(right, merge.j + stepR);
+          const c = Point.crossProduct(
+            left[merge.i],
+            right[merge.j],
+            right[next]
+          );
+          if (!outside(c, right[next], right[merge.j], left[merge.i])) break;
+          const from = right[merge.j];
+          merge.j = next;
+          moved = true;
+          pushStep(
+            `${label(from)} is not on the ${name} tangent (${why(
+              c,
+              right[next],
+              left[merge.i],
+              from
+            )}): move along the right hull to ${label(right[next])}`,
+            upper ? 4 : 6,
+            { moved: from }
+          );
+        }
+      }
+
+      merge[name] = [left[merge.i], right[merge.j]];
+      const indices = [merge.i, merge.j];
+      merge.walking = false;
+      pushStep(
+        `${name[0].toUpperCase()}${name.slice(1)} tangent found: ${label(
+          left[merge.i]
+        )}–${label(right[merge.j])}`,
+        upper ? 4 : 6
+      );
+      return indices;
+    };
+
+    const solve = (node) => {
+      current = node;
+      if (node.children.length === 0) {
+        const base = pts.slice(node.lo, node.hi);
+        // Orient up to 3 points counter-clockwise on screen (cross < 0), like the merged hulls
+        if (
+          base.length === 3 &&
+          Point.crossProduct(base[0], base[1], base[2]) > 0
+        ) {
+          [base[1], base[2]] = [base[2], base[1]];
+        }
+        node.hull = this.cleanHull(base);
+        node.status = "done";
+        base.forEach((p) => {
+          if (!node.hull.includes(p)) discarded.add(p);
+        });
+        pushStep(
+          `Base case ${range(node)}: hull of ${node.hi - node.lo} point${
+            node.hi - node.lo === 1 ? "" : "s"
+          } is ${node.hull.map(label).join(" → ")}`,
+          2
+        );
+        return;
+      }
+
+      const [leftNode, rightNode] = node.children;
+      node.status = "active";
+      const splitX = (pts[leftNode.hi - 1].x + pts[rightNode.lo].x) / 2;
+      pushStep(
+        `Divide ${range(node)}: split at x = ${splitX.toFixed(1)} into ${range(
+          leftNode
+        )} and ${range(rightNode)}`,
+        1,
+        { split: splitX }
+      );
+
+      solve(leftNode);
+      solve(rightNode);
+
+      current = node;
+      merge = {
+        left: leftNode.hull,
+        right: rightNode.hull,
+        i: 0,
+        j: 0,
+        upper: null,
+        lower: null,
+        walking: false,
+      };
+      const [ui, uj] = walkTangent(true);
+      const [li, lj] = walkTangent(false);
+
+      // Counter-clockwise on screen: left hull from its upper to its lower tangent point, then the right hull back up
+      const { left, right } = merge;
+      const merged = [];
+      for (let k = ui; ; k = (k + 1) % left.length) {
+        merged.push(left[k]);
+        if (k === li) break;
+      }
+      for (let k = lj; ; k = (k + 1) % right.length) {
+        merged.push(right[k]);
+        if (k === uj) break;
+      }
+      node.hull = this.cleanHull(merged);
+      [...left, ...right].forEach((p) => {
+        if (!node.hull.includes(p)) discarded.add(p);
+      });
+      node.status = "done";
+      const dropped = left.length + right.length - node.hull.length;
+      pushStep(
+        `Merge ${range(node)}: join along both tangents, dropping ${dropped} ${
+          dropped === 1 ? "vertex" : "vertices"
+        } → hull of ${node.hull.length}`,
+        7
+      );
+      merge = null;
+    };
+
+    pushStep(
+      `Sorted ${pts.length} points by x-coordinate (ties by y)${
+        duplicates
+          ? `, ignoring ${duplicates} duplicate${duplicates === 1 ? "" : "s"}`
+          : ""
+      }: P1 is leftmost, P${pts.length} is rightmost`,
+      0
+    );
+    solve(root);
+
+    current = null;
+    this.hull = [...root.hull];
+    pushStep(`Convex hull complete with ${this.hull.length} vertices`, 8, {
+      done: true,
+    });
+  }
+
+  getCurrentStep() {
+    if (this.steps.length === 0) this.computeSteps();
+    return this.steps[this.currentStep] || this.steps[0];
+  }
+
+  nextStep() {
+    if (this.steps.length === 0) this.computeSteps();
+    if (this.currentStep < this.steps.length - 1) {
+      this.currentStep++;
+      return true;
+    }
+    return false;
+  }
+
+  prevStep() {
+    if (this.currentStep > 0) {
+      this.currentStep--;
+      return true;
+    }
+    return false;
+  }
+
+  canGoNext() {
+    return this.currentStep < this.steps.length - 1;
+  }
+
+  canGoPrev() {
+    return this.currentStep > 0;
+  }
+}
@@ -0,0 +1,280 @@
+/**
+ * Convex Hull - Andrew's Monotone Chain Algorithm
+ * This implementation computes the convex hull of a set of points in 2D space by sorting them by x-coordinate
+ * and building the lower and upper hulls separately with a stack, popping points that do not make a
+ * counter-clockwise turn. The two chains are then concatenated.
+ * NOTE: "Lower" and "upper" refer to the chains as seen on screen (canvas y grows downward).
+ * - Resources:
+ *   - https://en.wikipedia.org/wiki/Convex_hull_algorithms#Algorithms
+ *   - https://en.wikibooks.org/wiki/Algorithm_Implementation/Geometry/Convex_hull/Monotone_chain
+ *   - "Another efficient algorithm for convex hulls in two dimensions" by A.M. Andrew (https://doi.org/10.1016/0020-0190(79)90072-3)
+ *   - Chapter 1, "Computational Geometry: An Introduction", in "Computational Geometry: Algorithms and Applications" by Mark de Berg et al.
+ */
+
+class MonotoneChainAlgorithm {
+  constructor() {
+    this.points = [];
+    this.steps = [];
+    this.currentStep = 0;
+    this.hull = [];
+    this.sortedPoints = [];
+    this.algorithmStep = 0;
+  }
+
+  addPoint(point) {
+    this.points.push(point);
+    this.reset();
+  }
+
+  removePoint(point) {
+    const index = this.points.findIndex(
+      (p) => Math.abs(p.x - point.x) < 10 && Math.abs(p.y - point.y) < 10
+    );
+    if (index !== -1) {
+      this.points.splice(index, 1);
+      this.reset();
+    }
+  }
+
+  reset() {
+    this.steps = [];
+    this.currentStep = 0;
+    this.hull = [];
+    this.sortedPoints = [];
+    this.algorithmStep = 0;
+  }
+
+  clear() {
+    this.points = [];
+    this.reset();
+  }
+
+  computeSteps() {
+    if (this.points.length < 3) {
+      this.steps = [
+        {
+          description: "Need at least 3 points for convex hull",
+          hull: [],
+          lowerHull: [],
+          upperHull: [],
+          sortedPoints: [...this.points],
+          eventSets: {
+            points: this.points.map((p, i) => ({
+              point: p,
+              index: i,
+              status: "pending",
+            })),
+            lowerHull: [],
+            upperHull: [],
+
+            eventQueue: this.points.map((p, i) => ({
+              label: `P${i + 1} (${p.x.toFixed(1)}, ${p.y.toFixed(1)})`,
+              status: "pending",
+              point: p,
+            })),
+            activeSet: [],
+            output: [],
+          },
+        },
+      ];
+      return;
+    }
+
+    this.steps = [];
+
+    // Step 1: Sort points by x-coordinate (ties broken by y)
+    this.sortedPoints = [...this.points].sort((a, b) =>
+      a.x !== b.x ? a.x - b.x : a.y - b.y
+    );
+    const pts = this.sortedPoints;
+    const n = pts.length;
+    const label = (p) => `P${pts.indexOf(p) + 1}`;
+
+    const lower = [];
+    const upper = [];
+    const popped = new Set(); // Popped from the chain currently being built
+
+    const pushStep = (description, algorithmStep, extra = {}) => {
+      const {
+        phase = "sort",
+        current = null,
+        removed = null,
+        triple = null,
+      } = extra;
+      const chain = phase === "upper" ? upper : lower;
+      const at =
+        current === null
+          ? -1
+          : phase === "upper"
+          ? n - 1 - pts.indexOf(current)
+          : pts.indexOf(current);
+      const onChain = (p) =>
+        lower.includes(p) || (phase !== "lower" && upper.includes(p));
+      this.steps.push({
+        description,
+        phase,
+        hull: phase === "done" ? [...this.hull] : [],
+        lowerHull: [...lower],
+        upperHull: phase === "lower" || phase === "sort" ? [] : [...upper],
+        sortedPoints: [...pts],
+        currentPoint: current,
+        poppedPoint: removed,
+        turnTest: triple,
+        isBacktrack: !!removed,
+        algorithmStep,
+        eventSets: {
+          points: pts.map((p, i) => ({
+            point: p,
+            index: i,
+            status:
+              p === removed
+                ? "backtrack"
+                : p === current
+                ? "current"
+                : phase === "done"
+                ? this.hull.includes(p)
+                  ? "accepted"
+                  : "rejected"
+                : chain.includes(p) || onChain(p)
+                ? "accepted"
+                : popped.has(p)
+                ? "rejected"
+                : "pending",
+          })),
+          lowerHull: lower.map(label),
+          upperHull:
+            phase === "lower" || phase === "sort" ? [] : upper.map(label),
+
+          // Scan order of the current chain
+          eventQueue: pts.map((p, i) => {
+            const pos = phase === "upper" ? n - 1 - i : i;
+            return {
+              label: `${label(p)} (${p.x.toFixed(1)}, ${p.y.toFixed(1)})`,
+              status:
+                phase === "done" || pos < at
+                  ? "processed"
+                  : pos === at
+                  ? "current"
+                  : "pending",
+              point: p,
+            };
+          }),
+          activeSet: chain.map((p) => ({
+            label: `${phase === "upper" ? "Upper" : "Lower"} ${label(p)}`,
+            status: "active",
+            point: p,
+          })),
+          output: removed
+            ? [
+                {
+                  label: `Popped ${label(
+                    removed
+                  )} (not a counter-clockwise turn)`,
+                  status: "new",
+                  point: removed,
+                },
+              ]
+            : phase === "done"
+            ? this.hull.map((p, idx) => ({
+                label: `Hull ${idx + 1}: (${p.x.toFixed(1)}, ${p.y.toFixed(
+                  1
+                )})`,
+                status: "completed",
+                point: p,
+              }))
+            : [],
+        },
+      });
+    };
+
+    pushStep(
+      `Sorted ${n} points by x-coordinate (ties by y): P1 is leftmost, P${n} is rightmost`,
+      0
+    );
+
+    // Builds one chain; turns that are not counter-clockwise on screen (cross >= 0) are popped
+    const buildChain = (chain, order, phase) => {
+      popped.clear();
+      pushStep(
+        phase === "lower"
+          ? "Lower hull: scan the sorted points left → right"
+          : "Upper hull: scan the sorted points right → left",
+        phase === "lower" ? 1 : 4,
+        { phase }
+      );
+      for (const p of order) {
+        while (chain.length >= 2) {
+          const a = chain[chain.length - 2];
+          const b = chain[chain.length - 1];
+          const cross = Point.crossProduct(a, b, p);
+          if (cross < 0) break; // Counter-clockwise on screen: keep b
+          chain.pop();
+          popped.add(b);
+          pushStep(
+            `${label(a)} → ${label(b)} → ${label(p)} is ${
+              cross === 0 ? "collinear" : "a clockwise turn"
+            }: pop ${label(b)}`,
+            2,
+            { phase, current: p, removed: b, triple: [a, b, p] }
+          );
+        }
+        chain.push(p);
+        pushStep(
+          `Push ${label(p)} onto the ${phase} chain (${chain.length} point${
+            chain.length === 1 ? "" : "s"
+          })`,
+          3,
+          {
+            phase,
+            current: p,
+            triple:
+              chain.length >= 3
+                ? [chain[chain.length - 3], chain[chain.length - 2], p]
+                : null,
+          }
+        );
+      }
+    };
+
+    buildChain(lower, pts, "lower");
+    buildChain(upper, [...pts].reverse(), "upper");
+
+    // Each chain's last point is the other chain's first point
+    this.hull = [...lower.slice(0, -1), ...upper.slice(0, -1)];
+    pushStep(
+      `Concatenate the chains (dropping the shared endpoints): convex hull complete with ${this.hull.length} vertices`,
+      5,
+      { phase: "done" }
+    );
+  }
+
+  getCurrentStep() {
+    if (this.steps.length === 0) this.computeSteps();
+    return this.steps[this.currentStep] || this.steps[0];
+  }
+
+  nextStep() {
+    if (this.steps.length === 0) this.computeSteps();
+    if (this.currentStep < this.steps.length - 1) {
+      this.currentStep++;
+      return true;
+    }
+    return false;
+  }
+
+  prevStep() {
+    if (this.currentStep > 0) {
+      this.currentStep--;
+      return true;
+    }
+    return false;
+  }
+
+  canGoNext() {
+    return this.currentStep < this.steps.length - 1;
+  }
+
+  canGoPrev() {
+    return this.currentStep > 0;
+  }
+}
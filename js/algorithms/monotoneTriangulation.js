@@ -0,0 +1,661 @@
+/**
+ * Polygon Triangulation - Monotone Partition (Plane Sweep)
+ * This implementation triangulates a simple polygon in two phases, as in de Berg et al., Chapter 3:
+ * 1. A sweep line moves top to bottom over the vertices and classifies each one as a start, split,
+ *    merge, end or regular vertex. The status holds the edges that have the polygon's interior to
+ *    their right, each with a helper vertex; split and merge vertices are removed by inserting
+ *    diagonals to helpers, which leaves only y-monotone pieces.
+ * 2. Each y-monotone piece is triangulated in linear time: its vertices are merged top to bottom
+ *    from its two chains, and a stack holds the vertices that still need triangles.
+ * With a balanced search tree as the status, phase 1 takes O(n log n) time; phase 2 takes O(n).
+ * NOTE: The status is kept as a plain list here (searched by x on the sweep line), which is easier
+ * to display; its contents and the diagonals found are the same as with a search tree.
+ * NOTE: "Above" is as on screen (smaller y first, then smaller x), so the sweep runs downwards.
+ * - Resources:
+ *   - https://en.wikipedia.org/wiki/Polygon_triangulation#Using_monotone_polygons
+ *   - Chapter 3, "Polygon Triangulation" in "Computational Geometry: Algorithms and Applications" by Mark de Berg et al.
+ *   - "Triangulating a simple polygon" by M. R. Garey, D. S. Johnson, F. P. Preparata and R. E. Tarjan (Information Processing Letters, 1978)
+ */
+
+class MonotoneTriangulation {
+  constructor() {
+    this.polygon = new Polygon();
+    this.steps = [];
+    this.currentStep = 0;
+    this.triangles = [];
+    this.algorithmStep = 0;
+  }
+
+  addVertex(xOrPoint, y) {
+    // Accept addVertex(point) or addVertex(x, y); vertices can only be added to an open polygon
+    if (this.polygon.isComplete) return;
+    if (typeof xOrPoint === "object" && xOrPoint !== null) {
+      this.polygon.addVertex(xOrPoint.x, xOrPoint.y);
+    } else {
+      this.polygon.addVertex(xOrPoint, y);
+    }
+    this.reset();
+  }
+
+  completePolygon() {
+    this.polygon.complete();
+    this.reset();
+    this.computeSteps();
+  }
+
+  removeVertex(point) {
+    const index = this.polygon.vertices.findIndex(
+      (v) => Math.abs(v.x - point.x) < 10 && Math.abs(v.y - point.y) < 10
+    );
+    if (index !== -1) {
+      this.polygon.vertices.splice(index, 1);
+      if (this.polygon.vertices.length < 3) this.polygon.isComplete = false;
+      this.polygon.updateEdges();
+      this.reset();
+    }
+  }
+
+  reset() {
+    this.steps = [];
+    this.currentStep = 0;
+    this.triangles = [];
+    this.algorithmStep = 0;
+  }
+
+  clear() {
+    this.polygon = new Polygon();
+    this.reset();
+  }
+
+  // p is above q: smaller y on screen, ties broken by smaller x
+  static isAbove(p, q) {
+    return p.y < q.y || (p.y === q.y && p.x < q.x);
+  }
+
+  // Classifies every vertex of a polygon whose vertex order `order` runs counter-clockwise as seen
+  // on screen (interior to the left)
+  static classifyVertices(verts, order) {
+    const n = order.length;
+    const types = new Array(verts.length);
+    for (let k = 0; k < n; k++) {
+      const u = verts[order[(k - 1 + n) % n]];
+      const v = verts[order[k]];
+      const w = verts[order[(k + 1) % n]];
+      // With y pointing down, a negative cross product is a convex turn (interior angle < π)
+      const convex = Point.crossProduct(u, v, w) < 0;
+      const uBelow = MonotoneTriangulation.isAbove(v, u);
+      const wBelow = MonotoneTriangulation.isAbove(v, w);
+      if (uBelow && wBelow) types[order[k]] = convex ? "start" : "split";
+      else if (!uBelow && !wBelow) types[order[k]] = convex ? "end" : "merge";
+      else types[order[k]] = "regular";
+    }
+    return types;
+  }
+
+  computeSteps() {
+    this.steps = [];
+    this.triangles = [];
+    const verts = this.polygon.vertices;
+    const n = verts.length;
+    const vLabel = (i) => `V${i + 1}`;
+
+    if (!this.polygon.isComplete || n < 3) {
+      this.steps.push({
+        description:
+          n < 3
+            ? "Click to add polygon vertices (at least 3)"
+            : `${n} vertices - press Play to close the polygon`,
+        polygon: this.polygon.clone(),
+        triangles: [],
+        algorithmStep: 0,
+        eventSets: {
+          eventQueue: verts.map((v, i) => ({
+            label: `${vLabel(i)} (${v.x.toFixed(1)}, ${v.y.toFixed(1)})`,
+            status: "pending",
+            vertex: v,
+          })),
+          activeSet: [],
+          output: [],
+        },
+      });
+      return;
+    }
+    if (!this.polygon.isSimple()) {
+      const intersections = this.polygon.getSelfIntersections();
+      this.steps.push({
+        description:
+          "Polygon is not simple (self-intersections detected) - triangulation is ill-defined",
+        polygon: this.polygon.clone(),
+        intersections,
+        triangles: [],
+        algorithmStep: 0,
+        eventSets: {
+          eventQueue: [{ label: "Validate polygon", status: "processed" }],
+          activeSet: [],
+          output: [
+            {
+              label: `Self-intersections detected: ${intersections.length}`,
+              status: "new",
+            },
+          ],
+        },
+      });
+      return;
+    }
+
+    // Walk the polygon counter-clockwise as seen on screen, so that its interior lies to the left
+    const order = verts.map((_, i) => i);
+    if (this.polygon.signedAreaOf(verts) > 0) order.reverse();
+    const next = new Array(n);
+    const prev = new Array(n);
+    order.forEach((vi, k) => {
+      next[vi] = order[(k + 1) % n];
+      prev[vi] = order[(k - 1 + n) % n];
+    });
+    const types = MonotoneTriangulation.classifyVertices(verts, order);
+    const queue = order
+      .slice()
+      .sort((a, b) =>
+        MonotoneTriangulation.isAbove(verts[a], verts[b]) ? -1 : 1
+      );
+
+    // Edge e_i runs from vertex i to next[i]
+    const eLabel = (i) => `e${i + 1} (${vLabel(i)}–${vLabel(next[i])})`;
+    const typeCounts = () =>
+      ["start", "split", "merge", "end", "regular"]
+        .map((t) => `${types.filter((x) => x === t).length} ${t}`)
+        .join(", ");
+
+    // --- Phase 1: sweep, inserting diagonals at split and merge vertices ---
+    let status = []; // [{ edge, helper }]
+    const diagonals = [];
+    const done = new Set();
+
+    // x where edge e_i crosses the horizontal line through y
+    const edgeX = (ei, y) => {
+      const a = verts[ei];
+      const b = verts[next[ei]];
+      if (a.y === b.y) return Math.max(a.x, b.x);
+      return a.x + ((y - a.y) / (b.y - a.y)) * (b.x - a.x);
+    };
+    // The status edge directly left of vertex v
+    const leftOf = (vi) => {
+      const v = verts[vi];
+      let best = null;
+      let bestX = -Infinity;
+      for (const entry of status) {
+        const x = edgeX(entry.edge, v.y);
+        if (x <= v.x && x > bestX) {
+          bestX = x;
+          best = entry;
+        }
+      }
+      return best;
+    };
+    const findEdge = (ei) => status.find((entry) => entry.edge === ei);
+
+    const sweepStep = (description, algorithmStep, extra = {}) => {
+      const {
+        current = null,
+        newDiagonals = [],
+        changed = [],
+        removed = [],
+      } = extra;
+      this.steps.push({
+        description,
+        polygon: this.polygon.clone(),
+        vertexTypes: types,
+        sweepY: current !== null ? verts[current].y : null,
+        currentVertex: current,
+        // Edges as [from, to] vertex indices
+        statusEdges: status.map((entry) => ({
+          edge: [entry.edge, next[entry.edge]],
+          helper: entry.helper,
+        })),
+        removedEdges: removed.map((ei) => [ei, next[ei]]),
+        diagonals: diagonals.map((d) => [...d]),
+        newDiagonals,
+        triangles: [],
+        algorithmStep,
+        eventSets: {
+          eventQueue: queue.map((vi) => ({
+            label: `${vLabel(vi)} (${types[vi]})`,
+            status:
+              vi === current
+                ? "current"
+                : done.has(vi)
+                ? "processed"
+                : "pending",
+            vertex: verts[vi],
+          })),
+          activeSet: [
+            ...status
+              .slice()
+              .sort((a, b) =>
+                current !== null
+                  ? edgeX(a.edge, verts[current].y) -
+                    edgeX(b.edge, verts[current].y)
+                  : 0
+              )
+              .map((entry) => ({
+                label: `${eLabel(entry.edge)}, helper ${vLabel(entry.helper)}`,
+                status: changed.includes(entry.edge) ? "new" : "active",
+                edge: entry.edge,
+              })),
+            ...removed.map((ei) => ({
+              label: `${eLabel(ei)} (removed)`,
+              status: "rejected",
+              edge: ei,
+            })),
+          ],
+          output: diagonals.map(([a, b], k) => ({
+            label: `Diagonal ${vLabel(a)}–${vLabel(b)}`,
+            status:
+              k >= diagonals.length - newDiagonals.length ? "new" : "kept",
+          })),
+        },
+      });
+    };
+
+    sweepStep(
+      `Classify the ${n} vertices: ${typeCounts()}. Split and merge vertices will get diagonals`,
+      1
+    );
+
+    for (const vi of queue) {
+      const newDiagonals = [];
+      const inserted = [];
+      const retargeted = [];
+      const removed = [];
+      const actions = [];
+      const addDiagonal = (a, b, note) => {
+        diagonals.push([a, b]);
+        newDiagonals.push([a, b]);
+        actions.push(`insert diagonal ${vLabel(a)}–${vLabel(b)} (${note})`);
+      };
+      // Connect vi to the helper of a status edge if that helper is a merge vertex
+      const fixUp = (entry) => {
+        if (entry && types[entry.helper] === "merge") {
+          addDiagonal(
+            vi,
+            entry.helper,
+            `${vLabel(entry.helper)} is a merge vertex, helper of e${
+              entry.edge + 1
+            }`
+          );
+        }
+      };
+      const remove = (ei) => {
+        status = status.filter((entry) => entry.edge !== ei);
+        removed.push(ei);
+        actions.push(`remove e${ei + 1}`);
+      };
+      const insert = (ei) => {
+        status.push({ edge: ei, helper: vi });
+        inserted.push(ei);
+        actions.push(`insert ${eLabel(ei)}`);
+      };
+      const retarget = (entry) => {
+        entry.helper = vi;
+        retargeted.push(entry.edge);
+        actions.push(`helper of e${entry.edge + 1} becomes ${vLabel(vi)}`);
+      };
+      const ePrev = prev[vi];
+
+      switch (types[vi]) {
+        case "start":
+          insert(vi);
+          break;
+        case "end":
+          fixUp(findEdge(ePrev));
+          remove(ePrev);
+          break;
+        case "split": {
+          const left = leftOf(vi);
+          if (left) {
+            addDiagonal(
+              vi,
+              left.helper,
+              `${vLabel(left.helper)} is the helper of e${
+                left.edge + 1
+              }, the edge to its left`
+            );
+            retarget(left);
+          }
+          insert(vi);
+          break;
+        }
+        case "merge": {
+          fixUp(findEdge(ePrev));
+          remove(ePrev);
+          const left = leftOf(vi);
+          if (left) {
+            fixUp(left);
+            retarget(left);
+          }
+          break;
+        }
+        default:
+          // Interior to the right: the boundary goes down through vi on the left side of the polygon
+          if (MonotoneTriangulation.isAbove(verts[ePrev], verts[vi])) {
+            fixUp(findEdge(ePrev));
+            remove(ePrev);
+            insert(vi);
+          } else {
+            const left = leftOf(vi);
+            if (left) {
+              fixUp(left);
+              retarget(left);
+            }
+          }
+      }
+
+      sweepStep(
+        `${vLabel(vi)} is ${/^[aeiou]/.test(types[vi]) ? "an" : "a"} ${
+          types[vi]
+        } vertex: ${actions.join(", ")}`,
+        newDiagonals.length ? 2 : 1,
+        {
+          current: vi,
+          newDiagonals,
+          changed: [...inserted, ...retargeted],
+          removed,
+        }
+      );
+      done.add(vi);
+    }
+
+    // --- Split along the diagonals into y-monotone pieces ---
+    const pieces = MonotoneTriangulation.splitPieces(verts, order, diagonals);
+    const pieceStep = (description, algorithmStep, extra = {}) => {
+      const {
+        piece = -1,
+        chains = null,
+        stack = [],
+        current = null,
+        sorted = [],
+        handled = 0,
+        newTriangles = 0,
+      } = extra;
+      this.steps.push({
+        description,
+        polygon: this.polygon.clone(),
+        vertexTypes: types,
+        diagonals: diagonals.map((d) => [...d]),
+        newDiagonals: [],
+        pieces,
+        currentPiece: piece,
+        chains,
+        stack: [...stack],
+        currentVertex: current,
+        triangles: [...this.triangles],
+        newTriangleCount: newTriangles,
+        algorithmStep,
+        eventSets: {
+          eventQueue:
+            piece === -1
+              ? pieces.map((p, k) => ({
+                  label: `Piece ${k + 1} (${p.length} vertices)`,
+                  status: "pending",
+                }))
+              : sorted.map((vi, k) => ({
+                  label: `${vLabel(vi)} (${chains[vi]} chain)`,
+                  status:
+                    vi === current
+                      ? "current"
+                      : k < handled
+                      ? "processed"
+                      : "pending",
+                  vertex: verts[vi],
+                })),
+          activeSet: stack.map((vi, k) => ({
+            label: `${vLabel(vi)}${k === stack.length - 1 ? " (top)" : ""}`,
+            status: "active",
+            vertex: verts[vi],
+          })),
+          output: this.triangles.map((t, k) => ({
+            label: `Triangle #${k + 1}`,
+            status: k >= this.triangles.length - newTriangles ? "new" : "kept",
+          })),
+        },
+      });
+    };
+
+    pieceStep(
+      `Sweep complete: ${diagonals.length} diagonal${
+        diagonals.length === 1 ? "" : "s"
+      } split the polygon into ${pieces.length} y-monotone piece${
+        pieces.length === 1 ? "" : "s"
+      }`,
+      3
+    );
+
+    // --- Phase 2: triangulate each monotone piece with a stack ---
+    pieces.forEach((piece, p) => {
+      const m = piece.length;
+      // Top and bottom vertices split the piece into a left and a right chain
+      let top = 0;
+      let bottom = 0;
+      for (let k = 1; k < m; k++) {
+        if (MonotoneTriangulation.isAbove(verts[piece[k]], verts[piece[top]]))
+          top = k;
+        if (
+          MonotoneTriangulation.isAbove(verts[piece[bottom]], verts[piece[k]])
+        )
+          bottom = k;
+      }
+      // Pieces are walked counter-clockwise, so from the top they go down the left chain
+      const chains = {};
+      for (let k = (top + 1) % m; k !== bottom; k = (k + 1) % m)
+        chains[piece[k]] = "left";
+      for (let k = (bottom + 1) % m; k !== top; k = (k + 1) % m)
+        chains[piece[k]] = "right";
+      chains[piece[top]] = "top";
+      chains[piece[bottom]] = "bottom";
+      const sorted = piece
+        .slice()
+        .sort((a, b) =>
+          MonotoneTriangulation.isAbove(verts[a], verts[b]) ? -1 : 1
+        );
+      const pieceName = `piece ${p + 1} of ${pieces.length}`;
+
+      if (m === 3) {
+        this.triangles.push(sorted.map((vi) => verts[vi]));
+        pieceStep(`The ${pieceName} is already a triangle`, 4, {
+          piece: p,
+          chains,
+          sorted,
+          handled: 3,
+          newTriangles: 1,
+        });
+        return;
+      }
+
+      // Adds triangle (a, b, c) and names it for the description
+      const emit = (a, b, c) => {
+        this.triangles.push([verts[a], verts[b], verts[c]]);
+        return `△${vLabel(a)}${vLabel(b)}${vLabel(c)}`;
+      };
+      // The diagonal from u to the stack vertex `upper` lies inside if `last` (popped, between
+      // them on the chain) bulges away from the interior
+      const inside = (u, last, upper) => {
+        const c = Point.crossProduct(verts[upper], verts[last], verts[u]);
+        return chains[u] === "left" ? c < 0 : c > 0;
+      };
+
+      const stack = [sorted[0], sorted[1]];
+      pieceStep(
+        `Triangulate ${pieceName}: merge its chains top to bottom and push ${vLabel(
+          sorted[0]
+        )} and ${vLabel(sorted[1])}`,
+        4,
+        { piece: p, chains, stack, current: sorted[1], sorted, handled: 2 }
+      );
+
+      for (let j = 2; j < m - 1; j++) {
+        const u = sorted[j];
+        const made = [];
+        let description;
+        if (chains[u] !== chains[stack[stack.length - 1]]) {
+          // Opposite chains: fan from u to every stack vertex
+          for (let k = 0; k < stack.length - 1; k++)
+            made.push(emit(u, stack[k], stack[k + 1]));
+          const top = stack[stack.length - 1];
+          stack.length = 0;
+          stack.push(top, u);
+          description = `${vLabel(
+            u
+          )} is on the opposite chain from the stack top: connect it to all ${
+            made.length + 1
+          } stack vertices`;
+        } else {
+          // Same chain: pop while the diagonal to the next stack vertex lies inside
+          let last = stack.pop();
+          while (stack.length && inside(u, last, stack[stack.length - 1])) {
+            const upper = stack.pop();
+            made.push(emit(u, last, upper));
+            last = upper;
+          }
+          stack.push(last, u);
+          description = made.length
+            ? `${vLabel(
+                u
+              )} is on the same chain as the stack top: pop while the diagonals lie inside`
+            : `${vLabel(
+                u
+              )} is on the same chain as the stack top; the chain is reflex there, so push it`;
+        }
+        pieceStep(
+          `${description}${made.length ? ` (${made.join(", ")})` : ""}`,
+          4,
+          {
+            piece: p,
+            chains,
+            stack,
+            current: u,
+            sorted,
+            handled: j + 1,
+            newTriangles: made.length,
+          }
+        );
+      }
+
+      // The bottom vertex sees every remaining stack vertex
+      const u = sorted[m - 1];
+      const made = [];
+      for (let k = 0; k < stack.length - 1; k++)
+        made.push(emit(u, stack[k], stack[k + 1]));
+      pieceStep(
+        `Bottom vertex ${vLabel(
+          u
+        )}: connect it to the remaining stack vertices (${made.join(", ")})`,
+        4,
+        {
+          piece: p,
+          chains,
+          stack: [],
+          current: u,
+          sorted,
+          handled: m,
+          newTriangles: made.length,
+        }
+      );
+    });
+
+    pieceStep(
+      `Triangulation complete: ${this.triangles.length} triangles (n - 2 = ${
+        n - 2
+      }) from ${pieces.length} monotone piece${pieces.length === 1 ? "" : "s"}`,
+      5
+    );
+  }
+
+  // Splits a polygon along non-crossing diagonals; returns the faces as vertex index lists,
+  // each walked counter-clockwise like `order`
+  static splitPieces(verts, order, diagonals) {
+    const n = order.length;
+    const out = new Map(); // vertex -> outgoing neighbours
+    const addHalfEdge = (a, b) => {
+      if (!out.has(a)) out.set(a, []);
+      out.get(a).push(b);
+    };
+    const halfEdges = [];
+    for (let k = 0; k < n; k++) {
+      halfEdges.push([order[k], order[(k + 1) % n]]);
+      addHalfEdge(order[k], order[(k + 1) % n]);
+    }
+    for (const [a, b] of diagonals) {
+      halfEdges.push([a, b], [b, a]);
+      addHalfEdge(a, b);
+      addHalfEdge(b, a);
+    }
+    const angle = (a, b) =>
+      Math.atan2(verts[b].y - verts[a].y, verts[b].x - verts[a].x);
+
+    // Leaving b after arriving from a, the face (interior to the left) continues along the
+    // outgoing edge that comes next clockwise, as seen on screen, after b->a
+    const nextOf = (a, b) => {
+      const back = angle(b, a);
+      let best = null;
+      let bestTurn = Infinity;
+      for (const c of out.get(b)) {
+        if (c === a) continue;
+        let turn = angle(b, c) - back;
+        while (turn <= 0) turn += 2 * Math.PI;
+        if (turn < bestTurn) {
+          bestTurn = turn;
+          best = c;
+        }
+      }
+      return best === null ? a : best;
+    };
+
+    const used = new Set();
+    const pieces = [];
+    for (const [a0, b0] of halfEdges) {
+      if (used.has(`${a0},${b0}`)) continue;
+      const face = [];
+      let a = a0;
+      let b = b0;
+      while (!used.has(`${a},${b}`) && face.length <= n) {
+        used.add(`${a},${b}`);
+        face.push(a);
+        const c = nextOf(a, b);
+        a = b;
+        b = c;
+      }
+      pieces.push(face);
+    }
+    return pieces;
+  }
+
+  getCurrentStep() {
+    if (this.steps.length === 0) this.computeSteps();
+    return this.steps[this.currentStep] || this.steps[0];
+  }
+
+  nextStep() {
+    if (this.steps.length === 0) this.computeSteps();
+    if (this.currentStep < this.steps.length - 1) {
+      this.currentStep++;
+      return true;
+    }
+    return false;
+  }
+
+  prevStep() {
+    if (this.currentStep > 0) {
+      this.currentStep--;
+      return true;
+    }
+    return false;
+  }
+
+  canGoNext() {
+    return this.currentStep < this.steps.length - 1;
+  }
+
+  canGoPrev() {
+    return this.currentStep > 0;
+  }
+}
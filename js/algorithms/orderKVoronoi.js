@@ -0,0 +1,328 @@
+/**
+ * Order-k Voronoi Diagram - incremental refinement
+ * The order-k Voronoi diagram partitions the plane into regions whose k nearest sites are the same
+ * set. Order 1 is the ordinary Voronoi diagram. Each order-k region is then found from the order-(k-1)
+ * ones: a region whose nearest sites are the set T is split by the Voronoi diagram of the sites
+ * outside T, and the piece nearest to q joins the order-k region of T ∪ {q}. Every region is convex,
+ * the intersection of the half-planes closer to each site of its set than to each site outside it.
+ * Hovering the finished diagram answers a k-nearest-neighbour query for the mouse position.
+ * - Resources:
+ *   - https://en.wikipedia.org/wiki/Voronoi_diagram
+ *   - https://en.wikipedia.org/wiki/K-nearest_neighbors_algorithm
+ *   - "On k-nearest neighbor Voronoi diagrams in the plane" by D. T. Lee, IEEE Transactions on Computers (1982)
+ */
+
+class OrderKVoronoiAlgorithm {
+  static MAX_K = 8;
+
+  constructor() {
+    this.points = [];
+    this.k = 2;
+    this.steps = [];
+    this.currentStep = 0;
+    this.regions = [];
+    this.algorithmStep = 0;
+  }
+
+  addPoint(point) {
+    this.points.push(point);
+    this.reset();
+  }
+
+  removePoint(point) {
+    const index = this.points.findIndex(
+      (p) => Math.abs(p.x - point.x) < 10 && Math.abs(p.y - point.y) < 10
+    );
+    if (index !== -1) {
+      this.points.splice(index, 1);
+      this.reset();
+    }
+  }
+
+  setK(k) {
+    this.k = Math.max(1, Math.min(OrderKVoronoiAlgorithm.MAX_K, Math.round(k)));
+    this.reset();
+  }
+
+  reset() {
+    this.steps = [];
+    this.currentStep = 0;
+    this.regions = [];
+    this.algorithmStep = 0;
+  }
+
+  clear() {
+    this.points = [];
+    this.reset();
+  }
+
+  computeSteps() {
+    const points = this.points;
+    // A site at the same spot as an earlier one adds no region of its own
+    const sites = this.distinctSites();
+    const n = sites.length;
+    this.steps = [];
+    if (n < 2) {
+      this.steps = [
+        {
+          description:
+            "Need at least 2 sites at distinct positions for an order-k Voronoi diagram",
+          regions: [],
+          pieces: [],
+          points: [...points],
+          eventSets: {
+            points: points.map((p, i) => ({
+              point: p,
+              index: i,
+              status: "pending",
+            })),
+            eventQueue: [],
+            activeSet: [],
+            output: [],
+          },
+        },
+      ];
+      return;
+    }
+
+    // With n sites only orders 1 to n - 1 split the plane
+    let k = Math.min(this.k, n - 1);
+    const label = (sites) => `{${sites.map((i) => `P${i + 1}`).join(", ")}}`;
+    const keyOf = (sites) => [...sites].sort((a, b) => a - b).join(",");
+
+    // Regions are unbounded; clip them to a box well around the sites
+    const xs = sites.map((i) => points[i].x);
+    const ys = sites.map((i) => points[i].y);
+    const margin =
+      2 *
+        Math.max(
+          Math.max(...xs) - Math.min(...xs),
+          Math.max(...ys) - Math.min(...ys)
+        ) +
+      1000;
+    const box = [
+      new Point(Math.min(...xs) - margin, Math.min(...ys) - margin),
+      new Point(Math.max(...xs) + margin, Math.min(...ys) - margin),
+      new Point(Math.max(...xs) + margin, Math.max(...ys) + margin),
+      new Point(Math.min(...xs) - margin, Math.max(...ys) + margin),
+    ];
+    const tiny = 1e-9 * margin * margin; // Pieces below this area are rounding slivers
+    const outside = (set) => sites.filter((i) => !set.includes(i));
+    const regionOf = (set) => ({
+      sites: [...set].sort((a, b) => a - b),
+      polygon: set.reduce(
+        (poly, s) =>
+          outside(set).reduce((cut, t) => this.clipCloser(cut, s, t), poly),
+        box
+      ),
+    });
+    const duplicates = points.length - n;
+
+    let regions = sites.map((i) => regionOf([i]));
+    let level = 1;
+    let pieces = [];
+    let current = null;
+    const pushStep = (description, algorithmStep, extra = {}) =>
+      this.steps.push({
+        description,
+        regions: [...regions],
+        regionsOrder: regions.length ? regions[0].sites.length : level,
+        pieces: [...pieces],
+        currentRegion: current,
+        level,
+        k,
+        points: [...points],
+        algorithmStep,
+        ...extra,
+        eventSets: {
+          points: points.map((p, i) => ({
+            point: p,
+            index: i,
+            status: !sites.includes(i)
+              ? "rejected"
+              : current && current.sites.includes(i)
+              ? "current"
+              : "pending",
+          })),
+          eventQueue: extra.eventQueue || [],
+          activeSet: extra.activeSet || [],
+          output: extra.output || [],
+        },
+      });
+    const regionList = (list, status) =>
+      list.map((r) => ({ label: label(r.sites), status }));
+
+    pushStep(
+      `Order 1 is the ordinary Voronoi diagram: each of the ${n} regions has its own nearest site${
+        this.k > k ? ` (k is capped at n − 1 = ${k})` : ""
+      }${
+        duplicates
+          ? `; ${duplicates} site${
+              duplicates === 1 ? " is a duplicate" : "s are duplicates"
+            } of an earlier one and ${duplicates === 1 ? "is" : "are"} skipped`
+          : ""
+      }`,
+      0,
+      { output: regionList(regions, "completed") }
+    );
+
+    for (level = 2; level <= k; level++) {
+      const previous = regions;
+      const found = new Map(); // Set key -> its colour index within this order
+      pieces = [];
+      pushStep(
+        `Order ${level}: split each of the ${previous.length} order-${
+          level - 1
+        } regions by the Voronoi diagram of the sites outside its set`,
+        1,
+        { eventQueue: regionList(previous, "pending") }
+      );
+
+      previous.forEach((region, r) => {
+        current = region;
+        const others = outside(region.sites);
+        const split = [];
+        for (const q of others) {
+          const polygon = others
+            .filter((t) => t !== q)
+            .reduce((cut, t) => this.clipCloser(cut, q, t), region.polygon);
+          if (Math.abs(new Polygon().signedAreaOf(polygon)) < tiny) continue;
+          const sites = [...region.sites, q].sort((a, b) => a - b);
+          if (!found.has(keyOf(sites))) found.set(keyOf(sites), found.size);
+          split.push({ sites, polygon, colorIndex: found.get(keyOf(sites)) });
+        }
+        pieces.push(...split);
+        pushStep(
+          `Split ${label(
+            region.sites
+          )}: the piece nearest to each outside site q joins the order-${level} region of ${label(
+            region.sites
+          )} ∪ {q} (${split.length} piece${split.length === 1 ? "" : "s"})`,
+          2,
+          {
+            newPieces: split,
+            eventQueue: regionList(previous.slice(r + 1), "pending"),
+            activeSet: split.map((piece) => ({
+              label: `Piece of ${label(piece.sites)}`,
+              status: "new",
+            })),
+            output: [...found.keys()].map((key) => ({
+              label: label(key.split(",").map(Number)),
+              status: "completed",
+            })),
+          }
+        );
+      });
+
+      // Pieces with the same set make up one convex region
+      current = null;
+      pieces = [];
+      regions = [...found.keys()].map((key) =>
+        regionOf(key.split(",").map(Number))
+      );
+      pushStep(
+        `Merge the pieces with the same set: the order-${level} diagram has ${regions.length} regions`,
+        3,
+        { output: regionList(regions, "completed") }
+      );
+      // Only rounding can leave no pieces; stop at the last order that has regions
+      if (regions.length === 0) {
+        regions = previous;
+        k = level - 1;
+        break;
+      }
+    }
+
+    level = k;
+    this.regions = regions;
+    pushStep(
+      `Order-${k} Voronoi diagram complete: ${
+        regions.length
+      } regions, each with the same ${k} nearest site${
+        k === 1 ? "" : "s"
+      }. Hover to query the ${k} nearest sites of a point`,
+      4,
+      {
+        query: true,
+        output: regionList(regions, "completed"),
+      }
+    );
+  }
+
+  // Clips a convex polygon to the half-plane of points at least as close to site s as to site t:
+  // |x - s|² <= |x - t|², i.e. (t - s)·(t + s - 2x) >= 0 (Sutherland-Hodgman, one edge).
+  // This form is exactly 0 for coincident sites, which then keep the whole polygon
+  clipCloser(polygon, s, t) {
+    const a = this.points[s];
+    const b = this.points[t];
+    const f = (p) =>
+      (b.x - a.x) * (b.x + a.x - 2 * p.x) + (b.y - a.y) * (b.y + a.y - 2 * p.y);
+    const result = [];
+    polygon.forEach((p, i) => {
+      const q = polygon[(i + 1) % polygon.length];
+      const fp = f(p);
+      const fq = f(q);
+      if (fp >= 0) result.push(p);
+      if (fp >= 0 !== fq >= 0) {
+        const u = fp / (fp - fq);
+        result.push(new Point(p.x + u * (q.x - p.x), p.y + u * (q.y - p.y)));
+      }
+    });
+    return result;
+  }
+
+  // Indices of the sites not at the same spot as an earlier site
+  distinctSites() {
+    return this.points
+      .map((p, i) => i)
+      .filter(
+        (i) =>
+          this.points.findIndex(
+            (q) => q.x === this.points[i].x && q.y === this.points[i].y
+          ) === i
+      );
+  }
+
+  // Indices of the k distinct sites nearest to (x, y), nearest first
+  nearestSites(x, y, k) {
+    return this.distinctSites()
+      .map((i) => ({
+        i,
+        d: Math.hypot(this.points[i].x - x, this.points[i].y - y),
+      }))
+      .sort((a, b) => a.d - b.d)
+      .slice(0, k)
+      .map((e) => e.i);
+  }
+
+  getCurrentStep() {
+    if (this.steps.length === 0) this.computeSteps();
+    if (this.steps.length === 0) return null;
+    return this.steps[this.currentStep] || this.steps[0];
+  }
+
+  nextStep() {
+    if (this.steps.length === 0) this.computeSteps();
+    if (this.currentStep < this.steps.length - 1) {
+      this.currentStep++;
+      return true;
+    }
+    return false;
+  }
+
+  prevStep() {
+    if (this.currentStep > 0) {
+      this.currentStep--;
+      return true;
+    }
+    return false;
+  }
+
+  canGoNext() {
+    return this.currentStep < this.steps.length - 1;
+  }
+
+  canGoPrev() {
+    return this.currentStep > 0;
+  }
+}
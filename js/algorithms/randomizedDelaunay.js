@@ -0,0 +1,477 @@
+/**
+ * Delaunay Triangulation - Randomized Incremental Construction with a History DAG
+ * This implementation inserts the points in random order into a triangulation that starts as one
+ * bounding triangle, and keeps every triangle that ever existed in a history DAG: a triangle that is
+ * split or flipped away points to the triangles that replaced it. A new point is located by walking
+ * the DAG from the root to the leaf (current triangle) that contains it, instead of testing every
+ * triangle. The point then splits that triangle into 3 (or, on an edge, the two triangles into 4),
+ * and the edges opposite to it are legalized by flipping, recursively. The expected running time is
+ * O(n log n), with O(n) expected DAG nodes.
+ * As in de Berg et al., the bounding triangle is p0 (the highest point) with two symbolic points:
+ * p₋₁ far to the lower right and p₋₂ far to the upper left. They are never given coordinates:
+ * orientation tests against them follow from the lexicographic order of the points, and an edge
+ * that involves them is legal exactly when min(k, l) < min(i, j) for edge pi-pj and apexes pk, pl.
+ * NOTE: "Highest" and "lower right" are meant as seen on screen (canvas y grows downward).
+ * - Resources:
+ *   - https://en.wikipedia.org/wiki/Delaunay_triangulation#Incremental
+ *   - "Randomized incremental construction of Delaunay and Voronoi diagrams" by L. J. Guibas, D. E. Knuth and M. Sharir (Algorithmica, 1992)
+ *   - Chapter 9, "Delaunay Triangulations", in "Computational Geometry: Algorithms and Applications" by Mark de Berg et al.
+ */
+
+class RandomizedIncrementalDelaunay {
+  constructor() {
+    this.points = [];
+    this.steps = [];
+    this.currentStep = 0;
+    this.triangles = [];
+    this.dagNodes = []; // { vertices: [i, j, k] (de Berg indices, counter-clockwise), children, depth }
+    this.seed = 1; // Fixed, so that the "random" insertion order replays the same way
+    this.algorithmStep = 0;
+  }
+
+  addPoint(point) {
+    this.points.push(point);
+    this.reset();
+  }
+
+  removePoint(point) {
+    const index = this.points.findIndex(
+      (p) => Math.abs(p.x - point.x) < 10 && Math.abs(p.y - point.y) < 10
+    );
+    if (index !== -1) {
+      this.points.splice(index, 1);
+      this.reset();
+    }
+  }
+
+  reset() {
+    this.steps = [];
+    this.currentStep = 0;
+    this.triangles = [];
+    this.dagNodes = [];
+    this.algorithmStep = 0;
+  }
+
+  clear() {
+    this.points = [];
+    this.reset();
+  }
+
+  computeSteps() {
+    this.steps = [];
+    this.triangles = [];
+    this.dagNodes = [];
+
+    // Duplicates cannot be inserted twice; keep the first copy of each point
+    const ids = this.points
+      .map((p, i) => i)
+      .filter(
+        (i) =>
+          !this.points
+            .slice(0, i)
+            .some(
+              (q) =>
+                Math.abs(q.x - this.points[i].x) < 1e-9 &&
+                Math.abs(q.y - this.points[i].y) < 1e-9
+            )
+      );
+    if (ids.length === 0) {
+      this.steps.push({
+        description: "Click to add points",
+        triangles: [],
+        algorithmStep: 0,
+        eventSets: { eventQueue: [], activeSet: [], output: [] },
+      });
+      return;
+    }
+
+    // "Higher" means smaller canvas y, ties broken by larger x (de Berg's lexicographic order)
+    const pts = this.points;
+    const higher = (a, b) => a.y < b.y || (a.y === b.y && a.x > b.x);
+    const top = ids.reduce((best, i) => (higher(pts[i], pts[best]) ? i : best));
+
+    // de Berg index r >= 0 is the point pts[order[r]]; -1 and -2 are the symbolic points
+    const rnd = window.Utils.makeSeededRng(this.seed);
+    const rest = ids.filter((i) => i !== top);
+    for (let i = rest.length - 1; i > 0; i--) {
+      const j = Math.floor(rnd() * (i + 1));
+      [rest[i], rest[j]] = [rest[j], rest[i]];
+    }
+    const order = [top, ...rest];
+    const point = (r) => pts[order[r]];
+    const label = (r) =>
+      r === -1 ? "p₋₁" : r === -2 ? "p₋₂" : `P${order[r] + 1}`;
+    const triangleLabel = (t) => `Δ ${t.map(label).join(" ")}`;
+    const edgeLabel = (u, v) => `${label(u)}–${label(v)}`;
+
+    // Orientation of u-v-q for a real point q: 1 counter-clockwise (as on screen), -1 clockwise, 0
+    // collinear. Around p₋₁ the points turn in lexicographic order, around p₋₂ in reverse order,
+    // and every point lies on the inner side of p₋₁-p₋₂. Nearly collinear points count as
+    // collinear, so that rounding cannot leave a point outside every child in the DAG walk.
+    const orient = (u, v, q) => {
+      if (u < 0 && v < 0) return u === -1 ? -1 : 1;
+      if (u < 0) return -orient(v, u, q);
+      const a = point(u);
+      const c = point(q);
+      if (v === -1) return higher(c, a) ? 1 : -1;
+      if (v === -2) return higher(c, a) ? -1 : 1;
+      const b = point(v);
+      const d = (b.x - a.x) * (c.y - a.y) - (b.y - a.y) * (c.x - a.x);
+      const scale =
+        Math.hypot(b.x - a.x, b.y - a.y) * Math.hypot(c.x - a.x, c.y - a.y);
+      return Math.abs(d) <= 1e-10 * scale ? 0 : -Math.sign(d);
+    };
+    const circumcircle = (a, b, c) => {
+      const d = 2 * ((b.x - a.x) * (c.y - a.y) - (b.y - a.y) * (c.x - a.x));
+      if (d === 0) return null;
+      const a2 = a.x * a.x + a.y * a.y;
+      const b2 = b.x * b.x + b.y * b.y;
+      const c2 = c.x * c.x + c.y * c.y;
+      const center = new Point(
+        (a2 * (b.y - c.y) + b2 * (c.y - a.y) + c2 * (a.y - b.y)) / d,
+        (a2 * (c.x - b.x) + b2 * (a.x - c.x) + c2 * (b.x - a.x)) / d
+      );
+      return { center, radius: Point.distance(center, a) };
+    };
+
+    // The DAG: nodes are never removed; `leafOf` maps each directed edge u,v of a current
+    // triangle to its node, for finding the triangle across an edge
+    const nodes = this.dagNodes;
+    const leafOf = new Map();
+    const addNode = (vertices, parents) => {
+      const id = nodes.length;
+      const depth = parents.length
+        ? Math.max(...parents.map((p) => nodes[p].depth)) + 1
+        : 0;
+      nodes.push({ vertices, children: [], depth });
+      for (let e = 0; e < 3; e++)
+        leafOf.set(`${vertices[e]},${vertices[(e + 1) % 3]}`, id);
+      return id;
+    };
+    const retire = (id, children) => {
+      nodes[id].children = children;
+      const t = nodes[id].vertices;
+      for (let e = 0; e < 3; e++) {
+        const key = `${t[e]},${t[(e + 1) % 3]}`;
+        if (leafOf.get(key) === id) leafOf.delete(key);
+      }
+    };
+    const replace = (parents, triangles) => {
+      // New nodes first, so that they own the shared edges before the parents let go of theirs
+      const created = triangles.map((t) => addNode(t, parents));
+      parents.forEach((p) => retire(p, created));
+      return created;
+    };
+    const leaves = () =>
+      nodes.map((n, id) => id).filter((id) => nodes[id].children.length === 0);
+
+    addNode([0, -2, -1], []);
+
+    let inserted = 0;
+    let flips = 0;
+    let visitedTotal = 0;
+    const pushStep = (description, algorithmStep, extra = {}) => {
+      const {
+        current = null,
+        path = [],
+        created = [],
+        edge = null,
+        newEdge = null,
+        circle = null,
+        located = null,
+      } = extra;
+      const current3 = leaves().map((id) => nodes[id].vertices);
+      this.steps.push({
+        description,
+        // Triangles with only real corners, and those with a symbolic corner (drawn as rays)
+        triangles: current3
+          .filter((t) => t.every((r) => r >= 0))
+          .map((t) => t.map(point)),
+        openTriangles: current3
+          .filter((t) => t.some((r) => r < 0))
+          .map((t) => t.map((r) => (r < 0 ? r : point(r)))),
+        newPoint: current !== null ? point(current) : null,
+        located:
+          located !== null
+            ? nodes[located].vertices.map((r) => (r < 0 ? r : point(r)))
+            : null,
+        createdTriangles: created.map((id) =>
+          nodes[id].vertices.map((r) => (r < 0 ? r : point(r)))
+        ),
+        edge: edge && edge.map((r) => (r < 0 ? r : point(r))),
+        newEdge: newEdge && newEdge.map((r) => (r < 0 ? r : point(r))),
+        circle,
+        dag: { size: nodes.length, path, created },
+        algorithmStep,
+        eventSets: {
+          dag: {
+            nodes: nodes.length,
+            leaves: current3.length,
+            visited: path.length,
+            visitedTotal,
+            inserted,
+            flips,
+          },
+          eventQueue: order.slice(1).map((i, k) => ({
+            label: `${label(k + 1)} (${point(k + 1).x.toFixed(1)}, ${point(
+              k + 1
+            ).y.toFixed(1)})`,
+            status:
+              k + 1 === current
+                ? "current"
+                : k + 1 < (current ?? inserted + 1)
+                ? "processed"
+                : "pending",
+          })),
+          activeSet: path.map((id, k) => ({
+            label: `${k === path.length - 1 ? "Leaf" : "Node"} ${
+              id + 1
+            }: ${triangleLabel(nodes[id].vertices)}`,
+            status: k === path.length - 1 ? "current" : "processed",
+          })),
+          output: created.map((id) => ({
+            label: `Node ${id + 1}: ${triangleLabel(nodes[id].vertices)}`,
+            status: "new",
+          })),
+        },
+      });
+    };
+
+    pushStep(
+      `Bounding triangle: ${label(
+        0
+      )} (the highest point) with the symbolic points p₋₁ (far lower right) and p₋₂ (far upper left); it is the root of the history DAG. The other ${
+        order.length - 1
+      } point${order.length === 2 ? "" : "s"} are inserted in random order`,
+      0
+    );
+
+    // Flips edge u-v of triangle u-v-q (counter-clockwise) if it is illegal, then recurses on
+    // the two new edges facing q
+    const legalize = (q, u, v) => {
+      const own = leafOf.get(`${u},${v}`);
+      const across = leafOf.get(`${v},${u}`);
+      if (across === undefined) return; // Edge of the bounding triangle
+      const x = nodes[across].vertices.find((r) => r !== u && r !== v);
+      let legal;
+      let reason;
+      let circle = null;
+      if ([q, u, v, x].every((r) => r >= 0)) {
+        circle = circumcircle(point(u), point(v), point(q));
+        legal =
+          !circle ||
+          Point.distance(point(x), circle.center) >= circle.radius * (1 - 1e-9);
+        reason = legal
+          ? `${label(x)} lies outside the circle through ${label(u)}, ${label(
+              v
+            )} and ${label(q)}`
+          : `${label(x)} lies inside the circle through ${label(u)}, ${label(
+              v
+            )} and ${label(q)}`;
+      } else if (orient(x, v, q) <= 0 || orient(u, x, q) <= 0) {
+        // A flip needs a convex quadrilateral u-x-v-q; this one has a reflex corner at u or v
+        legal = true;
+        reason = `the quadrilateral ${label(u)} ${label(x)} ${label(v)} ${label(
+          q
+        )} is not convex`;
+      } else {
+        // Index rule for edges and apexes that involve the symbolic points
+        legal = Math.min(q, x) < Math.min(u, v);
+        reason = `symbolic points are involved, and min(${label(q)}, ${label(
+          x
+        )}) ${legal ? "<" : ">"} min(${label(u)}, ${label(v)})`;
+      }
+      if (legal) {
+        pushStep(`Edge ${edgeLabel(u, v)} is legal: ${reason}`, 3, {
+          current: q,
+          edge: [u, v],
+          circle,
+        });
+        return;
+      }
+      // Quadrilateral u-x-v-q: the diagonal u-v becomes q-x
+      const created = replace(
+        [own, across],
+        [
+          [u, x, q],
+          [x, v, q],
+        ]
+      );
+      flips++;
+      pushStep(
+        `Edge ${edgeLabel(u, v)} is illegal: ${reason}. Flip it to ${edgeLabel(
+          q,
+          x
+        )}; both old triangles point to the 2 new ones in the DAG`,
+        3,
+        { current: q, edge: [u, v], newEdge: [q, x], circle, created }
+      );
+      legalize(q, u, x);
+      legalize(q, x, v);
+    };
+
+    for (let r = 1; r < order.length; r++) {
+      // Walk the DAG: descend to the child that contains the point, down to a leaf
+      const path = [0];
+      let id = 0;
+      while (nodes[id].children.length) {
+        id = nodes[id].children.find((child) => {
+          const [a, b, c] = nodes[child].vertices;
+          return (
+            orient(a, b, r) >= 0 && orient(b, c, r) >= 0 && orient(c, a, r) >= 0
+          );
+        });
+        path.push(id);
+      }
+      visitedTotal += path.length;
+      inserted = r;
+      const [a, b, c] = nodes[id].vertices;
+      pushStep(
+        `Insert ${label(r)} (${r} of ${
+          order.length - 1
+        }): walk the history DAG from the root through ${path.length} node${
+          path.length === 1 ? "" : "s"
+        } to the leaf ${triangleLabel([a, b, c])}, which contains it`,
+        1,
+        { current: r, path, located: id }
+      );
+
+      // Split the leaf into 3, or the two triangles on either side of an edge into 4
+      const onEdge = [
+        [a, b, c],
+        [b, c, a],
+        [c, a, b],
+      ].find(([u, v]) => orient(u, v, r) === 0);
+      if (!onEdge) {
+        const created = replace(
+          [id],
+          [
+            [a, b, r],
+            [b, c, r],
+            [c, a, r],
+          ]
+        );
+        pushStep(
+          `Split ${triangleLabel([a, b, c])} into 3 triangles around ${label(
+            r
+          )}; they become its children in the DAG`,
+          2,
+          { current: r, created }
+        );
+        legalize(r, a, b);
+        legalize(r, b, c);
+        legalize(r, c, a);
+      } else {
+        const [u, v, w] = onEdge;
+        const across = leafOf.get(`${v},${u}`);
+        const x = nodes[across].vertices.find((s) => s !== u && s !== v);
+        const created = [
+          ...replace(
+            [id],
+            [
+              [v, w, r],
+              [w, u, r],
+            ]
+          ),
+          ...replace(
+            [across],
+            [
+              [u, x, r],
+              [x, v, r],
+            ]
+          ),
+        ];
+        pushStep(
+          `${label(r)} lies on edge ${edgeLabel(
+            u,
+            v
+          )}: split the two triangles beside it into 4`,
+          2,
+          { current: r, created }
+        );
+        legalize(r, v, w);
+        legalize(r, w, u);
+        legalize(r, u, x);
+        legalize(r, x, v);
+      }
+    }
+
+    // Drop the triangles with a symbolic corner
+    const final = leaves()
+      .map((id) => nodes[id].vertices)
+      .filter((t) => t.every((r) => r >= 0));
+    this.triangles = final.map((t) => t.map(point));
+    const n = order.length;
+    this.steps.push({
+      ...this.steps[this.steps.length - 1],
+      description: `Remove p₋₁, p₋₂ and their triangles: the Delaunay triangulation has ${
+        final.length
+      } triangles. The DAG has ${nodes.length} nodes (${(
+        nodes.length / n
+      ).toFixed(1)} per point), and the walks visited ${(
+        visitedTotal / Math.max(1, n - 1)
+      ).toFixed(1)} nodes per point on average, ${flips} flips in total`,
+      triangles: [...this.triangles],
+      openTriangles: [],
+      newPoint: null,
+      located: null,
+      createdTriangles: [],
+      edge: null,
+      newEdge: null,
+      circle: null,
+      dag: { size: nodes.length, path: [], created: [] },
+      algorithmStep: 4,
+      eventSets: {
+        dag: {
+          nodes: nodes.length,
+          leaves: leaves().length,
+          visited: 0,
+          visitedTotal,
+          inserted: n - 1,
+          flips,
+        },
+        eventQueue: order.slice(1).map((i, k) => ({
+          label: `${label(k + 1)} (${point(k + 1).x.toFixed(1)}, ${point(
+            k + 1
+          ).y.toFixed(1)})`,
+          status: "processed",
+        })),
+        activeSet: [],
+        output: final.map((t) => ({
+          label: triangleLabel(t),
+          status: "completed",
+        })),
+      },
+    });
+  }
+
+  getCurrentStep() {
+    if (this.steps.length === 0) this.computeSteps();
+    return this.steps[this.currentStep] || this.steps[0];
+  }
+
+  nextStep() {
+    if (this.steps.length === 0) this.computeSteps();
+    if (this.currentStep < this.steps.length - 1) {
+      this.currentStep++;
+      return true;
+    }
+    return false;
+  }
+
+  prevStep() {
+    if (this.currentStep > 0) {
+      this.currentStep--;
+      return true;
+    }
+    return false;
+  }
+
+  canGoNext() {
+    return this.currentStep < this.steps.length - 1;
+  }
+
+  canGoPrev() {
+    return this.currentStep > 0;
+  }
+}
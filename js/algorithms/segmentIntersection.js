@@ -1,9 +1,11 @@
 /**
  * Line Sweep - Line Segment Intersection Algorithm
- * This class implements the line sweep algorithm to find intersections
- * between line segments. The event queue consists of segment endpoints,
- * and the algorithm processes these events to maintain an active set of
- * segments and detect intersections.
+ * This class implements the Bentley-Ottmann line sweep to find all
+ * intersections between line segments. A vertical sweep line moves left to
+ * right; the event queue holds segment endpoints and the intersection points
+ * found so far, and the status structure keeps the segments crossing the
+ * sweep line ordered by y. Only segments that become neighbours in the
+ * status are tested, for O((n + k) log n) time overall.
  * - Resources:
  *   - https://en.wikipedia.org/wiki/Sweep_line_algorithm
  *   - https://en.wikipedia.org/wiki/Intersection_(geometry)#Two_line_segments
@@ -24,7 +26,9 @@ class LineSegmentIntersection {
     this.algorithmStep = 0;
   }
 
+  // Zero-length segments (a click without a drag) are not segments; they are ignored
   addSegment(segment) {
+    if (segment.p1.x === segment.p2.x && segment.p1.y === segment.p2.y) return;
     this.segments.push(segment);
     this.reset();
   }
@@ -72,327 +76,276 @@ class LineSegmentIntersection {
     this.steps = [];
     this.intersections = [];
 
-    // Create events for segment endpoints
-    const events = [];
-    this.segments.forEach((seg, index) => {
-      const leftX = Math.min(seg.p1.x, seg.p2.x);
-      const rightX = Math.max(seg.p1.x, seg.p2.x);
+    const EPS = 1e-6;
+    const segs = this.segments;
+    const fmt = (p) => `(${p.x.toFixed(1)}, ${p.y.toFixed(1)})`;
+    const segLabel = (i) => `seg ${i + 1}`;
 
-      events.push({
-        x: leftX,
-        type: "start",
-        segment: seg,
-        segmentIndex: index,
-        id: `start-${index}`,
-      });
-
-      events.push({
-        x: rightX,
-        type: "end",
-        segment: seg,
-        segmentIndex: index,
-        id: `end-${index}`,
-      });
-    });
+    // Events are ordered by x, then by y (a vertical segment starts at its smaller y)
+    const cmp = (a, b) =>
+      Math.abs(a.x - b.x) > EPS
+        ? a.x - b.x
+        : Math.abs(a.y - b.y) > EPS
+        ? a.y - b.y
+        : 0;
+    const firstEnd = (seg) => (cmp(seg.p1, seg.p2) <= 0 ? seg.p1 : seg.p2);
+    const lastEnd = (seg) => (cmp(seg.p1, seg.p2) <= 0 ? seg.p2 : seg.p1);
 
-    // Sort events by x-coordinate
-    events.sort((a, b) => a.x - b.x);
+    // y of a segment on the sweep line at x (vertical segments: clamped py)
+    const yAt = (seg, x, py) => {
+      const { p1, p2 } = seg;
+      if (Math.abs(p2.x - p1.x) < EPS)
+        return Math.min(
+          Math.max(py, Math.min(p1.y, p2.y)),
+          Math.max(p1.y, p2.y)
+        );
+      return p1.y + ((x - p1.x) * (p2.y - p1.y)) / (p2.x - p1.x);
+    };
+    // Order just right of a common point is by slope, vertical last
+    const slope = (seg) => {
+      const a = firstEnd(seg);
+      const b = lastEnd(seg);
+      return Math.abs(b.x - a.x) < EPS ? Infinity : (b.y - a.y) / (b.x - a.x);
+    };
 
-    this.steps.push({
-      description: "Starting line sweep from left to right",
-      sweepLine: events.length > 0 ? events[0].x - 50 : 0,
-      activeSegments: [],
-      intersections: [],
-      highlightedSegments: [],
-      algorithmStep: 2,
-      eventSets: {
-        events: events.map((e, i) => ({
-          ...e,
-          status: "pending",
-          description: `${e.type === "start" ? "Start" : "End"} segment ${
-            e.segmentIndex + 1
-          } at x=${e.x.toFixed(1)}`,
-        })),
-        segments: this.segments.map((seg, i) => ({
-          segment: seg,
-          index: i,
+    // Event queue: one entry per event point, holding U(p), the segments starting there.
+    // allEvents keeps every event ever queued, in the same order, for the events panel
+    const allEvents = [];
+    let queue = [];
+    const addEvent = (point, type, segIndex, pair) => {
+      let ev = queue.find((e) => cmp(e.point, point) === 0);
+      const isNew = !ev;
+      if (isNew) {
+        ev = {
+          point,
+          x: point.x,
+          upper: [],
+          lower: [],
+          pairs: [],
           status: "pending",
-        })),
+        };
+        allEvents.push(ev);
+        allEvents.sort((a, b) => cmp(a.point, b.point));
+        queue.push(ev);
+        queue.sort((a, b) => cmp(a.point, b.point));
+      }
+      if (type === "start") ev.upper.push(segIndex);
+      if (type === "end") ev.lower.push(segIndex);
+      if (pair) ev.pairs.push(pair);
+      return isNew;
+    };
+    const describeEvent = (ev) => {
+      const parts = [];
+      if (ev.upper.length)
+        parts.push(`START ${ev.upper.map(segLabel).join(", ")}`);
+      if (ev.lower.length)
+        parts.push(`END ${ev.lower.map(segLabel).join(", ")}`);
+      if (ev.pairs.length)
+        parts.push(
+          `INTERSECT ${ev.pairs
+            .map(([a, b]) => `${segLabel(a)} × ${segLabel(b)}`)
+            .join(", ")}`
+        );
+      return `${parts.join("; ")} @ x=${ev.x.toFixed(1)}`;
+    };
 
-        eventQueue: events.map((e) => ({
-          label: `${e.type.toUpperCase()} seg ${
-            e.segmentIndex + 1
-          } @ x=${e.x.toFixed(1)}`,
-          status: "pending",
-          ...e,
-        })),
-        activeSet: [],
-        output: [],
-      },
+    segs.forEach((seg, i) => {
+      addEvent(firstEnd(seg), "start", i);
+      addEvent(lastEnd(seg), "end", i);
     });
 
-    const activeSegments = [];
-    const processedEvents = [];
-
-    for (let i = 0; i < events.length; i++) {
-      const event = events[i];
-      this.sweepLine = event.x;
-      processedEvents.push(event.id);
-
-      if (event.type === "start") {
-        // Add segment to active set
-        activeSegments.push(event.segment);
+    let status = []; // segment indices crossing the sweep line, ordered by y (top to bottom)
+    let statusBefore = [];
+    const ended = new Set();
 
-        this.steps.push({
-          description: `Sweep line at x=${event.x.toFixed(1)}: Added segment ${
-            event.segmentIndex + 1
-          } to active set`,
-          sweepLine: event.x,
-          activeSegments: [...activeSegments],
-          intersections: [...this.intersections],
-          highlightedSegments: [event.segmentIndex],
-          algorithmStep: 3,
-          eventSets: {
-            events: events.map((e, j) => ({
-              ...e,
-              status: processedEvents.includes(e.id)
-                ? "processed"
-                : j === i
+    const pushStep = (description, algorithmStep, extra = {}) => {
+      const {
+        sweepLine,
+        currentEvent = null,
+        involved = [],
+        reported = null,
+        tests = [],
+      } = extra;
+      this.steps.push({
+        description,
+        sweepLine,
+        activeSegments: status.map((k) => segs[k]),
+        statusOrder: [...status],
+        intersections: [...this.intersections],
+        highlightedSegments: [...involved],
+        currentEvent,
+        pendingIntersections: queue
+          .filter((e) => e.pairs.length > 0)
+          .map((e) => e.point),
+        testedPairs: tests,
+        algorithmStep,
+        eventSets: {
+          events: allEvents.map((e) => ({
+            x: e.x,
+            status: e.status,
+            description: describeEvent(e),
+          })),
+          segments: segs.map((seg, k) => ({
+            segment: seg,
+            index: k,
+            status:
+              reported && involved.includes(k)
+                ? "intersecting"
+                : involved.includes(k)
                 ? "current"
-                : "pending",
-              description: `${e.type === "start" ? "Start" : "End"} segment ${
-                e.segmentIndex + 1
-              } at x=${e.x.toFixed(1)}`,
-            })),
-            segments: this.segments.map((seg, k) => ({
-              segment: seg,
-              index: k,
-              status: activeSegments.includes(seg)
+                : status.includes(k)
                 ? "active"
-                : k === event.segmentIndex
-                ? "current"
-                : "pending",
-            })),
-
-            eventQueue: events.map((e, j) => ({
-              label: `${e.type.toUpperCase()} seg ${
-                e.segmentIndex + 1
-              } @ x=${e.x.toFixed(1)}`,
-              status: processedEvents.includes(e.id)
+                : ended.has(k)
                 ? "processed"
-                : j === i
-                ? "current"
                 : "pending",
-              ...e,
-            })),
-            activeSet: activeSegments.map((seg) => ({
-              label: `Segment ${this.segments.indexOf(seg) + 1}`,
-              status: "active",
-              segment: seg,
-              segmentIndex: this.segments.indexOf(seg),
-            })),
-            output: this.intersections.map((intr, idx) => ({
-              label: `Intersection ${idx + 1} (${intr.x.toFixed(
-                1
-              )}, ${intr.y.toFixed(1)})`,
-              status: "kept",
-              ...intr,
-            })),
-          },
-        });
+          })),
+          status: status.map((k) => ({
+            index: k,
+            status:
+              involved.includes(k) && algorithmStep !== 5
+                ? statusBefore.includes(k)
+                  ? "swapped"
+                  : "new"
+                : involved.includes(k)
+                ? "current"
+                : "active",
+          })),
+          statusBefore: [...statusBefore],
+          eventQueue: allEvents.map((e) => ({
+            label: describeEvent(e),
+            status: e.status,
+          })),
+          output: this.intersections.map((intr, idx) => ({
+            label: `Intersection ${idx + 1} (${intr.x.toFixed(
+              1
+            )}, ${intr.y.toFixed(1)})`,
+            status: reported && intr === reported ? "new" : "kept",
+          })),
+        },
+      });
+    };
+
+    pushStep(
+      `Event queue holds ${allEvents.length} endpoint events (sorted by x, then y); status structure is empty`,
+      1,
+      { sweepLine: queue[0].x - 50 }
+    );
 
-        // Check intersections with other active segments
-        for (let j = 0; j < activeSegments.length - 1; j++) {
-          const otherSeg = activeSegments[j];
-          if (LineSegment.doIntersect(event.segment, otherSeg)) {
-            const intersection = LineSegment.intersection(
-              event.segment,
-              otherSeg
-            );
-            if (intersection && intersection.x >= event.x) {
-              this.intersections.push({
-                ...intersection,
-                segments: [event.segmentIndex, this.segments.indexOf(otherSeg)],
-              });
+    let previous = null;
+    while (queue.length > 0) {
+      const ev = queue.shift();
+      if (previous) previous.status = "processed";
+      previous = ev;
+      ev.status = "current";
+      const p = ev.point;
+      statusBefore = [...status];
 
-              this.steps.push({
-                description: `Found intersection at (${intersection.x.toFixed(
-                  1
-                )}, ${intersection.y.toFixed(1)}) between segments ${
-                  event.segmentIndex + 1
-                } and ${this.segments.indexOf(otherSeg) + 1}`,
-                sweepLine: event.x,
-                activeSegments: [...activeSegments],
-                intersections: [...this.intersections],
-                highlightedSegments: [
-                  event.segmentIndex,
-                  this.segments.indexOf(otherSeg),
-                ],
-                algorithmStep: 4,
-                eventSets: {
-                  events: events.map((e, j) => ({
-                    ...e,
-                    status: processedEvents.includes(e.id)
-                      ? "processed"
-                      : j === i
-                      ? "current"
-                      : "pending",
-                    description: `${
-                      e.type === "start" ? "Start" : "End"
-                    } segment ${e.segmentIndex + 1} at x=${e.x.toFixed(1)}`,
-                  })),
-                  segments: this.segments.map((seg, k) => ({
-                    segment: seg,
-                    index: k,
-                    status: [
-                      event.segmentIndex,
-                      this.segments.indexOf(otherSeg),
-                    ].includes(k)
-                      ? "intersecting"
-                      : activeSegments.includes(seg)
-                      ? "active"
-                      : "pending",
-                  })),
+      // L(p) and C(p): segments in the status that end at or pass through p. A segment
+      // starting at p that also ends there (zero length) is in U(p) and L(p) at once
+      const U = [...ev.upper];
+      const touching = status.filter(
+        (k) => window.Utils.distanceToLineSegment(p.x, p.y, segs[k]) < EPS
+      );
+      const pointLike = U.filter((k) => cmp(lastEnd(segs[k]), p) === 0);
+      const L = [
+        ...touching.filter((k) => cmp(lastEnd(segs[k]), p) === 0),
+        ...pointLike,
+      ];
+      const C = touching.filter((k) => !L.includes(k));
+      const involved = [...new Set([...U, ...L, ...C])];
+
+      // Report p if more than one segment meets there
+      let reported = null;
+      if (involved.length > 1) {
+        reported = {
+          x: p.x,
+          y: p.y,
+          segments: involved.slice().sort((a, b) => a - b),
+        };
+        this.intersections.push(reported);
+      }
 
-                  eventQueue: events.map((e, j) => ({
-                    label: `${e.type.toUpperCase()} seg ${
-                      e.segmentIndex + 1
-                    } @ x=${e.x.toFixed(1)}`,
-                    status: processedEvents.includes(e.id)
-                      ? "processed"
-                      : j === i
-                      ? "current"
-                      : "pending",
-                    ...e,
-                  })),
-                  activeSet: activeSegments.map((seg) => ({
-                    label: `Segment ${this.segments.indexOf(seg) + 1}`,
-                    status: [
-                      event.segmentIndex,
-                      this.segments.indexOf(otherSeg),
-                    ].includes(this.segments.indexOf(seg))
-                      ? "current"
-                      : "active",
-                    segment: seg,
-                    segmentIndex: this.segments.indexOf(seg),
-                  })),
-                  output: this.intersections.map((intr, idx, arr) => ({
-                    label: `Intersection ${idx + 1} (${intr.x.toFixed(
-                      1
-                    )}, ${intr.y.toFixed(1)})`,
-                    status: idx === arr.length - 1 ? "new" : "kept",
-                    ...intr,
-                  })),
-                },
-              });
-            }
+      // Delete L(p) and C(p), then re-insert U(p) and C(p) in their order just
+      // right of the sweep line: this reverses C(p), i.e. swaps crossing segments
+      const removeAt = status.findIndex((k) => touching.includes(k));
+      status = status.filter((k) => !touching.includes(k));
+      L.forEach((k) => ended.add(k));
+      const inserted = [...U.filter((k) => !pointLike.includes(k)), ...C].sort(
+        (a, b) => slope(segs[a]) - slope(segs[b])
+      );
+      let pos = status.findIndex((k) => yAt(segs[k], p.x, p.y) > p.y);
+      if (pos === -1) pos = status.length;
+      status.splice(pos, 0, ...inserted);
+
+      const actions = [];
+      if (U.length) actions.push(`insert ${U.map(segLabel).join(", ")}`);
+      if (L.length) actions.push(`remove ${L.map(segLabel).join(", ")}`);
+      if (C.length) actions.push(`swap ${C.map(segLabel).join(", ")}`);
+      pushStep(
+        `Sweep line at x=${p.x.toFixed(1)}: ${actions.join("; ")}${
+          reported
+            ? ` (intersection at ${fmt(p)} of ${involved
+                .map(segLabel)
+                .join(", ")})`
+            : ""
+        }`,
+        reported ? 4 : U.length ? 2 : 3,
+        { sweepLine: p.x, currentEvent: p, involved, reported }
+      );
+
+      // Only segments that just became neighbours in the status are tested
+      const tests = [];
+      const testPair = (a, b) => {
+        if (a === undefined || b === undefined) return;
+        const test = { a, b, hit: null, queued: false };
+        if (LineSegment.doIntersect(segs[a], segs[b])) {
+          const q = LineSegment.intersection(segs[a], segs[b]);
+          // Crossings left of the sweep line (or above p on it) were already handled
+          if (q && cmp(q, p) > 0) {
+            test.hit = q;
+            test.queued = addEvent(q, "intersection", null, [a, b]);
           }
         }
+        tests.push(test);
+      };
+      if (inserted.length === 0) {
+        if (removeAt > 0) testPair(status[removeAt - 1], status[removeAt]);
       } else {
-        // Remove segment from active set
-        const index = activeSegments.indexOf(event.segment);
-        if (index > -1) {
-          activeSegments.splice(index, 1);
-        }
-
-        this.steps.push({
-          description: `Sweep line at x=${event.x.toFixed(
-            1
-          )}: Removed segment ${event.segmentIndex + 1} from active set`,
-          sweepLine: event.x,
-          activeSegments: [...activeSegments],
-          intersections: [...this.intersections],
-          highlightedSegments: [event.segmentIndex],
-          algorithmStep: 5,
-          eventSets: {
-            events: events.map((e, j) => ({
-              ...e,
-              status: processedEvents.includes(e.id)
-                ? "processed"
-                : j === i
-                ? "current"
-                : "pending",
-              description: `${e.type === "start" ? "Start" : "End"} segment ${
-                e.segmentIndex + 1
-              } at x=${e.x.toFixed(1)}`,
-            })),
-            segments: this.segments.map((seg, k) => ({
-              segment: seg,
-              index: k,
-              status: activeSegments.includes(seg)
-                ? "active"
-                : k === event.segmentIndex
-                ? "current"
-                : "processed",
-            })),
+        testPair(status[pos - 1], status[pos]);
+        const last = pos + inserted.length - 1;
+        testPair(status[last], status[last + 1]);
+      }
 
-            eventQueue: events.map((e, j) => ({
-              label: `${e.type.toUpperCase()} seg ${
-                e.segmentIndex + 1
-              } @ x=${e.x.toFixed(1)}`,
-              status: processedEvents.includes(e.id)
-                ? "processed"
-                : j === i
-                ? "current"
-                : "pending",
-              ...e,
-            })),
-            activeSet: activeSegments.map((seg) => ({
-              label: `Segment ${this.segments.indexOf(seg) + 1}`,
-              status: "active",
-              segment: seg,
-              segmentIndex: this.segments.indexOf(seg),
-            })),
-            output: this.intersections.map((intr, idx) => ({
-              label: `Intersection ${idx + 1} (${intr.x.toFixed(
-                1
-              )}, ${intr.y.toFixed(1)})`,
-              status: "kept",
-              ...intr,
-            })),
-          },
-        });
+      if (tests.length > 0) {
+        pushStep(
+          `Test new neighbours: ${tests
+            .map(
+              (t) =>
+                `${segLabel(t.a)} & ${segLabel(t.b)} → ${
+                  t.hit
+                    ? `${t.queued ? "queue" : "already queued"} ${fmt(t.hit)}`
+                    : "no intersection ahead"
+                }`
+            )
+            .join("; ")}`,
+          5,
+          {
+            sweepLine: p.x,
+            currentEvent: p,
+            involved: [...new Set(tests.flatMap((t) => [t.a, t.b]))],
+            tests,
+          }
+        );
       }
     }
+    if (previous) previous.status = "processed";
+    statusBefore = [];
 
-    this.steps.push({
-      description: `Line sweep complete. Found ${this.intersections.length} intersections`,
-      sweepLine: events.length > 0 ? events[events.length - 1].x + 50 : 0,
-      activeSegments: [],
-      intersections: [...this.intersections],
-      highlightedSegments: [],
-      algorithmStep: 6,
-      eventSets: {
-        events: events.map((e) => ({
-          ...e,
-          status: "processed",
-          description: `${e.type === "start" ? "Start" : "End"} segment ${
-            e.segmentIndex + 1
-          } at x=${e.x.toFixed(1)}`,
-        })),
-        segments: this.segments.map((seg, k) => ({
-          segment: seg,
-          index: k,
-          status: "processed",
-        })),
-
-        eventQueue: events.map((e) => ({
-          label: `${e.type.toUpperCase()} seg ${
-            e.segmentIndex + 1
-          } @ x=${e.x.toFixed(1)}`,
-          status: "processed",
-          ...e,
-        })),
-        activeSet: [],
-        output: this.intersections.map((intr, idx) => ({
-          label: `Intersection ${idx + 1} (${intr.x.toFixed(
-            1
-          )}, ${intr.y.toFixed(1)})`,
-          status: "completed",
-          ...intr,
-        })),
-      },
-    });
+    pushStep(
+      `Line sweep complete. Found ${this.intersections.length} intersections`,
+      6,
+      { sweepLine: Math.max(...allEvents.map((e) => e.x)) + 50 }
+    );
   }
 
   getCurrentStep() {
@@ -1,8 +1,13 @@
 /**
  * Segment Tree Algorithm
  * This implementation builds a Segment Tree by building a canonical tree over
- * elementary disjoint intervals (slabs) between endpoints of the given intervals.
+ * elementary disjoint intervals (slabs): each endpoint of the given intervals on its own,
+ * and the open gap between consecutive endpoints, so that closed intervals (also
+ * zero-length ones) are covered exactly. Endpoints and queries are compared at 4 decimals.
  * It then assigns each interval to the minimal set of nodes that fully cover it.
+ * A stabbing query walks from the root to the leaf slab containing the query point,
+ * collecting the canonical list of every node on the path (or, in the count-only
+ * variant, just adding up the list sizes).
  * - Resources:
  *   - https://en.wikipedia.org/wiki/Segment_tree
  *   - Section 10.3, "Segment Trees", in "Computational Geometry: Algorithms and Applications" by Mark de Berg et al.
@@ -15,9 +20,12 @@ class SegmentTreeAlgorithm {
     this.currentStep = 0;
     this.tree = null; // Root node
     this.endpoints = [];
-    this.slabs = []; // Elementary disjoint intervals between endpoints
+    this.slabs = []; // Elementary intervals: [e0, e0], (e0, e1), [e1, e1], ...
     this.numberLineMin = 0;
     this.numberLineMax = 100;
+    this.query = null; // Stabbing point q
+    this.countOnly = false;
+    this.queryStartStep = null;
   }
 
   addInterval(interval) {
@@ -35,6 +43,7 @@ class SegmentTreeAlgorithm {
 
   clear() {
     this.intervals = [];
+    this.query = null;
     this.reset();
   }
 
@@ -44,6 +53,21 @@ class SegmentTreeAlgorithm {
     this.tree = null;
     this.endpoints = [];
     this.slabs = [];
+    this.queryStartStep = null;
+  }
+
+  // Segment trees answer stabbing queries; a drag along the number line stabs at its release point
+  setQuery(lo, hi = lo, options = {}) {
+    this.query = hi;
+    this.countOnly = !!options.countOnly;
+    this.reset();
+    this.computeSteps();
+    if (this.queryStartStep !== null) this.currentStep = this.queryStartStep;
+  }
+
+  clearQuery() {
+    this.query = null;
+    this.reset();
   }
 
   computeSteps() {
@@ -92,8 +116,8 @@ class SegmentTreeAlgorithm {
     // Step 2: Collect and sort unique endpoints
     const pts = new Set();
     for (const it of this.intervals) {
-      pts.add(+it.start.toFixed(4));
-      pts.add(+it.end.toFixed(4));
+      pts.add(this._key(it.start));
+      pts.add(this._key(it.end));
     }
     const endpoints = Array.from(pts).sort((a, b) => a - b);
     this.endpoints = endpoints;
@@ -122,14 +146,16 @@ class SegmentTreeAlgorithm {
       },
     });
 
-    // Step 3: Build elementary slabs (half-open [e[i], e[i+1]))
+    // Step 3: Build elementary slabs: endpoint e[i] is slab 2i, the open gap (e[i], e[i+1]) is slab 2i + 1
     const slabs = [];
-    for (let i = 0; i < endpoints.length - 1; i++) {
-      slabs.push({ start: endpoints[i], end: endpoints[i + 1] });
-    }
+    endpoints.forEach((e, i) => {
+      slabs.push({ start: e, end: e });
+      if (i + 1 < endpoints.length)
+        slabs.push({ start: e, end: endpoints[i + 1], open: true });
+    });
     this.slabs = slabs;
     this.steps.push({
-      description: `Build elementary slabs (${slabs.length})`,
+      description: `Build elementary slabs (${slabs.length}): each endpoint, and the open gap between consecutive endpoints`,
       intervals: [...this.intervals],
       tree: null,
       endpoints: [...endpoints],
@@ -144,7 +170,7 @@ class SegmentTreeAlgorithm {
         nodes: [],
 
         eventQueue: slabs.map((s, idx) => ({
-          label: `Slab s${idx}: [${s.start.toFixed(1)}, ${s.end.toFixed(1)}]`,
+          label: `Slab s${idx}: ${this._slabLabel(s)}`,
           status: "processed",
           interval: [s.start, s.end],
         })),
@@ -182,11 +208,11 @@ class SegmentTreeAlgorithm {
     });
 
     // Step 5 (iter): Assign each interval to minimal set of nodes fully covered
-    let stepIdx = 4;
     for (let i = 0; i < this.intervals.length; i++) {
       const it = this.intervals[i];
-      const lo = this._lowerBound(endpoints, it.start);
-      const hi = Math.max(lo, this._lowerBound(endpoints, it.end) - 1);
+      // The closed interval spans the slabs from its start endpoint's to its end endpoint's
+      const lo = 2 * this._lowerBound(endpoints, this._key(it.start));
+      const hi = 2 * this._lowerBound(endpoints, this._key(it.end));
       // cover [lo, hi] in slab index space
       const coveredNodes = [];
       this._assignInterval(this.tree, 0, slabs.length - 1, lo, hi, (node) => {
@@ -199,7 +225,7 @@ class SegmentTreeAlgorithm {
         tree: this._copyTree(this.tree),
         endpoints: [...endpoints],
         slabs: [...slabs],
-        algorithmStep: stepIdx++,
+        algorithmStep: 4,
         currentInterval: it,
         eventSets: {
           intervals: this.intervals.map((iv, j) => ({
@@ -240,7 +266,7 @@ class SegmentTreeAlgorithm {
       tree: this._copyTree(this.tree),
       endpoints: [...endpoints],
       slabs: [...slabs],
-      algorithmStep: 100,
+      algorithmStep: 5,
       eventSets: {
         intervals: this.intervals.map((it, i) => ({
           interval: it,
@@ -250,9 +276,156 @@ class SegmentTreeAlgorithm {
         nodes: [],
       },
     });
+
+    if (this.query !== null && this.tree) this.computeQuerySteps();
+  }
+
+  computeQuerySteps() {
+    const q = this._key(this.query);
+    const countOnly = this.countOnly;
+    const { endpoints, slabs } = this;
+    const qLabel = `q = ${q.toFixed(1)}`;
+    const label = (iv) => `I${this.intervals.indexOf(iv) + 1}`;
+    const tree = this._copyTree(this.tree);
+
+    // q is either an endpoint e[i] (slab 2i) or inside a gap (e[i - 1], e[i]) (slab 2i - 1)
+    const lb = this._lowerBound(endpoints, q);
+    const slab = endpoints[lb] === q ? 2 * lb : 2 * lb - 1;
+    const inside = slab >= 0 && slab < slabs.length;
+
+    const path = [];
+    const reported = [];
+    let count = 0;
+    this.queryStartStep = this.steps.length;
+
+    const pushQueryStep = (description, algorithmStep, node = null) => {
+      const collected = node ? [...node.items] : [];
+      this.steps.push({
+        description,
+        intervals: [...this.intervals],
+        tree,
+        endpoints: [...endpoints],
+        slabs: [...slabs],
+        algorithmStep,
+        query: { lo: q, hi: q },
+        countOnly,
+        querySlab: inside ? slab : null,
+        pathNodes: path.map((n) => ({ l: n.l, r: n.r })),
+        currentQueryNode: node ? { l: node.l, r: node.r } : null,
+        collected,
+        reportedIntervals: countOnly ? [] : [...reported],
+        queryCount: count,
+        eventSets: {
+          intervals: this.intervals.map((it, i) => ({
+            interval: it,
+            index: i,
+            status:
+              !countOnly && collected.includes(it)
+                ? "current"
+                : !countOnly && reported.includes(it)
+                ? "completed"
+                : "pending",
+          })),
+          nodes: [],
+          path: path.map((n) => ({
+            node: { l: n.l, r: n.r },
+            label: countOnly
+              ? `+${n.items.length}`
+              : n.items.length
+              ? n.items.map(label).join(", ")
+              : "(empty)",
+            status: n === node ? "current" : "processed",
+          })),
+          total: countOnly ? `Count: ${count}` : `Reported: ${reported.length}`,
+        },
+      });
+    };
+
+    if (!inside) {
+      pushQueryStep(
+        `Stabbing query ${qLabel}: q lies outside every slab, so no interval contains it`,
+        6
+      );
+      pushQueryStep(
+        countOnly
+          ? `Query complete: count = 0`
+          : `Query complete: no intervals contain ${qLabel}`,
+        9
+      );
+      return;
+    }
+
+    pushQueryStep(
+      `Stabbing query ${qLabel}${
+        countOnly ? " (count only)" : ""
+      }: it lies in slab s${slab} ${this._slabLabel(
+        slabs[slab]
+      )}; walk from the root`,
+      6
+    );
+
+    let node = tree;
+    while (node) {
+      path.push(node);
+      const size = node.items.length;
+      if (countOnly) {
+        count += size;
+        pushQueryStep(
+          `Node [${node.l},${node.r}]: add the size of its canonical list (${size}); running count = ${count}`,
+          7,
+          node
+        );
+      } else {
+        // Every interval stored here covers slab s[slab], hence contains q
+        reported.push(...node.items);
+        pushQueryStep(
+          `Node [${node.l},${
+            node.r
+          }]: report its whole canonical list (${size} interval${
+            size === 1 ? "" : "s"
+          })${size ? `: ${node.items.map(label).join(", ")}` : ""}`,
+          7,
+          node
+        );
+      }
+
+      if (!node.left && !node.right) break;
+      const mid = Math.floor((node.l + node.r) / 2);
+      const child = slab <= mid ? node.left : node.right;
+      pushQueryStep(
+        `Slab s${slab} lies in [${child.l},${child.r}]: descend into the ${
+          slab <= mid ? "left" : "right"
+        } child`,
+        8,
+        node
+      );
+      node = child;
+    }
+
+    pushQueryStep(
+      countOnly
+        ? `Query complete: ${path
+            .map((n) => n.items.length)
+            .join(" + ")} = ${count} interval(s) contain ${qLabel}`
+        : `Query complete: ${reported.length} interval(s) contain ${qLabel}${
+            reported.length ? `: ${reported.map(label).join(", ")}` : ""
+          }`,
+      9
+    );
   }
 
   // Helpers
+  // Endpoints and queries are compared by this key, so rounding never moves one into a neighbouring slab
+  _key(x) {
+    return +x.toFixed(4);
+  }
+
+  _slabLabel(s) {
+    return s.open
+      ? `(${s.start.toFixed(1)}, ${s.end.toFixed(1)})`
+      : `[${s.start.toFixed(1)}, ${s.end.toFixed(1)}]`;
+  }
+
   _buildTree(l, r) {
     if (l > r) return null;
     const node = { l, r, items: [], left: null, right: null };
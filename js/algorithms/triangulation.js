@@ -3,8 +3,14 @@
  * This class implements the ear clipping algorithm for triangulating a simple polygon.
  * The idea is to iteratively find ears (ear triangles) in the polygon and clip them off
  * until only a triangle remains.
+ * Holes drawn inside the completed polygon are first merged into the outer ring with bridge edges
+ * (Eberly's method, see Polygon.mergeHoles), turning the polygon with holes into a single ring.
+ * Once triangulated, the dual tree of the triangles is built and a DFS over it 3-colors the vertices
+ * (Fisk's proof that ⌊n/3⌋ guards suffice); with holes the dual graph has cycles and this is skipped.
  * - Resources:
  *   - https://en.wikipedia.org/wiki/Polygon_triangulation#Ear_clipping_method and see the desc there for more info on polygon triangulation.
+ *   - "Triangulation by Ear Clipping" by David Eberly (Geometric Tools, 2002) - bridging holes into the outer ring
+ *   - "A short proof of Chvátal's watchman theorem" by Steve Fisk (J. Combinatorial Theory B, 1978) - the dual tree 3-coloring
  *   - (Not Ear Clipping. Incremental Construction) https://www.youtube.com/watch?v=aVrSr3IjpSI - Triangulation of Arbitrary Polygon by Dr. Sandeep Sen, NPTEL Course on Computational Geometry
  */
 
@@ -15,20 +21,53 @@ class PolygonTriangulation {
     this.currentStep = 0;
     this.triangles = [];
     this.algorithmStep = 0;
+    this.openHole = []; // Vertices of the hole ring being drawn
   }
 
   addVertex(xOrPoint, y) {
     // Accept addVertex(point) or addVertex(x, y)
-    if (typeof xOrPoint === "object" && xOrPoint !== null) {
-      this.polygon.addVertex(xOrPoint.x, xOrPoint.y);
-    } else {
-      this.polygon.addVertex(xOrPoint, y);
+    const p =
+      typeof xOrPoint === "object" && xOrPoint !== null
+        ? { x: xOrPoint.x, y: xOrPoint.y }
+        : { x: xOrPoint, y };
+    // Once the polygon is complete, clicks inside it draw hole rings; clicking the first vertex
+    // of the hole being drawn closes it
+    if (
+      this.polygon.isComplete &&
+      (this.openHole.length > 0 || this.polygon.containsPoint(p.x, p.y))
+    ) {
+      const first = this.openHole[0];
+      if (
+        this.openHole.length >= 3 &&
+        Math.hypot(first.x - p.x, first.y - p.y) < 10
+      ) {
+        this.closeHole();
+        return;
+      }
+      this.openHole.push(p);
+      this.reset();
+      return;
     }
+    this.polygon.addVertex(p.x, p.y);
+    this.reset();
+  }
+
+  // Adds the hole being drawn to the polygon (needs at least 3 vertices)
+  closeHole() {
+    if (this.openHole.length < 3) return false;
+    this.polygon.addHole(this.openHole);
+    this.openHole = [];
     this.reset();
+    this.computeSteps();
+    return true;
   }
 
-  // Auto-complete polygon and compute steps (used by UI when starting playback)
+  // Auto-complete polygon (or the hole being drawn) and compute steps (used by UI when starting playback)
   completePolygon() {
+    if (this.polygon.isComplete && this.openHole.length >= 3) {
+      this.closeHole();
+      return;
+    }
     this.polygon.complete();
 
     // Recompute steps, now that, the polygon is complete
@@ -41,6 +80,25 @@ class PolygonTriangulation {
   }
 
   removeVertex(point) {
+    const near = (v) =>
+      Math.abs(v.x - point.x) < 10 && Math.abs(v.y - point.y) < 10;
+    // Vertices of holes first: a closed hole with fewer than 3 vertices left is dropped
+    const openIndex = this.openHole.findIndex(near);
+    if (openIndex !== -1) {
+      this.openHole.splice(openIndex, 1);
+      this.reset();
+      return;
+    }
+    for (let k = 0; k < this.polygon.holes.length; k++) {
+      const hole = this.polygon.holes[k];
+      const holeIndex = hole.findIndex(near);
+      if (holeIndex === -1) continue;
+      hole.splice(holeIndex, 1);
+      if (hole.length < 3) this.polygon.holes.splice(k, 1);
+      this.reset();
+      return;
+    }
+
     const index = this.polygon.vertices.findIndex(
       (v) => Math.abs(v.x - point.x) < 10 && Math.abs(v.y - point.y) < 10
     );
@@ -65,6 +123,7 @@ class PolygonTriangulation {
 
   clear() {
     this.polygon = new Polygon();
+    this.openHole = [];
     this.reset();
   }
 
@@ -101,7 +160,7 @@ class PolygonTriangulation {
     this.triangles = [];
 
     // Copy of the polygon
-    const workingPolygon = this.polygon.clone();
+    let workingPolygon = this.polygon.clone();
     // If polygon isn't complete, we'll treat it as complete for validation
     workingPolygon.isComplete = true;
     workingPolygon.updateEdges();
@@ -138,20 +197,134 @@ class PolygonTriangulation {
       return;
     }
 
+    // Holes must be valid before they can be bridged into the outer ring
+    const holeError = this.polygon.holeError();
+    if (holeError) {
+      this.steps.push({
+        description: `${holeError} - remove its vertices (right click) and draw it again`,
+        polygon: workingPolygon.clone(),
+        triangles: [],
+        eventSets: {
+          eventQueue: [{ label: "Validate holes", status: "processed" }],
+          activeSet: [],
+          output: [{ label: holeError, status: "new" }],
+        },
+      });
+      return;
+    }
+
+    // Merge the holes into a single ring, showing how each bridge is chosen
+    const bridges = [];
+    if (this.polygon.holes.length > 0) {
+      const events = [];
+      const { ring } = this.polygon.mergeHoles((event) => events.push(event));
+      const pt = (p) => `(${p.x.toFixed(1)}, ${p.y.toFixed(1)})`;
+      let before = this.polygon.vertices;
+      const bridgeStep = (description, event, ringVertices, extra = {}) => {
+        const { chosen = false } = extra;
+        const polygon = new Polygon(ringVertices.map((v) => ({ ...v })));
+        polygon.complete();
+        this.steps.push({
+          description,
+          polygon,
+          holes: this.polygon.holes,
+          triangles: [],
+          highlightedVertices: [],
+          currentEar: null,
+          bridgeRay: { from: event.m, to: event.hit },
+          bridgeEdge: event.edge,
+          bridgeTriangle:
+            event.p && event.kind !== "vertex"
+              ? [event.m, event.hit, event.p]
+              : null,
+          bridgeCandidates: event.candidates,
+          bridgeTarget: chosen ? event.target : null,
+          bridges: [...bridges],
+          algorithmStep: 1,
+          eventSets: {
+            eventQueue: events.map((e) => ({
+              label: `Hole ${e.hole + 1} (rightmost vertex ${pt(e.m)})`,
+              status:
+                e === event
+                  ? "current"
+                  : bridges.some((b) => b.hole === e.hole)
+                  ? "processed"
+                  : "pending",
+            })),
+            activeSet: event.candidates.map((c) => ({
+              label: `Reflex vertex ${pt(c)} in triangle M-I-P`,
+              status: chosen && c === event.target ? "current" : "active",
+              vertex: c,
+            })),
+            output: bridges.map((b, k) => ({
+              label: `Bridge ${pt(b.from)}–${pt(b.to)}`,
+              status: chosen && k === bridges.length - 1 ? "new" : "kept",
+            })),
+          },
+        });
+      };
+
+      for (const event of events) {
+        const hole = `Hole ${event.hole + 1}`;
+        bridgeStep(
+          `${hole}: cast a ray to the right from its rightmost vertex M ${pt(
+            event.m
+          )}; it first hits the boundary at I ${pt(event.hit)}${
+            event.kind === "vertex"
+              ? ", a vertex"
+              : `, and P ${pt(event.p)} is the right end of that edge`
+          }`,
+          event,
+          before
+        );
+        bridges.push({ hole: event.hole, from: event.m, to: event.target });
+        const reason =
+          event.kind === "vertex"
+            ? "M sees the vertex hit by the ray"
+            : event.kind === "endpoint"
+            ? "no reflex vertex lies inside triangle M-I-P, so M sees P"
+            : `${event.candidates.length} reflex vert${
+                event.candidates.length === 1 ? "ex lies" : "ices lie"
+              } inside triangle M-I-P; M sees the one closest in angle to the ray`;
+        bridgeStep(
+          `${hole}: ${reason}. Bridge M–${pt(
+            event.target
+          )}; the merged ring now has ${event.ring.length} vertices`,
+          event,
+          event.ring,
+          { chosen: true }
+        );
+        before = event.ring;
+      }
+
+      workingPolygon = new Polygon(ring);
+      workingPolygon.complete();
+    }
+
     const removedVertices = [];
+    const earClippingStart = this.steps.length;
+    const ringVertices = [...workingPolygon.vertices];
     // Treat working polygon as a closed loop for ear clipping visuals
     workingPolygon.isComplete = true;
     workingPolygon.updateEdges();
 
     this.steps.push({
-      description: `Starting ear clipping with ${workingPolygon.vertices.length} vertices`,
+      description: `Starting ear clipping with ${
+        workingPolygon.vertices.length
+      } vertices${
+        bridges.length
+          ? ` (${bridges.length} hole${
+              bridges.length === 1 ? "" : "s"
+            } bridged in)`
+          : ""
+      }`,
       polygon: workingPolygon.clone(),
       triangles: [...this.triangles],
       highlightedVertices: [],
       currentEar: null,
       algorithmStep: 0,
       eventSets: {
-        vertices: this.polygon.vertices.map((v, i) => ({
+        vertices: workingPolygon.vertices.map((v, i) => ({
           vertex: v,
           index: i,
           status: "pending",
@@ -185,7 +358,7 @@ class PolygonTriangulation {
             triangles: [...this.triangles],
             highlightedVertices: [(i - 1 + n) % n, i, (i + 1) % n],
             currentEar: [prev, curr, next],
-            algorithmStep: 1,
+            algorithmStep: 2,
             eventSets: {
               vertices: workingPolygon.vertices.map((v, j) => ({
                 vertex: v,
@@ -239,7 +412,7 @@ class PolygonTriangulation {
             triangles: [...this.triangles],
             highlightedVertices: [],
             currentEar: null,
-            algorithmStep: 2,
+            algorithmStep: 3,
             eventSets: {
               vertices: [
                 ...workingPolygon.vertices.map((v, j) => ({
@@ -310,7 +483,7 @@ class PolygonTriangulation {
         triangles: [...this.triangles],
         highlightedVertices: [0, 1, 2],
         currentEar: [...workingPolygon.vertices],
-        algorithmStep: 3,
+        algorithmStep: 4,
         eventSets: {
           vertices: [
             ...workingPolygon.vertices.map((v, j) => ({
@@ -343,6 +516,238 @@ class PolygonTriangulation {
         },
       });
     }
+
+    // Dual tree and 3-coloring of the finished triangulation
+    if (workingPolygon.vertices.length === 3) {
+      this.addDualTreeSteps(ringVertices, bridges.length);
+    }
+
+    // The bridges stay visible while the merged ring is clipped
+    if (bridges.length > 0) {
+      this.steps.slice(earClippingStart).forEach((step) => {
+        step.holes = this.polygon.holes;
+        step.bridges = bridges;
+      });
+    }
+  }
+
+  // Builds the dual graph of the finished triangulation (one node per triangle, one edge per shared
+  // diagonal). Without holes it is a tree, and a DFS over it 3-colors the vertices (Fisk's proof):
+  // each triangle is entered across one diagonal whose ends are already colored, and its third
+  // vertex lies on the unvisited side of that diagonal, so it is still free to take the third color.
+  addDualTreeSteps(ringVertices, holeCount) {
+    const colorNames = ["Red", "Green", "Blue"];
+    // Vertex ids by position, so that the copies left by hole bridges count once
+    const key = (v) => `${v.x},${v.y}`;
+    const ids = new Map();
+    const vertices = [];
+    for (const v of ringVertices) {
+      if (ids.has(key(v))) continue;
+      ids.set(key(v), vertices.length);
+      vertices.push(v);
+    }
+    const vLabel = (id) => `V${id + 1}`;
+    const triangles = this.triangles.map((t) => t.map((v) => ids.get(key(v))));
+    const m = triangles.length;
+    const nodes = this.triangles.map((t) => ({
+      x: (t[0].x + t[1].x + t[2].x) / 3,
+      y: (t[0].y + t[1].y + t[2].y) / 3,
+    }));
+
+    // Triangles sharing two vertices share a diagonal
+    const adjacency = triangles.map(() => []);
+    const dualEdges = [];
+    for (let i = 0; i < m; i++) {
+      for (let j = i + 1; j < m; j++) {
+        const shared = triangles[i].filter((a) => triangles[j].includes(a));
+        if (shared.length !== 2) continue;
+        dualEdges.push([i, j]);
+        adjacency[i].push({ node: j, diagonal: shared });
+        adjacency[j].push({ node: i, diagonal: shared });
+      }
+    }
+
+    const baseStep = (description, algorithmStep, extra, eventSets) => ({
+      description,
+      polygon: this.polygon.clone(),
+      triangles: [...this.triangles],
+      highlightedVertices: [],
+      currentEar: null,
+      dualNodes: nodes,
+      dualEdges,
+      treeEdges: [],
+      currentTriangle: null,
+      currentDiagonal: null,
+      coloredVertices: [],
+      algorithmStep,
+      ...extra,
+      eventSets,
+    });
+    const triangleQueue = (status) =>
+      triangles.map((t, k) => ({
+        label: `T${k + 1} (${t.map(vLabel).join(", ")})`,
+        status: status(k),
+      }));
+
+    // A tree has one edge fewer than nodes; each hole closes a cycle around it
+    const cycles = dualEdges.length - (m - 1);
+    if (holeCount > 0 || cycles !== 0) {
+      this.steps.push(
+        baseStep(
+          holeCount > 0
+            ? `Dual graph: ${m} triangles joined across ${dualEdges.length} diagonals. Each hole closes a cycle (${cycles} here), so it is not a tree and the DFS 3-coloring argument does not apply`
+            : `Dual graph: ${m} triangles joined across ${dualEdges.length} diagonals - not a tree (degenerate triangles), so it cannot be 3-colored by DFS`,
+          5,
+          {},
+          {
+            eventQueue: triangleQueue(() => "processed"),
+            activeSet: [],
+            output: [
+              { label: `Dual nodes: ${m}`, status: "completed" },
+              { label: `Dual edges: ${dualEdges.length}`, status: "completed" },
+              { label: `Independent cycles: ${cycles}`, status: "rejected" },
+            ],
+          }
+        )
+      );
+      return;
+    }
+
+    this.steps.push(
+      baseStep(
+        `Dual graph: one node per triangle, joined across each diagonal. ${m} nodes and ${dualEdges.length} edges - every diagonal splits the polygon in two, so the dual graph is a tree`,
+        5,
+        {},
+        {
+          eventQueue: triangleQueue(() => "pending"),
+          activeSet: [],
+          output: dualEdges.map(([a, b]) => ({
+            label: `T${a + 1} – T${b + 1}`,
+            status: "new",
+          })),
+        }
+      )
+    );
+
+    // DFS from T1: its three vertices take the three colors, then each triangle is colored when entered
+    const color = vertices.map(() => -1);
+    const colored = [];
+    const treeEdges = [];
+    const visited = new Set();
+    const order = [];
+    const stack = [{ node: 0, parent: null, diagonal: null }];
+    while (stack.length > 0) {
+      const { node, parent, diagonal } = stack.pop();
+      if (visited.has(node)) continue;
+      visited.add(node);
+      order.push(node);
+
+      let newVertices;
+      let description;
+      if (parent === null) {
+        newVertices = triangles[node];
+        newVertices.forEach((id, c) => (color[id] = c));
+        description = `Start the DFS at T1 and give its vertices the three colors: ${newVertices
+          .map((id) => `${vLabel(id)} ${colorNames[color[id]]}`)
+          .join(", ")}`;
+      } else {
+        treeEdges.push([parent, node]);
+        const [u, v] = diagonal;
+        const w = triangles[node].find((id) => id !== u && id !== v);
+        newVertices = color[w] === -1 ? [w] : [];
+        if (color[w] === -1) color[w] = 3 - color[u] - color[v];
+        description = `Enter T${node + 1} from T${
+          parent + 1
+        } across diagonal ${vLabel(u)}–${vLabel(v)} (${colorNames[color[u]]}, ${
+          colorNames[color[v]]
+        }). ${vLabel(
+          w
+        )} lies on the unvisited side of that diagonal, so it is still uncolored and takes ${
+          colorNames[color[w]]
+        }`;
+      }
+      newVertices.forEach((id) => colored.push(id));
+
+      for (const next of [...adjacency[node]].reverse()) {
+        if (!visited.has(next.node))
+          stack.push({
+            node: next.node,
+            parent: node,
+            diagonal: next.diagonal,
+          });
+      }
+
+      const visitedNow = new Set(order);
+      this.steps.push(
+        baseStep(
+          description,
+          6,
+          {
+            treeEdges: [...treeEdges],
+            currentTriangle: node,
+            currentDiagonal: diagonal
+              ? diagonal.map((id) => vertices[id])
+              : null,
+            coloredVertices: colored.map((id) => ({
+              vertex: vertices[id],
+              color: color[id],
+            })),
+          },
+          {
+            eventQueue: triangleQueue((k) =>
+              k === node
+                ? "current"
+                : visitedNow.has(k)
+                ? "processed"
+                : "pending"
+            ),
+            activeSet: [...stack].reverse().map((entry) => ({
+              label: `T${entry.node + 1} via ${entry.diagonal
+                .map(vLabel)
+                .join("–")}`,
+              status: "active",
+            })),
+            output: colored.map((id) => ({
+              label: `${vLabel(id)}: ${colorNames[color[id]]}`,
+              status: newVertices.includes(id) ? "new" : "processed",
+              vertex: vertices[id],
+            })),
+          }
+        )
+      );
+    }
+
+    // Every triangle shows all three colors, so each color class alone sees the whole polygon
+    const counts = [0, 1, 2].map((c) => color.filter((x) => x === c).length);
+    const smallest = counts.indexOf(Math.min(...counts));
+    const n = vertices.length;
+    this.steps.push(
+      baseStep(
+        `3-coloring complete: every triangle has one vertex of each color, so guards at the ${
+          colorNames[smallest]
+        } vertices (${
+          counts[smallest]
+        }) see the whole polygon - never more than ⌊n/3⌋ = ⌊${n}/3⌋ = ${Math.floor(
+          n / 3
+        )} (Fisk)`,
+        7,
+        {
+          treeEdges: [...treeEdges],
+          coloredVertices: colored.map((id) => ({
+            vertex: vertices[id],
+            color: color[id],
+          })),
+        },
+        {
+          eventQueue: triangleQueue(() => "processed"),
+          activeSet: [],
+          output: counts.map((count, c) => ({
+            label: `${colorNames[c]}: ${count} vertices`,
+            status: c === smallest ? "completed" : "kept",
+          })),
+        }
+      )
+    );
   }
 
   getCurrentStep() {
@@ -0,0 +1,360 @@
+/**
+ * Visibility Polygon - Rotational (Angular) Sweep
+ * This implementation computes the region of a simple polygon that is visible from a viewpoint inside it.
+ * A ray from the viewpoint rotates through the polygon's vertices in angular order, keeping the set of
+ * edges it currently crosses (the active edges). Only the nearest active edge is visible along the ray;
+ * whenever the nearest edge changes at a vertex, the ray's hit points just before and after that vertex
+ * are emitted as vertices of the visibility polygon. Vertices hidden behind the nearest edge emit nothing.
+ * NOTE: Angles are measured as on screen (canvas y grows downward), so the ray turns clockwise.
+ * - Resources:
+ *   - https://en.wikipedia.org/wiki/Visibility_polygon
+ *   - "Visibility of disjoint polygons" by T. Asano, T. Asano, L. Guibas, J. Hershberger and H. Imai (Algorithmica, 1986)
+ *   - Chapter 15, "Visibility Graphs", in "Computational Geometry: Algorithms and Applications" by Mark de Berg et al.
+ *   - "Art Gallery Theorems and Algorithms" by Joseph O'Rourke (https://archive.org/details/artgallerytheore0000orou)
+ */
+
+class VisibilityPolygonAlgorithm {
+  constructor() {
+    this.polygon = new Polygon();
+    this.viewpoint = null;
+    this.visible = [];
+    this.steps = [];
+    this.currentStep = 0;
+    this.algorithmStep = 0;
+  }
+
+  addVertex(xOrPoint, y) {
+    // Accept addVertex(point) or addVertex(x, y); vertices can only be added to an open polygon
+    if (this.polygon.isComplete) return;
+    if (typeof xOrPoint === "object" && xOrPoint !== null) {
+      this.polygon.addVertex(xOrPoint.x, xOrPoint.y);
+    } else {
+      this.polygon.addVertex(xOrPoint, y);
+    }
+    this.reset();
+  }
+
+  completePolygon() {
+    this.polygon.complete();
+    this.reset();
+  }
+
+  removeVertex(point) {
+    const index = this.polygon.vertices.findIndex(
+      (v) => Math.abs(v.x - point.x) < 10 && Math.abs(v.y - point.y) < 10
+    );
+    if (index !== -1) {
+      this.polygon.vertices.splice(index, 1);
+      if (this.polygon.vertices.length < 3) this.polygon.isComplete = false;
+      this.polygon.updateEdges();
+      this.viewpoint = null;
+      this.reset();
+    }
+  }
+
+  // Places (or moves) the viewpoint; it must lie inside the closed polygon or on its boundary.
+  // The current step is kept (clamped), so that dragging the viewpoint replays the same sweep position.
+  setViewpoint(x, y) {
+    if (!this.polygon.isComplete || !this.polygon.isSimple()) return false;
+    if (!this.polygon.interiorViewpoint({ x, y })) return false;
+    const keep = this.currentStep;
+    this.viewpoint = { x, y };
+    this.reset();
+    this.computeSteps();
+    this.currentStep = Math.min(keep, this.steps.length - 1);
+    return true;
+  }
+
+  removeViewpoint() {
+    this.viewpoint = null;
+    this.reset();
+  }
+
+  isNearViewpoint(x, y, r) {
+    return (
+      !!this.viewpoint &&
+      Math.hypot(this.viewpoint.x - x, this.viewpoint.y - y) <= r
+    );
+  }
+
+  reset() {
+    this.steps = [];
+    this.currentStep = 0;
+    this.visible = [];
+    this.algorithmStep = 0;
+  }
+
+  clear() {
+    this.polygon = new Polygon();
+    this.viewpoint = null;
+    this.reset();
+  }
+
+  computeSteps() {
+    this.steps = [];
+    this.visible = [];
+    const verts = this.polygon.vertices;
+    const n = verts.length;
+    const vLabel = (i) => `V${i + 1}`;
+    const eLabel = (i) => `E${i + 1} (${vLabel(i)}–${vLabel((i + 1) % n)})`;
+    const vertexQueue = () =>
+      verts.map((v, i) => ({
+        label: `${vLabel(i)} (${v.x.toFixed(1)}, ${v.y.toFixed(1)})`,
+        status: "pending",
+        vertex: v,
+      }));
+
+    // Polygon or viewpoint still missing: a single step with instructions
+    const setupStep = (description) => {
+      this.steps.push({
+        description,
+        polygon: this.polygon.clone(),
+        viewpoint: this.viewpoint,
+        algorithmStep: 0,
+        eventSets: {
+          eventQueue: vertexQueue(),
+          activeSet: [],
+          output: [],
+        },
+      });
+    };
+
+    if (!this.polygon.isComplete) {
+      setupStep(
+        n < 3
+          ? "Click to add polygon vertices (at least 3)"
+          : `${n} vertices - press Play to close the polygon`
+      );
+      return;
+    }
+    if (!this.polygon.isSimple()) {
+      const intersections = this.polygon.getSelfIntersections();
+      this.steps.push({
+        description:
+          "Polygon is not simple (self-intersections detected) - visibility is ill-defined",
+        polygon: this.polygon.clone(),
+        intersections,
+        algorithmStep: 0,
+        eventSets: {
+          eventQueue: [{ label: "Validate polygon", status: "processed" }],
+          activeSet: [],
+          output: [
+            {
+              label: `Self-intersections detected: ${intersections.length}`,
+              status: "new",
+            },
+          ],
+        },
+      });
+      return;
+    }
+    if (!this.viewpoint) {
+      setupStep("Click inside the polygon to place the viewpoint");
+      return;
+    }
+
+    // Run the sweep, recording its state at every event
+    const events = [];
+    this.visible = this.polygon.visibilityPolygon(this.viewpoint, (event) =>
+      events.push(event)
+    );
+    if (events.length === 0) {
+      setupStep("The viewpoint is outside the polygon - place it inside");
+      return;
+    }
+
+    const q = events[0].viewpoint;
+    const startAngle = events[0].direction;
+    const toDegrees = (a) => {
+      const rel =
+        (((a - startAngle) % (2 * Math.PI)) + 2 * Math.PI) % (2 * Math.PI);
+      return ((rel * 180) / Math.PI).toFixed(1);
+    };
+    // Vertices in sweep order, as the event queue
+    const order = events
+      .filter((e) => e.type === "vertex")
+      .flatMap((e) => e.vertices.map((vi) => ({ vi, direction: e.direction })));
+    const done = new Set();
+
+    // Distance from q to edge ei along the ray at angle `direction` (for ordering the active set)
+    const rayDistance = (ei, direction) => {
+      const a = verts[ei];
+      const b = verts[(ei + 1) % n];
+      const d = { x: Math.cos(direction), y: Math.sin(direction) };
+      const e = { x: b.x - a.x, y: b.y - a.y };
+      const denom = d.x * e.y - d.y * e.x;
+      if (denom === 0) return Infinity;
+      return ((a.x - q.x) * e.y - (a.y - q.y) * e.x) / denom;
+    };
+
+    const pushStep = (description, algorithmStep, event, extra = {}) => {
+      const { current = [], nearest = null, removed = [], added = [] } = extra;
+      const direction = event.direction;
+      const active = [...event.active].sort(
+        (a, b) => rayDistance(a, direction) - rayDistance(b, direction)
+      );
+      const emittedBefore = this.steps.length
+        ? this.steps[this.steps.length - 1].output.length
+        : 0;
+      const output = event.type === "end" ? this.visible : event.output;
+      // At the first ray, the nearest edge is simply the closest active one
+      const nearestEdge =
+        event.type === "start" && active.length ? active[0] : nearest;
+      const hitLabel = (hit) =>
+        hit ? `(${hit.point.x.toFixed(1)}, ${hit.point.y.toFixed(1)})` : "—";
+      this.steps.push({
+        description,
+        polygon: this.polygon.clone(),
+        viewpoint: this.viewpoint,
+        sweepPoint: q,
+        direction,
+        rayVertices: current,
+        activeEdges: active,
+        nearestEdge,
+        removedEdges: removed,
+        hits: [event.before, event.after].filter(Boolean).map((h) => h.point),
+        output: [...output],
+        visible: event.type === "end" ? [...this.visible] : [],
+        algorithmStep,
+        eventSets: {
+          eventQueue: order.map(({ vi, direction: a }) => ({
+            label: `${vLabel(vi)} at ${toDegrees(a)}°`,
+            status: current.includes(vi)
+              ? "current"
+              : done.has(vi)
+              ? "processed"
+              : "pending",
+            vertex: verts[vi],
+          })),
+          activeSet: [
+            ...active.map((ei) => ({
+              label: eLabel(ei),
+              status:
+                ei === nearestEdge
+                  ? "current"
+                  : added.includes(ei)
+                  ? "new"
+                  : "active",
+              edge: ei,
+            })),
+            ...removed.map((ei) => ({
+              label: `${eLabel(ei)} (removed)`,
+              status: "rejected",
+              edge: ei,
+            })),
+          ],
+          ray:
+            event.type === "end"
+              ? null
+              : {
+                  angle: toDegrees(direction),
+                  nearest: nearestEdge !== null ? eLabel(nearestEdge) : "—",
+                  before: hitLabel(event.before),
+                  after: hitLabel(event.after),
+                },
+          output: output.map((p, i) => ({
+            label: `W${i + 1} (${p.x.toFixed(1)}, ${p.y.toFixed(1)})`,
+            status:
+              event.type === "end"
+                ? "completed"
+                : i >= emittedBefore
+                ? "new"
+                : "processed",
+            point: p,
+          })),
+        },
+      });
+    };
+
+    for (const event of events) {
+      if (event.type === "start") {
+        pushStep(
+          `Sort the ${n} vertices by angle around the viewpoint; the first ray starts in the widest gap and crosses ${
+            event.active.length
+          } edge${event.active.length === 1 ? "" : "s"}`,
+          1,
+          event
+        );
+      } else if (event.type === "vertex") {
+        const names = event.vertices.map(vLabel).join(", ");
+        const nearest = event.after ? event.after.edge : null;
+        const changes = [
+          event.removed.length
+            ? `remove ${event.removed.map((ei) => `E${ei + 1}`).join(", ")}`
+            : "",
+          event.added.length
+            ? `add ${event.added.map((ei) => `E${ei + 1}`).join(", ")}`
+            : "",
+        ]
+          .filter(Boolean)
+          .join(", ");
+        const emitted =
+          event.output.length - this.steps[this.steps.length - 1].output.length;
+        pushStep(
+          event.visible
+            ? `Ray reaches ${names}${
+                changes ? `: ${changes}` : ""
+              }; the nearest edge changes, so ${
+                emitted > 0
+                  ? `emit ${emitted} point${emitted === 1 ? "" : "s"}`
+                  : "its hit point is already emitted"
+              }`
+            : `Ray reaches ${names}${
+                changes ? `: ${changes}` : ""
+              }; it is hidden behind E${nearest + 1}, nothing to emit`,
+          event.visible ? 3 : 2,
+          event,
+          {
+            current: event.vertices,
+            nearest,
+            removed: event.removed,
+            added: event.added,
+          }
+        );
+        event.vertices.forEach((vi) => done.add(vi));
+      } else {
+        pushStep(
+          `Sweep complete: the visibility polygon has ${
+            this.visible.length
+          } vertices and covers ${(
+            (Math.abs(this.polygon.signedAreaOf(this.visible)) /
+              this.polygon.area()) *
+            100
+          ).toFixed(1)}% of the polygon`,
+          4,
+          { ...event, direction: startAngle }
+        );
+      }
+    }
+  }
+
+  getCurrentStep() {
+    if (this.steps.length === 0) this.computeSteps();
+    return this.steps[this.currentStep] || this.steps[0];
+  }
+
+  nextStep() {
+    if (this.steps.length === 0) this.computeSteps();
+    if (this.currentStep < this.steps.length - 1) {
+      this.currentStep++;
+      return true;
+    }
+    return false;
+  }
+
+  prevStep() {
+    if (this.currentStep > 0) {
+      this.currentStep--;
+      return true;
+    }
+    return false;
+  }
+
+  canGoNext() {
+    return this.currentStep < this.steps.length - 1;
+  }
+
+  canGoPrev() {
+    return this.currentStep > 0;
+  }
+}
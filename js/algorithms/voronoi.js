@@ -3,6 +3,10 @@
  * Voronoi diagrams partition space into regions based on proximity to sites.
  * Each cell contains all points closest to its site. This class implements Voronoi diagram
  * construction using the dual of Delaunay triangulation.
+ * Like Delaunay, it offers the lifting view: the Delaunay triangles are the lower hull facets of
+ * the sites lifted onto the paraboloid z = x² + y².
+ * Its farthest-point mode keeps only the convex hull vertices as sites with a cell, and reads the
+ * smallest enclosing circle off the diagram.
  * - Resources:
  *   - https://en.wikipedia.org/wiki/Voronoi_diagram
  *   - https://en.wikipedia.org/wiki/Delaunay_triangulation
@@ -10,21 +14,48 @@
  *   - https://www.youtube.com/watch?v=EFg7avIoSv8 - Mod-08 Lec-18 Voronoi Diagram Construction by Dr. Pankaj Agarwal, NPTEL Course on Computational Geometry
  *   - https://www.youtube.com/watch?v=IqdSdbxrTsY - Mod-08 Lec-19 Delaunay Triangulation by Dr. Sandeep Sen, NPTEL Course on Computational Geometry
  *   - Section 8.4 of "Computational Geometry & Computer Graphics in C++" by Michael J. Laszlo
+ *   - https://en.wikipedia.org/wiki/Smallest-circle_problem
+ *   - Section 7.4 "Farthest-Point Voronoi Diagrams" in "Computational Geometry: Algorithms and Applications" by Mark de Berg et al.
+ *   - "A simple algorithm for computing the smallest enclosing circle" by Sven Skyum, Information Processing Letters 37 (1991)
  */
 
 class VoronoiAlgorithm {
+  // Modes offered in the UI's mode select (see AlgorithmManager.setMode)
+  static modes = [
+    { value: "standard", label: "Sites" },
+    { value: "weighted", label: "Weighted sites (power diagram)" },
+    { value: "farthest", label: "Farthest-point sites" },
+    { value: "lloyd", label: "Lloyd relaxation (CVT)" },
+  ];
+
+  static DEFAULT_RADIUS = 30;
+  static LLOYD_ITERATIONS = 60;
+  static LLOYD_TOLERANCE = 0.5; // Lloyd stops once no site moves farther than this (px)
+
   constructor() {
     this.points = [];
+    this.radii = []; // One per site; only the weighted mode uses them
+    this.boundary = []; // Lloyd mode: the clip region's vertices (a dragged box or Shift+clicked polygon)
+    this.boundaryIsBox = false;
+    this.mode = "standard";
     this.steps = [];
     this.currentStep = 0;
     this.voronoiCells = [];
     this.delaunayTriangulation = [];
     this.algorithmStep = 0;
     this.showDuality = false;
+    this.showLifting = false; // 3D view of the sites lifted onto the paraboloid z = x² + y²
+  }
+
+  setMode(mode) {
+    if (!VoronoiAlgorithm.modes.some((m) => m.value === mode)) return;
+    this.mode = mode;
+    this.reset();
   }
 
   addPoint(point) {
     this.points.push(point);
+    this.radii.push(VoronoiAlgorithm.DEFAULT_RADIUS);
     this.reset();
   }
 
@@ -34,10 +65,30 @@ class VoronoiAlgorithm {
     );
     if (index !== -1) {
       this.points.splice(index, 1);
+      this.radii.splice(index, 1);
       this.reset();
     }
   }
 
+  radiusOf(index) {
+    return this.radii[index] ?? VoronoiAlgorithm.DEFAULT_RADIUS;
+  }
+
+  setRadius(index, radius) {
+    if (!this.points[index]) return;
+    this.radii[index] = Math.max(0, radius);
+    this.reset();
+  }
+
+  // Index of the site whose circle passes within `tolerance` of (x, y), or -1 (weighted mode only)
+  radiusHandleAt(x, y, tolerance) {
+    if (this.mode !== "weighted") return -1;
+    return this.points.findIndex(
+      (p, i) =>
+        Math.abs(Math.hypot(p.x - x, p.y - y) - this.radiusOf(i)) <= tolerance
+    );
+  }
+
   reset() {
     this.steps = [];
     this.currentStep = 0;
@@ -48,6 +99,35 @@ class VoronoiAlgorithm {
 
   clear() {
     this.points = [];
+    this.radii = [];
+    this.boundary = [];
+    this.boundaryIsBox = false;
+    this.reset();
+  }
+
+  // Lloyd mode: the dragged box replaces the boundary
+  setBoundaryBox(x1, y1, x2, y2) {
+    this.boundary = [
+      new Point(Math.min(x1, x2), Math.min(y1, y2)),
+      new Point(Math.max(x1, x2), Math.min(y1, y2)),
+      new Point(Math.max(x1, x2), Math.max(y1, y2)),
+      new Point(Math.min(x1, x2), Math.max(y1, y2)),
+    ];
+    this.boundaryIsBox = true;
+    this.reset();
+  }
+
+  // Lloyd mode: adds a vertex to the boundary polygon (closed once it has 3), replacing a box
+  addBoundaryVertex(x, y) {
+    if (this.boundaryIsBox) this.boundary = [];
+    this.boundary.push(new Point(x, y));
+    this.boundaryIsBox = false;
+    this.reset();
+  }
+
+  setBoundary(vertices) {
+    this.boundary = vertices.map((v) => new Point(v.x, v.y));
+    this.boundaryIsBox = false;
     this.reset();
   }
 
@@ -55,6 +135,10 @@ class VoronoiAlgorithm {
     this.showDuality = !this.showDuality;
   }
 
+  toggleLifting() {
+    this.showLifting = !this.showLifting;
+  }
+
   computeSteps() {
     if (this.points.length < 3) {
       this.steps = [
@@ -86,6 +170,18 @@ class VoronoiAlgorithm {
     }
 
     this.steps = [];
+    if (this.mode === "weighted") {
+      this.computeWeightedSteps();
+      return;
+    }
+    if (this.mode === "farthest") {
+      this.computeFarthestSteps();
+      return;
+    }
+    if (this.mode === "lloyd") {
+      this.computeLloydSteps();
+      return;
+    }
 
     // Step 0: Introduction
     this.steps.push({
@@ -127,6 +223,9 @@ class VoronoiAlgorithm {
         highlightedPoints: ds.highlightedPoints
           ? [...ds.highlightedPoints]
           : [],
+        // The point being inserted and the triangles whose circumcircle contains it
+        newPoint: ds.newPoint || null,
+        badTriangles: ds.badTriangles ? [...ds.badTriangles] : [],
         showDuality: this.showDuality,
         algorithmStep: 1,
         eventSets: ds.eventSets
@@ -402,6 +501,817 @@ class VoronoiAlgorithm {
     });
   }
 
+  // Power diagram, built as its dual regular triangulation by Bowyer-Watson on the power distance.
+  // A triangle's power circle is centered at its power center c (same power to its three sites),
+  // with W = |c - a|² - ra²; a new site p conflicts with it when |c - p|² - rp² < W, which is
+  // exactly when p's lift (x, y, x² + y² - r²) lies below the plane through the triangle's lifted
+  // corners. Sites inside a cavity, and sites in conflict with nothing, are hidden: their cells vanish.
+  computeWeightedSteps() {
+    const points = this.points;
+    const radius = new Map(points.map((p, i) => [p, this.radiusOf(i)]));
+    const label = (p) => `P${points.indexOf(p) + 1}`;
+
+    // A roomier super triangle than plain Delaunay's: large radii reach further out
+    const xs = points.map((p) => p.x);
+    const ys = points.map((p) => p.y);
+    const margin =
+      10 *
+      Math.max(
+        Math.max(...xs) - Math.min(...xs),
+        Math.max(...ys) - Math.min(...ys),
+        1
+      );
+    const superTriangle = new DelaunayBowyerWatson().createSuperTriangle({
+      minX: Math.min(...xs) - margin,
+      minY: Math.min(...ys) - margin,
+      maxX: Math.max(...xs) + margin,
+      maxY: Math.max(...ys) + margin,
+    });
+    let triangles = [superTriangle];
+    const hiddenBy = new Map(); // Site index -> index of the site that hid it (-1: at insertion)
+
+    const conflicts = (triangle, p) => {
+      const c = this.getPowerCenter(triangle, radius);
+      if (!c) return false;
+      const a = triangle[0];
+      const W = (c.x - a.x) ** 2 + (c.y - a.y) ** 2 - (radius.get(a) || 0) ** 2;
+      const power = (c.x - p.x) ** 2 + (c.y - p.y) ** 2 - radius.get(p) ** 2;
+      return power < W - 1e-9 * Math.max(1, Math.abs(W));
+    };
+    const pointStatuses = (current) =>
+      points.map((p, j) => ({
+        point: p,
+        index: j,
+        status: hiddenBy.has(j)
+          ? "rejected"
+          : j === current
+          ? "current"
+          : j < current
+          ? "processed"
+          : "pending",
+      }));
+    const vanished = () =>
+      [...hiddenBy.entries()].map(([j, by]) => ({
+        label: `P${j + 1}: cell vanished${
+          by === -1 ? " (redundant)" : ` (hidden by P${by + 1})`
+        }`,
+        status: "rejected",
+      }));
+    const pushStep = (description, algorithmStep, current, extra = {}) =>
+      this.steps.push({
+        description,
+        voronoiCells: [],
+        delaunayTriangulation: [...triangles],
+        points: [...points],
+        highlightedPoints: current >= 0 ? [current] : [],
+        hiddenSites: [...hiddenBy.keys()],
+        showDuality: this.showDuality,
+        algorithmStep,
+        ...extra,
+        eventSets: {
+          points: pointStatuses(current),
+          eventQueue: points
+            .map((p, j) => ({
+              label: `P${j + 1} (r = ${this.radiusOf(j).toFixed(1)})`,
+              status:
+                j < current
+                  ? "processed"
+                  : j === current
+                  ? "current"
+                  : "pending",
+            }))
+            .filter((e) => e.status !== "processed"),
+          activeSet: extra.activeSet || [],
+          output: vanished(),
+        },
+      });
+
+    pushStep(
+      "Weighted sites: the power distance |x − P|² − r² replaces the distance, which lifts each site to (x, y, x² + y² − r²). Start from a super triangle",
+      8,
+      -1
+    );
+
+    points.forEach((p, i) => {
+      const bad = triangles
+        .map((t, k) => k)
+        .filter((k) => conflicts(triangles[k], p));
+      if (bad.length === 0) {
+        hiddenBy.set(i, -1);
+        pushStep(
+          `P${
+            i + 1
+          } is redundant: it has positive power to every power circle, so its lift is above the lower hull and its cell is empty`,
+          11,
+          i,
+          { newPoint: p }
+        );
+        return;
+      }
+      pushStep(
+        `Insert P${i + 1}: it has negative power to the power circles of ${
+          bad.length
+        } triangle${
+          bad.length === 1 ? "" : "s"
+        } (its lift is below their planes)`,
+        9,
+        i,
+        {
+          newPoint: p,
+          badTriangles: bad,
+          activeSet: bad.map((k) => ({
+            label: `Conflict: ${triangles[k].map(label).join(" ")}`,
+            status: "active",
+          })),
+        }
+      );
+
+      // Boundary edges of the cavity: the edges of exactly one conflicting triangle
+      const cavity = bad.map((k) => triangles[k]);
+      const edges = cavity.flatMap((t) => [
+        [t[0], t[1]],
+        [t[1], t[2]],
+        [t[2], t[0]],
+      ]);
+      const boundary = edges.filter(
+        ([a, b]) =>
+          edges.filter(([c, d]) => (a === c && b === d) || (a === d && b === c))
+            .length === 1
+      );
+      const onBoundary = new Set(boundary.flat());
+      const swallowed = [...new Set(cavity.flat())].filter(
+        (v) => !onBoundary.has(v) && points.includes(v)
+      );
+      swallowed.forEach((v) => hiddenBy.set(points.indexOf(v), i));
+
+      triangles = triangles.filter((t, k) => !bad.includes(k));
+      const created = boundary.map(([a, b]) => [p, a, b]);
+      triangles.push(...created);
+      pushStep(
+        `Retriangulate the cavity around P${i + 1} with ${
+          created.length
+        } triangles${
+          swallowed.length
+            ? `; ${swallowed.map(label).join(", ")} lay inside it and ${
+                swallowed.length === 1 ? "is" : "are"
+              } now hidden (empty cell${swallowed.length === 1 ? "" : "s"})`
+            : ""
+        }`,
+        10,
+        i,
+        {
+          newPoint: p,
+          activeSet: created.map((t) => ({
+            label: `New: ${t.map(label).join(" ")}`,
+            status: "new",
+          })),
+        }
+      );
+    });
+
+    // Drop the super triangle, then one power center per regular triangle
+    triangles = triangles.filter(
+      (t) => !t.some((v) => superTriangle.includes(v))
+    );
+    this.delaunayTriangulation = [...triangles];
+    const powerCenters = triangles.map(
+      (t) => this.getPowerCenter(t, radius) || this.getCircumcenter(t)
+    );
+    pushStep(
+      `Remove the super triangle: the regular (weighted Delaunay) triangulation has ${triangles.length} triangles. Their power centers are the power diagram's vertices`,
+      12,
+      points.length,
+      {
+        circumcenters: [...powerCenters],
+        activeSet: powerCenters.map((c, k) => ({
+          label: `Power center ${k + 1}`,
+          status: "active",
+          point: c,
+        })),
+      }
+    );
+
+    // A power cell need not contain its site, so its vertices are ordered around their mean
+    this.voronoiCells = this.constructVoronoiCells(
+      triangles,
+      powerCenters,
+      true
+    );
+    pushStep(
+      `Power diagram complete: ${this.voronoiCells.length} cells${
+        hiddenBy.size
+          ? `, ${hiddenBy.size} site${
+              hiddenBy.size === 1 ? "" : "s"
+            } without a cell`
+          : ""
+      }. Toggle duality to see the regular triangulation`,
+      13,
+      points.length,
+      {
+        voronoiCells: [...this.voronoiCells],
+        circumcenters: [...powerCenters],
+        activeSet: this.voronoiCells.map((cell) => ({
+          label: `Cell(${label(cell.site)})`,
+          status: "active",
+        })),
+      }
+    );
+    const last = this.steps[this.steps.length - 1];
+    last.eventSets.output.push({
+      label: `Cells: ${this.voronoiCells.length}`,
+      status: "completed",
+    });
+  }
+
+  // Farthest-point Voronoi diagram: a site's cell holds the points farther from it than from any
+  // other site, so only convex hull vertices get one (and it is unbounded). The dual farthest-point
+  // Delaunay triangulation is built by cutting off, again and again, the hull vertex whose circle
+  // through it and its two neighbours is largest (Skyum's order): that circle holds every site, so
+  // the ear is a farthest-point Delaunay triangle and its circumcenter a vertex of the diagram.
+  computeFarthestSteps() {
+    const points = this.points;
+    const label = (p) => `P${points.indexOf(p) + 1}`;
+    const fmt = (v) => v.toFixed(1);
+
+    // Hull from QuickHull, without vertices lying on a hull edge (they never get a cell)
+    const quickHull = new QuickHullAlgorithm();
+    points.forEach((p) => quickHull.addPoint(p));
+    quickHull.computeSteps();
+    const hull = [...quickHull.hull];
+    const cross = (a, b, c) =>
+      (b.x - a.x) * (c.y - a.y) - (b.y - a.y) * (c.x - a.x);
+    for (let k = 0; hull.length > 2 && k < hull.length; ) {
+      const prev = hull[(k + hull.length - 1) % hull.length];
+      const next = hull[(k + 1) % hull.length];
+      if (Math.abs(cross(prev, hull[k], next)) < 1e-9) {
+        hull.splice(k, 1);
+        k = 0;
+      } else k++;
+    }
+    const onHull = new Set(hull);
+    const center = {
+      x: hull.reduce((sum, p) => sum + p.x, 0) / hull.length,
+      y: hull.reduce((sum, p) => sum + p.y, 0) / hull.length,
+    };
+
+    // Unbounded edges are drawn as long segments, and the cells are clipped to a large box
+    const xs = points.map((p) => p.x);
+    const ys = points.map((p) => p.y);
+    const span = Math.max(
+      Math.max(...xs) - Math.min(...xs),
+      Math.max(...ys) - Math.min(...ys),
+      1
+    );
+    const reach = 4 * span + 2000;
+
+    let remaining = [...hull];
+    const triangles = [];
+    const centers = [];
+    const edges = [];
+    const edgeOwner = new Map(); // Diagonal "i,j" -> index of the triangle that cut it off
+    const edgeKey = (a, b) =>
+      [points.indexOf(a), points.indexOf(b)].sort((i, j) => i - j).join(",");
+    const hullEdges = new Set(
+      hull.map((p, k) => edgeKey(p, hull[(k + 1) % hull.length]))
+    );
+
+    const pushStep = (description, algorithmStep, extra = {}) =>
+      this.steps.push({
+        description,
+        voronoiCells: [],
+        delaunayTriangulation: [...triangles],
+        points: [...points],
+        highlightedPoints: [],
+        hull: [...hull],
+        remainingHull: [...remaining],
+        circumcenters: [...centers],
+        voronoiEdges: [...edges],
+        showDuality: this.showDuality,
+        algorithmStep,
+        ...extra,
+        eventSets: {
+          points: points.map((p, j) => ({
+            point: p,
+            index: j,
+            status: !onHull.has(p)
+              ? "rejected"
+              : extra.current === p
+              ? "current"
+              : remaining.includes(p)
+              ? "pending"
+              : "processed",
+          })),
+          eventQueue: remaining.map((p) => ({
+            label: `Hull vertex ${label(p)}`,
+            status: extra.current === p ? "current" : "pending",
+            point: p,
+          })),
+          activeSet: extra.activeSet || [],
+          output: [
+            ...triangles.map((t, k) => ({
+              label: `Vertex ${k + 1}: center of ${t.map(label).join(" ")}`,
+              status: "completed",
+              point: centers[k],
+            })),
+            ...(extra.output || []),
+          ],
+        },
+      });
+
+    pushStep(
+      `Farthest-point sites: compute the convex hull (QuickHull). Only its ${
+        hull.length
+      } vertices can be the farthest site from anywhere${
+        points.length > hull.length
+          ? `; the ${points.length - hull.length} other site${
+              points.length - hull.length === 1 ? " gets" : "s get"
+            } no cell`
+          : ""
+      }`,
+      14
+    );
+    if (hull.length < 2) {
+      pushStep("All sites coincide: there is no diagram to build", 14);
+      return;
+    }
+
+    // Connects the diagram vertex of triangle k across one of its edges: to the triangle cut off
+    // earlier on the other side, or, across a hull edge, with a ray pointing into the hull
+    const connect = (k, a, b) => {
+      const key = edgeKey(a, b);
+      const c = centers[k];
+      if (edgeOwner.has(key)) {
+        edges.push({ a: c, b: centers[edgeOwner.get(key)], sites: [a, b] });
+      } else if (hullEdges.has(key)) {
+        let nx = a.y - b.y;
+        let ny = b.x - a.x;
+        if (nx * (center.x - a.x) + ny * (center.y - a.y) < 0) {
+          nx = -nx;
+          ny = -ny;
+        }
+        const len = Math.hypot(nx, ny);
+        const direction = { x: nx / len, y: ny / len };
+        edges.push({
+          a: c,
+          b: new Point(c.x + direction.x * reach, c.y + direction.y * reach),
+          sites: [a, b],
+          direction,
+        });
+      } else {
+        edgeOwner.set(key, k);
+      }
+    };
+    const addTriangle = (triangle) => {
+      triangles.push(triangle);
+      centers.push(this.getCircumcenter(triangle));
+      const k = triangles.length - 1;
+      triangle.forEach((a, i) => connect(k, a, triangle[(i + 1) % 3]));
+    };
+
+    while (remaining.length > 3) {
+      const n = remaining.length;
+      const ears = remaining.map((v, k) => {
+        const prev = remaining[(k + n - 1) % n];
+        const next = remaining[(k + 1) % n];
+        const c = this.getCircumcenter([prev, v, next]);
+        const angle = Math.abs(
+          Math.atan2(
+            cross(v, prev, next),
+            (prev.x - v.x) * (next.x - v.x) + (prev.y - v.y) * (next.y - v.y)
+          )
+        );
+        return { prev, v, next, c, r: Point.distance(c, v), angle };
+      });
+      const ear = ears.reduce((best, e) =>
+        e.r > best.r + 1e-9 ||
+        (Math.abs(e.r - best.r) <= 1e-9 && e.angle > best.angle)
+          ? e
+          : best
+      );
+      pushStep(
+        `Cut off ${label(ear.v)}: its circle through ${label(
+          ear.prev
+        )} and ${label(ear.next)} is the largest (r = ${fmt(
+          ear.r
+        )}), so it encloses every site. The ear is a farthest-point Delaunay triangle and its center a vertex of the diagram`,
+        15,
+        {
+          current: ear.v,
+          ear: [ear.prev, ear.v, ear.next],
+          circle: { center: ear.c, radius: ear.r },
+          activeSet: ears.map((e) => ({
+            label: `Ear at ${label(e.v)}: r = ${fmt(e.r)}`,
+            status: e === ear ? "current" : "active",
+            point: e.v,
+          })),
+        }
+      );
+      addTriangle([ear.prev, ear.v, ear.next]);
+      remaining = remaining.filter((p) => p !== ear.v);
+    }
+
+    if (remaining.length === 3) {
+      const c = this.getCircumcenter(remaining);
+      const r = Point.distance(c, remaining[0]);
+      pushStep(
+        `Last triangle ${remaining
+          .map(label)
+          .join(" ")}: its circumcircle (r = ${fmt(
+          r
+        )}) encloses every site, giving the last vertex of the diagram`,
+        15,
+        {
+          ear: [...remaining],
+          circle: { center: c, radius: r },
+          activeSet: remaining.map((p) => ({
+            label: `Hull vertex ${label(p)}`,
+            status: "current",
+            point: p,
+          })),
+        }
+      );
+      addTriangle([...remaining]);
+    } else {
+      // Collinear sites: the two extreme ones split the plane along their bisector
+      const [a, b] = remaining;
+      const m = new Point((a.x + b.x) / 2, (a.y + b.y) / 2);
+      const len = Point.distance(a, b);
+      const dx = ((a.y - b.y) / len) * reach;
+      const dy = ((b.x - a.x) / len) * reach;
+      edges.push({
+        a: new Point(m.x - dx, m.y - dy),
+        b: new Point(m.x + dx, m.y + dy),
+        sites: [a, b],
+      });
+    }
+    remaining = [];
+
+    // Each cell: a box around the sites and the diagram's vertices (a vertex can lie far out when
+    // a hull corner is nearly flat), cut down to the points farther from its site than from the others
+    const bx = [...xs, ...centers.map((c) => c.x)];
+    const by = [...ys, ...centers.map((c) => c.y)];
+    const box = [
+      new Point(Math.min(...bx) - reach, Math.min(...by) - reach),
+      new Point(Math.max(...bx) + reach, Math.min(...by) - reach),
+      new Point(Math.max(...bx) + reach, Math.max(...by) + reach),
+      new Point(Math.min(...bx) - reach, Math.max(...by) + reach),
+    ];
+    this.delaunayTriangulation = [...triangles];
+    this.voronoiCells = hull.map((site) => ({
+      site,
+      vertices: hull
+        .filter((q) => q !== site)
+        .reduce((cell, q) => this.clipFarther(cell, site, q), box),
+    }));
+    pushStep(
+      `Farthest-point Voronoi diagram complete: ${hull.length} unbounded cells, one per hull vertex, and ${centers.length} vertices. Toggle duality to see the farthest-point Delaunay triangulation`,
+      16,
+      {
+        voronoiCells: [...this.voronoiCells],
+        activeSet: this.voronoiCells.map((cell) => ({
+          label: `Cell(${label(cell.site)})`,
+          status: "active",
+          point: cell.site,
+        })),
+      }
+    );
+
+    // The smallest enclosing circle's center minimizes the distance to the farthest site. Inside a
+    // cell that is the distance to the cell's site, which lies outside the cell, so the minimum is on
+    // the diagram: at a vertex, or on an edge at the midpoint of its two sites if the edge holds it.
+    const candidates = centers.map((c, k) => ({
+      label: `Vertex ${k + 1}: r = ${fmt(Point.distance(c, triangles[k][0]))}`,
+      center: c,
+      radius: Point.distance(c, triangles[k][0]),
+      sites: triangles[k],
+    }));
+    edges.forEach((e) => {
+      const [a, b] = e.sites;
+      const m = new Point((a.x + b.x) / 2, (a.y + b.y) / 2);
+      const onEdge = e.direction
+        ? (m.x - e.a.x) * e.direction.x + (m.y - e.a.y) * e.direction.y >= 0
+        : (m.x - e.a.x) * (m.x - e.b.x) + (m.y - e.a.y) * (m.y - e.b.y) <= 0;
+      if (onEdge)
+        candidates.push({
+          label: `Edge ${label(a)}-${label(b)}, at their midpoint: r = ${fmt(
+            Point.distance(a, b) / 2
+          )}`,
+          center: m,
+          radius: Point.distance(a, b) / 2,
+          sites: [a, b],
+        });
+    });
+    const best = candidates.reduce((min, c) =>
+      c.radius < min.radius ? c : min
+    );
+    pushStep(
+      `Smallest enclosing circle: its center minimizes the distance to the farthest site. Inside a cell that is the distance to the cell's site, so the minimum lies on the diagram: check its ${
+        centers.length
+      } vertices and the ${candidates.length - centers.length} edge${
+        candidates.length - centers.length === 1 ? "" : "s"
+      } holding the midpoint of their two sites`,
+      17,
+      {
+        voronoiCells: [...this.voronoiCells],
+        candidates,
+        bestCandidate: best,
+        activeSet: candidates.map((c) => ({
+          label: c.label,
+          status: c === best ? "current" : "active",
+          point: c.center,
+        })),
+      }
+    );
+    pushStep(
+      `Smallest enclosing circle: center (${fmt(best.center.x)}, ${fmt(
+        best.center.y
+      )}), r = ${fmt(best.radius)}, ${
+        best.sites.length === 2
+          ? `with ${best.sites.map(label).join(" and ")} as a diameter`
+          : `through ${best.sites.map(label).join(", ")}`
+      }`,
+      18,
+      {
+        voronoiCells: [...this.voronoiCells],
+        enclosingCircle: best,
+        activeSet: best.sites.map((p) => ({
+          label: `On the circle: ${label(p)}`,
+          status: "active",
+          point: p,
+        })),
+        output: [
+          {
+            label: `Enclosing circle: r = ${fmt(best.radius)}`,
+            status: "completed",
+          },
+        ],
+      }
+    );
+  }
+
+  // Lloyd relaxation: move every site to the centroid of its Voronoi cell, clipped to the boundary,
+  // and rebuild the diagram. The energy, the sum over the cells of ∫ |x − site|², never increases,
+  // and the sites settle into a centroidal Voronoi tessellation (CVT): each is its cell's centroid.
+  // Cells come straight from half-plane clipping, which also handles a non-convex boundary.
+  computeLloydSteps() {
+    const region = this.lloydRegion();
+    const area = Math.abs(new Polygon().signedAreaOf(region.vertices)) || 1;
+    const fmt = (v) => v.toFixed(1);
+    const energy = [];
+    const movement = [];
+    let sites = this.points.map((p) => new Point(p.x, p.y));
+
+    // Coincident sites would share one cell (or both lose it): spread each copy of a site
+    // around the first at a tiny radius, so that every site gets a cell of its own
+    const xs = region.vertices.map((v) => v.x);
+    const ys = region.vertices.map((v) => v.y);
+    const nudge =
+      1e-3 *
+      Math.max(
+        Math.max(...xs) - Math.min(...xs),
+        Math.max(...ys) - Math.min(...ys)
+      );
+    let nudged = 0;
+    sites.forEach((p, i) => {
+      const first = sites.findIndex((q) => Point.distance(p, q) < 1e-9);
+      if (first === i) return;
+      const copy = sites
+        .slice(0, i)
+        .filter((q) => Point.distance(q, sites[first]) <= nudge * 1.01).length;
+      const angle = copy * 2.399963; // Golden angle: copies never line up
+      sites[i] = new Point(
+        sites[first].x + nudge * Math.cos(angle),
+        sites[first].y + nudge * Math.sin(angle)
+      );
+      nudged++;
+    });
+
+    this.steps.push({
+      description: `Lloyd relaxation inside ${
+        region.label
+      }: clip each Voronoi cell to it, move each site to its cell's centroid, and repeat${
+        nudged
+          ? ` (${nudged} site${
+              nudged === 1 ? " coincides" : "s coincide"
+            } with another and ${nudged === 1 ? "is" : "are"} nudged ${fmt(
+              nudge
+            )} px apart)`
+          : ""
+      }`,
+      voronoiCells: [],
+      delaunayTriangulation: [],
+      points: [...this.points],
+      sites: [...sites],
+      boundary: region.vertices,
+      highlightedPoints: [],
+      showDuality: this.showDuality,
+      algorithmStep: 19,
+      lloyd: { iteration: 0, energy: [], movement: [] },
+      eventSets: {
+        points: sites.map((p, i) => ({
+          point: p,
+          index: i,
+          status: "pending",
+        })),
+        eventQueue: [],
+        activeSet: [],
+        output: [],
+      },
+    });
+
+    for (let iteration = 1; ; iteration++) {
+      // Each cell: the region, cut to the points closer to its site than to any other site
+      // (closer to p than to q = farther from q than from p)
+      const cells = sites.map((p, i) => ({
+        site: p,
+        vertices: sites.reduce(
+          (cell, q, j) => (j === i ? cell : this.clipFarther(cell, q, p)),
+          region.vertices
+        ),
+      }));
+      const centroids = cells.map((cell, i) => {
+        if (cell.vertices.length < 3) return sites[i];
+        const c = new Polygon(cell.vertices).centroid();
+        return new Point(c.x, c.y);
+      });
+      const moves = centroids.map((c, i) => Point.distance(c, sites[i]));
+      const largest = Math.max(...moves);
+      energy.push(
+        cells.reduce((sum, cell) => sum + this.cellEnergy(cell), 0) / area
+      );
+      movement.push(largest);
+      // The cells tile the region; if rounding ever breaks that, stop rather than claim a CVT
+      const covered =
+        cells.reduce(
+          (sum, cell) =>
+            sum +
+            (cell.vertices.length < 3
+              ? 0
+              : Math.abs(new Polygon().signedAreaOf(cell.vertices))),
+          0
+        ) / area;
+      const tiled = Math.abs(covered - 1) < 1e-6;
+
+      const done =
+        !tiled ||
+        largest < VoronoiAlgorithm.LLOYD_TOLERANCE ||
+        iteration >= VoronoiAlgorithm.LLOYD_ITERATIONS;
+      this.voronoiCells = cells.filter((cell) => cell.vertices.length >= 3);
+      this.steps.push({
+        description: done
+          ? !tiled
+            ? `Stopped after ${iteration} iterations: the cells cover ${(
+                covered * 100
+              ).toFixed(2)}% of the region instead of all of it`
+            : largest < VoronoiAlgorithm.LLOYD_TOLERANCE
+            ? `Converged after ${iteration} iterations: every site is within ${
+                VoronoiAlgorithm.LLOYD_TOLERANCE
+              } px of its cell's centroid, a centroidal Voronoi tessellation (energy ${fmt(
+                energy[energy.length - 1]
+              )})`
+            : `Stopped after ${iteration} iterations: sites still move up to ${fmt(
+                largest
+              )} px (energy ${fmt(energy[energy.length - 1])})`
+          : `Iteration ${iteration}: energy ${fmt(
+              energy[energy.length - 1]
+            )}; every site moves to its cell's centroid, the largest move is ${fmt(
+              largest
+            )} px`,
+        voronoiCells: [...this.voronoiCells],
+        delaunayTriangulation: [],
+        points: [...this.points],
+        sites: [...sites],
+        centroids: done ? [] : centroids,
+        boundary: region.vertices,
+        highlightedPoints: [],
+        showDuality: this.showDuality,
+        algorithmStep: done ? 21 : 20,
+        lloyd: { iteration, energy: [...energy], movement: [...movement] },
+        eventSets: {
+          points: sites.map((p, i) => ({
+            point: p,
+            index: i,
+            status:
+              cells[i].vertices.length < 3
+                ? "rejected"
+                : moves[i] < VoronoiAlgorithm.LLOYD_TOLERANCE
+                ? "processed"
+                : "current",
+          })),
+          eventQueue: [],
+          activeSet: done
+            ? []
+            : sites.map((p, i) => ({
+                label: `P${i + 1}: moves ${fmt(moves[i])} px`,
+                status:
+                  moves[i] < VoronoiAlgorithm.LLOYD_TOLERANCE
+                    ? "processed"
+                    : "active",
+              })),
+          output: energy.map((e, k) => ({
+            label: `Iteration ${k + 1}: energy ${fmt(e)}, largest move ${fmt(
+              movement[k]
+            )} px`,
+            status: "completed",
+          })),
+        },
+      });
+      if (done) break;
+      sites = centroids;
+    }
+  }
+
+  // The Lloyd mode's clip region: the user's box or polygon, else the sites' bounding box, padded
+  lloydRegion() {
+    if (this.boundary.length >= 3) {
+      const polygon = new Polygon(this.boundary.map((v) => ({ ...v })));
+      polygon.complete();
+      if (polygon.isSimple())
+        return {
+          vertices: this.boundary,
+          label: this.boundaryIsBox
+            ? "the bounding box"
+            : "the boundary polygon",
+        };
+    }
+    const xs = this.points.map((p) => p.x);
+    const ys = this.points.map((p) => p.y);
+    const pad =
+      20 +
+      0.1 *
+        Math.max(
+          Math.max(...xs) - Math.min(...xs),
+          Math.max(...ys) - Math.min(...ys)
+        );
+    const [x1, y1] = [Math.min(...xs) - pad, Math.min(...ys) - pad];
+    const [x2, y2] = [Math.max(...xs) + pad, Math.max(...ys) + pad];
+    return {
+      vertices: [
+        new Point(x1, y1),
+        new Point(x2, y1),
+        new Point(x2, y2),
+        new Point(x1, y2),
+      ],
+      label:
+        this.boundary.length >= 3
+          ? "the sites' bounding box (the boundary polygon crosses itself)"
+          : "the sites' bounding box",
+    };
+  }
+
+  // Second moment ∫ |x − site|² over a cell, summed over the triangles from the site to its edges
+  cellEnergy(cell) {
+    const { site, vertices } = cell;
+    let sum = 0;
+    vertices.forEach((v, i) => {
+      const w = vertices[(i + 1) % vertices.length];
+      const [ax, ay] = [v.x - site.x, v.y - site.y];
+      const [bx, by] = [w.x - site.x, w.y - site.y];
+      sum +=
+        (ax * by - bx * ay) *
+        (ax * ax + ax * bx + bx * bx + ay * ay + ay * by + by * by);
+    });
+    return Math.abs(sum) / 12;
+  }
+
+  // Clips a polygon to the half-plane of points at least as far from `site` as from `other`:
+  // |x - site|² >= |x - other|², i.e. 2 x·(other - site) >= |other|² - |site|². A non-convex
+  // polygon may keep zero-width bridges (Sutherland-Hodgman), which do not change its area.
+  clipFarther(polygon, site, other) {
+    const f = (p) =>
+      2 * (p.x * (other.x - site.x) + p.y * (other.y - site.y)) -
+      (other.x * other.x +
+        other.y * other.y -
+        site.x * site.x -
+        site.y * site.y);
+    const result = [];
+    polygon.forEach((p, i) => {
+      const q = polygon[(i + 1) % polygon.length];
+      const fp = f(p);
+      const fq = f(q);
+      if (fp >= 0) result.push(p);
+      if (fp >= 0 !== fq >= 0) {
+        const t = fp / (fp - fq);
+        result.push(new Point(p.x + t * (q.x - p.x), p.y + t * (q.y - p.y)));
+      }
+    });
+    return result;
+  }
+
+  // Point with equal power distance |x - p|² - r² to the three sites of a triangle
+  getPowerCenter(triangle, radius) {
+    const [a, b, c] = triangle;
+    const [ra, rb, rc] = triangle.map((p) => radius.get(p) || 0);
+    const d = 2 * ((b.x - a.x) * (c.y - a.y) - (c.x - a.x) * (b.y - a.y));
+    if (Math.abs(d) < 1e-10) return null;
+    const B = b.x * b.x + b.y * b.y - a.x * a.x - a.y * a.y - rb * rb + ra * ra;
+    const C = c.x * c.x + c.y * c.y - a.x * a.x - a.y * a.y - rc * rc + ra * ra;
+    return new Point(
+      (B * (c.y - a.y) - C * (b.y - a.y)) / d,
+      (C * (b.x - a.x) - B * (c.x - a.x)) / d
+    );
+  }
+
   getCircumcenter(triangle) {
     const [a, b, c] = triangle;
     const d = 2 * (a.x * (b.y - c.y) + b.x * (c.y - a.y) + c.x * (a.y - b.y));
@@ -435,7 +1345,7 @@ class VoronoiAlgorithm {
     return new Point(ux, uy);
   }
 
-  constructVoronoiCells(triangulation, circumcenters) {
+  constructVoronoiCells(triangulation, circumcenters, aroundMean = false) {
     const cells = [];
     const pointToCircumcenters = new Map();
 
@@ -454,10 +1364,18 @@ class VoronoiAlgorithm {
 
     // For each point, create a Voronoi cell
     for (const [point, cellCircumcenters] of pointToCircumcenters.entries()) {
-      // Sort circumcenters by polar angle
+      // Sort circumcenters by polar angle, around the site or around their mean
+      const center = aroundMean
+        ? new Point(
+            cellCircumcenters.reduce((sum, c) => sum + c.x, 0) /
+              cellCircumcenters.length,
+            cellCircumcenters.reduce((sum, c) => sum + c.y, 0) /
+              cellCircumcenters.length
+          )
+        : point;
       const sortedCircumcenters = this.sortPointsByPolarAngle(
         cellCircumcenters,
-        point
+        center
       );
       cells.push({
         site: point,
@@ -483,6 +1401,7 @@ class VoronoiAlgorithm {
 
     const step = this.steps[this.currentStep] || this.steps[0];
     step.showDuality = this.showDuality;
+    step.showLifting = this.showLifting;
     return step;
   }
 
@@ -1,10 +1,990 @@
 /**
  * Randomizer helper for CGViz
  * - Moves randomized input generation out of UI controls.
- * - API: window.Randomizer.applyRandomize(uiControls, opts)
+ * - Random simple polygons come from one of several seeded generators (see POLYGON_SHAPES).
+ * - Named worst-case and degenerate inputs per topic come from PRESETS (opts.preset or the Preset select).
+ * - API: window.Randomizer.applyRandomize(uiControls, opts), window.Randomizer.polygonShapes,
+ *   window.Randomizer.presetsFor(algorithm)
  */
 
 (function () {
+  // --- Random simple polygon generators ---
+  // Each takes { rnd, n, box, randomPoint } and returns the vertices of a simple polygon in order.
+  // `box` is the drawable area { x, y, w, h }; `randomPoint` samples the selected point distribution.
+
+  const cross = (o, a, b) =>
+    (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+
+  // Proper crossing of segments ab and cd (shared endpoints do not count)
+  const segmentsCross = (a, b, c, d) =>
+    cross(a, b, c) * cross(a, b, d) < 0 && cross(c, d, a) * cross(c, d, b) < 0;
+
+  const shuffle = (arr, rnd) => {
+    for (let i = arr.length - 1; i > 0; i--) {
+      const j = Math.floor(rnd() * (i + 1));
+      [arr[i], arr[j]] = [arr[j], arr[i]];
+    }
+    return arr;
+  };
+
+  // Random points at least 6px apart (as elsewhere in the randomizer)
+  const distinctPoints = (n, randomPoint) => {
+    const pts = [];
+    for (let attempts = 0; pts.length < n && attempts < n * 20; attempts++) {
+      const p = randomPoint();
+      if (!pts.some((q) => Math.hypot(p.x - q.x, p.y - q.y) < 6)) pts.push(p);
+    }
+    return pts;
+  };
+
+  // Convex hull (monotone chain), used by steady growth
+  const convexHull = (points) => {
+    const pts = [...points].sort((a, b) => a.x - b.x || a.y - b.y);
+    if (pts.length < 3) return pts;
+    const chain = (list) => {
+      const out = [];
+      for (const p of list) {
+        while (
+          out.length >= 2 &&
+          cross(out[out.length - 2], out[out.length - 1], p) <= 0
+        )
+          out.pop();
+        out.push(p);
+      }
+      out.pop();
+      return out;
+    };
+    return [...chain(pts), ...chain([...pts].reverse())];
+  };
+
+  const insideConvex = (hull, p) => {
+    if (hull.length < 3) return false;
+    for (let i = 0; i < hull.length; i++) {
+      if (cross(hull[i], hull[(i + 1) % hull.length], p) < 0) return false;
+    }
+    return true;
+  };
+
+  // Star-shaped: random points sorted by angle around their centroid
+  function starPolygon({ n, randomPoint }) {
+    const pts = Array.from({ length: n }, () => randomPoint());
+    const c = pts.reduce((acc, p) => ({ x: acc.x + p.x, y: acc.y + p.y }), {
+      x: 0,
+      y: 0,
+    });
+    c.x /= pts.length;
+    c.y /= pts.length;
+    return pts.sort(
+      (a, b) =>
+        Math.atan2(a.y - c.y, a.x - c.x) - Math.atan2(b.y - c.y, b.x - c.x)
+    );
+  }
+
+  // 2-opt: start from a random tour and reverse the chain between any two crossing edges,
+  // until none cross. Every move shortens the tour, so this terminates.
+  function twoOptPolygon({ rnd, n, randomPoint }) {
+    const poly = shuffle(distinctPoints(n, randomPoint), rnd);
+    const m = poly.length;
+    for (let changed = true, passes = 0; changed && passes < 10 * m * m; ) {
+      changed = false;
+      for (let i = 0; i < m - 2; i++) {
+        for (let j = i + 2; j < m; j++) {
+          if (i === 0 && j === m - 1) continue; // Adjacent through the closing edge
+          const a = poly[i];
+          const b = poly[i + 1];
+          const c = poly[j];
+          const d = poly[(j + 1) % m];
+          if (segmentsCross(a, b, c, d)) {
+            // Reconnect as a-c and b-d
+            for (let lo = i + 1, hi = j; lo < hi; lo++, hi--)
+              [poly[lo], poly[hi]] = [poly[hi], poly[lo]];
+            changed = true;
+            passes++;
+          }
+        }
+      }
+    }
+    return poly;
+  }
+
+  // Space partitioning (Auer & Held): split the points by the line through two of them, then
+  // recursively join each chain's endpoints through a random point s, splitting the rest by a
+  // random line through s. Every sub-chain stays inside its own convex cell, so none cross.
+  function spacePartitionPolygon({ rnd, n, randomPoint }) {
+    const pts = shuffle(distinctPoints(n, randomPoint), rnd);
+    if (pts.length < 3) return pts;
+    const [a, b, ...rest] = pts;
+
+    const chain = (f, l, set) => {
+      if (set.length === 0) return [];
+      const s = set[Math.floor(rnd() * set.length)];
+      const u = 0.1 + 0.8 * rnd();
+      const t = { x: f.x + u * (l.x - f.x), y: f.y + u * (l.y - f.y) };
+      const sideOfF = Math.sign(cross(s, t, f));
+      const others = set.filter((p) => p !== s);
+      const toF = others.filter((p) => Math.sign(cross(s, t, p)) === sideOfF);
+      const toL = others.filter((p) => Math.sign(cross(s, t, p)) !== sideOfF);
+      return [...chain(f, s, toF), s, ...chain(s, l, toL)];
+    };
+
+    const left = rest.filter((p) => cross(a, b, p) > 0);
+    const right = rest.filter((p) => cross(a, b, p) <= 0);
+    return [a, ...chain(a, b, left), b, ...chain(b, a, right)];
+  }
+
+  // Steady growth (Auer & Held): repeatedly pick a point whose addition keeps the remaining
+  // points outside the convex hull, and splice it in place of an edge it sees completely.
+  function steadyGrowthPolygon({ rnd, n, randomPoint }) {
+    const remaining = shuffle(distinctPoints(n, randomPoint), rnd);
+    const poly = [remaining.pop()];
+
+    const keepsOthersOutside = (s) => {
+      const hull = convexHull([...poly, s]);
+      if (hull.length < 3) {
+        // Segment: no other point may lie on it
+        const [a, b] = [poly[0], s];
+        return !remaining.some(
+          (p) =>
+            p !== s &&
+            cross(a, b, p) === 0 &&
+            (p.x - a.x) * (p.x - b.x) + (p.y - a.y) * (p.y - b.y) <= 0
+        );
+      }
+      return !remaining.some((p) => p !== s && insideConvex(hull, p));
+    };
+    const edgeVisible = (i, s) => {
+      const u = poly[i];
+      const v = poly[(i + 1) % poly.length];
+      if (cross(u, v, s) === 0) return false;
+      for (let k = 0; k < poly.length; k++) {
+        const a = poly[k];
+        const b = poly[(k + 1) % poly.length];
+        if (segmentsCross(s, u, a, b) || segmentsCross(s, v, a, b))
+          return false;
+      }
+      return true;
+    };
+
+    while (remaining.length > 0) {
+      let placed = false;
+      for (const s of remaining) {
+        if (!keepsOthersOutside(s)) continue;
+        const start = Math.floor(rnd() * poly.length);
+        for (let k = 0; k < poly.length && !placed; k++) {
+          const i = (start + k) % poly.length;
+          if (poly.length < 3 || edgeVisible(i, s)) {
+            poly.splice(i + 1, 0, s);
+            placed = true;
+          }
+        }
+        if (placed) {
+          remaining.splice(remaining.indexOf(s), 1);
+          break;
+        }
+      }
+      if (!placed) break; // Only in degenerate (collinear) cases
+    }
+    return poly;
+  }
+
+  // Orthogonal: grow a hole-free set of grid cells (with random row/column sizes) one
+  // neighbouring cell at a time, then trace its boundary. Cells touching only at a corner are
+  // avoided, so the boundary is a simple polygon. Orthogonal polygons have an even vertex count:
+  // for an odd n one convex corner is cut off diagonally (n = 3: half a cell).
+  function orthogonalPolygon({ rnd, n, box }) {
+    const target = Math.max(4, n - (n % 2));
+    const G = Math.max(3, Math.ceil(Math.sqrt(2 * n)) + 1);
+    const cumulative = (size) => {
+      const widths = Array.from({ length: G }, () => 0.5 + rnd());
+      const total = widths.reduce((a, b) => a + b, 0);
+      let acc = 0;
+      return [0, ...widths.map((w) => (acc += (w / total) * size))];
+    };
+    const side = Math.min(box.w, box.h);
+    const xs = cumulative(side).map((v) => v + box.x + (box.w - side) / 2);
+    const ys = cumulative(side).map((v) => v + box.y + (box.h - side) / 2);
+
+    const cells = new Set();
+    const key = (i, j) => i * (G + 2) + j;
+    const has = (i, j) => cells.has(key(i, j));
+
+    // Boundary of the cell set, as lattice corners with collinear ones dropped
+    const trace = () => {
+      const next = new Map();
+      for (const k of cells) {
+        const i = Math.floor(k / (G + 2));
+        const j = k % (G + 2);
+        if (!has(i, j - 1)) next.set(key(i, j), [i + 1, j]);
+        if (!has(i + 1, j)) next.set(key(i + 1, j), [i + 1, j + 1]);
+        if (!has(i, j + 1)) next.set(key(i + 1, j + 1), [i, j + 1]);
+        if (!has(i - 1, j)) next.set(key(i, j + 1), [i, j]);
+      }
+      const [first] = next.keys();
+      const loop = [];
+      let at = [Math.floor(first / (G + 2)), first % (G + 2)];
+      do {
+        loop.push(at);
+        at = next.get(key(at[0], at[1]));
+      } while (key(at[0], at[1]) !== first && loop.length <= next.size);
+      return loop.filter((p, idx) => {
+        const a = loop[(idx - 1 + loop.length) % loop.length];
+        const b = loop[(idx + 1) % loop.length];
+        return (p[0] - a[0]) * (b[1] - p[1]) !== (p[1] - a[1]) * (b[0] - p[0]);
+      });
+    };
+
+    const pinched = (i, j) => {
+      for (const [di, dj] of [
+        [-1, -1],
+        [0, -1],
+        [-1, 0],
+        [0, 0],
+      ]) {
+        const a = has(i + di, j + dj);
+        const b = has(i + di + 1, j + dj);
+        const c = has(i + di, j + dj + 1);
+        const d = has(i + di + 1, j + dj + 1);
+        if ((a && d && !b && !c) || (b && c && !a && !d)) return true;
+      }
+      return false;
+    };
+    const hasHole = () => {
+      // Flood the empty cells from outside the grid; any empty cell not reached is a hole
+      const seen = new Set([key(-1, -1)]);
+      const stack = [[-1, -1]];
+      while (stack.length) {
+        const [i, j] = stack.pop();
+        for (const [a, b] of [
+          [i + 1, j],
+          [i - 1, j],
+          [i, j + 1],
+          [i, j - 1],
+        ]) {
+          if (a < -1 || b < -1 || a > G || b > G) continue;
+          const k = key(a, b);
+          if (seen.has(k) || cells.has(k)) continue;
+          seen.add(k);
+          stack.push([a, b]);
+        }
+      }
+      return seen.size + cells.size < (G + 2) * (G + 2);
+    };
+
+    const mid = Math.floor(G / 2);
+    cells.add(key(mid, mid));
+    let corners = trace();
+    while (corners.length < target) {
+      const candidates = [];
+      for (const k of cells) {
+        const i = Math.floor(k / (G + 2));
+        const j = k % (G + 2);
+        for (const [a, b] of [
+          [i + 1, j],
+          [i - 1, j],
+          [i, j + 1],
+          [i, j - 1],
+        ]) {
+          if (a >= 0 && b >= 0 && a < G && b < G && !has(a, b))
+            candidates.push([a, b]);
+        }
+      }
+      // Cells touching a single filled cell grow branches, and so more reflex corners
+      const neighbours = ([a, b]) =>
+        has(a + 1, b) + has(a - 1, b) + has(a, b + 1) + has(a, b - 1);
+      const ordered = shuffle(candidates, rnd).sort(
+        (p, q) => (neighbours(p) === 1 ? 0 : 1) - (neighbours(q) === 1 ? 0 : 1)
+      );
+      // A cell changes the corner count by at most 4; never overshoot the target
+      let grown = false;
+      for (const [a, b] of ordered) {
+        cells.add(key(a, b));
+        if (!pinched(a, b) && !hasHole()) {
+          const traced = trace();
+          if (traced.length <= target) {
+            corners = traced;
+            grown = true;
+            break;
+          }
+        }
+        cells.delete(key(a, b));
+      }
+      if (!grown) break;
+    }
+
+    // Lattice corners to canvas coordinates (halves lie midway between grid lines)
+    const toXY = ([i, j]) => ({
+      x: xs[Math.floor(i)] + (i % 1) * (xs[Math.ceil(i)] - xs[Math.floor(i)]),
+      y: ys[Math.floor(j)] + (j % 1) * (ys[Math.ceil(j)] - ys[Math.floor(j)]),
+    });
+    // The lowest corner of the leftmost column is convex and its cell is filled: cut it there
+    if (n % 2 === 1) {
+      const c = corners.reduce(
+        (m, p, idx) =>
+          p[0] < corners[m][0] ||
+          (p[0] === corners[m][0] && p[1] < corners[m][1])
+            ? idx
+            : m,
+        0
+      );
+      const [i, j] = corners[c];
+      const prev = corners[(c - 1 + corners.length) % corners.length];
+      const cut =
+        n === 3
+          ? []
+          : prev[0] === i
+          ? [
+              [i, j + 0.5],
+              [i + 0.5, j],
+            ]
+          : [
+              [i + 0.5, j],
+              [i, j + 0.5],
+            ];
+      corners = [...corners.slice(0, c), ...cut, ...corners.slice(c + 1)];
+    }
+    return corners.map(toXY);
+  }
+
+  // Comb (Chvátal's worst case): k = ⌊n/3⌋ narrow teeth on a thin base, 3 vertices per tooth
+  // (the outer valleys are the base corners) and the other n - 3k on the bottom edge. No point
+  // sees two tooth tips, so ⌊n/3⌋ = k guards are really needed.
+  function combPolygon({ rnd, n, box }) {
+    const k = Math.max(1, Math.floor(n / 3));
+    const tw = box.w / k;
+    const tipY = box.y + box.h * 0.1;
+    const valleyY = box.y + box.h * 0.85;
+    const baseY = valleyY + (valleyY - tipY) * 0.06;
+    const poly = [];
+    for (let i = k - 1; i >= 0; i--) {
+      const left = box.x + i * tw;
+      poly.push(
+        { x: left + tw * 0.95, y: valleyY },
+        {
+          x: left + tw * (0.4 + 0.2 * rnd()),
+          y: tipY + rnd() * box.h * 0.1,
+        },
+        { x: left + tw * 0.05, y: valleyY }
+      );
+    }
+    poly[0] = { x: box.x + box.w, y: baseY };
+    poly[poly.length - 1] = { x: box.x, y: baseY };
+    const extra = Math.max(0, n - 3 * k);
+    for (let j = 1; j <= extra; j++)
+      poly.push({
+        x: box.x + (box.w * j) / (extra + 1),
+        y: baseY + (baseY - valleyY),
+      });
+    return poly;
+  }
+
+  // Spiral: a band winding around the centre; its inner side is one long reflex chain.
+  // An odd n adds a vertex capping the band's inner end (n = 3: a triangle)
+  function spiralPolygon({ rnd, n, box }) {
+    const m = Math.max(2, Math.floor(n / 2)); // Vertices per side of the band
+    const maxR = Math.min(box.w, box.h) / 2;
+    // At most ~0.6 rad between samples, so chords stay clear of the next turn
+    const turns = Math.min(2, ((m - 1) * 0.6) / (2 * Math.PI));
+    const pitch = maxR / (turns + 1.5);
+    const sweep = turns * 2 * Math.PI;
+    const phase = rnd() * 2 * Math.PI;
+    const dir = rnd() < 0.5 ? 1 : -1;
+    const cx = box.x + box.w / 2;
+    const cy = box.y + box.h / 2;
+
+    const at = (t, r) => ({
+      x: cx + r * Math.cos(phase + dir * t),
+      y: cy + r * Math.sin(phase + dir * t),
+    });
+    const inner = [];
+    const outer = [];
+    for (let j = 0; j < m; j++) {
+      const t = (sweep * j) / (m - 1);
+      const r = pitch * (0.5 + t / (2 * Math.PI)) + (rnd() - 0.5) * pitch * 0.1;
+      inner.push(at(t, r));
+      outer.push(at(t, r + pitch * 0.5));
+    }
+    if (n < 4) return [outer[0], outer[1], inner[0]];
+    const cap = n % 2 === 1 ? [at(-0.3, pitch * 0.75)] : [];
+    return [...outer, ...inner.reverse(), ...cap];
+  }
+
+  const POLYGON_SHAPES = {
+    star: { label: "Star-shaped (angle sort)", generate: starPolygon },
+    twoOpt: { label: "2-opt untangling", generate: twoOptPolygon },
+    spacePartition: {
+      label: "Space partitioning",
+      generate: spacePartitionPolygon,
+    },
+    steadyGrowth: { label: "Steady growth", generate: steadyGrowthPolygon },
+    orthogonal: { label: "Orthogonal", generate: orthogonalPolygon },
+    comb: { label: "Comb (Chvátal worst case)", generate: combPolygon },
+    spiral: { label: "Spiral", generate: spiralPolygon },
+  };
+
+  // --- Worst-case and degenerate presets ---
+  // Each preset's build({ rnd, n, box }) returns the input to load, keyed by kind:
+  // { points, segments, rectangles, intervals, lines, polygon }. PRESETS_BY_ALGORITHM lists
+  // which presets make sense for each topic; the first entry of the UI select is plain random input.
+
+  const center = (box) => ({ x: box.x + box.w / 2, y: box.y + box.h / 2 });
+  const radius = (box) => Math.min(box.w, box.h) * 0.42;
+  const clampCount = (n, min, max) =>
+    Math.max(min, Math.min(max, isFinite(n) ? Math.floor(n) : min));
+
+  // Points on a circle at random angles, snapped to a minimal angular spacing so none coincide
+  const circlePoints = (rnd, n, c, r) => {
+    const slots = Math.max(n, 360);
+    const angles = shuffle(
+      Array.from({ length: slots }, (_, i) => (i / slots) * Math.PI * 2),
+      rnd
+    ).slice(0, n);
+    return angles.map(
+      (t) => new Point(c.x + r * Math.cos(t), c.y + r * Math.sin(t))
+    );
+  };
+
+  // Repeats random existing points until there are n in total
+  const withDuplicates = (pts, n, rnd) => {
+    const out = [...pts];
+    while (out.length < n) {
+      const p = pts[Math.floor(rnd() * pts.length)];
+      out.push(new Point(p.x, p.y));
+    }
+    return shuffle(out, rnd);
+  };
+
+  const PRESETS = {
+    // Points
+    convexPosition: {
+      label: "All points in convex position",
+      build: ({ rnd, n, box }) => ({
+        points: circlePoints(
+          rnd,
+          clampCount(n, 3, 200),
+          center(box),
+          radius(box)
+        ),
+      }),
+    },
+    collinearDuplicates: {
+      label: "Collinear and duplicate points",
+      build: ({ rnd, n, box }) => {
+        const count = clampCount(n, 3, 200);
+        const c = center(box);
+        const r = radius(box);
+        // A few lines through the centre, with evenly spaced points on each
+        const lines = 3;
+        const perLine = Math.max(2, Math.ceil((count * 0.7) / lines));
+        const pts = [];
+        for (let l = 0; l < lines; l++) {
+          const t = rnd() * Math.PI;
+          for (let i = 0; i < perLine; i++) {
+            const s = -r + (2 * r * i) / (perLine - 1);
+            pts.push(new Point(c.x + s * Math.cos(t), c.y + s * Math.sin(t)));
+          }
+        }
+        return {
+          points: withDuplicates(pts, Math.max(count, pts.length + 1), rnd),
+        };
+      },
+    },
+    sharedCoordinates: {
+      label: "Shared x- and y-coordinates",
+      build: ({ rnd, n, box }) => {
+        const count = clampCount(n, 3, 200);
+        const cols = Math.max(2, Math.round(Math.sqrt(count) / 2));
+        const xs = Array.from(
+          { length: cols },
+          (_, i) => box.x + ((i + 0.5) * box.w) / cols
+        );
+        const ys = Array.from(
+          { length: cols },
+          (_, i) => box.y + ((i + 0.5) * box.h) / cols
+        );
+        // Half of the points share an x (vertical columns), the other half a y (rows)
+        return {
+          points: Array.from({ length: count }, (_, i) =>
+            i % 2 === 0
+              ? new Point(
+                  xs[Math.floor(rnd() * cols)],
+                  box.y + Math.round(rnd() * box.h)
+                )
+              : new Point(
+                  box.x + Math.round(rnd() * box.w),
+                  ys[Math.floor(rnd() * cols)]
+                )
+          ),
+        };
+      },
+    },
+    unbalancedArc: {
+      label: "Points bunched on an arc (unbalanced splits)",
+      build: ({ n, box }) => {
+        const count = clampCount(n, 3, 200);
+        const c = center(box);
+        const r = radius(box);
+        // Angles shrink geometrically towards one end of a half circle, so every farthest-point
+        // split leaves almost all remaining points on one side
+        const ratio = Math.pow(0.02, 1 / Math.max(1, count - 2));
+        return {
+          points: Array.from({ length: count }, (_, i) => {
+            const t = i === count - 1 ? 0 : Math.PI * Math.pow(ratio, i);
+            return new Point(c.x + r * Math.cos(t), c.y - r * Math.sin(t));
+          }),
+        };
+      },
+    },
+    coCircular: {
+      label: "Co-circular points",
+      build: (args) => PRESETS.convexPosition.build(args),
+    },
+    exactGrid: {
+      label: "Exact grid (collinear and co-circular)",
+      build: ({ n, box }) => {
+        const count = clampCount(n, 4, 200);
+        const cols = Math.max(2, Math.round(Math.sqrt(count)));
+        const rows = Math.max(2, Math.ceil(count / cols));
+        const step = Math.floor(Math.min(box.w / cols, box.h / rows));
+        const c = center(box);
+        const x0 = Math.round(c.x - (step * (cols - 1)) / 2);
+        const y0 = Math.round(c.y - (step * (rows - 1)) / 2);
+        const pts = [];
+        for (let j = 0; j < rows && pts.length < count; j++)
+          for (let i = 0; i < cols && pts.length < count; i++)
+            pts.push(new Point(x0 + i * step, y0 + j * step));
+        return { points: pts };
+      },
+    },
+    allCollinear: {
+      label: "All points collinear",
+      build: ({ rnd, n, box }) => {
+        const count = clampCount(n, 3, 200);
+        const c = center(box);
+        const r = radius(box);
+        const t = rnd() * Math.PI;
+        return {
+          points: shuffle(
+            Array.from({ length: count }, (_, i) => {
+              const s = -r + (2 * r * i) / (count - 1);
+              return new Point(c.x + s * Math.cos(t), c.y + s * Math.sin(t));
+            }),
+            rnd
+          ),
+        };
+      },
+    },
+    duplicatePoints: {
+      label: "Duplicate points",
+      build: ({ rnd, n, box }) => {
+        const count = clampCount(n, 3, 200);
+        const pts = Array.from(
+          { length: Math.max(2, Math.ceil(count / 2)) },
+          () => new Point(box.x + rnd() * box.w, box.y + rnd() * box.h)
+        );
+        return { points: withDuplicates(pts, count, rnd) };
+      },
+    },
+
+    // Segments
+    verticalSegments: {
+      label: "Vertical and horizontal segments",
+      build: ({ rnd, n, box }) => {
+        const count = clampCount(n, 3, 50);
+        const segments = [];
+        for (let i = 0; i < count; i++) {
+          const a = rnd();
+          const b = rnd();
+          const s = Math.min(a, b);
+          const e = Math.max(a, b) === s ? s + 0.2 : Math.max(a, b);
+          const at = rnd();
+          segments.push(
+            i % 2 === 0
+              ? new LineSegment(
+                  new Point(box.x + at * box.w, box.y + s * box.h),
+                  new Point(box.x + at * box.w, box.y + Math.min(1, e) * box.h)
+                )
+              : new LineSegment(
+                  new Point(box.x + s * box.w, box.y + at * box.h),
+                  new Point(box.x + Math.min(1, e) * box.w, box.y + at * box.h)
+                )
+          );
+        }
+        return { segments };
+      },
+    },
+    overlappingSegments: {
+      label: "Overlapping collinear segments",
+      build: ({ rnd, n, box }) => {
+        const count = clampCount(n, 3, 50);
+        const c = center(box);
+        const r = radius(box);
+        // Several segments along each of a few shared lines
+        const angles = [0, Math.PI / 2, rnd() * Math.PI];
+        const segments = [];
+        for (let i = 0; i < count; i++) {
+          const t = angles[i % angles.length];
+          const a = -r + rnd() * r * 1.4;
+          const b = a + r * (0.3 + rnd() * 0.6);
+          segments.push(
+            new LineSegment(
+              new Point(c.x + a * Math.cos(t), c.y + a * Math.sin(t)),
+              new Point(c.x + b * Math.cos(t), c.y + b * Math.sin(t))
+            )
+          );
+        }
+        return { segments };
+      },
+    },
+    sharedEndpoints: {
+      label: "Segments sharing endpoints",
+      build: ({ rnd, n, box }) => {
+        const count = clampCount(n, 3, 50);
+        // A closed chain plus spokes from a few of its vertices to a common hub
+        const chain = Math.max(3, Math.ceil(count / 2));
+        const c = center(box);
+        const pts = circlePoints(rnd, chain, c, radius(box)).sort(
+          (a, b) =>
+            Math.atan2(a.y - c.y, a.x - c.x) - Math.atan2(b.y - c.y, b.x - c.x)
+        );
+        const segments = pts.map(
+          (p, i) => new LineSegment(p, pts[(i + 1) % pts.length])
+        );
+        const hub = pts[0];
+        for (let i = 2; segments.length < count && i < pts.length - 1; i++)
+          segments.push(new LineSegment(hub, pts[i]));
+        return { segments };
+      },
+    },
+    concurrentSegments: {
+      label: "Many segments through one point",
+      build: ({ rnd, n, box }) => {
+        const count = clampCount(n, 3, 50);
+        const c = center(box);
+        const r = radius(box);
+        return {
+          segments: Array.from({ length: count }, () => {
+            const t = rnd() * Math.PI;
+            const a = r * (0.2 + rnd() * 0.8);
+            const b = r * (0.2 + rnd() * 0.8);
+            return new LineSegment(
+              new Point(c.x - a * Math.cos(t), c.y - a * Math.sin(t)),
+              new Point(c.x + b * Math.cos(t), c.y + b * Math.sin(t))
+            );
+          }),
+        };
+      },
+    },
+
+    // Rectangles
+    nestedRectangles: {
+      label: "Nested rectangles",
+      build: ({ rnd, n, box }) => {
+        const count = clampCount(n, 2, 50);
+        const c = center(box);
+        const rectangles = [];
+        for (let i = 0; i < count; i++) {
+          const f = 1 - i / count;
+          const hw = (box.w / 2) * f * (0.9 + rnd() * 0.1);
+          const hh = (box.h / 2) * f * (0.9 + rnd() * 0.1);
+          rectangles.push(
+            new Rectangle(c.x - hw, c.y - hh, c.x + hw, c.y + hh)
+          );
+        }
+        return { rectangles: shuffle(rectangles, rnd) };
+      },
+    },
+    identicalRectangles: {
+      label: "Identical rectangles",
+      build: ({ rnd, n, box }) => {
+        const count = clampCount(n, 2, 50);
+        const distinct = Array.from(
+          { length: Math.max(1, Math.floor(count / 4)) },
+          () => {
+            const x = box.x + rnd() * box.w * 0.6;
+            const y = box.y + rnd() * box.h * 0.6;
+            return [
+              x,
+              y,
+              x + box.w * (0.15 + rnd() * 0.25),
+              y + box.h * (0.15 + rnd() * 0.25),
+            ];
+          }
+        );
+        return {
+          rectangles: Array.from(
+            { length: count },
+            (_, i) => new Rectangle(...distinct[i % distinct.length])
+          ),
+        };
+      },
+    },
+    touchingRectangles: {
+      label: "Rectangles sharing edges",
+      build: ({ rnd, n, box }) => {
+        const count = clampCount(n, 2, 50);
+        const cols = Math.max(2, Math.ceil(Math.sqrt(count)));
+        const cw = Math.floor(box.w / cols);
+        const ch = Math.floor(box.h / cols);
+        const cells = shuffle(
+          Array.from({ length: cols * cols }, (_, i) => i),
+          rnd
+        ).slice(0, count);
+        return {
+          rectangles: cells.map((k) => {
+            const i = k % cols;
+            const j = Math.floor(k / cols);
+            const x = box.x + i * cw;
+            const y = box.y + j * ch;
+            return new Rectangle(x, y, x + cw, y + ch);
+          }),
+        };
+      },
+    },
+    zeroAreaRectangles: {
+      label: "Zero-width and zero-height rectangles",
+      build: ({ rnd, n, box }) => {
+        const count = clampCount(n, 2, 50);
+        return {
+          rectangles: Array.from({ length: count }, (_, i) => {
+            const x = box.x + rnd() * box.w * 0.7;
+            const y = box.y + rnd() * box.h * 0.7;
+            const size = 40 + rnd() * 160;
+            // Every third rectangle keeps its area so the others have something to cut through
+            if (i % 3 === 0)
+              return new Rectangle(x, y, x + size, y + size * 0.7);
+            return i % 3 === 1
+              ? new Rectangle(x, y, x, y + size)
+              : new Rectangle(x, y, x + size, y);
+          }),
+        };
+      },
+    },
+
+    // Intervals (on the 0-100 number line)
+    zeroLengthIntervals: {
+      label: "Zero-length intervals",
+      build: ({ rnd, n }) => {
+        const count = clampCount(n, 2, 50);
+        return {
+          intervals: Array.from({ length: count }, (_, i) => {
+            const a = Math.round(rnd() * 100);
+            // Some intervals start or end where a zero-length one sits
+            return i % 3 === 2
+              ? new Interval(a, Math.min(100, a + 5 + Math.round(rnd() * 30)))
+              : new Interval(a, a);
+          }),
+        };
+      },
+    },
+    identicalIntervals: {
+      label: "Identical intervals",
+      build: ({ rnd, n }) => {
+        const count = clampCount(n, 2, 50);
+        const distinct = Array.from(
+          { length: Math.max(1, Math.floor(count / 4)) },
+          () => {
+            const a = Math.round(rnd() * 70);
+            return [a, a + 10 + Math.round(rnd() * 20)];
+          }
+        );
+        return {
+          intervals: Array.from(
+            { length: count },
+            (_, i) => new Interval(...distinct[i % distinct.length])
+          ),
+        };
+      },
+    },
+    nestedIntervals: {
+      label: "Nested intervals",
+      build: ({ rnd, n }) => {
+        const count = clampCount(n, 2, 50);
+        return {
+          intervals: shuffle(
+            Array.from({ length: count }, (_, i) => {
+              const half = 50 * (1 - i / count);
+              return new Interval(50 - half, 50 + half);
+            }),
+            rnd
+          ),
+        };
+      },
+    },
+    sharedEndpointIntervals: {
+      label: "Intervals sharing endpoints",
+      build: ({ rnd, n }) => {
+        const count = clampCount(n, 2, 50);
+        // A few breakpoints; every interval starts and ends on one of them
+        const k = Math.max(3, Math.ceil(Math.sqrt(count)) + 1);
+        const stops = Array.from({ length: k }, (_, i) =>
+          Math.round((100 * i) / (k - 1))
+        );
+        return {
+          intervals: Array.from({ length: count }, () => {
+            const i = Math.floor(rnd() * (stops.length - 1));
+            const j =
+              i + 1 + Math.floor(rnd() * Math.min(2, stops.length - 1 - i));
+            return new Interval(stops[i], stops[j]);
+          }),
+        };
+      },
+    },
+
+    // Point-line duality
+    collinearDual: {
+      label: "Collinear points (concurrent dual lines)",
+      build: (args) => PRESETS.allCollinear.build(args),
+    },
+    parallelLines: {
+      label: "Parallel lines (dual points share x)",
+      build: ({ rnd, n, box }) => {
+        const count = clampCount(Math.floor(n / 2), 2, 50);
+        const c = center(box);
+        const t = rnd() * Math.PI;
+        const d = { x: Math.cos(t), y: Math.sin(t) };
+        return {
+          lines: Array.from({ length: count }, (_, i) => {
+            const off = (i - (count - 1) / 2) * (radius(box) / count) * 2;
+            const p = { x: c.x - d.y * off, y: c.y + d.x * off };
+            return DualLine.fromPoints(
+              new Point(p.x - d.x * 50, p.y - d.y * 50),
+              new Point(p.x + d.x * 50, p.y + d.y * 50)
+            );
+          }),
+        };
+      },
+    },
+    concurrentLines: {
+      label: "Concurrent lines (collinear dual points)",
+      build: ({ rnd, n, box }) => {
+        const count = clampCount(Math.floor(n / 2), 2, 50);
+        const c = center(box);
+        return {
+          lines: Array.from({ length: count }, (_, i) => {
+            const t = (i / count) * Math.PI + rnd() * 0.05;
+            return DualLine.fromPoints(
+              new Point(c.x, c.y),
+              new Point(c.x + 50 * Math.cos(t), c.y + 50 * Math.sin(t))
+            );
+          }),
+        };
+      },
+    },
+
+    // Polygons
+    regularPolygon: {
+      label: "Regular polygon (co-circular vertices)",
+      build: ({ n, box }) => {
+        const count = clampCount(n, 3, 50);
+        const c = center(box);
+        const r = radius(box);
+        return {
+          polygon: Array.from({ length: count }, (_, i) => {
+            const t = (i / count) * Math.PI * 2;
+            return { x: c.x + r * Math.cos(t), y: c.y + r * Math.sin(t) };
+          }),
+        };
+      },
+    },
+    collinearEdges: {
+      label: "Collinear vertices along the edges",
+      build: ({ n, box }) => {
+        const count = clampCount(n, 4, 50);
+        // A rectangle with the remaining vertices spread evenly along its sides
+        const x0 = box.x + box.w * 0.1;
+        const y0 = box.y + box.h * 0.1;
+        const x1 = box.x + box.w * 0.9;
+        const y1 = box.y + box.h * 0.9;
+        const corners = [
+          { x: x0, y: y0 },
+          { x: x1, y: y0 },
+          { x: x1, y: y1 },
+          { x: x0, y: y1 },
+        ];
+        const polygon = [];
+        for (let s = 0; s < 4; s++) {
+          const a = corners[s];
+          const b = corners[(s + 1) % 4];
+          const k = Math.floor((count - 4) / 4) + (s < (count - 4) % 4 ? 1 : 0);
+          for (let i = 0; i <= k; i++) {
+            const f = i / (k + 1);
+            polygon.push({
+              x: a.x + (b.x - a.x) * f,
+              y: a.y + (b.y - a.y) * f,
+            });
+          }
+        }
+        return { polygon };
+      },
+    },
+  };
+
+  const HULL_PRESETS = [
+    "convexPosition",
+    "collinearDuplicates",
+    "sharedCoordinates",
+    "unbalancedArc",
+    "duplicatePoints",
+  ];
+  const TRIANGULATION_PRESETS = [
+    "coCircular",
+    "exactGrid",
+    "allCollinear",
+    "duplicatePoints",
+  ];
+  const SEGMENT_PRESETS = [
+    "verticalSegments",
+    "overlappingSegments",
+    "sharedEndpoints",
+    "concurrentSegments",
+  ];
+  const RECTANGLE_PRESETS = [
+    "nestedRectangles",
+    "identicalRectangles",
+    "touchingRectangles",
+    "zeroAreaRectangles",
+  ];
+  const INTERVAL_PRESETS = [
+    "zeroLengthIntervals",
+    "identicalIntervals",
+    "nestedIntervals",
+    "sharedEndpointIntervals",
+  ];
+  const POLYGON_PRESETS = ["regularPolygon", "collinearEdges"];
+
+  const PRESETS_BY_ALGORITHM = {
+    giftWrap: HULL_PRESETS,
+    grahamScan: HULL_PRESETS,
+    quickHull: HULL_PRESETS,
+    monotoneChain: HULL_PRESETS,
+    chanHull: HULL_PRESETS,
+    kirkpatrickSeidel: HULL_PRESETS,
+    mergeHull: HULL_PRESETS,
+    delaunay: TRIANGULATION_PRESETS,
+    lawsonFlip: TRIANGULATION_PRESETS,
+    randomizedDelaunay: TRIANGULATION_PRESETS,
+    voronoi: TRIANGULATION_PRESETS,
+    fortuneVoronoi: TRIANGULATION_PRESETS,
+    orderKVoronoi: TRIANGULATION_PRESETS,
+    segmentIntersection: SEGMENT_PRESETS,
+    rectangleUnion: RECTANGLE_PRESETS,
+    rectangleIntersection: RECTANGLE_PRESETS,
+    intervalTree: INTERVAL_PRESETS,
+    segmentTree: INTERVAL_PRESETS,
+    duality: ["collinearDual", "parallelLines", "concurrentLines"],
+    triangulation: POLYGON_PRESETS,
+    monotoneTriangulation: POLYGON_PRESETS,
+    artGallery: POLYGON_PRESETS,
+    visibilityPolygon: POLYGON_PRESETS,
+  };
+
+  // [{ key, label }] of the presets offered for an algorithm (empty if it has none)
+  const presetsFor = (algName) =>
+    (PRESETS_BY_ALGORITHM[algName] || []).map((key) => ({
+      key,
+      label: PRESETS[key].label,
+    }));
+
   function applyRandomize(uiControls, opts = {}) {
     try {
       const algName = uiControls?.algorithmSelect?.value ?? "";
@@ -33,6 +1013,7 @@
           : Math.random;
 
       let rnd = Math.random;
+      let seedUsed = null; // Kept on window.Randomizer.lastSeed for scene files
       if (
         opts.seed !== undefined &&
         opts.seed !== null &&
@@ -42,6 +1023,7 @@
           const seedNum = Number(opts.seed);
           const seedForRng = isFinite(seedNum) ? seedNum : String(opts.seed);
           rnd = makeSeededRng(seedForRng);
+          seedUsed = seedForRng;
           if (typeof window.setRandomSeed === "function")
             try {
               window.setRandomSeed(seedForRng);
@@ -50,6 +1032,7 @@
           rnd = Math.random;
         }
       }
+      window.Randomizer.lastSeed = seedUsed;
 
       if (
         window.algorithmManager &&
@@ -207,30 +1190,100 @@
         }
       };
 
+      // Polygons are always drawn from a seeded generator; without a seed, pick one and
+      // keep it (as lastSeed), so the same polygon can be generated again
+      const polygonVertices = (n) => {
+        const shape =
+          opts.polygonShape ?? uiControls?.randPolygonShapeEl?.value ?? "star";
+        const generator = (POLYGON_SHAPES[shape] || POLYGON_SHAPES.star)
+          .generate;
+        if (seedUsed === null) {
+          seedUsed = Math.floor(Math.random() * 2 ** 32);
+          rnd = makeSeededRng(seedUsed);
+          window.Randomizer.lastSeed = seedUsed;
+        }
+        return generator({
+          rnd,
+          n,
+          box: { x: pad, y: pad, w, h },
+          randomPoint: rngPoint,
+        });
+      };
+
+      // A named preset replaces the random input for this topic
+      const presetKey = opts.preset ?? uiControls?.randPresetEl?.value ?? "";
+      if (
+        presetKey &&
+        (PRESETS_BY_ALGORITHM[algName] || []).includes(presetKey)
+      ) {
+        const input = PRESETS[presetKey].build({
+          rnd,
+          n: count,
+          box: { x: pad, y: pad, w, h },
+        });
+        const manager = window.algorithmManager;
+        const alg = manager?.getCurrentAlgorithm?.();
+        (input.points || []).forEach((p) => manager?.addPoint?.(p));
+        (input.segments || []).forEach((s) => manager?.addSegment?.(s));
+        (input.rectangles || []).forEach((r) => manager?.addRectangle?.(r));
+        (input.intervals || []).forEach((it) => manager?.addInterval?.(it));
+        (input.lines || []).forEach((ln) => manager?.addLine?.(ln));
+        (input.polygon || []).forEach((p) => alg?.addVertex?.(p.x, p.y));
+        try {
+          uiControls.updateButtons();
+          uiControls.updateStepInfo();
+        } catch (e) {}
+        return true;
+      }
+
       switch (algName) {
         case "grahamScan":
         case "giftWrap":
         case "quickHull":
-        case "delaunay":
-        case "voronoi":
+        case "monotoneChain":
+        case "chanHull":
+        case "kirkpatrickSeidel":
+        case "mergeHull":
+        case "lawsonFlip":
+        case "randomizedDelaunay":
         case "fortuneVoronoi":
+        case "orderKVoronoi":
           addPoints(count);
           break;
-        case "triangulation":
-        case "artGallery": {
-          const target = Math.max(3, Math.min(count, 50));
-          const pts = Array.from({ length: target }, () => rngPoint());
-          const c = pts.reduce(
-            (acc, p) => ({ x: acc.x + p.x, y: acc.y + p.y }),
-            { x: 0, y: 0 }
-          );
-          c.x /= pts.length;
-          c.y /= pts.length;
-          pts.sort(
-            (a, b) =>
-              Math.atan2(a.y - c.y, a.x - c.x) -
-              Math.atan2(b.y - c.y, b.x - c.x)
+        case "voronoi": {
+          addPoints(count);
+          // Weighted mode: random radii, large enough that some cells vanish
+          const alg = window.algorithmManager?.getCurrentAlgorithm?.();
+          if (alg?.mode === "weighted")
+            alg.points.forEach((p, i) =>
+              alg.setRadius(i, 10 + rnd() * 0.1 * Math.min(w, h))
+            );
+          // Lloyd mode: relax the sites within the sampling box
+          if (alg?.mode === "lloyd")
+            alg.setBoundaryBox(pad, pad, pad + w, pad + h);
+          break;
+        }
+        case "delaunay": {
+          const alg = window.algorithmManager?.getCurrentAlgorithm?.();
+          if (alg?.mode !== "constrained") {
+            addPoints(count);
+            break;
+          }
+          // Constrained mode: a polygon's edges as constraints, plus free points
+          const pts = polygonVertices(Math.max(3, Math.min(50, count >> 1)));
+          pts.forEach((p, i) =>
+            window.algorithmManager.addSegment(
+              new LineSegment(p, pts[(i + 1) % pts.length])
+            )
           );
+          addPoints(count - pts.length);
+          break;
+        }
+        case "triangulation":
+        case "monotoneTriangulation":
+        case "artGallery":
+        case "visibilityPolygon": {
+          const pts = polygonVertices(Math.max(3, Math.min(count, 50)));
           const alg = window.algorithmManager?.getCurrentAlgorithm?.();
           pts.forEach((p) => {
             if (alg && typeof alg.addVertex === "function")
@@ -284,4 +1337,9 @@
 
   if (!window.Randomizer) window.Randomizer = {};
   window.Randomizer.applyRandomize = applyRandomize;
+  window.Randomizer.polygonShapes = Object.entries(POLYGON_SHAPES).map(
+    ([key, { label }]) => ({ key, label })
+  );
+  window.Randomizer.presetsFor = presetsFor;
+  window.Randomizer.lastSeed = null;
 })();
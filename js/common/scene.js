@@ -0,0 +1,540 @@
+/**
+ * Scene files for CGViz
+ * - Saves / loads the current algorithm's inputs as versioned JSON.
+ * - A scene holds the algorithm name, its mode (for topics with several), its inputs, the view
+ *   transform and the randomizer seed.
+ * - Inputs are restored through AlgorithmManager's add* methods, so algorithms recompute as usual.
+ * - The same inputs (plus the current step and view) can be packed into the URL hash for shareable links.
+ * - API: window.Scene.{ serialize, restore, exportScene, importFile, initDropTarget,
+ *                       toHash, restoreFromHash, copyLink, initUrlState }
+ **/
+
+(function () {
+  const SCENE_FORMAT = "cgviz-scene";
+  const SCENE_VERSION = 1;
+
+  // Compact number formatting, keeps files small and diffable
+  const num = (v) => Math.round(v * 1000) / 1000;
+
+  // Input kinds: how each one is read from an algorithm and added back.
+  // An algorithm contributes every kind whose `read` returns a value.
+  // `short` is the kind's parameter name in the URL hash.
+  const INPUT_KINDS = [
+    {
+      key: "points",
+      short: "p",
+      read: (alg) =>
+        Array.isArray(alg.points) && typeof alg.addPoint === "function"
+          ? alg.points.map((p) => [num(p.x), num(p.y)])
+          : null,
+      restore: (manager, values) =>
+        values.forEach(([x, y]) => manager.addPoint(new Point(x, y))),
+    },
+    {
+      // Site radii of the weighted Voronoi mode, restored after the points they belong to
+      key: "radii",
+      short: "w",
+      read: (alg) =>
+        alg.mode === "weighted" && Array.isArray(alg.radii)
+          ? alg.points.map((p, i) => [num(alg.radiusOf(i))])
+          : null,
+      restore: (manager, values) =>
+        values.forEach(([r], i) =>
+          manager.getCurrentAlgorithm().setRadius(i, r)
+        ),
+    },
+    {
+      // Clip boundary of the Voronoi Lloyd relaxation mode: one [x1, y1, x2, y2] tuple for a
+      // dragged box (a click then starts a new polygon), else the polygon's vertices
+      key: "boundary",
+      short: "b",
+      read: (alg) =>
+        alg.mode !== "lloyd" || !alg.boundary?.length
+          ? null
+          : alg.boundaryIsBox
+          ? [
+              [
+                num(alg.boundary[0].x),
+                num(alg.boundary[0].y),
+                num(alg.boundary[2].x),
+                num(alg.boundary[2].y),
+              ],
+            ]
+          : alg.boundary.map((v) => [num(v.x), num(v.y)]),
+      restore: (manager, values) => {
+        const alg = manager.getCurrentAlgorithm();
+        if (values.length === 1 && values[0].length === 4)
+          alg.setBoundaryBox(...values[0]);
+        else alg.setBoundary(values.map(([x, y]) => new Point(x, y)));
+      },
+    },
+    {
+      key: "segments",
+      short: "s",
+      read: (alg) =>
+        Array.isArray(alg.segments)
+          ? alg.segments.map((s) => [
+              num(s.p1.x),
+              num(s.p1.y),
+              num(s.p2.x),
+              num(s.p2.y),
+            ])
+          : null,
+      restore: (manager, values) =>
+        values.forEach(([x1, y1, x2, y2]) =>
+          manager.addSegment(
+            new LineSegment(new Point(x1, y1), new Point(x2, y2))
+          )
+        ),
+    },
+    {
+      key: "rectangles",
+      short: "r",
+      read: (alg) =>
+        Array.isArray(alg.rectangles)
+          ? alg.rectangles.map((r) => [
+              num(r.x1),
+              num(r.y1),
+              num(r.x2),
+              num(r.y2),
+            ])
+          : null,
+      restore: (manager, values) =>
+        values.forEach(([x1, y1, x2, y2]) =>
+          manager.addRectangle(new Rectangle(x1, y1, x2, y2))
+        ),
+    },
+    {
+      key: "intervals",
+      short: "i",
+      read: (alg) =>
+        Array.isArray(alg.intervals)
+          ? alg.intervals.map((it) => [num(it.start), num(it.end)])
+          : null,
+      restore: (manager, values) =>
+        values.forEach(([start, end]) =>
+          manager.addInterval(new Interval(start, end))
+        ),
+    },
+    {
+      // Interval / segment tree query as [lo, hi, count only (0 or 1)], after the intervals
+      key: "query",
+      short: "q",
+      read: (alg) => {
+        if (typeof alg.setQuery !== "function" || alg.query === null)
+          return null;
+        const { lo, hi } =
+          typeof alg.query === "number"
+            ? { lo: alg.query, hi: alg.query }
+            : alg.query;
+        return [[num(lo), num(hi), alg.countOnly ? 1 : 0]];
+      },
+      restore: (manager, values) =>
+        values.forEach(([lo, hi, countOnly]) =>
+          manager
+            .getCurrentAlgorithm()
+            .setQuery(lo, hi, { countOnly: !!countOnly })
+        ),
+    },
+    {
+      key: "lines",
+      short: "l",
+      read: (alg) =>
+        Array.isArray(alg.lines)
+          ? alg.lines.map((l) => [l.slope, l.intercept])
+          : null,
+      restore: (manager, values) =>
+        values.forEach(([slope, intercept]) =>
+          manager.addLine(new DualLine(slope, intercept))
+        ),
+    },
+    {
+      // Polygon vertices go through addPoint -> addVertex; closed polygons are completed afterwards
+      key: "polygon",
+      short: "g",
+      read: (alg) =>
+        alg.polygon && Array.isArray(alg.polygon.vertices)
+          ? {
+              vertices: alg.polygon.vertices.map((v) => [num(v.x), num(v.y)]),
+              closed: !!alg.polygon.isComplete,
+            }
+          : null,
+      restore: (manager, value) => {
+        (value.vertices || []).forEach(([x, y]) =>
+          manager.addPoint(new Point(x, y))
+        );
+        const alg = manager.getCurrentAlgorithm();
+        if (value.closed && typeof alg.completePolygon === "function")
+          alg.completePolygon();
+      },
+    },
+    {
+      // Hole rings as [hole index, x, y] tuples; added whole, since replayed clicks near a ring's
+      // first vertex would close it early
+      key: "holes",
+      short: "gh",
+      read: (alg) =>
+        alg.polygon && alg.polygon.holes && alg.polygon.holes.length
+          ? alg.polygon.holes.flatMap((hole, k) =>
+              hole.map((v) => [k, num(v.x), num(v.y)])
+            )
+          : null,
+      restore: (manager, values) => {
+        const alg = manager.getCurrentAlgorithm();
+        if (typeof alg.closeHole !== "function") return;
+        const rings = [];
+        values.forEach(([k, x, y]) =>
+          (rings[k] = rings[k] || []).push({ x, y })
+        );
+        rings
+          .filter((ring) => ring && ring.length >= 3)
+          .forEach((ring) => alg.polygon.addHole(ring));
+        alg.reset();
+        if (alg.polygon.isComplete) alg.computeSteps();
+      },
+    },
+    {
+      // Art gallery guards as [x, y, colour class]; they replace the computed ones, so edits survive
+      key: "guards",
+      short: "gd",
+      read: (alg) =>
+        typeof alg.setGuards === "function" && alg.guards.length
+          ? alg.guards.map((g) => [num(g.x), num(g.y), g.color])
+          : null,
+      restore: (manager, values) =>
+        manager
+          .getCurrentAlgorithm()
+          .setGuards(values.map(([x, y, color]) => ({ x, y, color }))),
+    },
+    {
+      // Restored after the polygon, which must be closed first
+      key: "viewpoint",
+      short: "vp",
+      read: (alg) =>
+        alg.viewpoint ? [[num(alg.viewpoint.x), num(alg.viewpoint.y)]] : null,
+      restore: (manager, values) =>
+        values.forEach(([x, y]) =>
+          manager.getCurrentAlgorithm().setViewpoint(x, y)
+        ),
+    },
+    {
+      // Order of the order-k Voronoi diagram
+      key: "k",
+      short: "k",
+      read: (alg) => (typeof alg.setK === "function" ? [[alg.k]] : null),
+      restore: (manager, values) => values.forEach(([k]) => manager.setK(k)),
+    },
+  ];
+
+  // Reads the inputs of an algorithm instance into a plain object
+  function captureInputs(alg) {
+    const inputs = {};
+    if (!alg) return inputs;
+    for (const kind of INPUT_KINDS) {
+      const value = kind.read(alg);
+      if (value !== null && value !== undefined) inputs[kind.key] = value;
+    }
+    return inputs;
+  }
+
+  // Clears the current algorithm and adds the given inputs back through the manager
+  function restoreInputs(manager, inputs) {
+    manager.softClear();
+    for (const kind of INPUT_KINDS) {
+      if (inputs[kind.key] !== undefined)
+        kind.restore(manager, inputs[kind.key]);
+    }
+  }
+
+  function currentSeed() {
+    if (window.Randomizer && window.Randomizer.lastSeed !== undefined)
+      return window.Randomizer.lastSeed;
+    return null;
+  }
+
+  // Builds a scene object for the current algorithm
+  function serialize() {
+    const manager = window.algorithmManager;
+    if (!manager) throw new Error("Algorithm manager is not ready");
+    const view =
+      typeof window.getCanvasTransform === "function"
+        ? window.getCanvasTransform()
+        : { x: 0, y: 0, scale: 1 };
+    const alg = manager.getCurrentAlgorithm();
+    return {
+      format: SCENE_FORMAT,
+      version: SCENE_VERSION,
+      algorithm: manager.currentAlgorithm,
+      ...(alg.constructor.modes ? { mode: alg.mode } : {}),
+      inputs: captureInputs(alg),
+      view: { x: num(view.x), y: num(view.y), scale: num(view.scale) },
+      seed: currentSeed(),
+    };
+  }
+
+  // Validates a parsed scene object; throws with a readable message on failure
+  function validate(scene) {
+    if (!scene || typeof scene !== "object" || scene.format !== SCENE_FORMAT)
+      throw new Error("Not a CGViz scene file");
+    if (typeof scene.version !== "number" || scene.version > SCENE_VERSION)
+      throw new Error(
+        `Unsupported scene version ${scene.version} (this build reads up to ${SCENE_VERSION})`
+      );
+    const manager = window.algorithmManager;
+    // Own keys only: names such as "toString" or "constructor" are not algorithms
+    if (
+      !manager ||
+      !Object.prototype.hasOwnProperty.call(manager.algorithms, scene.algorithm)
+    )
+      throw new Error(`Unknown algorithm "${scene.algorithm}"`);
+    if (!scene.inputs || typeof scene.inputs !== "object")
+      throw new Error("Scene has no inputs");
+  }
+
+  // Switches to the scene's algorithm and restores its inputs, view, seed
+  // and (optionally) the 0-based playback position in `scene.step`
+  function restore(scene) {
+    validate(scene);
+    const manager = window.algorithmManager;
+    const ui = window.uiControls;
+
+    if (ui && ui.algorithmSelect) {
+      ui.stopAutoPlay();
+      ui.algorithmSelect.value = scene.algorithm;
+      ui.onAlgorithmChange();
+    } else {
+      manager.setAlgorithm(scene.algorithm);
+    }
+
+    // The mode decides which inputs the algorithm accepts, so it is set first
+    const modes = manager.getCurrentAlgorithm().constructor.modes;
+    if (modes) {
+      manager.setMode(scene.mode || modes[0].value);
+      if (ui) ui.updateInstructions();
+    }
+
+    restoreInputs(manager, scene.inputs);
+
+    if (scene.view && typeof window.setCanvasTransform === "function")
+      window.setCanvasTransform(scene.view);
+
+    if (window.Randomizer) window.Randomizer.lastSeed = scene.seed ?? null;
+    const seedEl = document.getElementById("rand-seed");
+    if (seedEl) seedEl.value = scene.seed ?? "";
+
+    if (Number.isInteger(scene.step) && scene.step > 0) {
+      const alg = manager.getCurrentAlgorithm();
+      manager.getCurrentStep(); // Steps are computed lazily
+      if (Array.isArray(alg.steps) && alg.steps.length)
+        alg.currentStep = Math.min(scene.step, alg.steps.length - 1);
+    }
+
+    manager.updateStepLog();
+    if (ui) {
+      ui.updateButtons();
+      ui.updateStepInfo();
+    }
+  }
+
+  // Downloads the current scene as a JSON file
+  function exportScene() {
+    try {
+      const scene = serialize();
+      const blob = new Blob([JSON.stringify(scene, null, 2)], {
+        type: "application/json",
+      });
+      const ts = new Date().toISOString().replace(/[:.]/g, "-");
+      window.Utils.downloadBlob(blob, `cgviz-${scene.algorithm}-${ts}.json`);
+      window.Utils.showNotification("Scene exported successfully!");
+      return true;
+    } catch (e) {
+      console.error("Scene export failed:", e);
+      window.Utils.showNotification(
+        `Scene export failed: ${e.message}`,
+        "error"
+      );
+      return false;
+    }
+  }
+
+  // Reads a scene from a File (file picker or drag-and-drop) and restores it
+  function importFile(file) {
+    if (!file) return Promise.resolve(false);
+    return file
+      .text()
+      .then((text) => {
+        restore(JSON.parse(text));
+        window.Utils.showNotification(`Loaded scene from ${file.name}`);
+        return true;
+      })
+      .catch((e) => {
+        console.error("Scene import failed:", e);
+        window.Utils.showNotification(
+          `Could not load ${file.name}: ${e.message}`,
+          "error"
+        );
+        return false;
+      });
+  }
+
+  // Accepts scene files dropped onto the given element
+  function initDropTarget(el) {
+    if (!el) return;
+    el.addEventListener("dragover", (e) => {
+      if (
+        !e.dataTransfer ||
+        !Array.from(e.dataTransfer.types).includes("Files")
+      )
+        return;
+      e.preventDefault();
+      e.dataTransfer.dropEffect = "copy";
+      el.classList.add("scene-drop-active");
+    });
+    el.addEventListener("dragleave", () =>
+      el.classList.remove("scene-drop-active")
+    );
+    el.addEventListener("drop", (e) => {
+      el.classList.remove("scene-drop-active");
+      const file = e.dataTransfer && e.dataTransfer.files[0];
+      if (!file) return;
+      e.preventDefault();
+      importFile(file);
+    });
+  }
+
+  // URL hash state, e.g. #v=1&alg=grahamScan&p=120,80;300,210&step=14&view=0,0,1
+  // Tuples are ";"-separated and their numbers ","-separated, all safe in a fragment.
+  const packTuples = (tuples) =>
+    tuples
+      .map((t) => t.map((v) => String(+Number(v).toPrecision(6))).join(","))
+      .join(";");
+  const unpackTuples = (str) =>
+    str ? str.split(";").map((t) => t.split(",").map(Number)) : [];
+
+  // Builds the hash for the current algorithm, inputs, step and view
+  function toHash() {
+    const scene = serialize();
+    const alg = window.algorithmManager.getCurrentAlgorithm();
+    const parts = [`v=${SCENE_VERSION}`, `alg=${scene.algorithm}`];
+    if (scene.mode) parts.push(`mode=${scene.mode}`);
+    for (const kind of INPUT_KINDS) {
+      const value = scene.inputs[kind.key];
+      if (!value) continue;
+      const tuples = kind.key === "polygon" ? value.vertices : value;
+      if (tuples.length) parts.push(`${kind.short}=${packTuples(tuples)}`);
+      if (kind.key === "polygon" && value.closed) parts.push("closed=1");
+    }
+    if (Array.isArray(alg.steps) && alg.steps.length)
+      parts.push(`step=${(alg.currentStep || 0) + 1}`); // 1-based, as shown in the UI
+    const { x, y, scale } = scene.view;
+    parts.push(`view=${packTuples([[x, y, scale]])}`);
+    return "#" + parts.join("&");
+  }
+
+  // Parses a hash produced by toHash() into a scene object (null if it has no algorithm)
+  function parseHash(hash) {
+    const params = {};
+    String(hash || "")
+      .replace(/^#/, "")
+      .split("&")
+      .forEach((pair) => {
+        const eq = pair.indexOf("=");
+        if (eq > 0)
+          params[pair.slice(0, eq)] = decodeURIComponent(pair.slice(eq + 1));
+      });
+    if (!params.alg) return null;
+
+    const inputs = {};
+    for (const kind of INPUT_KINDS) {
+      if (params[kind.short] === undefined) continue;
+      const tuples = unpackTuples(params[kind.short]);
+      if (tuples.some((t) => t.some((v) => !isFinite(v))))
+        throw new Error(`Malformed "${kind.short}" values in the link`);
+      inputs[kind.key] =
+        kind.key === "polygon"
+          ? { vertices: tuples, closed: params.closed === "1" }
+          : tuples;
+    }
+    const [view] = params.view ? unpackTuples(params.view) : [null];
+    return {
+      format: SCENE_FORMAT,
+      version: Number(params.v) || SCENE_VERSION,
+      algorithm: params.alg,
+      mode: params.mode,
+      inputs,
+      view: view ? { x: view[0], y: view[1], scale: view[2] } : null,
+      seed: null,
+      step: params.step ? parseInt(params.step, 10) - 1 : undefined,
+    };
+  }
+
+  // Restores the state encoded in a URL hash; returns false if there is none
+  function restoreFromHash(hash) {
+    try {
+      const scene = parseHash(hash);
+      if (!scene) return false;
+      restore(scene);
+      return true;
+    } catch (e) {
+      console.error("Restoring state from the link failed:", e);
+      window.Utils.showNotification(
+        `Could not restore the link: ${e.message}`,
+        "error"
+      );
+      return false;
+    }
+  }
+
+  // Writes the current state into the address bar and copies the link
+  function copyLink() {
+    try {
+      history.replaceState(null, "", toHash());
+    } catch (e) {
+      console.error("Building the link failed:", e);
+      window.Utils.showNotification(
+        `Could not build a link: ${e.message}`,
+        "error"
+      );
+      return Promise.resolve(false);
+    }
+    const url = window.location.href;
+    if (!navigator.clipboard || !navigator.clipboard.writeText) {
+      window.Utils.showNotification("Link updated in the address bar");
+      return Promise.resolve(true);
+    }
+    return navigator.clipboard
+      .writeText(url)
+      .then(() => {
+        window.Utils.showNotification("Link copied to clipboard!");
+        return true;
+      })
+      .catch(() => {
+        window.Utils.showNotification("Link updated in the address bar");
+        return true;
+      });
+  }
+
+  // Restores the page's initial hash and follows later (manual) hash edits
+  function initUrlState() {
+    restoreFromHash(window.location.hash);
+    window.addEventListener("hashchange", () =>
+      restoreFromHash(window.location.hash)
+    );
+  }
+
+  if (!window.Scene) window.Scene = {};
+  window.Scene.FORMAT = SCENE_FORMAT;
+  window.Scene.VERSION = SCENE_VERSION;
+  window.Scene.captureInputs = captureInputs;
+  window.Scene.restoreInputs = restoreInputs;
+  window.Scene.serialize = serialize;
+  window.Scene.restore = restore;
+  window.Scene.exportScene = exportScene;
+  window.Scene.importFile = importFile;
+  window.Scene.initDropTarget = initDropTarget;
+  window.Scene.toHash = toHash;
+  window.Scene.parseHash = parseHash;
+  window.Scene.restoreFromHash = restoreFromHash;
+  window.Scene.copyLink = copyLink;
+  window.Scene.initUrlState = initUrlState;
+})();
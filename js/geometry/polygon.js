@@ -1,6 +1,7 @@
 class Polygon {
-  constructor(vertices = []) {
+  constructor(vertices = [], holes = []) {
     this.vertices = vertices; // Array of {x, y} points
+    this.holes = holes; // Closed hole rings, each an array of {x, y} points
     this.edges = [];
     this.isComplete = false;
     this.updateEdges();
@@ -31,28 +32,39 @@ class Polygon {
     }
   }
 
+  // Adds a closed hole ring (copied); see holeError() for when it can be used
+  addHole(vertices) {
+    this.holes.push(vertices.map((v) => ({ x: v.x, y: v.y })));
+  }
+
   // Return a deep-ish clone (new points objects), preserving completion state
   clone() {
-    const copy = new Polygon(this.vertices.map((v) => ({ x: v.x, y: v.y })));
+    const copy = new Polygon(
+      this.vertices.map((v) => ({ x: v.x, y: v.y })),
+      this.holes.map((hole) => hole.map((v) => ({ x: v.x, y: v.y })))
+    );
     copy.isComplete = this.isComplete;
     copy.updateEdges();
     return copy;
   }
 
-  // Check if a point is inside the polygon using ray-casting
+  // Check if a point is inside the polygon (and outside its holes) using ray-casting
   containsPoint(x, y) {
     if (!this.isComplete || this.vertices.length < 3) return false;
+    return (
+      this.ringContains(this.vertices, x, y) &&
+      !this.holes.some((hole) => this.ringContains(hole, x, y))
+    );
+  }
 
+  // Ray-casting test against a single closed ring of vertices
+  ringContains(ring, x, y) {
     let inside = false;
-    for (
-      let i = 0, j = this.vertices.length - 1;
-      i < this.vertices.length;
-      j = i++
-    ) {
-      const xi = this.vertices[i].x,
-        yi = this.vertices[i].y;
-      const xj = this.vertices[j].x,
-        yj = this.vertices[j].y;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      const xi = ring[i].x,
+        yi = ring[i].y;
+      const xj = ring[j].x,
+        yj = ring[j].y;
 
       if (yi > y !== yj > y && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
         inside = !inside;
@@ -97,6 +109,217 @@ class Polygon {
     return true;
   }
 
+  // Moves a viewpoint on the boundary (e.g. a guard at a vertex) a tiny step into the interior.
+  // Returns null if the point is outside the polygon.
+  interiorViewpoint(p) {
+    const verts = this.vertices;
+    const n = verts.length;
+    const xs = verts.map((v) => v.x);
+    const ys = verts.map((v) => v.y);
+    const size = Math.hypot(
+      Math.max(...xs) - Math.min(...xs),
+      Math.max(...ys) - Math.min(...ys)
+    );
+    const eps = Math.max(size * 1e-7, 1e-9);
+    const sign = this.signedAreaOf() > 0 ? 1 : -1;
+
+    // Unit normal of edge i (from vertex i to i + 1) pointing into the polygon
+    const inwardNormal = (i) => {
+      const a = verts[i];
+      const b = verts[(i + 1) % n];
+      const len = Math.hypot(b.x - a.x, b.y - a.y) || 1;
+      return { x: (sign * (a.y - b.y)) / len, y: (sign * (b.x - a.x)) / len };
+    };
+
+    let dir = null;
+    const vi = verts.findIndex((v) => Math.hypot(v.x - p.x, v.y - p.y) <= eps);
+    if (vi !== -1) {
+      // At a vertex: the bisector of the two inward normals is the interior angle bisector
+      const n1 = inwardNormal((vi - 1 + n) % n);
+      const n2 = inwardNormal(vi);
+      dir = { x: n1.x + n2.x, y: n1.y + n2.y };
+      p = verts[vi];
+    } else {
+      for (let i = 0; i < n; i++) {
+        const a = verts[i];
+        const b = verts[(i + 1) % n];
+        const len2 = (b.x - a.x) ** 2 + (b.y - a.y) ** 2;
+        if (len2 === 0) continue;
+        const t =
+          ((p.x - a.x) * (b.x - a.x) + (p.y - a.y) * (b.y - a.y)) / len2;
+        const d = Math.hypot(
+          a.x + t * (b.x - a.x) - p.x,
+          a.y + t * (b.y - a.y) - p.y
+        );
+        if (t >= 0 && t <= 1 && d <= eps) {
+          dir = inwardNormal(i);
+          break;
+        }
+      }
+    }
+
+    if (!dir) return this.containsPoint(p.x, p.y) ? { x: p.x, y: p.y } : null;
+    const len = Math.hypot(dir.x, dir.y);
+    if (len === 0) return null;
+    for (let step = eps; step <= size * 1e-3; step *= 10) {
+      const q = {
+        x: p.x + (dir.x / len) * step,
+        y: p.y + (dir.y / len) * step,
+      };
+      if (this.containsPoint(q.x, q.y)) return q;
+    }
+    return null;
+  }
+
+  // Visibility polygon of a point inside (or on the boundary of) the polygon, by a rotational sweep.
+  // A ray from the viewpoint visits the vertices in angular order; the edges it crosses form the active set,
+  // and the nearest active edge is the visible one. Where the nearest edge changes, the ray's hit points
+  // before and after the vertex are emitted. onEvent, if given, receives the sweep state at each event.
+  visibilityPolygon(viewpoint, onEvent = null) {
+    if (!this.isComplete || this.vertices.length < 3) return [];
+    const q = this.interiorViewpoint(viewpoint);
+    if (!q) return [];
+
+    const verts = this.vertices;
+    const n = verts.length;
+    const TWO_PI = 2 * Math.PI;
+    const cross = (o, a, b) =>
+      (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+    const angle = verts.map((v) => Math.atan2(v.y - q.y, v.x - q.x));
+
+    // Start the sweep in the widest angular gap between vertices, so no vertex lies on the first ray
+    const sorted = [...angle].sort((a, b) => a - b);
+    let start = 0;
+    let widest = -1;
+    for (let i = 0; i < n; i++) {
+      const next = i + 1 < n ? sorted[i + 1] : sorted[0] + TWO_PI;
+      if (next - sorted[i] > widest) {
+        widest = next - sorted[i];
+        start = sorted[i] + widest / 2;
+      }
+    }
+    const rel = angle.map((a) => (((a - start) % TWO_PI) + TWO_PI) % TWO_PI);
+
+    // Edges in sweep order (from the endpoint met first); edges pointing at q are never crossed
+    const edges = verts.map((a, i) => {
+      const j = (i + 1) % n;
+      const c = cross(q, a, verts[j]);
+      if (c === 0) return null;
+      return c > 0
+        ? { index: i, from: i, to: j }
+        : { index: i, from: j, to: i };
+    });
+    const active = new Set(
+      edges.filter((e) => e && rel[e.to] < rel[e.from]).map((e) => e.index)
+    );
+
+    // Nearest active edge along the ray from q through `through`, snapped to a vertex when it is hit there
+    const nearest = (through, group) => {
+      const d = { x: through.x - q.x, y: through.y - q.y };
+      let best = null;
+      for (const ei of active) {
+        const a = verts[ei];
+        const b = verts[(ei + 1) % n];
+        const e = { x: b.x - a.x, y: b.y - a.y };
+        const denom = d.x * e.y - d.y * e.x;
+        if (denom === 0) continue;
+        const t = ((a.x - q.x) * e.y - (a.y - q.y) * e.x) / denom;
+        if (t <= 0 || (best && t >= best.t)) continue;
+        best = { t, edge: ei, point: { x: q.x + t * d.x, y: q.y + t * d.y } };
+      }
+      if (best) {
+        const hitVertex = group.find(
+          (vi) =>
+            (vi === best.edge || vi === (best.edge + 1) % n) &&
+            Math.abs(
+              Math.hypot(verts[vi].x - q.x, verts[vi].y - q.y) -
+                best.t * Math.hypot(d.x, d.y)
+            ) <=
+              1e-9 * (1 + best.t * Math.hypot(d.x, d.y))
+        );
+        if (hitVertex !== undefined) {
+          best.point = { x: verts[hitVertex].x, y: verts[hitVertex].y };
+        }
+      }
+      return best;
+    };
+
+    const output = [];
+    const emit = (p) => {
+      const last = output[output.length - 1];
+      if (!last || Math.hypot(last.x - p.x, last.y - p.y) > 1e-9)
+        output.push(p);
+    };
+    const report = (event) => {
+      if (onEvent) onEvent({ viewpoint: q, output: [...output], ...event });
+    };
+
+    report({ type: "start", direction: start, active: [...active] });
+
+    // Vertices in angular order, grouped when they lie on the same ray
+    const order = verts.map((_, i) => i).sort((a, b) => rel[a] - rel[b]);
+    for (let k = 0; k < n; ) {
+      const group = [order[k]];
+      const first = verts[order[k]];
+      for (k++; k < n; k++) {
+        const v = verts[order[k]];
+        const sameRay =
+          rel[order[k]] - rel[group[0]] < 1e-12 ||
+          (cross(q, first, v) === 0 &&
+            (first.x - q.x) * (v.x - q.x) + (first.y - q.y) * (v.y - q.y) > 0);
+        if (!sameRay) break;
+        group.push(order[k]);
+      }
+
+      const activeBefore = [...active];
+      const before = nearest(first, group);
+      const added = [];
+      const removed = [];
+      for (const vi of group) {
+        for (const e of [edges[(vi - 1 + n) % n], edges[vi]]) {
+          if (!e) continue;
+          if (e.from === vi && !active.has(e.index)) {
+            active.add(e.index);
+            added.push(e.index);
+          } else if (e.to === vi && active.has(e.index)) {
+            active.delete(e.index);
+            removed.push(e.index);
+          }
+        }
+      }
+      const after = nearest(first, group);
+
+      // If the nearest edge is unchanged, the vertex is hidden behind it and adds nothing
+      const visible = !before || !after || before.edge !== after.edge;
+      if (visible && before) emit(before.point);
+      if (visible && after) emit(after.point);
+      report({
+        type: "vertex",
+        direction: angle[group[0]],
+        vertices: group,
+        activeBefore,
+        active: [...active],
+        added,
+        removed,
+        before,
+        after,
+        visible,
+      });
+    }
+
+    if (
+      output.length > 1 &&
+      Math.hypot(
+        output[0].x - output[output.length - 1].x,
+        output[0].y - output[output.length - 1].y
+      ) <= 1e-9
+    ) {
+      output.pop();
+    }
+    report({ type: "end", active: [...active] });
+    return output;
+  }
+
   // Check if two line segments intersect
   segmentsIntersect(p1, q1, p2, q2) {
     const o1 = this.orientation(p1, q1, p2);
@@ -251,13 +474,45 @@ class Polygon {
       area += this.vertices[i].x * this.vertices[j].y;
       area -= this.vertices[j].x * this.vertices[i].y;
     }
-    return Math.abs(area) / 2;
+    const holeArea = this.holes.reduce(
+      (sum, hole) => sum + Math.abs(this.signedAreaOf(hole)),
+      0
+    );
+    return Math.abs(area) / 2 - holeArea;
   }
 
-  // Polygon centroid
+  // Polygon centroid: the center of mass of its area (holes cut out), or the mean of the
+  // vertices when there is no area
   centroid() {
     if (this.vertices.length === 0) return { x: 0, y: 0 };
 
+    // Area and first moments of a ring, made positive whatever its orientation
+    const moments = (ring) => {
+      let a = 0,
+        mx = 0,
+        my = 0;
+      for (let i = 0; i < ring.length; i++) {
+        const p = ring[i];
+        const q = ring[(i + 1) % ring.length];
+        const cross = p.x * q.y - q.x * p.y;
+        a += cross;
+        mx += (p.x + q.x) * cross;
+        my += (p.y + q.y) * cross;
+      }
+      const sign = a < 0 ? -1 : 1;
+      return { a: (sign * a) / 2, mx: (sign * mx) / 6, my: (sign * my) / 6 };
+    };
+    const total = this.holes.map(moments).reduce(
+      (sum, hole) => ({
+        a: sum.a - hole.a,
+        mx: sum.mx - hole.mx,
+        my: sum.my - hole.my,
+      }),
+      moments(this.vertices)
+    );
+    if (total.a > 1e-12)
+      return { x: total.mx / total.a, y: total.my / total.a };
+
     let cx = 0,
       cy = 0;
     for (let vertex of this.vertices) {
@@ -270,11 +525,185 @@ class Polygon {
     };
   }
 
-  // Create a triangulation of the polygon (via simple ear clipping)
+  // Why the holes cannot be triangulated (null if they can): each hole must be a simple ring
+  // strictly inside the outer boundary, touching neither it nor any other hole
+  holeError() {
+    const edgesOf = (ring) =>
+      ring.map((v, i) => [v, ring[(i + 1) % ring.length]]);
+    const outerEdges = edgesOf(this.vertices);
+    for (let k = 0; k < this.holes.length; k++) {
+      const hole = this.holes[k];
+      const name = `Hole ${k + 1}`;
+      if (hole.length < 3) return `${name} has fewer than 3 vertices`;
+      const ring = new Polygon(hole.map((v) => ({ x: v.x, y: v.y })));
+      ring.complete();
+      if (!ring.isSimple()) return `${name} is not simple`;
+      if (this.signedAreaOf(hole) === 0) return `${name} has no area`;
+      if (hole.some((v) => !this.ringContains(this.vertices, v.x, v.y)))
+        return `${name} is not inside the polygon`;
+      const crosses = (edges) =>
+        edgesOf(hole).some(([a, b]) =>
+          edges.some(([c, d]) => this.segmentsIntersect(a, b, c, d))
+        );
+      if (crosses(outerEdges)) return `${name} crosses the polygon boundary`;
+      for (let j = 0; j < k; j++) {
+        const other = this.holes[j];
+        if (
+          crosses(edgesOf(other)) ||
+          this.ringContains(other, hole[0].x, hole[0].y) ||
+          this.ringContains(hole, other[0].x, other[0].y)
+        )
+          return `${name} overlaps hole ${j + 1}`;
+      }
+    }
+    return null;
+  }
+
+  // Merges the holes into the outer ring with bridge edges (Eberly, "Triangulation by Ear
+  // Clipping"). Holes are taken from right to left; a ray cast rightwards from a hole's rightmost
+  // vertex M finds a ring vertex that M sees, and the ring detours along that bridge, once around
+  // the hole and back, so both bridge endpoints appear twice. Returns { ring, bridges }; onEvent
+  // receives each bridge as { hole, m, hit, edge, p, candidates, target, kind, ring }.
+  mergeHoles(onEvent = null) {
+    let ring = this.vertices.map((v) => ({ x: v.x, y: v.y }));
+    const bridges = [];
+    if (this.holes.length === 0) return { ring, bridges };
+
+    const sign = this.signedAreaOf(ring) > 0 ? 1 : -1;
+    const cross = (o, a, b) =>
+      (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+    const same = (a, b) => a.x === b.x && a.y === b.y;
+    const isReflex = (j) => {
+      const n = ring.length;
+      return (
+        sign * cross(ring[(j - 1 + n) % n], ring[j], ring[(j + 1) % n]) < 0
+      );
+    };
+    // Point m lies in the interior wedge at ring vertex j (O'Rourke's InCone)
+    const inCone = (j, m) => {
+      const n = ring.length;
+      const prev = ring[(j - 1 + n) % n];
+      const v = ring[j];
+      const next = ring[(j + 1) % n];
+      if (sign * cross(v, next, prev) >= 0)
+        return sign * cross(v, m, prev) > 0 && sign * cross(m, v, next) > 0;
+      return !(sign * cross(v, m, next) >= 0 && sign * cross(m, v, prev) >= 0);
+    };
+    const inTriangle = (p, a, b, c) => {
+      const d1 = cross(a, b, p);
+      const d2 = cross(b, c, p);
+      const d3 = cross(c, a, p);
+      return (d1 >= 0 && d2 >= 0 && d3 >= 0) || (d1 <= 0 && d2 <= 0 && d3 <= 0);
+    };
+
+    // Holes wind against the outer ring; handle them by decreasing x of their rightmost vertex
+    const holes = this.holes
+      .map((hole, index) => {
+        const pts = hole.map((v) => ({ x: v.x, y: v.y }));
+        if ((this.signedAreaOf(pts) > 0 ? 1 : -1) === sign) pts.reverse();
+        let m = 0;
+        pts.forEach((p, i) => {
+          if (p.x > pts[m].x || (p.x === pts[m].x && p.y < pts[m].y)) m = i;
+        });
+        return { index, pts, m };
+      })
+      .sort((a, b) => b.pts[b.m].x - a.pts[a.m].x);
+
+    for (const hole of holes) {
+      const M = hole.pts[hole.m];
+      const n = ring.length;
+
+      // 1. The nearest ring edge crossed by the ray from M to the right
+      let hit = null;
+      for (let i = 0; i < n; i++) {
+        const a = ring[i];
+        const b = ring[(i + 1) % n];
+        if (a.y === b.y || Math.min(a.y, b.y) > M.y || Math.max(a.y, b.y) < M.y)
+          continue;
+        const x = a.x + ((M.y - a.y) / (b.y - a.y)) * (b.x - a.x);
+        if (x >= M.x && (!hit || x < hit.x)) hit = { x, i };
+      }
+      if (!hit) continue; // Only for invalid holes (see holeError)
+      const I = { x: hit.x, y: M.y };
+      const a = hit.i;
+      const b = (hit.i + 1) % n;
+
+      // 2. The ray hits a vertex, or the edge's right endpoint P is the candidate, unless reflex
+      //    vertices inside triangle M-I-P block it; then the one closest in angle to the ray wins
+      let target;
+      let kind;
+      let p = null;
+      let candidates = [];
+      if (same(I, ring[a]) || same(I, ring[b])) {
+        target = same(I, ring[a]) ? a : b;
+        kind = "vertex";
+      } else {
+        p = ring[a].x > ring[b].x ? a : b;
+        candidates = ring
+          .map((_, j) => j)
+          .filter(
+            (j) =>
+              j !== p &&
+              !same(ring[j], ring[p]) &&
+              isReflex(j) &&
+              inTriangle(ring[j], M, I, ring[p])
+          );
+        if (candidates.length === 0) {
+          target = p;
+          kind = "endpoint";
+        } else {
+          const angle = (j) =>
+            Math.atan2(Math.abs(ring[j].y - M.y), ring[j].x - M.x);
+          const dist = (j) => Math.hypot(ring[j].x - M.x, ring[j].y - M.y);
+          target = candidates.reduce((best, j) =>
+            angle(j) < angle(best) ||
+            (angle(j) === angle(best) && dist(j) < dist(best))
+              ? j
+              : best
+          );
+          kind = "reflex";
+        }
+      }
+      // A vertex that already ends a bridge appears twice; use the copy whose wedge holds M
+      const copies = ring
+        .map((_, j) => j)
+        .filter((j) => same(ring[j], ring[target]));
+      if (copies.length > 1)
+        target = copies.find((j) => inCone(j, M)) ?? target;
+
+      const V = ring[target];
+      const event = {
+        hole: hole.index,
+        m: M,
+        hit: I,
+        edge: [ring[a], ring[b]],
+        p: p === null ? null : ring[p],
+        candidates: candidates.map((j) => ring[j]),
+        target: V,
+        kind,
+      };
+      const k = hole.pts.length;
+      const loop = Array.from({ length: k + 1 }, (_, i) => ({
+        ...hole.pts[(hole.m + i) % k],
+      }));
+      ring = [
+        ...ring.slice(0, target + 1),
+        ...loop,
+        { x: V.x, y: V.y },
+        ...ring.slice(target + 1),
+      ];
+      bridges.push({ hole: hole.index, from: M, to: V });
+      if (onEvent) onEvent({ ...event, ring: [...ring] });
+    }
+    return { ring, bridges };
+  }
+
+  // Create a triangulation of the polygon (via simple ear clipping); holes are bridged first
   triangulate() {
     if (!this.isComplete || this.vertices.length < 3) return [];
 
-    const vertices = [...this.vertices];
+    const vertices =
+      this.holes.length > 0 ? this.mergeHoles().ring : [...this.vertices];
     const triangles = [];
 
     while (vertices.length > 3) {
@@ -311,10 +740,21 @@ class Polygon {
     // Convex corner must match the overall winding
     if (ccw ? orient !== 2 : orient !== 1) return false;
 
-    // Check if any other vertex is inside the triangle
+    // Check if any other vertex is inside the triangle or on its boundary (e.g. on the diagonal
+    // prev-next); copies of the corners, as left by hole bridges, do not count
     for (let vertex of vertices) {
       if (vertex === prev || vertex === curr || vertex === next) continue;
-      if (this.pointInTriangle(vertex, prev, curr, next)) return false;
+      if ([prev, curr, next].some((c) => c.x === vertex.x && c.y === vertex.y))
+        continue;
+      const o1 = this.orientation(prev, curr, vertex);
+      const o2 = this.orientation(curr, next, vertex);
+      const o3 = this.orientation(next, prev, vertex);
+      if (
+        (o1 === orient || o1 === 0) &&
+        (o2 === orient || o2 === 0) &&
+        (o3 === orient || o3 === 0)
+      )
+        return false;
     }
 
     return true;
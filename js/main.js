@@ -25,6 +25,23 @@ let showCanvasText = true; // Toggle to control visibility of informational text
 // Right-click removal variables
 let isRightClick = false;
 
+// Art gallery: index of the guard being dragged, or -1
+let draggedGuard = -1;
+// Visibility polygon: whether the viewpoint is being dragged
+let draggingViewpoint = false;
+// Weighted Voronoi: index of the site whose radius is being dragged, or -1
+let draggedRadius = -1;
+
+// Lifting map view: its rotation, whether it is being dragged, and its screen box (null when hidden)
+let liftingView = {
+  yaw: -0.5,
+  pitch: 0.45,
+  rotating: false,
+  lastX: 0,
+  lastY: 0,
+  box: null,
+};
+
 // Canvas transformation variables for pan/zoom
 let canvasTransform = {
   x: 0,
@@ -85,11 +102,14 @@ let hoverState = {
  * - canGoPrev(): boolean
  * - getCurrentStep(): any
  * - toggleDuality(): void
+ * - toggleLifting(): void
  *
  * Notes on UI interactions:
  * - setAlgorithm will show/hide DOM elements with ids:
- *   "duality-toggle-container", "duality-controls", "duality-legend",
- *   "duality-legend-body", "duality-legend-btn", and "algorithm-select".
+ *   "duality-toggle-container", "lifting-toggle-container", "duality-controls",
+ *   "duality-legend", "duality-legend-body", "duality-legend-btn", and "algorithm-select".
+ * - setAlgorithm fills "mode-select" from the algorithm's static `modes` list (if any) and
+ *   hides "mode-container" for algorithms without modes.
  * - updateStepLog will populate the element with id "step-log-content" and attempt to
  *   scroll the current step into view.
  * - clear() will also update "stats-container" to show "Steps: 0/0".
@@ -105,13 +125,22 @@ class AlgorithmManager {
       rectangleUnion: new RectangleUnionAlgorithm(),
       rectangleIntersection: new RectangleIntersectionAlgorithm(),
       artGallery: new ArtGalleryAlgorithm(),
+      visibilityPolygon: new VisibilityPolygonAlgorithm(),
       grahamScan: new GrahamScanAlgorithm(),
       giftWrap: new GiftWrapAlgorithm(),
       quickHull: new QuickHullAlgorithm(),
+      monotoneChain: new MonotoneChainAlgorithm(),
+      chanHull: new ChanHullAlgorithm(),
+      kirkpatrickSeidel: new KirkpatrickSeidelAlgorithm(),
+      mergeHull: new MergeHullAlgorithm(),
       triangulation: new PolygonTriangulation(),
+      monotoneTriangulation: new MonotoneTriangulation(),
       delaunay: new DelaunayBowyerWatson(),
+      lawsonFlip: new LawsonFlipDelaunay(),
+      randomizedDelaunay: new RandomizedIncrementalDelaunay(),
       voronoi: new VoronoiAlgorithm(),
       fortuneVoronoi: new FortuneVoronoiAlgorithm(),
+      orderKVoronoi: new OrderKVoronoiAlgorithm(),
       duality: new DualityAlgorithm(),
       intervalTree: new IntervalTreeAlgorithm(),
       segmentTree: new SegmentTreeAlgorithm(),
@@ -136,6 +165,28 @@ class AlgorithmManager {
       }
     }
 
+    // Show/hide the lifting map toggle (same topics), checked as the algorithm left it
+    const liftingToggleContainer = document.getElementById(
+      "lifting-toggle-container"
+    );
+    if (liftingToggleContainer) {
+      const algorithm = this.getCurrentAlgorithm();
+      liftingToggleContainer.classList.toggle(
+        "hidden",
+        !algorithm.toggleLifting
+      );
+      const liftingToggle = document.getElementById("lifting-toggle");
+      if (liftingToggle) liftingToggle.checked = !!algorithm.showLifting;
+    }
+
+    // Show/hide the order slider for topics with an order k, set to the algorithm's k
+    const orderKContainer = document.getElementById("order-k-container");
+    if (orderKContainer) {
+      const algorithm = this.getCurrentAlgorithm();
+      orderKContainer.classList.toggle("hidden", !algorithm.setK);
+      if (algorithm.setK) this.syncOrderK();
+    }
+
     // Show/hide duality controls based on algorithm
     const dualityControls = document.getElementById("duality-controls");
     if (this.currentAlgorithm === "duality") {
@@ -165,6 +216,8 @@ class AlgorithmManager {
       }
     }
 
+    this.syncModeSelect();
+
     // Keep any algorithm <select> in sync if present
     const algSelect = document.getElementById("algorithm-select");
     if (algSelect) algSelect.value = this.currentAlgorithm;
@@ -182,6 +235,48 @@ class AlgorithmManager {
     return this.algorithms[this.currentAlgorithm];
   }
 
+  // Topics with several input modes list them as a static `modes` array of { value, label }
+  syncModeSelect() {
+    const container = document.getElementById("mode-container");
+    const select = document.getElementById("mode-select");
+    if (!container || !select) return;
+    const algorithm = this.getCurrentAlgorithm();
+    const modes = algorithm.constructor.modes || [];
+    container.classList.toggle("hidden", modes.length === 0);
+    select.innerHTML = modes
+      .map((mode) => `<option value="${mode.value}">${mode.label}</option>`)
+      .join("");
+    if (modes.length) select.value = algorithm.mode;
+  }
+
+  setMode(mode) {
+    const algorithm = this.getCurrentAlgorithm();
+    if (!algorithm.setMode) return;
+    algorithm.setMode(mode);
+    this.syncModeSelect();
+  }
+
+  // Topics with an order k (order-k Voronoi) show it on the "order-k-slider" range input
+  syncOrderK() {
+    const algorithm = this.getCurrentAlgorithm();
+    const slider = document.getElementById("order-k-slider");
+    const value = document.getElementById("order-k-value");
+    if (slider) slider.value = algorithm.k;
+    if (value) value.textContent = algorithm.k;
+  }
+
+  // Sets k and shows the finished diagram for it
+  setK(k) {
+    const algorithm = this.getCurrentAlgorithm();
+    if (!algorithm.setK) return;
+    algorithm.setK(k);
+    this.syncOrderK();
+    if (algorithm.points.length) {
+      algorithm.computeSteps();
+      algorithm.currentStep = algorithm.steps.length - 1;
+    }
+  }
+
   addPoint(point) {
     const algorithm = this.getCurrentAlgorithm();
     if (algorithm.addPoint) {
@@ -396,6 +491,13 @@ class AlgorithmManager {
       algorithm.toggleDuality();
     }
   }
+
+  toggleLifting() {
+    const algorithm = this.getCurrentAlgorithm();
+    if (algorithm.toggleLifting) {
+      algorithm.toggleLifting();
+    }
+  }
 }
 
 function setup() {
@@ -469,6 +571,9 @@ function setup() {
   window.algorithmManager = algorithmManager;
   window.uiControls = uiControls;
 
+  // Scene files can be dropped onto the canvas
+  if (window.Scene) window.Scene.initDropTarget(container);
+
   // Duality viz toggle (Delaunay + Voronoi)
   const dualityToggle = document.getElementById("duality-toggle");
   if (dualityToggle) {
@@ -477,6 +582,41 @@ function setup() {
     });
   }
 
+  // Lifting map viz toggle (Delaunay + Voronoi)
+  const liftingToggle = document.getElementById("lifting-toggle");
+  if (liftingToggle) {
+    liftingToggle.addEventListener("change", () => {
+      algorithmManager.toggleLifting();
+    });
+  }
+
+  // Order k for topics that have one (order-k Voronoi)
+  const orderKSlider = document.getElementById("order-k-slider");
+  if (orderKSlider) {
+    // Recomputing takes up to a second or so, so only the label follows the drag
+    orderKSlider.addEventListener("input", () => {
+      const value = document.getElementById("order-k-value");
+      if (value) value.textContent = orderKSlider.value;
+    });
+    orderKSlider.addEventListener("change", () => {
+      algorithmManager.setK(Number(orderKSlider.value));
+      uiControls.updateButtons();
+      uiControls.updateStepInfo();
+    });
+  }
+
+  // Input mode for topics that have several (e.g. constrained Delaunay)
+  const modeSelect = document.getElementById("mode-select");
+  if (modeSelect) {
+    modeSelect.addEventListener("change", () => {
+      algorithmManager.setMode(modeSelect.value);
+      uiControls.updateInstructions();
+      uiControls.renderRandomizeOptions(algorithmManager.currentAlgorithm);
+      uiControls.updateButtons();
+      uiControls.updateStepInfo();
+    });
+  }
+
   // Canvas controls
   const canvasControls = document.createElement("div");
   canvasControls.id = "canvas-controls";
@@ -876,6 +1016,21 @@ function setup() {
     } catch (e) {}
   };
 
+  // View transform accessors (used by scene files)
+  window.getCanvasTransform = () => ({
+    x: canvasTransform.x,
+    y: canvasTransform.y,
+    scale: canvasTransform.scale,
+  });
+
+  window.setCanvasTransform = (view) => {
+    if (!view) return;
+    if (isFinite(view.x)) canvasTransform.x = Number(view.x);
+    if (isFinite(view.y)) canvasTransform.y = Number(view.y);
+    if (isFinite(view.scale) && view.scale > 0)
+      canvasTransform.scale = Number(view.scale);
+  };
+
   // Toggle to focus canvas: hide overlays and keep only canvas + canvas-controls visible
   window.setFocusCanvas = (val) => {
     const active = !!val;
@@ -1520,6 +1675,10 @@ function setup() {
       return;
     }
   });
+
+  // Restore algorithm, inputs, step and view from a shared link (URL hash), if any
+  if (window.Scene) window.Scene.initUrlState();
+
   // Set framerate
   frameRate(60);
 }
@@ -1557,21 +1716,45 @@ function draw() {
     case "quickHull":
       drawQuickHull(step, pointSize);
       break;
+    case "monotoneChain":
+      drawMonotoneChain(step, pointSize);
+      break;
+    case "chanHull":
+      drawChanHull(step, pointSize);
+      break;
+    case "kirkpatrickSeidel":
+      drawKirkpatrickSeidel(step, pointSize);
+      break;
+    case "mergeHull":
+      drawMergeHull(step, pointSize);
+      break;
     case "segmentIntersection":
       drawSegmentIntersection(step, pointSize);
       break;
     case "triangulation":
       drawTriangulation(step, pointSize);
       break;
+    case "monotoneTriangulation":
+      drawMonotoneTriangulation(step, pointSize);
+      break;
     case "delaunay":
       drawDelaunay(step, pointSize);
       break;
+    case "lawsonFlip":
+      drawLawsonFlip(step, pointSize);
+      break;
+    case "randomizedDelaunay":
+      drawRandomizedDelaunay(step, pointSize);
+      break;
     case "voronoi":
       drawVoronoi(step, pointSize);
       break;
     case "fortuneVoronoi":
       drawFortuneVoronoi(step, pointSize);
       break;
+    case "orderKVoronoi":
+      drawOrderKVoronoi(step, pointSize);
+      break;
     case "intervalTree":
       drawIntervalTree(step, pointSize);
       break;
@@ -1591,10 +1774,17 @@ function draw() {
     case "artGallery":
       drawArtGallery(step, pointSize);
       break;
+    case "visibilityPolygon":
+      drawVisibilityPolygon(step, pointSize);
+      break;
   }
 
   pop();
 
+  // Lifting map inset (outside transformation)
+  liftingView.box = null;
+  if (step && step.showLifting) drawLiftingView(step, algorithm);
+
   // Update FPS counter (outside transformation)
   if (showFPS) {
     frameRateValue = frameRate();
@@ -1616,9 +1806,22 @@ function draw() {
   }
 }
 
+// Clicks within this band around the number line are queries, not new intervals
+function isOnNumberLine(y, numberLineY) {
+  return Math.abs(y - numberLineY) <= 20;
+}
+
 function mousePressed() {
   if (mouseX < 0 || mouseX > width || mouseY < 0 || mouseY > height) return;
 
+  // Dragging inside the lifting map view rotates it instead of editing the input
+  if (isInLiftingView(mouseX, mouseY)) {
+    liftingView.rotating = true;
+    liftingView.lastX = mouseX;
+    liftingView.lastY = mouseY;
+    return;
+  }
+
   // Check if it's a right click
   isRightClick = mouseButton === RIGHT;
 
@@ -1652,6 +1855,28 @@ function mousePressed() {
       // Use canvas-space coordinates for duality, so that, pan/zoom works
       isDragging = true;
       dragStart = new Point(canvasX, canvasY);
+    } else if (
+      algorithmManager.currentAlgorithm === "delaunay" &&
+      algorithmManager.getCurrentAlgorithm().mode === "constrained"
+    ) {
+      // Constrained Delaunay: a click adds a point, a drag draws a constraint segment
+      isDragging = true;
+      dragStart = new Point(canvasX, canvasY);
+    } else if (
+      algorithmManager.currentAlgorithm === "voronoi" &&
+      algorithmManager.getCurrentAlgorithm().mode === "lloyd"
+    ) {
+      // Lloyd relaxation: Shift+click adds a boundary vertex; a click adds a site, a drag draws the box
+      if (keyIsDown(SHIFT)) {
+        algorithmManager
+          .getCurrentAlgorithm()
+          .addBoundaryVertex(canvasX, canvasY);
+        uiControls.updateButtons();
+        uiControls.updateStepInfo();
+      } else {
+        isDragging = true;
+        dragStart = new Point(canvasX, canvasY);
+      }
     } else if (
       algorithmManager.currentAlgorithm === "rectangleUnion" ||
       algorithmManager.currentAlgorithm === "rectangleIntersection"
@@ -1665,8 +1890,43 @@ function mousePressed() {
         algorithm.addVertex(canvasX, canvasY);
         uiControls.updateButtons();
         uiControls.updateStepInfo();
+      } else if (isArtGalleryVisibilityStep(algorithm)) {
+        // On the visibility step: grab a guard to drag it, or place a new one
+        draggedGuard = algorithm.guardAt(
+          canvasX,
+          canvasY,
+          15 / canvasTransform.scale
+        );
+        if (draggedGuard === -1 && algorithm.addGuard(canvasX, canvasY)) {
+          uiControls.updateStepInfo();
+        }
+      }
+    } else if (algorithmManager.currentAlgorithm === "visibilityPolygon") {
+      // Open polygon: add a vertex; closed polygon: grab or place the viewpoint
+      const algorithm = algorithmManager.getCurrentAlgorithm();
+      if (!algorithm.polygon.isComplete) {
+        algorithm.addVertex(canvasX, canvasY);
+      } else if (
+        algorithm.isNearViewpoint(canvasX, canvasY, 15 / canvasTransform.scale)
+      ) {
+        draggingViewpoint = true;
+      } else {
+        draggingViewpoint = algorithm.setViewpoint(canvasX, canvasY);
       }
+      uiControls.updateButtons();
+      uiControls.updateStepInfo();
     } else {
+      // Weighted Voronoi: a press on a site's circle grabs its radius instead
+      const algorithm = algorithmManager.getCurrentAlgorithm();
+      if (typeof algorithm.radiusHandleAt === "function") {
+        draggedRadius = algorithm.radiusHandleAt(
+          canvasX,
+          canvasY,
+          6 / canvasTransform.scale
+        );
+        if (draggedRadius !== -1) return;
+      }
+
       // Add point for other algorithms
       const point = new Point(canvasX, canvasY);
       algorithmManager.addPoint(point);
@@ -1682,20 +1942,36 @@ function mouseReleased() {
     return;
   }
 
+  if (liftingView.rotating) {
+    liftingView.rotating = false;
+    return;
+  }
+
+  if (draggedGuard !== -1 || draggingViewpoint || draggedRadius !== -1) {
+    draggedGuard = -1;
+    draggingViewpoint = false;
+    draggedRadius = -1;
+    isRightClick = false;
+    return;
+  }
+
   if (isDragging && dragStart && !isRightClick) {
     const canvasX = (mouseX - canvasTransform.x) / canvasTransform.scale;
     const canvasY = (mouseY - canvasTransform.y) / canvasTransform.scale;
 
     if (algorithmManager.currentAlgorithm === "segmentIntersection") {
       const dragEnd = new Point(canvasX, canvasY);
-      const segment = new LineSegment(dragStart, dragEnd);
-      algorithmManager.addSegment(segment);
+      // A click (or a click-sized drag) is not a segment
+      if (dist(dragStart.x, dragStart.y, dragEnd.x, dragEnd.y) >= 10) {
+        const segment = new LineSegment(dragStart, dragEnd);
+        algorithmManager.addSegment(segment);
+      }
     } else if (
       algorithmManager.currentAlgorithm === "intervalTree" ||
       algorithmManager.currentAlgorithm === "segmentTree"
     ) {
       // Convert canvas coordinates to number line values
-      const numberLineY = height / 2;
+      const numberLineY = height * 0.8;
       const numberLineStart = 50;
       const numberLineEnd = width - 50;
       const numberLineRange = 100; // 0 to 100
@@ -1713,8 +1989,21 @@ function mouseReleased() {
         endValue >= 0 &&
         endValue <= numberLineRange
       ) {
-        const interval = new Interval(startValue, endValue);
-        algorithmManager.addInterval(interval);
+        const algorithm = algorithmManager.getCurrentAlgorithm();
+        if (
+          isOnNumberLine(dragStart.y, numberLineY) &&
+          typeof algorithm.setQuery === "function"
+        ) {
+          // Click on the number line: stabbing query; drag along it: range query
+          // (Shift selects the count-only variant, where supported)
+          const options = { countOnly: keyIsDown(SHIFT) };
+          if (Math.abs(canvasX - dragStart.x) < 5)
+            algorithm.setQuery(startValue, startValue, options);
+          else algorithm.setQuery(startValue, endValue, options);
+        } else {
+          const interval = new Interval(startValue, endValue);
+          algorithmManager.addInterval(interval);
+        }
       }
     } else if (algorithmManager.currentAlgorithm === "duality") {
       const dragEnd = new Point(canvasX, canvasY);
@@ -1728,6 +2017,22 @@ function mouseReleased() {
         const line = DualLine.fromPoints(dragStart, dragEnd);
         algorithmManager.addLine(line);
       }
+    } else if (algorithmManager.currentAlgorithm === "delaunay") {
+      const dragEnd = new Point(canvasX, canvasY);
+      if (dist(dragStart.x, dragStart.y, dragEnd.x, dragEnd.y) < 10) {
+        algorithmManager.addPoint(new Point(dragStart.x, dragStart.y));
+      } else {
+        algorithmManager.addSegment(new LineSegment(dragStart, dragEnd));
+      }
+    } else if (algorithmManager.currentAlgorithm === "voronoi") {
+      // Lloyd relaxation: a click adds a site, a drag sets the bounding box
+      if (dist(dragStart.x, dragStart.y, canvasX, canvasY) < 10) {
+        algorithmManager.addPoint(new Point(dragStart.x, dragStart.y));
+      } else {
+        algorithmManager
+          .getCurrentAlgorithm()
+          .setBoundaryBox(dragStart.x, dragStart.y, canvasX, canvasY);
+      }
     } else if (
       algorithmManager.currentAlgorithm === "rectangleUnion" ||
       algorithmManager.currentAlgorithm === "rectangleIntersection"
@@ -1758,6 +2063,56 @@ function mouseDragged() {
     return;
   }
 
+  // Lifting map: horizontal drags turn it, vertical drags tilt it (side view to top view)
+  if (liftingView.rotating) {
+    liftingView.yaw += (mouseX - liftingView.lastX) * 0.01;
+    liftingView.pitch = constrain(
+      liftingView.pitch + (mouseY - liftingView.lastY) * 0.01,
+      0,
+      Math.PI / 2
+    );
+    liftingView.lastX = mouseX;
+    liftingView.lastY = mouseY;
+    return;
+  }
+
+  // Art gallery: move the dragged guard (it stays put while the mouse is outside the polygon)
+  if (draggedGuard !== -1) {
+    const canvasX = (mouseX - canvasTransform.x) / canvasTransform.scale;
+    const canvasY = (mouseY - canvasTransform.y) / canvasTransform.scale;
+    const algorithm = algorithmManager.getCurrentAlgorithm();
+    if (algorithm.moveGuard(draggedGuard, canvasX, canvasY)) {
+      uiControls.updateStepInfo();
+    }
+    return;
+  }
+
+  // Weighted Voronoi: resize the grabbed site's circle, showing the finished power diagram
+  if (draggedRadius !== -1) {
+    const canvasX = (mouseX - canvasTransform.x) / canvasTransform.scale;
+    const canvasY = (mouseY - canvasTransform.y) / canvasTransform.scale;
+    const algorithm = algorithmManager.getCurrentAlgorithm();
+    const site = algorithm.points[draggedRadius];
+    algorithm.setRadius(draggedRadius, dist(site.x, site.y, canvasX, canvasY));
+    algorithm.computeSteps();
+    algorithm.currentStep = algorithm.steps.length - 1;
+    uiControls.updateButtons();
+    uiControls.updateStepInfo();
+    return;
+  }
+
+  // Visibility polygon: move the viewpoint (it stays put while the mouse is outside the polygon)
+  if (draggingViewpoint) {
+    const canvasX = (mouseX - canvasTransform.x) / canvasTransform.scale;
+    const canvasY = (mouseY - canvasTransform.y) / canvasTransform.scale;
+    const algorithm = algorithmManager.getCurrentAlgorithm();
+    if (algorithm.setViewpoint(canvasX, canvasY)) {
+      uiControls.updateButtons();
+      uiControls.updateStepInfo();
+    }
+    return;
+  }
+
   // Visual feedback for line sweep and interval tree
   if (
     isDragging &&
@@ -1769,6 +2124,23 @@ function mouseDragged() {
   }
 }
 
+function isInLiftingView(x, y) {
+  const box = liftingView.box;
+  return (
+    !!box &&
+    x >= box.x &&
+    x <= box.x + box.w &&
+    y >= box.y &&
+    y <= box.y + box.h
+  );
+}
+
+// Guards can only be edited once the final (visibility) step is shown
+function isArtGalleryVisibilityStep(algorithm) {
+  const step = algorithm.getCurrentStep();
+  return !!step && step.type === "visibility";
+}
+
 function mouseMoved() {
   // Don't show hover effects while dragging
   if (isDragging || canvasTransform.isDragging) {
@@ -1975,7 +2347,45 @@ function handleRightClick(canvasX, canvasY) {
         }
       }
     }
+  } else if (
+    algorithmManager.currentAlgorithm === "delaunay" &&
+    algorithm.mode === "constrained"
+  ) {
+    // Points first, so that a segment endpoint's own point can be removed
+    const point = algorithm.points.find(
+      (p) => dist(canvasX, canvasY, p.x, p.y) < clickRadius
+    );
+    const segment = algorithm.segments.find(
+      (s) => distanceToLineSegment(canvasX, canvasY, s) < clickRadius
+    );
+    if (point) algorithmManager.removePoint(point);
+    else if (segment) algorithmManager.removeSegment(segment);
+    uiControls.updateButtons();
+    uiControls.updateStepInfo();
+  } else if (algorithmManager.currentAlgorithm === "triangulation") {
+    // Hole vertices are checked before the outer polygon's (see PolygonTriangulation.removeVertex)
+    algorithm.removeVertex({ x: canvasX, y: canvasY });
+    uiControls.updateButtons();
+    uiControls.updateStepInfo();
+  } else if (algorithmManager.currentAlgorithm === "visibilityPolygon") {
+    // Remove the viewpoint, or a vertex while the polygon is still open
+    if (algorithm.isNearViewpoint(canvasX, canvasY, clickRadius)) {
+      algorithm.removeViewpoint();
+    } else if (!algorithm.polygon.isComplete) {
+      algorithm.removeVertex({ x: canvasX, y: canvasY });
+    }
+    uiControls.updateButtons();
+    uiControls.updateStepInfo();
   } else if (algorithmManager.currentAlgorithm === "artGallery") {
+    // On the visibility step, remove a guard
+    if (isArtGalleryVisibilityStep(algorithm)) {
+      const guardIndex = algorithm.guardAt(canvasX, canvasY, clickRadius);
+      if (guardIndex !== -1 && algorithm.removeGuard(guardIndex)) {
+        uiControls.updateStepInfo();
+      }
+      return;
+    }
+
     // Remove polygon vertex (only if polygon is not complete)
     if (
       algorithm.polygon &&
@@ -2535,6 +2945,11 @@ function getInteractiveElementsForAlgorithm(algorithmName, step) {
 
     case "giftWrap":
     case "grahamScan":
+    case "monotoneChain":
+    case "chanHull":
+    case "kirkpatrickSeidel":
+    case "mergeHull":
+    case "lawsonFlip":
       // Many hull-style algorithms expose eventSets.points
       if (
         step.eventSets &&
@@ -2590,6 +3005,38 @@ function getInteractiveElementsForAlgorithm(algorithmName, step) {
       }
       break;
 
+    case "orderKVoronoi":
+      // Sites, with the regions of the current order they belong to
+      if (step.eventSets && step.eventSets.points) {
+        for (const pd of step.eventSets.points) {
+          const count = (step.regions || []).filter((r) =>
+            r.sites.includes(pd.index)
+          ).length;
+          elems.push({
+            type: "point",
+            obj: pd.point,
+            tooltip: (o) =>
+              `Site P${pd.index + 1}: (${o.x.toFixed(1)}, ${o.y.toFixed(
+                1
+              )}), in ${count} order-${step.regionsOrder || 1} region${
+                count === 1 ? "" : "s"
+              }`,
+          });
+        }
+      }
+      break;
+
+    case "randomizedDelaunay":
+      // The point being inserted
+      if (step.newPoint) {
+        elems.push({
+          type: "point",
+          obj: step.newPoint,
+          tooltip: (o) => `Inserting: (${o.x.toFixed(1)}, ${o.y.toFixed(1)})`,
+        });
+      }
+      break;
+
     case "triangle":
     case "triangulation":
       if (step.triangles && step.triangles.length > 0) {
@@ -2788,6 +3235,8 @@ function getInteractiveElementsForAlgorithm(algorithmName, step) {
       break;
 
     case "artGallery":
+    case "visibilityPolygon":
+    case "monotoneTriangulation":
       // polygon vertices
       if (
         alg &&
@@ -2898,11 +3347,18 @@ function drawTreeNode(
     Math.max(26, 26 + Math.min(node.centerIntervals.length, 5) * 4)
   );
 
+  const isVisited =
+    step.visitedMedians && step.visitedMedians.includes(node.median);
+
   // Node body
   if (isCurrentNode) {
     fill(255, 255, 0, 200);
     stroke(255, 200, 0);
     strokeWeight(2.5);
+  } else if (isVisited) {
+    fill(215, 190, 235, 220);
+    stroke(155, 89, 182);
+    strokeWeight(2.5);
   } else {
     fill(200, 210, 255, 200);
     stroke(100, 120, 210);
@@ -2919,6 +3375,21 @@ function drawTreeNode(
   text(`M: ${node.median.toFixed(1)}`, x, y - 6);
   text(`${node.centerIntervals.length} intv`, x, y + 7);
 
+  // Which sorted list the query walk scans at this node
+  if (isCurrentNode && step.scanList) {
+    fill(155, 89, 182);
+    textSize(10);
+    textAlign(LEFT, CENTER);
+    const scanLabel =
+      step.scanList === "left"
+        ? "scan by start ↑"
+        : step.scanList === "right"
+        ? "scan by end ↓"
+        : "report all";
+    text(scanLabel, x + nodeRadius / 2 + 6, y);
+    textAlign(CENTER, CENTER);
+  }
+
   // Mini interval ticks below the node (limited rows to avoid overflow)
   if (node.centerIntervals.length > 0) {
     const rowYStart = y + nodeRadius / 2 + 10;
@@ -3108,6 +3579,42 @@ function drawArtGallery(step, pointSize) {
     }
   }
 
+  // Draw visibility polygons (under the guards)
+  if (step && step.visibilityRegions && step.visibilityRegions.length > 0) {
+    const visibilityColors = [
+      [255, 100, 100, 50], // Semi-transparent red
+      [100, 255, 100, 50], // Semi-transparent green
+      [100, 100, 255, 50], // Semi-transparent blue
+    ];
+
+    for (let i = 0; i < step.visibilityRegions.length; i++) {
+      const region = step.visibilityRegions[i];
+      const [r, g, b, a] = visibilityColors[i % visibilityColors.length];
+
+      fill(r, g, b, a);
+      stroke(r, g, b, 160);
+      strokeWeight(1);
+      beginShape();
+      for (let v of region.polygon) {
+        vertex(v.x, v.y);
+      }
+      endShape(CLOSE);
+    }
+  }
+
+  // Highlight regions no guard can see
+  if (step && step.unseenRegions && step.unseenRegions.length > 0) {
+    fill(231, 76, 60, 140);
+    noStroke();
+    beginShape(QUADS);
+    for (let quad of step.unseenRegions) {
+      for (let v of quad) {
+        vertex(v.x, v.y);
+      }
+    }
+    endShape();
+  }
+
   // Draw guards
   if (step && step.guards && step.guards.length > 0) {
     // Draw guard positions robustly (guard may be {x,y}, {point:{x,y}}, [x,y], or vertex index)
@@ -3190,33 +3697,6 @@ function drawArtGallery(step, pointSize) {
     }
   }
 
-  // Draw visibility regions
-  if (step && step.visibilityRegions && step.visibilityRegions.length > 0) {
-    const visibilityColors = [
-      [255, 100, 100, 50], // Semi-transparent red
-      [100, 255, 100, 50], // Semi-transparent green
-      [100, 100, 255, 50], // Semi-transparent blue
-    ];
-
-    for (let i = 0; i < step.visibilityRegions.length; i++) {
-      const region = step.visibilityRegions[i];
-      const colorIndex = i % visibilityColors.length;
-
-      fill(
-        visibilityColors[colorIndex][0],
-        visibilityColors[colorIndex][1],
-        visibilityColors[colorIndex][2],
-        visibilityColors[colorIndex][3]
-      );
-      noStroke();
-
-      // Draw visibility area as points (simplified)
-      for (let point of region.visibleArea) {
-        circle(point.x, point.y, 2);
-      }
-    }
-  }
-
   // Draw step information (hideable via canvas text toggle)
   if (showCanvasText && step && step.description) {
     drawText(step.description, 10, height - 30, 18, [LEFT, TOP]);
@@ -3304,6 +3784,50 @@ function drawSegmentIntersection(step, pointSize) {
     line(step.sweepLine, 0, step.sweepLine, height);
   }
 
+  // Status structure: rank of each active segment along the sweep line (top to bottom)
+  if (step.statusOrder && step.statusOrder.length > 0 && showCanvasText) {
+    const x = step.sweepLine;
+    step.statusOrder.forEach((segIndex, rank) => {
+      const seg = algorithm.segments[segIndex];
+      if (!seg) return;
+      let y;
+      if (Math.abs(seg.p2.x - seg.p1.x) < 1e-6) {
+        y = step.currentEvent ? step.currentEvent.y : seg.p1.y;
+      } else {
+        const t = (x - seg.p1.x) / (seg.p2.x - seg.p1.x);
+        y = seg.p1.y + t * (seg.p2.y - seg.p1.y);
+      }
+      fill(255, 0, 0);
+      noStroke();
+      textSize(11);
+      textAlign(LEFT, CENTER);
+      text(`${rank + 1}: s${segIndex + 1}`, x + 6, y);
+    });
+  }
+
+  // Intersection events waiting in the queue (hollow)
+  if (step.pendingIntersections && step.pendingIntersections.length > 0) {
+    noFill();
+    stroke(255, 140, 0);
+    strokeWeight(2);
+    for (const q of step.pendingIntersections) {
+      ellipse(q.x, q.y, pointSize + 6, pointSize + 6);
+    }
+  }
+
+  // Current event point
+  if (step.currentEvent) {
+    noFill();
+    stroke(255, 200, 0);
+    strokeWeight(3);
+    ellipse(
+      step.currentEvent.x,
+      step.currentEvent.y,
+      pointSize + 12,
+      pointSize + 12
+    );
+  }
+
   // Draw intersections (keeps red emphasis but supports hover)
   if (step.intersections && step.intersections.length > 0) {
     for (let i = 0; i < step.intersections.length; i++) {
@@ -3618,22 +4142,1243 @@ function drawGrahamScan(step, pointSize) {
 }
 
 /**
- * Convex Hull - Gift Wrap (Jarvis' March) drawing function
+ * Convex Hull - Monotone Chain (Andrew's algorithm) drawing function
  */
-function drawGiftWrap(step, pointSize) {
+function drawMonotoneChain(step, pointSize) {
   if (!step) return;
 
-  const algorithm = algorithmManager.algorithms.giftWrap;
-
-  // Draw all points with appropriate colors based on their status
-  if (step.eventSets && step.eventSets.points) {
-    for (let i = 0; i < step.eventSets.points.length; i++) {
-      const pointData = step.eventSets.points[i];
-      const point = pointData.point;
-      let pointStatus = pointData.status;
+  // Sweep position: dashed vertical line through the point being scanned
+  if (step.currentPoint) {
+    stroke(darkMode ? 160 : 180);
+    strokeWeight(1);
+    drawingContext.setLineDash([5, 5]);
+    line(step.currentPoint.x, 0, step.currentPoint.x, height);
+    drawingContext.setLineDash([]);
+  }
 
-      // Check if this point is being hovered
-      const isHovered =
+  // Chains as open polylines: lower hull, then upper hull (once started)
+  const drawChain = (chain, col) => {
+    if (!chain || chain.length < 2) return;
+    stroke(...col);
+    strokeWeight(3);
+    noFill();
+    beginShape();
+    for (const point of chain) vertex(point.x, point.y);
+    endShape();
+  };
+  if (step.phase !== "done") {
+    drawChain(step.lowerHull, [0, 0, 255]);
+    drawChain(step.upperHull, [0, 150, 255]);
+  }
+
+  // Turn test of the last two chain points and the current point (red: pop, green: keep)
+  if (step.turnTest) {
+    const [a, b, c] = step.turnTest;
+    stroke(...(step.poppedPoint ? [231, 76, 60] : [0, 180, 0]));
+    strokeWeight(2);
+    drawingContext.setLineDash([6, 4]);
+    line(a.x, a.y, b.x, b.y);
+    line(b.x, b.y, c.x, c.y);
+    drawingContext.setLineDash([]);
+  }
+
+  // Final hull outline
+  if (step.hull && step.hull.length > 1) {
+    stroke(0, 0, 255);
+    strokeWeight(3);
+    noFill();
+    beginShape();
+    for (const point of step.hull) {
+      vertex(point.x, point.y);
+    }
+    if (step.hull.length > 2) {
+      endShape(CLOSE);
+    } else {
+      endShape();
+    }
+  }
+
+  // Points, colored by status (same palette as Graham scan)
+  if (step.eventSets && step.eventSets.points) {
+    for (let i = 0; i < step.eventSets.points.length; i++) {
+      const pointData = step.eventSets.points[i];
+      const point = pointData.point;
+
+      let colors;
+      switch (pointData.status) {
+        case "accepted":
+          colors = { fillColor: [0, 200, 0], strokeColor: [0, 150, 0] };
+          break;
+        case "rejected":
+          colors = { fillColor: [150, 150, 150], strokeColor: [100, 100, 100] };
+          break;
+        case "current":
+          colors = getPointColors("current");
+          break;
+        case "backtrack":
+          colors = { fillColor: [155, 89, 182], strokeColor: [142, 68, 173] };
+          break;
+        default:
+          colors = getPointColors("default");
+      }
+
+      drawPointWithHover(
+        point,
+        pointSize,
+        i,
+        colors.fillColor,
+        colors.strokeColor
+      );
+      drawingContext.shadowBlur = 0;
+
+      // Rank in x-sorted order
+      if (showCanvasText && step.phase) {
+        noStroke();
+        fill(darkMode ? 220 : 60);
+        textAlign(LEFT, BOTTOM);
+        textSize(10);
+        text(`P${i + 1}`, point.x + pointSize / 2 + 2, point.y - 2);
+      }
+    }
+  }
+
+  // Draw step information
+  if (step.description) {
+    if (showCanvasText)
+      drawText(step.description, 10, height - 30, 18, [LEFT, TOP]);
+  }
+}
+
+/**
+ * Convex Hull - Chan's algorithm drawing function
+ */
+function drawChanHull(step, pointSize) {
+  if (!step) return;
+
+  // One hue per group (golden angle, as for Voronoi cells)
+  const groupColor = (gi, s, b, a = 100) => {
+    colorMode(HSB, 360, 100, 100, 100);
+    const c = color((gi * 137.5) % 360, s, b, a);
+    colorMode(RGB, 255, 255, 255, 255);
+    return c;
+  };
+
+  // Mini hulls built so far
+  (step.miniHulls || []).forEach((miniHull, gi) => {
+    const isCurrent = gi === step.currentGroup;
+    fill(groupColor(gi, 40, 95, isCurrent ? 35 : 18));
+    stroke(groupColor(gi, 70, 70));
+    strokeWeight(isCurrent ? 2.5 : 1.5);
+    beginShape();
+    for (const point of miniHull) vertex(point.x, point.y);
+    if (miniHull.length > 2) {
+      endShape(CLOSE);
+    } else {
+      endShape();
+    }
+  });
+
+  // Graham scan fan of the group being built: pivot to each point in angular order
+  if (step.fan && step.fan.pivot) {
+    stroke(groupColor(step.currentGroup, 70, 70));
+    strokeWeight(1);
+    drawingContext.setLineDash([4, 4]);
+    for (const point of step.fan.order) {
+      line(step.fan.pivot.x, step.fan.pivot.y, point.x, point.y);
+    }
+    drawingContext.setLineDash([]);
+  }
+
+  // Hull found so far (red dashed when the guess failed)
+  const path = step.hullPath || [];
+  if (step.phase !== "done" && path.length > 1) {
+    if (step.failed) {
+      stroke(231, 76, 60);
+      drawingContext.setLineDash([8, 6]);
+    } else {
+      stroke(0, 0, 255);
+    }
+    strokeWeight(3);
+    noFill();
+    beginShape();
+    for (const point of path) vertex(point.x, point.y);
+    endShape();
+    drawingContext.setLineDash([]);
+  }
+
+  // Tangents found in this wrap; the one just found is highlighted
+  if (step.currentPoint && step.tangents) {
+    strokeWeight(1.5);
+    drawingContext.setLineDash([6, 4]);
+    for (const { group, point } of step.tangents) {
+      if (point === step.tangentPoint || point === step.nextPoint) continue;
+      stroke(groupColor(group, 70, 70));
+      line(step.currentPoint.x, step.currentPoint.y, point.x, point.y);
+    }
+    drawingContext.setLineDash([]);
+  }
+  if (step.currentPoint && step.tangentPoint) {
+    stroke(255, 200, 0);
+    strokeWeight(2.5);
+    line(
+      step.currentPoint.x,
+      step.currentPoint.y,
+      step.tangentPoint.x,
+      step.tangentPoint.y
+    );
+  }
+  if (step.currentPoint && step.nextPoint) {
+    stroke(0, 0, 255);
+    strokeWeight(3);
+    drawingContext.setLineDash([8, 6]);
+    line(
+      step.currentPoint.x,
+      step.currentPoint.y,
+      step.nextPoint.x,
+      step.nextPoint.y
+    );
+    drawingContext.setLineDash([]);
+  }
+
+  // Final hull outline
+  if (step.hull && step.hull.length > 1) {
+    stroke(0, 0, 255);
+    strokeWeight(3);
+    noFill();
+    beginShape();
+    for (const point of step.hull) {
+      vertex(point.x, point.y);
+    }
+    if (step.hull.length > 2) {
+      endShape(CLOSE);
+    } else {
+      endShape();
+    }
+  }
+
+  // Points: hull colors while wrapping, group hue otherwise
+  if (step.eventSets && step.eventSets.points) {
+    for (let i = 0; i < step.eventSets.points.length; i++) {
+      const pointData = step.eventSets.points[i];
+      const point = pointData.point;
+
+      let colors;
+      switch (pointData.status) {
+        case "accepted":
+          colors = { fillColor: [0, 200, 0], strokeColor: [0, 150, 0] };
+          break;
+        case "rejected":
+          colors = { fillColor: [150, 150, 150], strokeColor: [100, 100, 100] };
+          break;
+        case "current":
+          colors = getPointColors("current");
+          break;
+        case "candidate":
+          colors = { fillColor: [255, 165, 0], strokeColor: [220, 120, 0] };
+          break;
+        default:
+          colors =
+            pointData.group >= 0
+              ? {
+                  fillColor: groupColor(pointData.group, 60, 95),
+                  strokeColor: groupColor(pointData.group, 80, 60),
+                }
+              : getPointColors("default");
+      }
+
+      drawPointWithHover(
+        point,
+        pointSize,
+        i,
+        colors.fillColor,
+        colors.strokeColor
+      );
+      drawingContext.shadowBlur = 0;
+    }
+  }
+
+  // Binary search probes on the current mini hull, numbered in probe order
+  if (step.probes && step.probes.length) {
+    step.probes.forEach(({ point }, k) => {
+      noFill();
+      stroke(255, 0, 255);
+      strokeWeight(2);
+      circle(point.x, point.y, pointSize + 8 + 4 * k);
+      if (showCanvasText) {
+        noStroke();
+        fill(255, 0, 255);
+        textAlign(LEFT, BOTTOM);
+        textSize(11);
+        text(`${k + 1}`, point.x + pointSize / 2 + 4, point.y - 4 - 8 * k);
+      }
+    });
+  }
+
+  // Draw step information
+  if (step.description) {
+    if (showCanvasText)
+      drawText(step.description, 10, height - 30, 18, [LEFT, TOP]);
+  }
+}
+
+/**
+ * Convex Hull - Kirkpatrick-Seidel drawing function
+ */
+function drawKirkpatrickSeidel(step, pointSize) {
+  if (!step) return;
+
+  // Current subproblem: the x-range between its two hull endpoints
+  if (step.subproblem) {
+    const { k, m } = step.subproblem;
+    noStroke();
+    fill(0, 150, 255, darkMode ? 35 : 25);
+    rect(k.x, 0, m.x - k.x, height);
+  }
+
+  // Median split line
+  if (step.median !== null && step.median !== undefined) {
+    stroke(255, 140, 0);
+    strokeWeight(2);
+    drawingContext.setLineDash([8, 6]);
+    line(step.median, 0, step.median, height);
+    drawingContext.setLineDash([]);
+  }
+
+  // Pairs of the current pruning round (red once one of their points is discarded)
+  if (step.pairs) {
+    strokeWeight(1.5);
+    for (const pr of step.pairs) {
+      stroke(...(pr.discard ? [231, 76, 60] : [150, 150, 150]));
+      line(pr.p.x, pr.p.y, pr.q.x, pr.q.y);
+    }
+  }
+
+  // Supporting line with the median slope (slope is in the hull's frame: flip for the upper hull)
+  if (step.slope !== null && step.support && step.support.length) {
+    const p = step.support[0];
+    const screenSlope = step.sign * step.slope;
+    const reach = 5000;
+    stroke(0, 180, 0);
+    strokeWeight(2);
+    drawingContext.setLineDash([6, 4]);
+    line(
+      p.x - reach,
+      p.y - screenSlope * reach,
+      p.x + reach,
+      p.y + screenSlope * reach
+    );
+    drawingContext.setLineDash([]);
+  }
+
+  // Bridges found so far (upper and lower hull edges)
+  const drawEdges = (edges, col) => {
+    stroke(...col);
+    strokeWeight(3);
+    for (const [a, b] of edges || []) line(a.x, a.y, b.x, b.y);
+  };
+  if (step.phase !== "done") {
+    drawEdges(step.upperEdges, [0, 150, 255]);
+    drawEdges(step.lowerEdges, [0, 0, 255]);
+  }
+
+  // Bridge just found
+  if (step.bridge) {
+    const [a, b] = step.bridge;
+    stroke(0, 200, 0);
+    strokeWeight(5);
+    line(a.x, a.y, b.x, b.y);
+  }
+
+  // Final hull outline
+  if (step.hull && step.hull.length > 1) {
+    stroke(0, 0, 255);
+    strokeWeight(3);
+    noFill();
+    beginShape();
+    for (const point of step.hull) {
+      vertex(point.x, point.y);
+    }
+    if (step.hull.length > 2) {
+      endShape(CLOSE);
+    } else {
+      endShape();
+    }
+  }
+
+  // Points, colored by status
+  if (step.eventSets && step.eventSets.points) {
+    for (let i = 0; i < step.eventSets.points.length; i++) {
+      const pointData = step.eventSets.points[i];
+      const point = pointData.point;
+
+      let colors;
+      switch (pointData.status) {
+        case "accepted":
+          colors = { fillColor: [0, 200, 0], strokeColor: [0, 150, 0] };
+          break;
+        case "rejected":
+          colors = { fillColor: [150, 150, 150], strokeColor: [100, 100, 100] };
+          break;
+        case "current":
+          colors = getPointColors("current");
+          break;
+        case "candidate":
+          colors = { fillColor: [255, 165, 0], strokeColor: [220, 120, 0] };
+          break;
+        case "backtrack":
+          colors = { fillColor: [155, 89, 182], strokeColor: [142, 68, 173] };
+          break;
+        default:
+          colors = getPointColors("default");
+      }
+
+      drawPointWithHover(
+        point,
+        pointSize,
+        i,
+        colors.fillColor,
+        colors.strokeColor
+      );
+      drawingContext.shadowBlur = 0;
+    }
+  }
+
+  // Draw step information
+  if (step.description) {
+    if (showCanvasText)
+      drawText(step.description, 10, height - 30, 18, [LEFT, TOP]);
+  }
+}
+
+/**
+ * Convex Hull - Divide and Conquer (Merge Hull) drawing function
+ */
+function drawMergeHull(step, pointSize) {
+  if (!step) return;
+  const pts = step.sortedPoints || [];
+
+  // Subproblem being solved: the x-range of its points
+  if (step.currentNode && pts.length) {
+    const x0 = pts[step.currentNode.lo].x;
+    const x1 = pts[step.currentNode.hi - 1].x;
+    noStroke();
+    fill(0, 150, 255, darkMode ? 35 : 25);
+    rect(x0 - pointSize, 0, x1 - x0 + 2 * pointSize, height);
+  }
+
+  // Split line between the two halves
+  if (step.split !== null && step.split !== undefined) {
+    stroke(255, 140, 0);
+    strokeWeight(2);
+    drawingContext.setLineDash([8, 6]);
+    line(step.split, 0, step.split, height);
+    drawingContext.setLineDash([]);
+  }
+
+  // Hulls of the solved subproblems that are not merged yet (Graham scan hull style)
+  for (const { hull } of step.liveHulls || []) {
+    if (hull.length < 2) continue;
+    stroke(0, 0, 255);
+    strokeWeight(3);
+    noFill();
+    beginShape();
+    for (const point of hull) vertex(point.x, point.y);
+    if (hull.length > 2) {
+      endShape(CLOSE);
+    } else {
+      endShape();
+    }
+  }
+
+  // Tangents: found ones in green, the one being walked dashed
+  if (step.merge) {
+    stroke(0, 200, 0);
+    strokeWeight(3);
+    for (const tangent of [step.merge.upper, step.merge.lower]) {
+      if (tangent) line(tangent[0].x, tangent[0].y, tangent[1].x, tangent[1].y);
+    }
+    if (step.merge.candidate) {
+      const [a, b] = step.merge.candidate;
+      stroke(255, 200, 0);
+      strokeWeight(2.5);
+      drawingContext.setLineDash([6, 4]);
+      line(a.x, a.y, b.x, b.y);
+      drawingContext.setLineDash([]);
+    }
+  }
+
+  // Final hull outline
+  if (step.hull && step.hull.length > 1) {
+    stroke(0, 0, 255);
+    strokeWeight(3);
+    noFill();
+    beginShape();
+    for (const point of step.hull) {
+      vertex(point.x, point.y);
+    }
+    if (step.hull.length > 2) {
+      endShape(CLOSE);
+    } else {
+      endShape();
+    }
+  }
+
+  // Points, colored by status (same palette as Graham scan)
+  if (step.eventSets && step.eventSets.points) {
+    for (let i = 0; i < step.eventSets.points.length; i++) {
+      const pointData = step.eventSets.points[i];
+      const point = pointData.point;
+
+      let colors;
+      switch (pointData.status) {
+        case "accepted":
+          colors = { fillColor: [0, 200, 0], strokeColor: [0, 150, 0] };
+          break;
+        case "rejected":
+          colors = { fillColor: [150, 150, 150], strokeColor: [100, 100, 100] };
+          break;
+        case "current":
+          colors = getPointColors("current");
+          break;
+        case "backtrack":
+          colors = { fillColor: [155, 89, 182], strokeColor: [142, 68, 173] };
+          break;
+        default:
+          colors = getPointColors("default");
+      }
+
+      drawPointWithHover(
+        point,
+        pointSize,
+        i,
+        colors.fillColor,
+        colors.strokeColor
+      );
+      drawingContext.shadowBlur = 0;
+
+      // Rank in x-sorted order
+      if (showCanvasText && pts.length) {
+        noStroke();
+        fill(darkMode ? 220 : 60);
+        textAlign(LEFT, BOTTOM);
+        textSize(10);
+        text(`P${i + 1}`, point.x + pointSize / 2 + 2, point.y - 2);
+      }
+    }
+  }
+
+  // Draw step information
+  if (step.description) {
+    if (showCanvasText)
+      drawText(step.description, 10, height - 30, 18, [LEFT, TOP]);
+  }
+}
+
+/**
+ * Visibility Polygon - Rotational Sweep drawing function
+ */
+function drawVisibilityPolygon(step, pointSize) {
+  if (!step) return;
+  const algorithm = algorithmManager.algorithms.visibilityPolygon;
+  const polygon = algorithm.polygon;
+  const verts = polygon.vertices;
+  const n = verts.length;
+
+  // Visible region: the finished polygon, or the fan swept so far
+  if (step.visible && step.visible.length > 2) {
+    fill(255, 215, 0, darkMode ? 70 : 90);
+    stroke(230, 170, 0);
+    strokeWeight(2);
+    beginShape();
+    for (const p of step.visible) vertex(p.x, p.y);
+    endShape(CLOSE);
+  } else if (step.sweepPoint && step.output && step.output.length > 0) {
+    fill(255, 215, 0, darkMode ? 45 : 60);
+    noStroke();
+    beginShape();
+    vertex(step.sweepPoint.x, step.sweepPoint.y);
+    for (const p of step.output) vertex(p.x, p.y);
+    endShape(CLOSE);
+
+    stroke(230, 170, 0);
+    strokeWeight(2);
+    noFill();
+    beginShape();
+    for (const p of step.output) vertex(p.x, p.y);
+    endShape();
+  }
+
+  // Polygon edges
+  stroke(darkMode ? 200 : 100);
+  strokeWeight(2);
+  noFill();
+  for (const edge of polygon.edges) {
+    line(edge.start.x, edge.start.y, edge.end.x, edge.end.y);
+  }
+
+  // Preview edge to the mouse while the polygon is open
+  if (!polygon.isComplete && n > 0) {
+    const canvasX = (mouseX - canvasTransform.x) / canvasTransform.scale;
+    const canvasY = (mouseY - canvasTransform.y) / canvasTransform.scale;
+    stroke(150);
+    strokeWeight(1);
+    drawingContext.setLineDash([5, 5]);
+    line(verts[n - 1].x, verts[n - 1].y, canvasX, canvasY);
+    drawingContext.setLineDash([]);
+  }
+
+  // Active edges (crossed by the ray), the nearest one in green; removed edges dashed red
+  const edgeLine = (ei) => {
+    const a = verts[ei];
+    const b = verts[(ei + 1) % n];
+    if (a && b) line(a.x, a.y, b.x, b.y);
+  };
+  if (!step.visible || step.visible.length === 0) {
+    stroke(0, 150, 255);
+    strokeWeight(3);
+    for (const ei of step.activeEdges || []) edgeLine(ei);
+    stroke(231, 76, 60);
+    drawingContext.setLineDash([6, 4]);
+    for (const ei of step.removedEdges || []) edgeLine(ei);
+    drawingContext.setLineDash([]);
+    if (step.nearestEdge !== null && step.nearestEdge !== undefined) {
+      stroke(0, 200, 0);
+      strokeWeight(5);
+      edgeLine(step.nearestEdge);
+    }
+  }
+
+  // The sweep ray, long enough to leave the polygon
+  if (
+    step.sweepPoint &&
+    step.direction !== undefined &&
+    (!step.visible || step.visible.length === 0)
+  ) {
+    const q = step.sweepPoint;
+    const reach =
+      Math.max(...verts.map((v) => Math.hypot(v.x - q.x, v.y - q.y))) * 1.1;
+    stroke(255, 140, 0);
+    strokeWeight(2);
+    drawingContext.setLineDash([8, 6]);
+    line(
+      q.x,
+      q.y,
+      q.x + Math.cos(step.direction) * reach,
+      q.y + Math.sin(step.direction) * reach
+    );
+    drawingContext.setLineDash([]);
+
+    // Nearest hits just before and after the vertex
+    noStroke();
+    fill(255, 140, 0);
+    for (const h of step.hits || []) circle(h.x, h.y, pointSize * 0.7);
+  }
+
+  // Emitted vertices of the visibility polygon
+  (step.output || []).forEach((p, i) => {
+    noStroke();
+    fill(230, 170, 0);
+    circle(p.x, p.y, pointSize * 0.7);
+    if (showCanvasText) {
+      fill(darkMode ? 255 : 120, darkMode ? 215 : 90, 0);
+      textAlign(RIGHT, TOP);
+      textSize(10);
+      text(`W${i + 1}`, p.x - 4, p.y + 2);
+    }
+  });
+
+  // Polygon vertices: the ones on the ray are current, swept ones grey
+  const status = new Map(
+    ((step.eventSets && step.eventSets.eventQueue) || [])
+      .filter((e) => e.vertex)
+      .map((e) => [
+        verts.findIndex((v) => v.x === e.vertex.x && v.y === e.vertex.y),
+        e.status,
+      ])
+  );
+  for (let i = 0; i < n; i++) {
+    const v = verts[i];
+    let colors;
+    switch (status.get(i)) {
+      case "current":
+        colors = getPointColors("current");
+        break;
+      case "processed":
+        colors = { fillColor: [150, 150, 150], strokeColor: [100, 100, 100] };
+        break;
+      default:
+        colors = getPointColors("default");
+    }
+    drawPointWithHover(v, pointSize, i, colors.fillColor, colors.strokeColor);
+    drawingContext.shadowBlur = 0;
+
+    if (showCanvasText) {
+      noStroke();
+      fill(darkMode ? 220 : 60);
+      textAlign(LEFT, BOTTOM);
+      textSize(10);
+      text(`V${i + 1}`, v.x + pointSize / 2 + 2, v.y - 2);
+    }
+  }
+
+  // Viewpoint: a red eye-like marker
+  if (algorithm.viewpoint) {
+    const { x, y } = algorithm.viewpoint;
+    stroke(darkMode ? 255 : 0);
+    strokeWeight(2);
+    fill(231, 76, 60);
+    circle(x, y, pointSize * 1.6);
+    noStroke();
+    fill(darkMode ? 255 : 0);
+    circle(x, y, pointSize * 0.5);
+  }
+
+  // Draw step information
+  if (step.description) {
+    if (showCanvasText)
+      drawText(step.description, 10, height - 30, 18, [LEFT, TOP]);
+  }
+}
+
+/**
+ * Polygon Triangulation - Monotone Partition drawing function
+ */
+function drawMonotoneTriangulation(step, pointSize) {
+  if (!step) return;
+  const algorithm = algorithmManager.algorithms.monotoneTriangulation;
+  const polygon = algorithm.polygon;
+  const verts = polygon.vertices;
+  const n = verts.length;
+  const segment = ([a, b]) =>
+    line(verts[a].x, verts[a].y, verts[b].x, verts[b].y);
+
+  // Monotone pieces, each in its own colour; the one being triangulated is stronger
+  if (step.pieces) {
+    colorMode(HSB, 360, 100, 100, 255);
+    step.pieces.forEach((piece, k) => {
+      fill((k * 137.5) % 360, 55, 95, k === step.currentPiece ? 120 : 60);
+      noStroke();
+      beginShape();
+      for (const vi of piece) vertex(verts[vi].x, verts[vi].y);
+      endShape(CLOSE);
+    });
+    colorMode(RGB, 255);
+  }
+
+  // Triangles found so far (as in ear clipping), the newest outlined in orange
+  drawTriangles(step.triangles);
+  if (step.newTriangleCount) {
+    stroke(255, 120, 0);
+    strokeWeight(4);
+    noFill();
+    for (const tri of step.triangles.slice(-step.newTriangleCount)) {
+      beginShape();
+      for (const p of tri) vertex(p.x, p.y);
+      endShape(CLOSE);
+    }
+  }
+
+  // Polygon edges
+  stroke(darkMode ? 220 : 0);
+  strokeWeight(3);
+  noFill();
+  for (const edge of polygon.edges) {
+    line(edge.start.x, edge.start.y, edge.end.x, edge.end.y);
+  }
+
+  // Preview edge to the mouse while the polygon is open
+  if (!polygon.isComplete && n > 0) {
+    const canvasX = (mouseX - canvasTransform.x) / canvasTransform.scale;
+    const canvasY = (mouseY - canvasTransform.y) / canvasTransform.scale;
+    stroke(150);
+    strokeWeight(1);
+    setLineDash([5, 5]);
+    line(verts[n - 1].x, verts[n - 1].y, canvasX, canvasY);
+    setLineDash([]);
+  }
+
+  // Self-intersections of a non-simple polygon
+  if (step.intersections) {
+    noFill();
+    stroke(231, 76, 60);
+    strokeWeight(2);
+    for (const p of step.intersections) circle(p.x, p.y, pointSize * 2);
+  }
+
+  // Sweep line through the current event vertex
+  if (step.sweepY !== null && step.sweepY !== undefined) {
+    const xs = verts.map((v) => v.x);
+    stroke(255, 140, 0);
+    strokeWeight(2);
+    setLineDash([8, 6]);
+    line(Math.min(...xs) - 40, step.sweepY, Math.max(...xs) + 40, step.sweepY);
+    setLineDash([]);
+  }
+
+  // Status edges in blue, with dotted links to their helpers; edges just removed in dashed red
+  for (const { edge, helper } of step.statusEdges || []) {
+    stroke(0, 150, 255);
+    strokeWeight(5);
+    segment(edge);
+    const a = verts[edge[0]];
+    const b = verts[edge[1]];
+    stroke(0, 150, 255, 160);
+    strokeWeight(1.5);
+    setLineDash([2, 4]);
+    line((a.x + b.x) / 2, (a.y + b.y) / 2, verts[helper].x, verts[helper].y);
+    setLineDash([]);
+  }
+  stroke(231, 76, 60);
+  strokeWeight(3);
+  setLineDash([6, 4]);
+  for (const edge of step.removedEdges || []) segment(edge);
+  setLineDash([]);
+
+  // Diagonals: earlier ones dashed blue, the ones just inserted thick orange
+  const isNew = ([a, b]) =>
+    (step.newDiagonals || []).some(
+      ([c, d]) => (a === c && b === d) || (a === d && b === c)
+    );
+  for (const diagonal of step.diagonals || []) {
+    if (isNew(diagonal)) {
+      stroke(255, 120, 0);
+      strokeWeight(4);
+    } else {
+      stroke(41, 128, 185);
+      strokeWeight(2);
+      setLineDash([6, 4]);
+    }
+    segment(diagonal);
+    setLineDash([]);
+  }
+
+  // Vertices: de Berg's symbols for the vertex types, with the stack shown by outlines
+  const typeColors = {
+    start: [46, 204, 113],
+    end: [231, 76, 60],
+    split: [255, 140, 0],
+    merge: [155, 89, 182],
+  };
+  const stack = step.stack || [];
+  for (let i = 0; i < n; i++) {
+    const v = verts[i];
+    const type = step.vertexTypes ? step.vertexTypes[i] : null;
+    const s = pointSize + 4;
+    if (stack.includes(i)) {
+      noFill();
+      stroke(155, 89, 182);
+      strokeWeight(3);
+      circle(v.x, v.y, s + 10);
+    }
+    if (i === step.currentVertex) {
+      const colors = getPointColors("current");
+      drawPointWithHover(v, s + 2, i, colors.fillColor, colors.strokeColor);
+    } else if (type && typeColors[type]) {
+      // Start: open square, end: filled square, split: triangle up, merge: triangle down
+      stroke(typeColors[type]);
+      strokeWeight(2);
+      if (type === "start") fill(darkMode ? 40 : 255);
+      else fill(typeColors[type]);
+      if (type === "start" || type === "end")
+        rect(v.x - s / 2, v.y - s / 2, s, s);
+      else if (type === "split")
+        triangle(
+          v.x - s / 2,
+          v.y + s / 2,
+          v.x + s / 2,
+          v.y + s / 2,
+          v.x,
+          v.y - s / 2
+        );
+      else
+        triangle(
+          v.x - s / 2,
+          v.y - s / 2,
+          v.x + s / 2,
+          v.y - s / 2,
+          v.x,
+          v.y + s / 2
+        );
+    } else {
+      const colors = getPointColors("default");
+      drawPointWithHover(v, pointSize, i, colors.fillColor, colors.strokeColor);
+    }
+
+    if (showCanvasText) {
+      noStroke();
+      fill(darkMode ? 220 : 60);
+      textAlign(LEFT, BOTTOM);
+      textSize(10);
+      text(
+        `V${i + 1}${type && type !== "regular" ? ` ${type}` : ""}`,
+        v.x + s / 2 + 2,
+        v.y - 2
+      );
+    }
+  }
+
+  // Draw step information
+  if (step.description) {
+    if (showCanvasText)
+      drawText(step.description, 10, height - 30, 18, [LEFT, TOP]);
+  }
+}
+
+/**
+ * Delaunay Triangulation - Lawson's edge flipping drawing function
+ */
+function drawLawsonFlip(step, pointSize) {
+  if (!step) return;
+
+  const algorithm = algorithmManager.algorithms.lawsonFlip;
+
+  // Current triangulation
+  fill(150, 150, 255, 60);
+  stroke(0, 0, 180);
+  strokeWeight(1.5);
+  for (const triangle of step.triangles || []) {
+    beginShape();
+    for (const p of triangle) vertex(p.x, p.y);
+    endShape(CLOSE);
+  }
+
+  // The quadrilateral around the tested edge: green while legal or just flipped, red when illegal
+  if (step.quad) {
+    const illegal = step.algorithmStep === 2;
+    if (illegal) fill(255, 150, 150, 110);
+    else fill(150, 255, 150, 110);
+    noStroke();
+    beginShape();
+    for (const p of step.quad) vertex(p.x, p.y);
+    endShape(CLOSE);
+  }
+
+  // Incircle test: the circle through the edge and one apex, against the other apex
+  if (step.circle) {
+    noFill();
+    stroke(step.algorithmStep === 2 ? color(220, 0, 0) : color(120, 120, 120));
+    strokeWeight(1.5);
+    drawingContext.setLineDash([6, 4]);
+    ellipse(step.circle.center.x, step.circle.center.y, step.circle.radius * 2);
+    drawingContext.setLineDash([]);
+  }
+
+  if (step.edge) {
+    const [p, q] = step.edge;
+    stroke(step.algorithmStep === 2 ? color(220, 0, 0) : color(0, 150, 0));
+    strokeWeight(4);
+    line(p.x, p.y, q.x, q.y);
+  }
+  if (step.newEdge) {
+    const [p, q] = step.newEdge;
+    stroke(0, 150, 0);
+    strokeWeight(4);
+    line(p.x, p.y, q.x, q.y);
+  }
+
+  if (step.opposite) {
+    noFill();
+    stroke(step.algorithmStep === 2 ? color(220, 0, 0) : color(0, 150, 0));
+    strokeWeight(2);
+    ellipse(step.opposite.x, step.opposite.y, pointSize + 10);
+  }
+
+  // Points (the quadrilateral's corners highlighted)
+  const statuses = new Map(
+    (step.eventSets?.points || []).map((p) => [p.index, p.status])
+  );
+  algorithm.points.forEach((p, i) => {
+    const colors =
+      statuses.get(i) === "current"
+        ? { fillColor: [255, 150, 0], strokeColor: [200, 100, 0] }
+        : getPointColors("default");
+    drawPointWithHover(p, pointSize, i, colors.fillColor, colors.strokeColor);
+    if (showCanvasText) {
+      noStroke();
+      fill(darkMode ? 220 : 60);
+      textAlign(LEFT, BOTTOM);
+      textSize(10);
+      text(`P${i + 1}`, p.x + pointSize / 2 + 2, p.y - 2);
+    }
+  });
+
+  // Running flip count and smallest angle
+  if (showCanvasText && step.minAngle !== undefined) {
+    drawText(
+      `Flips: ${step.flips}   Smallest angle: ${step.minAngle.toFixed(1)}°`,
+      10,
+      10,
+      16,
+      [LEFT, TOP]
+    );
+  }
+
+  // Draw step information
+  if (step.description) {
+    if (showCanvasText)
+      drawText(step.description, 10, height - 30, 18, [LEFT, TOP]);
+  }
+}
+
+/**
+ * Delaunay Triangulation - Randomized incremental construction drawing function
+ */
+function drawRandomizedDelaunay(step, pointSize) {
+  if (!step) return;
+
+  const algorithm = algorithmManager.algorithms.randomizedDelaunay;
+
+  // The symbolic points have no coordinates: their edges are drawn as rays toward them,
+  // p₋₁ to the lower right and p₋₂ to the upper left
+  const rayLength = 3000;
+  const symbolicDirection = { [-1]: [1, 0.25], [-2]: [-1, -0.25] };
+  const corners = (triangle) => {
+    const anchor = triangle.find((p) => typeof p !== "number");
+    return triangle.map((p) =>
+      typeof p === "number"
+        ? {
+            x: anchor.x + symbolicDirection[p][0] * rayLength,
+            y: anchor.y + symbolicDirection[p][1] * rayLength,
+            symbolic: true,
+          }
+        : p
+    );
+  };
+  const fillTriangle = (triangle) => {
+    beginShape();
+    for (const p of corners(triangle)) vertex(p.x, p.y);
+    endShape(CLOSE);
+  };
+  const drawEdge = ([p, q]) => {
+    if (typeof p === "number" && typeof q === "number") return;
+    const [a, b] = corners([p, q]);
+    setLineDash(a.symbolic || b.symbolic ? [6, 4] : []);
+    line(a.x, a.y, b.x, b.y);
+    setLineDash([]);
+  };
+
+  // Triangles with a symbolic corner: light fill, dashed rays
+  for (const triangle of step.openTriangles || []) {
+    fill(200, 200, 200, 40);
+    noStroke();
+    fillTriangle(triangle);
+    stroke(120, 120, 120);
+    strokeWeight(1);
+    for (let e = 0; e < 3; e++) drawEdge([triangle[e], triangle[(e + 1) % 3]]);
+  }
+
+  // Current triangulation
+  fill(150, 150, 255, 60);
+  stroke(0, 0, 180);
+  strokeWeight(1.5);
+  for (const triangle of step.triangles || []) {
+    beginShape();
+    for (const p of triangle) vertex(p.x, p.y);
+    endShape(CLOSE);
+  }
+
+  // The leaf the DAG walk ended in, and the triangles just created (split or flip)
+  if (step.located) {
+    fill(255, 200, 0, 90);
+    noStroke();
+    fillTriangle(step.located);
+  }
+  for (const triangle of step.createdTriangles || []) {
+    fill(0, 200, 0, 50);
+    stroke(0, 150, 0);
+    strokeWeight(2);
+    fillTriangle(triangle);
+  }
+
+  // Incircle test (only when all four points are real)
+  if (step.circle) {
+    noFill();
+    stroke(step.newEdge ? color(220, 0, 0) : color(120, 120, 120));
+    strokeWeight(1.5);
+    setLineDash([6, 4]);
+    ellipse(step.circle.center.x, step.circle.center.y, step.circle.radius * 2);
+    setLineDash([]);
+  }
+
+  // Tested edge: red when illegal (and flipped), green when legal
+  if (step.edge) {
+    stroke(step.newEdge ? color(220, 0, 0) : color(0, 150, 0));
+    strokeWeight(4);
+    drawEdge(step.edge);
+  }
+  if (step.newEdge) {
+    stroke(0, 150, 0);
+    strokeWeight(4);
+    drawEdge(step.newEdge);
+  }
+
+  // Points, with the one being inserted highlighted
+  algorithm.points.forEach((p, i) => {
+    const colors =
+      step.newPoint && p.x === step.newPoint.x && p.y === step.newPoint.y
+        ? { fillColor: [255, 150, 0], strokeColor: [200, 100, 0] }
+        : getPointColors("default");
+    drawPointWithHover(p, pointSize, i, colors.fillColor, colors.strokeColor);
+    if (showCanvasText) {
+      noStroke();
+      fill(darkMode ? 220 : 60);
+      textAlign(LEFT, BOTTOM);
+      textSize(10);
+      text(`P${i + 1}`, p.x + pointSize / 2 + 2, p.y - 2);
+    }
+  });
+
+  // DAG size so far
+  if (showCanvasText && step.dag) {
+    drawText(
+      `History DAG: ${step.dag.size} nodes   Walk: ${step.dag.path.length} nodes`,
+      10,
+      10,
+      16,
+      [LEFT, TOP]
+    );
+  }
+
+  // Draw step information
+  if (step.description) {
+    if (showCanvasText)
+      drawText(step.description, 10, height - 30, 18, [LEFT, TOP]);
+  }
+}
+
+/**
+ * Order-k Voronoi diagram drawing function
+ */
+function drawOrderKVoronoi(step, pointSize) {
+  if (!step) return;
+
+  const algorithm = algorithmManager.algorithms.orderKVoronoi;
+  const polygon = (vertices) => {
+    beginShape();
+    for (const v of vertices) vertex(v.x, v.y);
+    endShape(CLOSE);
+  };
+  const splitting = !!step.currentRegion || (step.pieces || []).length > 0;
+
+  // Regions of the current order, in the cell colours of drawVoronoi (faded while they are split)
+  (step.regions || []).forEach((region, i) => {
+    setCellColors(i, splitting ? 12 : 60);
+    strokeWeight(splitting ? 1 : 2);
+    polygon(region.polygon);
+  });
+
+  // Pieces split off so far, coloured by the next order's region they join
+  for (const piece of step.pieces || []) {
+    setCellColors(piece.colorIndex, 60);
+    noStroke();
+    polygon(piece.polygon);
+  }
+
+  // The region being split (thick) and its new pieces (dashed)
+  if (step.newPieces) {
+    noFill();
+    stroke(200, 100, 0);
+    strokeWeight(1.5);
+    setLineDash([4, 3]);
+    for (const piece of step.newPieces) polygon(piece.polygon);
+    setLineDash([]);
+  }
+  if (step.currentRegion) {
+    noFill();
+    stroke(255, 120, 0);
+    strokeWeight(3);
+    polygon(step.currentRegion.polygon);
+  }
+
+  // k-nearest-neighbour query at the mouse, on the finished diagram
+  let nearest = [];
+  if (
+    step.query &&
+    mouseX >= 0 &&
+    mouseX <= width &&
+    mouseY >= 0 &&
+    mouseY <= height
+  ) {
+    const qx = (mouseX - canvasTransform.x) / canvasTransform.scale;
+    const qy = (mouseY - canvasTransform.y) / canvasTransform.scale;
+    nearest = algorithm.nearestSites(qx, qy, step.k);
+    const key = [...nearest].sort((a, b) => a - b).join(",");
+    const region = step.regions.find((r) => r.sites.join(",") === key);
+    if (region) {
+      noFill();
+      stroke(0, 150, 0);
+      strokeWeight(3);
+      polygon(region.polygon);
+    }
+    const far = algorithm.points[nearest[nearest.length - 1]];
+    noFill();
+    stroke(0, 150, 0, 160);
+    strokeWeight(1.5);
+    setLineDash([5, 4]);
+    ellipse(qx, qy, 2 * dist(qx, qy, far.x, far.y));
+    for (const i of nearest) {
+      const p = algorithm.points[i];
+      line(qx, qy, p.x, p.y);
+    }
+    setLineDash([]);
+    fill(0, 150, 0);
+    noStroke();
+    circle(qx, qy, 6);
+  }
+
+  // Sites: the set of the region being split in orange, the query's nearest sites in green
+  algorithm.points.forEach((p, i) => {
+    let colors = getPointColors("default");
+    if (step.currentRegion && step.currentRegion.sites.includes(i))
+      colors = { fillColor: [255, 150, 0], strokeColor: [200, 100, 0] };
+    else if (nearest.includes(i))
+      colors = { fillColor: [0, 180, 0], strokeColor: [0, 120, 0] };
+    drawPointWithHover(p, pointSize, i, colors.fillColor, colors.strokeColor);
+    if (showCanvasText) {
+      noStroke();
+      fill(darkMode ? 220 : 60);
+      textAlign(LEFT, BOTTOM);
+      textSize(10);
+      text(`P${i + 1}`, p.x + pointSize / 2 + 2, p.y - 2);
+    }
+  });
+
+  if (showCanvasText && step.level) {
+    drawText(
+      step.regionsOrder === step.level
+        ? `k = ${step.k}   Order ${step.level}`
+        : `k = ${step.k}   Building order ${step.level} from order ${step.regionsOrder}`,
+      10,
+      10,
+      16,
+      [LEFT, TOP]
+    );
+  }
+
+  // Draw step information
+  if (step.description) {
+    if (showCanvasText)
+      drawText(step.description, 10, height - 30, 18, [LEFT, TOP]);
+  }
+}
+
+/**
+ * Convex Hull - Gift Wrap (Jarvis' March) drawing function
+ */
+function drawGiftWrap(step, pointSize) {
+  if (!step) return;
+
+  const algorithm = algorithmManager.algorithms.giftWrap;
+
+  // Draw all points with appropriate colors based on their status
+  if (step.eventSets && step.eventSets.points) {
+    for (let i = 0; i < step.eventSets.points.length; i++) {
+      const pointData = step.eventSets.points[i];
+      const point = pointData.point;
+      let pointStatus = pointData.status;
+
+      // Check if this point is being hovered
+      const isHovered =
         hoverState.hoveredPoint && hoverState.hoveredPoint.point === point;
 
       // Resolve color using helper: map pointStatus to helper semantic
@@ -4020,10 +5765,46 @@ function drawDelaunay(step, pointSize) {
     }
   }
 
-  // Draw points
-  if (algorithm.points && algorithm.points.length > 0) {
-    for (let i = 0; i < algorithm.points.length; i++) {
-      const point = algorithm.points[i];
+  // Constrained mode: input segments (thin), inserted constraints (thick), the constraint being
+  // inserted and the cavities it opens
+  if (algorithm.mode === "constrained") {
+    stroke(90, 90, 90);
+    strokeWeight(1.5);
+    for (const segment of algorithm.segments) {
+      line(segment.p1.x, segment.p1.y, segment.p2.x, segment.p2.y);
+    }
+    stroke(30, 30, 30);
+    strokeWeight(4);
+    for (const [p, q] of step.constraints || []) line(p.x, p.y, q.x, q.y);
+
+    if (step.cavities) {
+      noFill();
+      stroke(150, 0, 200);
+      strokeWeight(2);
+      drawingContext.setLineDash([6, 4]);
+      for (const cavity of step.cavities) {
+        beginShape();
+        for (const p of cavity) vertex(p.x, p.y);
+        endShape(CLOSE);
+      }
+      drawingContext.setLineDash([]);
+    }
+    if (step.currentConstraint) {
+      const [p, q] = step.currentConstraint;
+      stroke(255, 140, 0);
+      strokeWeight(5);
+      line(p.x, p.y, q.x, q.y);
+    }
+  }
+
+  // Draw points (in constrained mode, the sites include segment endpoints and Steiner points)
+  const sites =
+    algorithm.mode === "constrained" && algorithm.sites.length
+      ? algorithm.sites
+      : algorithm.points;
+  if (sites && sites.length > 0) {
+    for (let i = 0; i < sites.length; i++) {
+      const point = sites[i];
       let pointStatus = "pending";
 
       // Check point status from event sets, if available
@@ -4059,6 +5840,25 @@ function drawDelaunay(step, pointSize) {
     }
   }
 
+  // Steiner points, where constraints cross each other, are ringed
+  if (step.steinerPoints && step.steinerPoints.length > 0) {
+    noFill();
+    stroke(150, 0, 200);
+    strokeWeight(2);
+    for (const p of step.steinerPoints) ellipse(p.x, p.y, pointSize + 8);
+  }
+
+  // Constraint segment being dragged (a short drag adds a point instead)
+  if (algorithm.mode === "constrained" && isDragging && dragStart) {
+    const currentX = (mouseX - canvasTransform.x) / canvasTransform.scale;
+    const currentY = (mouseY - canvasTransform.y) / canvasTransform.scale;
+    stroke(255, 165, 0);
+    strokeWeight(2);
+    drawingContext.setLineDash([5, 5]);
+    line(dragStart.x, dragStart.y, currentX, currentY);
+    drawingContext.setLineDash([]);
+  }
+
   // Draw new point being added with special highlight
   if (step.newPoint) {
     const newColors = { fillColor: [0, 255, 0], strokeColor: [0, 200, 0] };
@@ -4147,6 +5947,15 @@ function drawDelaunay(step, pointSize) {
   }
 }
 
+// Fill and stroke for the i-th cell: hues a golden angle apart (Voronoi cells, order-k regions)
+function setCellColors(i, alpha = 70) {
+  const hue = (i * 137.5) % 360;
+  colorMode(HSB, 360, 100, 100, 100);
+  fill(hue, 50, 90, alpha);
+  stroke(hue, 70, 60);
+  colorMode(RGB, 255, 255, 255, 255);
+}
+
 /**
  * Voronoi diagram (via Delaunay) drawing function
  */
@@ -4171,6 +5980,94 @@ function drawVoronoi(step, pointSize) {
     }
   }
 
+  // Weighted mode: the triangles the inserted site conflicts with
+  const weighted = algorithm.mode === "weighted";
+  if (weighted && step.badTriangles && step.delaunayTriangulation) {
+    fill(255, 100, 100, 70);
+    stroke(200, 0, 0);
+    strokeWeight(1.5);
+    for (const k of step.badTriangles) {
+      beginShape();
+      for (const p of step.delaunayTriangulation[k]) vertex(p.x, p.y);
+      endShape(CLOSE);
+    }
+  }
+
+  // Farthest-point mode: the hull (dashed), what is left of it, and the ear being cut off with its circle
+  const farthest = algorithm.mode === "farthest";
+  if (farthest && step.hull && step.hull.length > 1) {
+    noFill();
+    stroke(120, 120, 120);
+    strokeWeight(1.5);
+    setLineDash([6, 4]);
+    beginShape();
+    for (const p of step.hull) vertex(p.x, p.y);
+    endShape(CLOSE);
+    setLineDash([]);
+    if (step.remainingHull && step.remainingHull.length > 2) {
+      stroke(120, 60, 200);
+      strokeWeight(2);
+      beginShape();
+      for (const p of step.remainingHull) vertex(p.x, p.y);
+      endShape(CLOSE);
+    }
+  }
+  if (farthest && step.ear) {
+    fill(255, 150, 0, 70);
+    stroke(200, 100, 0);
+    strokeWeight(2);
+    beginShape();
+    for (const p of step.ear) vertex(p.x, p.y);
+    endShape(CLOSE);
+  }
+  if (farthest && step.circle) {
+    noFill();
+    stroke(255, 120, 0);
+    strokeWeight(2);
+    setLineDash([6, 4]);
+    ellipse(step.circle.center.x, step.circle.center.y, step.circle.radius * 2);
+    setLineDash([]);
+  }
+
+  // Lloyd mode: the clip region, the boundary being entered and the box being dragged
+  const lloyd = algorithm.mode === "lloyd";
+  if (lloyd && step.boundary) {
+    noFill();
+    stroke(darkMode ? 200 : 60);
+    strokeWeight(2.5);
+    beginShape();
+    for (const v of step.boundary) vertex(v.x, v.y);
+    endShape(CLOSE);
+  }
+  if (lloyd && algorithm.boundary.length && !algorithm.boundaryIsBox) {
+    stroke(120, 60, 200);
+    strokeWeight(1.5);
+    setLineDash([5, 4]);
+    noFill();
+    beginShape();
+    for (const v of algorithm.boundary) vertex(v.x, v.y);
+    endShape(algorithm.boundary.length >= 3 ? CLOSE : undefined);
+    setLineDash([]);
+    fill(120, 60, 200);
+    noStroke();
+    for (const v of algorithm.boundary) rect(v.x - 3, v.y - 3, 6, 6);
+  }
+  if (lloyd && isDragging && dragStart) {
+    const currentX = (mouseX - canvasTransform.x) / canvasTransform.scale;
+    const currentY = (mouseY - canvasTransform.y) / canvasTransform.scale;
+    noFill();
+    stroke(255, 165, 0);
+    strokeWeight(2);
+    setLineDash([5, 5]);
+    rect(
+      Math.min(dragStart.x, currentX),
+      Math.min(dragStart.y, currentY),
+      Math.abs(currentX - dragStart.x),
+      Math.abs(currentY - dragStart.y)
+    );
+    setLineDash([]);
+  }
+
   // 2. Progressive Voronoi edges (before full cells)
   if (step.voronoiEdges && step.voronoiEdges.length > 0) {
     stroke(60, 180, 60);
@@ -4200,11 +6097,7 @@ function drawVoronoi(step, pointSize) {
   if (step.partialCells && step.partialCells.length > 0) {
     for (let i = 0; i < step.partialCells.length; i++) {
       const cell = step.partialCells[i];
-      const hue = (i * 137.5) % 360;
-      colorMode(HSB, 360, 100, 100, 100);
-      fill(hue, 50, 90, 35);
-      stroke(hue, 70, 60);
-      colorMode(RGB, 255, 255, 255, 255);
+      setCellColors(i, 35);
       strokeWeight(1.5);
       if (cell.vertices && cell.vertices.length > 1) {
         beginShape();
@@ -4229,11 +6122,7 @@ function drawVoronoi(step, pointSize) {
       const cell = step.voronoiCells[i];
 
       // Use a different color for each cell
-      const hue = (i * 137.5) % 360; // Golden angle to distribute colors
-      colorMode(HSB, 360, 100, 100, 100);
-      fill(hue, 50, 90, 70);
-      stroke(hue, 70, 60);
-      colorMode(RGB, 255, 255, 255, 255);
+      setCellColors(i);
 
       strokeWeight(2);
 
@@ -4294,8 +6183,66 @@ function drawVoronoi(step, pointSize) {
     }
   }
 
-  // 7. Draw sites with statuses to show processing order
-  if (algorithm.points && algorithm.points.length > 0) {
+  // Farthest-point mode: candidate centers for the smallest enclosing circle, then the circle itself
+  if (farthest && step.candidates) {
+    for (const c of step.candidates) {
+      const best = c === step.bestCandidate;
+      fill(...(best ? [0, 180, 0] : [255, 150, 0]));
+      stroke(...(best ? [0, 120, 0] : [200, 100, 0]));
+      strokeWeight(1);
+      circle(c.center.x, c.center.y, best ? 10 : 7);
+    }
+  }
+  if (farthest && step.enclosingCircle) {
+    const { center, radius } = step.enclosingCircle;
+    noFill();
+    stroke(0, 160, 0);
+    strokeWeight(3);
+    ellipse(center.x, center.y, radius * 2);
+    fill(0, 160, 0);
+    noStroke();
+    circle(center.x, center.y, 8);
+  }
+
+  // Lloyd mode: the sites' start positions, and where each one moves (its cell's centroid)
+  if (lloyd && step.sites) {
+    noFill();
+    stroke(150, 150, 150);
+    strokeWeight(1);
+    for (const p of algorithm.points) circle(p.x, p.y, 5);
+  }
+  if (lloyd && step.centroids) {
+    stroke(200, 0, 0);
+    strokeWeight(1.5);
+    step.centroids.forEach((c, i) => {
+      const p = step.sites[i];
+      line(p.x, p.y, c.x, c.y);
+      line(c.x - 3, c.y - 3, c.x + 3, c.y + 3);
+      line(c.x - 3, c.y + 3, c.x + 3, c.y - 3);
+    });
+  }
+
+  // Weighted mode: each site's circle (drag it to change the radius); hidden sites dashed in gray
+  if (weighted) {
+    const hidden = new Set(step.hiddenSites || []);
+    noFill();
+    algorithm.points.forEach((p, i) => {
+      if (hidden.has(i)) {
+        stroke(150, 150, 150);
+        strokeWeight(1.5);
+        setLineDash([4, 4]);
+      } else {
+        stroke(120, 60, 200);
+        strokeWeight(draggedRadius === i ? 3 : 1.5);
+      }
+      ellipse(p.x, p.y, algorithm.radiusOf(i) * 2);
+      setLineDash([]);
+    });
+  }
+
+  // 7. Draw sites with statuses to show processing order (Lloyd mode: where they are at this step)
+  const sitePoints = step.sites || algorithm.points;
+  if (sitePoints && sitePoints.length > 0) {
     const statusOf = (idx) => {
       if (step.eventSets && step.eventSets.points) {
         const pd = step.eventSets.points.find((p) => p.index === idx);
@@ -4305,8 +6252,8 @@ function drawVoronoi(step, pointSize) {
         return "current";
       return "pending";
     };
-    for (let i = 0; i < algorithm.points.length; i++) {
-      const point = algorithm.points[i];
+    for (let i = 0; i < sitePoints.length; i++) {
+      const point = sitePoints[i];
       const st = statusOf(i);
       let colors;
       switch (st) {
@@ -4316,6 +6263,9 @@ function drawVoronoi(step, pointSize) {
         case "current":
           colors = { fillColor: [255, 150, 0], strokeColor: [200, 100, 0] };
           break;
+        case "rejected":
+          colors = { fillColor: [170, 170, 170], strokeColor: [110, 110, 110] };
+          break;
         default:
           colors = getPointColors("default");
           break;
@@ -4331,7 +6281,35 @@ function drawVoronoi(step, pointSize) {
   }
 
   // 8. Draw duality explanation (hideable via canvas text toggle)
-  if (step.showDuality && showCanvasText) {
+  if (step.showDuality && showCanvasText && weighted) {
+    fill(0, 0, 0);
+    noStroke();
+    textSize(18);
+    textAlign(LEFT, TOP);
+    text(
+      "Duality: Blue lines = regular triangulation, Colored regions = power cells",
+      10,
+      10
+    );
+    text("• Regular triangle vertices = sites that keep a cell", 10, 30);
+    text("• Power diagram vertices = power centers of the triangles", 10, 50);
+  } else if (step.showDuality && showCanvasText && farthest) {
+    fill(0, 0, 0);
+    noStroke();
+    textSize(18);
+    textAlign(LEFT, TOP);
+    text(
+      "Duality: Blue lines = farthest-point Delaunay triangulation, Colored regions = farthest-point cells",
+      10,
+      10
+    );
+    text(
+      "• Triangle vertices = hull vertices, the only sites with a cell",
+      10,
+      30
+    );
+    text("• Diagram vertices = circumcenters of the triangles", 10, 50);
+  } else if (step.showDuality && showCanvasText) {
     fill(0, 0, 0);
     noStroke();
     textSize(18);
@@ -4351,6 +6329,266 @@ function drawVoronoi(step, pointSize) {
   }
 }
 
+/**
+ * Lifting map drawing function (Delaunay + Voronoi)
+ * Draws the points lifted onto the paraboloid z = x² + y² in a rotatable 3D inset, on top of the
+ * 2D view. Points are first moved into the unit disk, which changes the lift only by an affine map,
+ * so lower hull facets and plane tests stay the same. Weighted sites sink below it, to x² + y² - r².
+ */
+function drawLiftingView(step, algorithm) {
+  const points =
+    algorithm.mode === "constrained" ? algorithm.sites : algorithm.points;
+  const size = Math.min(340, width * 0.4, height * 0.6);
+  const box = { x: width - size - 10, y: 60, w: size, h: size };
+  liftingView.box = box;
+
+  push();
+  fill(darkMode ? 40 : 250, 235);
+  stroke(darkMode ? 120 : 180);
+  strokeWeight(1);
+  rect(box.x, box.y, box.w, box.h, 6);
+  drawingContext.save();
+  drawingContext.beginPath();
+  drawingContext.rect(box.x, box.y, box.w, box.h);
+  drawingContext.clip();
+
+  const weights =
+    algorithm.mode === "weighted"
+      ? new Map(points.map((p, i) => [p, algorithm.radiusOf(i) ** 2]))
+      : null;
+  if (showCanvasText)
+    drawText(
+      weights ? "Lifting map: z = x² + y² − r²" : "Lifting map: z = x² + y²",
+      box.x + 8,
+      box.y + 6,
+      13
+    );
+  if (points.length === 0) {
+    drawingContext.restore();
+    pop();
+    return;
+  }
+
+  // Normalize the points into the unit disk
+  const xs = points.map((p) => p.x);
+  const ys = points.map((p) => p.y);
+  const cx = (Math.min(...xs) + Math.max(...xs)) / 2;
+  const cy = (Math.min(...ys) + Math.max(...ys)) / 2;
+  const s = Math.max(...points.map((p) => Math.hypot(p.x - cx, p.y - cy))) || 1;
+  const lift = (p) => {
+    const u = (p.x - cx) / s;
+    const v = (p.y - cy) / s;
+    const w = weights ? (weights.get(p) || 0) / (s * s) : 0;
+    return [u, v, u * u + v * v - w];
+  };
+
+  // Orthographic projection: turn around the z axis by yaw, then tilt by pitch
+  // (pitch 0 looks from the side, pitch π/2 straight down onto the 2D view)
+  const { yaw, pitch } = liftingView;
+  const zMid = 0.55;
+  const zBase = -0.25;
+  const scale = size * 0.36;
+  const turn = ([u, v, z]) => [
+    u * Math.cos(yaw) - v * Math.sin(yaw),
+    u * Math.sin(yaw) + v * Math.cos(yaw),
+    z - zMid,
+  ];
+  const project = (q) => {
+    const [x, y, z] = turn(q);
+    return {
+      x: box.x + box.w / 2 + x * scale,
+      y:
+        box.y + box.h / 2 + (y * Math.sin(pitch) - z * Math.cos(pitch)) * scale,
+    };
+  };
+  // Larger is nearer to the viewer, for drawing the facets back to front
+  const depth = (q) => {
+    const [, y, z] = turn(q);
+    return y * Math.cos(pitch) + z * Math.sin(pitch);
+  };
+  const polyline = (qs, close = false) => {
+    beginShape();
+    for (const q of qs) {
+      const p = project(q);
+      vertex(p.x, p.y);
+    }
+    endShape(close ? CLOSE : undefined);
+  };
+
+  // Only the triangles between input points (not the super triangle's)
+  const keys = new Set(points.map((p) => `${p.x},${p.y}`));
+  const triangles = (step.triangles || step.delaunayTriangulation || []).filter(
+    (t) => t.every((p) => keys.has(`${p.x},${p.y}`))
+  );
+
+  // The 2D triangulation on a base plane below the paraboloid
+  stroke(150, 150, 150, 150);
+  strokeWeight(1);
+  noFill();
+  for (const t of triangles)
+    polyline(
+      t.map((p) => [...lift(p).slice(0, 2), zBase]),
+      true
+    );
+
+  // Paraboloid wireframe: rings of constant height and meridians
+  stroke(darkMode ? 110 : 190);
+  for (const r of [0.3, 0.6, 0.9, 1.2])
+    polyline(
+      Array.from({ length: 49 }, (_, k) => {
+        const a = (k / 48) * 2 * Math.PI;
+        return [r * Math.cos(a), r * Math.sin(a), r * r];
+      })
+    );
+  for (let k = 0; k < 12; k++) {
+    const a = (k / 12) * 2 * Math.PI;
+    polyline(
+      Array.from({ length: 13 }, (_, j) => {
+        const r = (j / 12) * 1.2;
+        return [r * Math.cos(a), r * Math.sin(a), r * r];
+      })
+    );
+  }
+
+  // Hull facets, one per current triangle (lower hull; upper in the farthest-point mode), back to front
+  const facets = triangles
+    .map((t) => t.map(lift))
+    .sort(
+      (a, b) =>
+        a.reduce((sum, q) => sum + depth(q), 0) -
+        b.reduce((sum, q) => sum + depth(q), 0)
+    );
+  fill(100, 140, 255, 70);
+  stroke(0, 0, 180);
+  strokeWeight(1.2);
+  for (const facet of facets) polyline(facet, true);
+
+  // Drop lines from the lifted points to the base plane
+  stroke(150, 150, 150, 120);
+  setLineDash([2, 3]);
+  for (const p of points) {
+    const q = lift(p);
+    const top = project(q);
+    const bottom = project([q[0], q[1], zBase]);
+    line(top.x, top.y, bottom.x, bottom.y);
+  }
+  setLineDash([]);
+
+  // Empty-circle test: the plane through a triangle's lifted corners cuts the paraboloid in
+  // the lift of its circumcircle; a point is inside the circle exactly when it lifts below it.
+  // Use the triangle under the mouse, else one whose circumcircle holds the new point.
+  const mouse = {
+    x: (mouseX - canvasTransform.x) / canvasTransform.scale,
+    y: (mouseY - canvasTransform.y) / canvasTransform.scale,
+  };
+  const side = (a, b, p) =>
+    (b.x - a.x) * (p.y - a.y) - (b.y - a.y) * (p.x - a.x);
+  const contains = ([a, b, c], p) => {
+    const d = [side(a, b, p), side(b, c, p), side(c, a, p)];
+    return d.every((x) => x >= 0) || d.every((x) => x <= 0);
+  };
+  const inBox =
+    mouseX >= box.x &&
+    mouseX <= box.x + box.w &&
+    mouseY >= box.y &&
+    mouseY <= box.y + box.h;
+  const allTriangles = step.triangles || step.delaunayTriangulation || [];
+  const planeTriangle =
+    (!inBox && triangles.find((t) => contains(t, mouse))) ||
+    (step.badTriangles || [])
+      .map((k) => allTriangles[k])
+      .find((t) => t && triangles.includes(t));
+  let plane = null;
+  if (planeTriangle) {
+    const [A, B, C] = planeTriangle.map(lift);
+    const n = [
+      (B[1] - A[1]) * (C[2] - A[2]) - (B[2] - A[2]) * (C[1] - A[1]),
+      (B[2] - A[2]) * (C[0] - A[0]) - (B[0] - A[0]) * (C[2] - A[2]),
+      (B[0] - A[0]) * (C[1] - A[1]) - (B[1] - A[1]) * (C[0] - A[0]),
+    ];
+    if (Math.abs(n[2]) > 1e-12) {
+      // z = A.z - (n.x (u - A.u) + n.y (v - A.v)) / n.z
+      plane = (u, v) => A[2] - (n[0] * (u - A[0]) + n[1] * (v - A[1])) / n[2];
+      // The lifted circumcircle, in normalized coordinates
+      const ox = -n[0] / (2 * n[2]);
+      const oy = -n[1] / (2 * n[2]);
+      // Squared radius: the power of the center, i.e. minus A's weight (0 when unweighted)
+      const R = Math.sqrt(
+        Math.max(
+          0,
+          (A[0] - ox) ** 2 + (A[1] - oy) ** 2 - (A[0] ** 2 + A[1] ** 2 - A[2])
+        )
+      );
+      const ring = (r) =>
+        Array.from({ length: 65 }, (_, k) => {
+          const a = (k / 64) * 2 * Math.PI;
+          const u = ox + r * Math.cos(a);
+          const v = oy + r * Math.sin(a);
+          return [u, v, plane(u, v)];
+        });
+      fill(255, 150, 0, 40);
+      noStroke();
+      polyline(ring(Math.max(R * 1.35, 0.3)), true);
+      if (R > 0) {
+        noFill();
+        stroke(255, 120, 0);
+        strokeWeight(2.5);
+        polyline(ring(R), true);
+      }
+      fill(255, 150, 0, 90);
+      stroke(200, 90, 0);
+      strokeWeight(1.5);
+      polyline([A, B, C], true);
+    }
+  }
+
+  // Lifted points; against the plane, the new point is red below it and green above it
+  for (const p of points) {
+    const q = lift(p);
+    const isNew =
+      step.newPoint && p.x === step.newPoint.x && p.y === step.newPoint.y;
+    let colors = getPointColors("default");
+    if (isNew && plane) {
+      const below = q[2] < plane(q[0], q[1]);
+      colors = below
+        ? { fillColor: [220, 0, 0], strokeColor: [150, 0, 0] }
+        : { fillColor: [0, 180, 0], strokeColor: [0, 120, 0] };
+      const onPlane = project([q[0], q[1], plane(q[0], q[1])]);
+      const at = project(q);
+      stroke(...colors.strokeColor);
+      strokeWeight(1.5);
+      setLineDash([4, 3]);
+      line(at.x, at.y, onPlane.x, onPlane.y);
+      setLineDash([]);
+    } else if (isNew) {
+      colors = { fillColor: [255, 150, 0], strokeColor: [200, 100, 0] };
+    }
+    const at = project(q);
+    fill(...colors.fillColor);
+    stroke(...colors.strokeColor);
+    strokeWeight(1);
+    circle(at.x, at.y, isNew ? 9 : 6);
+  }
+
+  if (showCanvasText) {
+    const lines = [
+      algorithm.mode === "farthest"
+        ? "Blue: upper hull facets = farthest-point Delaunay triangles"
+        : "Blue: lower hull facets = Delaunay triangles",
+      plane
+        ? "Orange: plane through a lifted triangle; below it = inside its circle"
+        : "Hover a triangle to show its plane",
+      "Drag here to rotate",
+    ];
+    lines.forEach((txt, k) =>
+      drawText(txt, box.x + 8, box.y + box.h - 16 * (lines.length - k) - 4, 11)
+    );
+  }
+
+  drawingContext.restore();
+  pop();
+}
+
 /**
  * Fortune's Voronoi algorithm drawing function
  */
@@ -4359,23 +6597,20 @@ function drawFortuneVoronoi(step, pointSize) {
 
   const algorithm = algorithmManager.algorithms.fortuneVoronoi;
 
-  // Draw sites
-  if (step.points && step.points.length > 0) {
-    for (let i = 0; i < step.points.length; i++) {
-      const point = step.points[i];
-      const isProcessed =
-        step.processedSites && step.processedSites.includes(point);
-
-      const colors = isProcessed
-        ? { fillColor: [0, 180, 0], strokeColor: [0, 120, 0] }
-        : getPointColors("default");
-      drawPointWithHover(
-        point,
-        pointSize,
-        i,
-        colors.fillColor,
-        colors.strokeColor
-      );
+  // Finished Voronoi cells, drawn softly in background
+  if (step.voronoiCells && step.voronoiCells.length > 0) {
+    for (let i = 0; i < step.voronoiCells.length; i++) {
+      const cell = step.voronoiCells[i];
+      const hue = (step.points.indexOf(cell.site) * 137.5) % 360;
+      colorMode(HSB, 360, 100, 100, 100);
+      fill(hue, 40, 85, 35);
+      stroke(hue, 70, 60, 70);
+      colorMode(RGB, 255, 255, 255, 255);
+      strokeWeight(1.5);
+
+      beginShape();
+      for (const v of cell.vertices) vertex(v.x, v.y);
+      endShape(CLOSE);
     }
   }
 
@@ -4395,71 +6630,128 @@ function drawFortuneVoronoi(step, pointSize) {
     text(`Sweep y = ${step.sweepY.toFixed(1)}`, 10, step.sweepY + 6);
   }
 
-  // Beach line visualization: draw parabolic arcs for each processed site relative to sweepY
+  // Voronoi edges: finished ones solid, ones still traced by a breakpoint dashed
+  if (step.voronoiEdges && step.voronoiEdges.length > 0) {
+    stroke(darkMode ? 220 : 40);
+    strokeWeight(2);
+    for (const e of step.voronoiEdges) line(e.a.x, e.a.y, e.b.x, e.b.y);
+  }
+  if (step.growingEdges && step.growingEdges.length > 0) {
+    stroke(255, 140, 0);
+    strokeWeight(2);
+    drawingContext.setLineDash([5, 4]);
+    for (const e of step.growingEdges) line(e.a.x, e.a.y, e.b.x, e.b.y);
+    drawingContext.setLineDash([]);
+  }
+
+  // Circle events: pending (grey), current (red), cancelled false alarms (struck out)
+  if (step.circleEvents && step.circleEvents.length > 0) {
+    noFill();
+    for (const ev of step.circleEvents) {
+      if (ev.status === "current") {
+        stroke(220, 0, 0);
+        strokeWeight(2);
+      } else if (ev.status === "rejected") {
+        stroke(150, 150, 150);
+        strokeWeight(1.5);
+        drawingContext.setLineDash([2, 4]);
+      } else {
+        stroke(150, 150, 150, 160);
+        strokeWeight(1);
+        drawingContext.setLineDash([4, 4]);
+      }
+      ellipse(ev.center.x, ev.center.y, ev.radius * 2, ev.radius * 2);
+      drawingContext.setLineDash([]);
+
+      // Event point: the bottom of the circle, where the sweep line triggers it
+      const s = 6;
+      if (ev.status === "rejected") {
+        line(ev.center.x - s, ev.y - s, ev.center.x + s, ev.y + s);
+        line(ev.center.x - s, ev.y + s, ev.center.x + s, ev.y - s);
+      } else {
+        line(ev.center.x - s, ev.y, ev.center.x + s, ev.y);
+        line(ev.center.x, ev.y - s, ev.center.x, ev.y + s);
+      }
+    }
+  }
+
+  // Beach line: one parabolic arc per beach-line entry, between its breakpoints
   if (
     step.sweepY !== null &&
-    step.processedSites &&
-    step.processedSites.length > 0
+    step.sweepY !== undefined &&
+    step.beachLine &&
+    step.beachLine.length > 0
   ) {
     const y0 = step.sweepY; // directrix in canvas coords (y grows downward)
-    // Sample x across screen; in canvas coordinates, the visible "lower envelope" is the maximum y
-    const sampleCount = 240;
-    const xs = [];
-    for (let i = 0; i <= sampleCount; i++) xs.push((i / sampleCount) * width);
-
-    const envelope = xs.map((x) => {
-      let bestY = -Infinity,
-        arg = null; // beachline is the upper envelope (max y) in canvas coords
-      for (const s of step.processedSites) {
-        const fy = s.y,
-          fx = s.x;
-        const denom = 2 * (fy - y0);
-        if (Math.abs(denom) < 1e-4) continue; // near-vertical tangent; skip
-        const yPar = ((x - fx) * (x - fx) + fy * fy - y0 * y0) / denom;
-        if (yPar > bestY) {
-          bestY = yPar;
-          arg = s;
-        }
-      }
-      if (!isFinite(bestY)) {
-        bestY = y0;
+    const viewLeft = -canvasTransform.x / canvasTransform.scale;
+    const viewRight = (width - canvasTransform.x) / canvasTransform.scale;
+    const parabolaY = (s, x) =>
+      ((x - s.x) * (x - s.x)) / (2 * (s.y - y0)) + (s.y + y0) / 2;
+
+    for (let i = 0; i < step.beachLine.length; i++) {
+      const arc = step.beachLine[i];
+      const hue = (arc.siteIndex * 137.5) % 360;
+      colorMode(HSB, 360, 100, 100, 100);
+      stroke(hue, 80, 80);
+      colorMode(RGB, 255, 255, 255, 255);
+      strokeWeight(2.5);
+      noFill();
+
+      if (Math.abs(arc.site.y - y0) < 1e-6) {
+        // Site on the sweep line: its "parabola" is a vertical ray up to the beach line
+        const nb = step.beachLine[i - 1] || step.beachLine[i + 1];
+        const top =
+          nb && Math.abs(nb.site.y - y0) > 1e-6
+            ? parabolaY(nb.site, arc.site.x)
+            : -canvasTransform.y / canvasTransform.scale; // NOTE: nothing above yet; ray runs to the top of the view
+        line(arc.site.x, arc.site.y, arc.site.x, top);
+        continue;
       }
-      return { x, y: bestY, site: arg };
-    });
 
-    // Heal invalid samples to keep a continuous curve
-    for (let i = 0; i < envelope.length; i++) {
-      if (!isFinite(envelope[i].y)) {
-        const prevY = i > 0 ? envelope[i - 1].y : y0;
-        envelope[i].y = isFinite(prevY) ? prevY : y0;
+      const x0 = Math.max(arc.xl, viewLeft);
+      const x1 = Math.min(arc.xr, viewRight);
+      if (x1 <= x0) continue;
+      const samples = Math.max(2, Math.ceil((x1 - x0) / 3));
+      beginShape();
+      for (let k = 0; k <= samples; k++) {
+        const x = x0 + ((x1 - x0) * k) / samples;
+        vertex(x, parabolaY(arc.site, x));
       }
+      endShape();
     }
+  }
 
-    // Draw one continuous polyline for the beachline
-    stroke(0, 120, 255);
-    strokeWeight(2.5);
-    noFill();
-    beginShape();
-    for (const p of envelope) vertex(p.x, p.y);
-    endShape();
+  // Voronoi vertices emitted so far (newest highlighted)
+  if (step.voronoiVertices && step.voronoiVertices.length > 0) {
+    for (const v of step.voronoiVertices) {
+      const isNew = v === step.newVertex;
+      fill(isNew ? color(255, 0, 0) : color(200, 0, 0));
+      stroke(isNew ? color(255, 200, 0) : color(120, 0, 0));
+      strokeWeight(isNew ? 3 : 1);
+      ellipse(v.x, v.y, isNew ? pointSize * 1.4 : pointSize * 0.8);
+    }
   }
 
-  // If final Voronoi cells computed, draw them softly in background
-  if (step.voronoiCells && step.voronoiCells.length > 0) {
-    for (let i = 0; i < step.voronoiCells.length; i++) {
-      const cell = step.voronoiCells[i];
-      const hue = (i * 137.5) % 360;
-      colorMode(HSB, 360, 100, 100, 100);
-      fill(hue, 40, 85, 35);
-      stroke(hue, 70, 60, 70);
-      colorMode(RGB, 255, 255, 255, 255);
-      strokeWeight(1.5);
+  // Draw sites on top (current site highlighted)
+  if (step.points && step.points.length > 0) {
+    for (let i = 0; i < step.points.length; i++) {
+      const point = step.points[i];
+      const isProcessed =
+        step.processedSites && step.processedSites.includes(point);
 
-      if (cell.vertices && cell.vertices.length > 2) {
-        beginShape();
-        for (const v of cell.vertices) vertex(v.x, v.y);
-        endShape(CLOSE);
-      }
+      let colors = isProcessed
+        ? { fillColor: [0, 180, 0], strokeColor: [0, 120, 0] }
+        : getPointColors("default");
+      if (point === step.currentSite) colors = getPointColors("current");
+      if (step.squeezedArc && point === step.squeezedArc.site)
+        colors = { fillColor: [255, 140, 0], strokeColor: [200, 90, 0] };
+      drawPointWithHover(
+        point,
+        pointSize,
+        i,
+        colors.fillColor,
+        colors.strokeColor
+      );
     }
   }
 
@@ -4469,6 +6761,36 @@ function drawFortuneVoronoi(step, pointSize) {
   }
 }
 
+/**
+ * Filled, labelled triangles (T1, T2, ...) of a polygon triangulation
+ */
+function drawTriangles(triangles) {
+  if (!triangles || triangles.length === 0) return;
+  for (let i = 0; i < triangles.length; i++) {
+    const triangle = triangles[i];
+
+    // Use bright colors for triangles
+    fill(50, 200, 50, 150); // Brighter green with more opacity
+    stroke(0, 100, 0); // Darker green outline
+    strokeWeight(3); // Thicker outline
+
+    beginShape();
+    for (const point of triangle) {
+      vertex(point.x, point.y);
+    }
+    endShape(CLOSE);
+
+    // Draw triangle centers with labels
+    const centerX = (triangle[0].x + triangle[1].x + triangle[2].x) / 3;
+    const centerY = (triangle[0].y + triangle[1].y + triangle[2].y) / 3;
+    fill(0, 0, 0);
+    noStroke();
+    textSize(12);
+    textAlign(CENTER, CENTER);
+    text(`T${i + 1}`, centerX, centerY);
+  }
+}
+
 /**
  * Polygon Triangulation drawing function
  */
@@ -4515,35 +6837,125 @@ function drawTriangulation(step, pointSize) {
         colors.strokeColor
       );
     }
-  }
-
-  // Draw triangles that have been created
-  if (step.triangles && step.triangles.length > 0) {
-    for (let i = 0; i < step.triangles.length; i++) {
-      const triangle = step.triangles[i];
-
-      // Use bright colors for triangles
-      fill(50, 200, 50, 150); // Brighter green with more opacity
-      stroke(0, 100, 0); // Darker green outline
-      strokeWeight(3); // Thicker outline
 
+    // Draw the holes, and the hole being drawn with a preview edge to the mouse
+    const holeColors = { fillColor: [120, 120, 120], strokeColor: [0, 0, 0] };
+    for (const hole of algorithm.polygon.holes) {
+      stroke(0, 0, 0);
+      strokeWeight(3);
+      fill(darkMode ? 60 : 220);
       beginShape();
-      for (const point of triangle) {
-        vertex(point.x, point.y);
-      }
+      for (const point of hole) vertex(point.x, point.y);
       endShape(CLOSE);
+      hole.forEach((point, i) =>
+        drawPointWithHover(
+          point,
+          pointSize + 4,
+          i,
+          holeColors.fillColor,
+          holeColors.strokeColor
+        )
+      );
+    }
+    const openHole = algorithm.openHole;
+    if (openHole.length > 0) {
+      stroke(0, 0, 0);
+      strokeWeight(3);
+      noFill();
+      for (let i = 0; i + 1 < openHole.length; i++) {
+        line(
+          openHole[i].x,
+          openHole[i].y,
+          openHole[i + 1].x,
+          openHole[i + 1].y
+        );
+      }
+      const lastVertex = openHole[openHole.length - 1];
+      const canvasX = (mouseX - canvasTransform.x) / canvasTransform.scale;
+      const canvasY = (mouseY - canvasTransform.y) / canvasTransform.scale;
+      stroke(150);
+      strokeWeight(1);
+      setLineDash([5, 5]);
+      line(lastVertex.x, lastVertex.y, canvasX, canvasY);
+      setLineDash([]);
+      openHole.forEach((point, i) =>
+        drawPointWithHover(
+          point,
+          pointSize + 4,
+          i,
+          holeColors.fillColor,
+          holeColors.strokeColor
+        )
+      );
+    }
+  }
 
-      // Draw triangle centers with labels
-      const centerX = (triangle[0].x + triangle[1].x + triangle[2].x) / 3;
-      const centerY = (triangle[0].y + triangle[1].y + triangle[2].y) / 3;
-      fill(0, 0, 0);
+  // Draw how a hole is bridged: the ray from M, triangle M-I-P and its reflex vertices
+  if (step.bridgeRay) {
+    const { from, to } = step.bridgeRay;
+    if (step.bridgeTriangle) {
+      fill(255, 165, 0, 50);
       noStroke();
-      textSize(12);
-      textAlign(CENTER, CENTER);
-      text(`T${i + 1}`, centerX, centerY);
+      beginShape();
+      for (const point of step.bridgeTriangle) vertex(point.x, point.y);
+      endShape(CLOSE);
+    }
+    if (step.bridgeEdge) {
+      stroke(255, 140, 0);
+      strokeWeight(5);
+      const [a, b] = step.bridgeEdge;
+      line(a.x, a.y, b.x, b.y);
+    }
+    stroke(255, 140, 0);
+    strokeWeight(2);
+    setLineDash([6, 4]);
+    line(from.x, from.y, to.x, to.y);
+    setLineDash([]);
+    noStroke();
+    fill(255, 140, 0);
+    circle(to.x, to.y, pointSize);
+    noFill();
+    stroke(200, 0, 0);
+    strokeWeight(2);
+    for (const candidate of step.bridgeCandidates || []) {
+      circle(candidate.x, candidate.y, pointSize * 2.5);
     }
+    if (showCanvasText) {
+      fill(200, 100, 0);
+      noStroke();
+      textSize(14);
+      textAlign(LEFT, BOTTOM);
+      text("M", from.x + 6, from.y - 6);
+      text("I", to.x + 6, to.y - 6);
+      if (step.bridgeTriangle) {
+        const p = step.bridgeTriangle[2];
+        text("P", p.x + 6, p.y - 6);
+      }
+    }
+  }
+  if (step.bridges) {
+    stroke(150, 0, 200);
+    strokeWeight(4);
+    setLineDash([8, 6]);
+    for (const bridge of step.bridges) {
+      line(bridge.from.x, bridge.from.y, bridge.to.x, bridge.to.y);
+    }
+    setLineDash([]);
+  }
+  if (step.bridgeTarget) {
+    stroke(150, 0, 200);
+    strokeWeight(4);
+    line(
+      step.bridgeRay.from.x,
+      step.bridgeRay.from.y,
+      step.bridgeTarget.x,
+      step.bridgeTarget.y
+    );
   }
 
+  // Draw triangles that have been created
+  drawTriangles(step.triangles);
+
   // Draw current ear triangle with bright highlight
   if (step.currentEar && step.currentEar.length === 3) {
     fill(255, 255, 0, 200); // Bright yellow
@@ -4589,8 +7001,11 @@ function drawTriangulation(step, pointSize) {
     step.polygon.vertices &&
     step.polygon.vertices.length > 0
   ) {
-    // Only draw working polygon outline if it's smaller than original
-    if (step.polygon.vertices.length < algorithm.polygon.vertices.length) {
+    // Only draw working polygon outline if it's smaller than original (or has holes bridged in)
+    if (
+      step.polygon.vertices.length < algorithm.polygon.vertices.length ||
+      step.bridges
+    ) {
       stroke(100, 0, 100); // Purple outline
       strokeWeight(2);
       noFill();
@@ -4669,6 +7084,60 @@ function drawTriangulation(step, pointSize) {
     }
   }
 
+  // Draw the dual graph (one node per triangle), the DFS tree edges and the 3-coloring
+  if (step.dualNodes) {
+    if (step.currentTriangle !== null) {
+      fill(255, 220, 0, 90);
+      noStroke();
+      beginShape();
+      for (const point of step.triangles[step.currentTriangle])
+        vertex(point.x, point.y);
+      endShape(CLOSE);
+    }
+    if (step.currentDiagonal) {
+      const [a, b] = step.currentDiagonal;
+      stroke(255, 140, 0);
+      strokeWeight(5);
+      line(a.x, a.y, b.x, b.y);
+    }
+    stroke(0, 150, 100);
+    strokeWeight(1.5);
+    setLineDash([4, 4]);
+    for (const [a, b] of step.dualEdges) {
+      line(
+        step.dualNodes[a].x,
+        step.dualNodes[a].y,
+        step.dualNodes[b].x,
+        step.dualNodes[b].y
+      );
+    }
+    setLineDash([]);
+    strokeWeight(4);
+    for (const [a, b] of step.treeEdges) {
+      line(
+        step.dualNodes[a].x,
+        step.dualNodes[a].y,
+        step.dualNodes[b].x,
+        step.dualNodes[b].y
+      );
+    }
+    noStroke();
+    fill(0, 150, 100);
+    for (const node of step.dualNodes) circle(node.x, node.y, pointSize * 0.8);
+
+    const colors = [
+      [220, 60, 60],
+      [60, 200, 80],
+      [70, 110, 240],
+    ];
+    stroke(darkMode ? 0 : 255);
+    strokeWeight(2);
+    for (const { vertex: v, color } of step.coloredVertices) {
+      fill(...colors[color]);
+      circle(v.x, v.y, pointSize * 1.8);
+    }
+  }
+
   // Draw step information text
   if (step.description) {
     if (showCanvasText)
@@ -4955,6 +7424,45 @@ function drawDuality(step, pointSize) {
 /**
  * Interval Tree - drawing function
  */
+// Draws a stabbing query (vertical line) or range query (band) over the number line
+function drawNumberLineQuery(
+  query,
+  numberLineY,
+  numberLineStart,
+  numberLineEnd,
+  numberLineRange,
+  reach
+) {
+  const toX = (v) =>
+    numberLineStart + (v / numberLineRange) * (numberLineEnd - numberLineStart);
+  const lo = Math.min(query.lo, query.hi);
+  const hi = Math.max(query.lo, query.hi);
+  const top = numberLineY - reach - 10;
+
+  stroke(155, 89, 182);
+  strokeWeight(2);
+  if (Math.abs(hi - lo) < 1e-9) {
+    drawingContext.setLineDash([6, 3]);
+    line(toX(lo), top, toX(lo), numberLineY + 18);
+    drawingContext.setLineDash([]);
+  } else {
+    fill(155, 89, 182, 50);
+    rect(toX(lo), top, toX(hi) - toX(lo), numberLineY + 18 - top);
+  }
+
+  fill(155, 89, 182);
+  noStroke();
+  textAlign(CENTER, TOP);
+  textSize(11);
+  text(
+    Math.abs(hi - lo) < 1e-9
+      ? `q = ${lo.toFixed(1)}`
+      : `[${lo.toFixed(1)}, ${hi.toFixed(1)}]`,
+    (toX(lo) + toX(hi)) / 2,
+    numberLineY + 22
+  );
+}
+
 function drawIntervalTree(step, pointSize) {
   if (!step) return;
 
@@ -5018,6 +7526,13 @@ function drawIntervalTree(step, pointSize) {
         step.highlightedIntervals.includes(interval)
       ) {
         intervalStatus = "highlighted";
+      } else if (
+        step.reportedIntervals &&
+        step.reportedIntervals.includes(interval)
+      ) {
+        intervalStatus = "reported";
+      } else if (step.stopInterval === interval) {
+        intervalStatus = "stopped";
       } else if (
         step.centerIntervals &&
         step.centerIntervals.includes(interval)
@@ -5043,6 +7558,14 @@ function drawIntervalTree(step, pointSize) {
           fill(255, 255, 0, 180);
           stroke(255, 200, 0);
           break;
+        case "reported":
+          fill(0, 200, 0, 180);
+          stroke(0, 150, 0);
+          break;
+        case "stopped":
+          fill(150, 150, 150, 120);
+          stroke(220, 0, 0);
+          break;
         case "center":
           fill(255, 100, 100, 180);
           stroke(255, 0, 0);
@@ -5151,6 +7674,18 @@ function drawIntervalTree(step, pointSize) {
     );
   }
 
+  // Draw the query point / range, if a query walk is shown
+  if (step.query) {
+    drawNumberLineQuery(
+      step.query,
+      numberLineY,
+      numberLineStart,
+      numberLineEnd,
+      numberLineRange,
+      algorithm.intervals.length * intervalSpacing + intervalYOffset
+    );
+  }
+
   // Draw interval tree structure above the intervals
   if (step.tree) {
     const intervalsHeight = algorithm.intervals.length * intervalSpacing;
@@ -5194,22 +7729,37 @@ function drawIntervalTree(step, pointSize) {
       numberLineY -
       intervalYOffset -
       algorithm.intervals.length * intervalSpacing;
-    stroke(255, 165, 0);
-    strokeWeight(2);
-    drawingContext.setLineDash([4, 4]);
+    if (isOnNumberLine(dragStart.y, numberLineY)) {
+      // Query preview instead of a new interval
+      const toValue = (x) =>
+        ((x - numberLineStart) / (numberLineEnd - numberLineStart)) *
+        numberLineRange;
+      drawNumberLineQuery(
+        { lo: toValue(dragStart.x), hi: toValue(currentX) },
+        numberLineY,
+        numberLineStart,
+        numberLineEnd,
+        numberLineRange,
+        algorithm.intervals.length * intervalSpacing + intervalYOffset
+      );
+    } else {
+      stroke(255, 165, 0);
+      strokeWeight(2);
+      drawingContext.setLineDash([4, 4]);
 
-    // Draw preview rectangle
-    fill(255, 165, 0, 90);
-    const rectHeight = 8;
-    rect(
-      Math.min(dragStart.x, currentX),
-      previewY - rectHeight / 2,
-      Math.abs(currentX - dragStart.x),
-      rectHeight,
-      4
-    );
+      // Draw preview rectangle
+      fill(255, 165, 0, 90);
+      const rectHeight = 8;
+      rect(
+        Math.min(dragStart.x, currentX),
+        previewY - rectHeight / 2,
+        Math.abs(currentX - dragStart.x),
+        rectHeight,
+        4
+      );
 
-    drawingContext.setLineDash([]);
+      drawingContext.setLineDash([]);
+    }
   }
 
   // Draw step information (hideable via canvas text toggle)
@@ -5269,8 +7819,19 @@ function drawSegmentTree(step, pointSize) {
       const isHovered =
         hoverState.hoveredInterval &&
         hoverState.hoveredInterval.interval === iv;
-      fill(120, 180, 255, 180);
-      stroke(50, 120, 220);
+      if (step.collected && !step.countOnly && step.collected.includes(iv)) {
+        fill(255, 255, 0, 180);
+        stroke(255, 200, 0);
+      } else if (
+        step.reportedIntervals &&
+        step.reportedIntervals.includes(iv)
+      ) {
+        fill(0, 200, 0, 180);
+        stroke(0, 150, 0);
+      } else {
+        fill(120, 180, 255, 180);
+        stroke(50, 120, 220);
+      }
       strokeWeight(isHovered ? 4 : 3);
       if (isHovered) {
         drawingContext.shadowColor = "rgba(255,255,255,0.8)";
@@ -5316,6 +7877,30 @@ function drawSegmentTree(step, pointSize) {
       line(x, numberLineY - 40, x, numberLineY + 20);
     }
     drawingContext.setLineDash([]);
+
+    // Slab containing the stabbing point
+    if (step.querySlab !== null && step.querySlab !== undefined) {
+      const s = step.slabs[step.querySlab];
+      const toX = (v) =>
+        numberLineStart +
+        (v / numberLineRange) * (numberLineEnd - numberLineStart);
+      noStroke();
+      fill(155, 89, 182, 40);
+      // An endpoint slab has no width; give it a few pixels
+      const w = Math.max(4, toX(s.end) - toX(s.start));
+      rect((toX(s.start) + toX(s.end) - w) / 2, numberLineY - 12, w, 24);
+    }
+  }
+
+  if (step.query) {
+    drawNumberLineQuery(
+      step.query,
+      numberLineY,
+      numberLineStart,
+      numberLineEnd,
+      numberLineRange,
+      algorithm.intervals.length * intervalSpacing + intervalYOffset
+    );
   }
 
   // Draw segment tree structure using node l..r mapped to slab centers
@@ -5345,12 +7930,44 @@ function drawSegmentTree(step, pointSize) {
       if (!node) return;
       // Map node x to average of its covered slab centers
       const x = (slabCenterX(node.l) + slabCenterX(node.r)) / 2;
+      const isCurrent =
+        step.currentQueryNode &&
+        step.currentQueryNode.l === node.l &&
+        step.currentQueryNode.r === node.r;
+      const isOnPath =
+        step.pathNodes &&
+        step.pathNodes.some((n) => n.l === node.l && n.r === node.r);
       // Node body
-      fill(220, 245, 220, 200);
-      stroke(60, 150, 60);
-      strokeWeight(2);
+      if (isCurrent) {
+        fill(255, 255, 0, 200);
+        stroke(255, 200, 0);
+        strokeWeight(2.5);
+      } else if (isOnPath) {
+        fill(215, 190, 235, 220);
+        stroke(155, 89, 182);
+        strokeWeight(2.5);
+      } else {
+        fill(220, 245, 220, 200);
+        stroke(60, 150, 60);
+        strokeWeight(2);
+      }
       const radius = 28;
       ellipse(x, y, radius);
+      // Canonical list collected (or counted) at this node during the query walk
+      if (isOnPath && showCanvasText) {
+        noStroke();
+        fill(155, 89, 182);
+        textAlign(LEFT, CENTER);
+        textSize(10);
+        const collectedLabel = step.countOnly
+          ? `+${node.items.length}`
+          : node.items.length
+          ? `{${node.items
+              .map((it) => `I${algorithm.intervals.indexOf(it) + 1}`)
+              .join(", ")}}`
+          : "{ }";
+        text(collectedLabel, x + radius / 2 + 6, y);
+      }
       // Label
       if (showCanvasText) {
         noStroke();
@@ -5413,19 +8030,34 @@ function drawSegmentTree(step, pointSize) {
       numberLineY -
       intervalYOffset -
       algorithm.intervals.length * intervalSpacing;
-    stroke(255, 165, 0);
-    strokeWeight(2);
-    drawingContext.setLineDash([4, 4]);
-    fill(255, 165, 0, 90);
-    const rectH = 8;
-    rect(
-      Math.min(dragStart.x, currentX),
-      previewY - rectH / 2,
-      Math.abs(currentX - dragStart.x),
-      rectH,
-      4
-    );
-    drawingContext.setLineDash([]);
+    if (isOnNumberLine(dragStart.y, numberLineY)) {
+      // Query preview: the stabbing point follows the mouse
+      const value =
+        ((currentX - numberLineStart) / (numberLineEnd - numberLineStart)) *
+        numberLineRange;
+      drawNumberLineQuery(
+        { lo: value, hi: value },
+        numberLineY,
+        numberLineStart,
+        numberLineEnd,
+        numberLineRange,
+        algorithm.intervals.length * intervalSpacing + intervalYOffset
+      );
+    } else {
+      stroke(255, 165, 0);
+      strokeWeight(2);
+      drawingContext.setLineDash([4, 4]);
+      fill(255, 165, 0, 90);
+      const rectH = 8;
+      rect(
+        Math.min(dragStart.x, currentX),
+        previewY - rectH / 2,
+        Math.abs(currentX - dragStart.x),
+        rectH,
+        4
+      );
+      drawingContext.setLineDash([]);
+    }
   }
 
   if (showCanvasText && step.description) {
@@ -6,6 +6,7 @@
  * - Randomization options dynamically rendered, based on selected algorithm
  * - Dark mode, FPS, canvas text toggles
  * - Export functionality
+ * - Scene file save / load buttons and shareable links
  *
  * Known Issues: FIXME:
  * - [ ] Handle `artGallery` and `triangulation` special cases in the algorithm files themselves, as much as practical.
@@ -27,6 +28,10 @@ class UIControls {
     this.focusCanvasToggle = document.getElementById("focus-canvas-toggle");
     this.exportBtn = document.getElementById("export-btn");
     this.exportFormat = document.getElementById("export-format");
+    this.sceneExportBtn = document.getElementById("scene-export-btn");
+    this.sceneImportBtn = document.getElementById("scene-import-btn");
+    this.sceneImportInput = document.getElementById("scene-import-input");
+    this.shareLinkBtn = document.getElementById("share-link-btn");
 
     // Controls: Randomize
     this.randomizeBtn = document.getElementById("randomize-btn");
@@ -106,7 +111,9 @@ class UIControls {
     // Algorithm-specific labels and slider ranges, based on algo & to keep max runtime low
     switch (algorithm) {
       case "triangulation":
+      case "monotoneTriangulation":
       case "artGallery":
+      case "visibilityPolygon":
         label = "Vertices (3-50)";
         min = 3;
         max = 50;
@@ -144,6 +151,15 @@ class UIControls {
           Math.min(30, Number(this.randCountEl?.value || 30))
         );
         break;
+      case "orderKVoronoi":
+        label = "Sites (3-50)";
+        min = 3;
+        max = 50;
+        value = Math.max(
+          3,
+          Math.min(20, Number(this.randCountEl?.value || 20))
+        );
+        break;
       case "duality":
         label = "Points (for duality) (1-200)";
         min = 1;
@@ -168,6 +184,36 @@ class UIControls {
     makeCountControl(label, min, max, value);
 
     // Algorithm-specific auxiliary controls
+    if (
+      (algorithm === "triangulation" ||
+        algorithm === "monotoneTriangulation" ||
+        algorithm === "artGallery" ||
+        algorithm === "visibilityPolygon" ||
+        (algorithm === "delaunay" &&
+          window.algorithmManager?.algorithms.delaunay.mode ===
+            "constrained")) &&
+      window.Randomizer &&
+      window.Randomizer.polygonShapes
+    ) {
+      // Keep the previous choice across re-renders
+      const selected = this.randPolygonShapeEl?.value || "star";
+      const options = window.Randomizer.polygonShapes
+        .map(
+          ({ key, label }) =>
+            `<option value="${key}"${
+              key === selected ? " selected" : ""
+            }>${label}</option>`
+        )
+        .join("");
+      const shapeHtml = `
+        <div class="control-group-randomize">
+          <label for="rand-polygon-shape">Polygon shape</label>
+          <select id="rand-polygon-shape">${options}</select>
+        </div>`;
+      container.insertAdjacentHTML("beforeend", shapeHtml);
+      // Cache to UIControls instance for applyRandomize
+      this.randPolygonShapeEl = document.getElementById("rand-polygon-shape");
+    }
     if (algorithm === "intervalTree" || algorithm === "segmentTree") {
       const minHtml = `
         <div class="control-group-randomize">
@@ -190,6 +236,30 @@ class UIControls {
         );
       }, 10);
     }
+
+    // Worst-case / degenerate presets (replace the random input when chosen)
+    const presets = window.Randomizer?.presetsFor?.(algorithm) || [];
+    if (presets.length) {
+      // Keep the previous choice if the new topic offers it too
+      const selected = this.randPresetEl?.value || "";
+      const options = [{ key: "", label: "None (random input)" }, ...presets]
+        .map(
+          ({ key, label }) =>
+            `<option value="${key}"${
+              key === selected ? " selected" : ""
+            }>${label}</option>`
+        )
+        .join("");
+      const presetHtml = `
+        <div class="control-group-randomize">
+          <label for="rand-preset">Preset</label>
+          <select id="rand-preset">${options}</select>
+        </div>`;
+      container.insertAdjacentHTML("beforeend", presetHtml);
+      this.randPresetEl = document.getElementById("rand-preset");
+    } else {
+      this.randPresetEl = null;
+    }
   }
 
   // Setup all event listeners for UI controls
@@ -225,6 +295,32 @@ class UIControls {
       });
     }
 
+    // Scene files (JSON): save / load inputs
+    if (this.sceneExportBtn) {
+      this.sceneExportBtn.addEventListener("click", () => {
+        window.Scene.exportScene();
+      });
+    }
+    if (this.sceneImportBtn && this.sceneImportInput) {
+      this.sceneImportBtn.addEventListener("click", () => {
+        this.sceneImportInput.click();
+      });
+      this.sceneImportInput.addEventListener("change", () => {
+        const file = this.sceneImportInput.files[0];
+        window.Scene.importFile(file).finally(() => {
+          // Allow re-importing the same file
+          this.sceneImportInput.value = "";
+        });
+      });
+    }
+
+    // Shareable link: encodes the current state in the URL hash
+    if (this.shareLinkBtn) {
+      this.shareLinkBtn.addEventListener("click", () => {
+        window.Scene.copyLink();
+      });
+    }
+
     // Focus Canvas: use a dedicated button to toggle focus mode
     this.focusCanvasBtn = document.getElementById("focus-canvas-btn");
     if (this.focusCanvasBtn) {
@@ -567,15 +663,20 @@ class UIControls {
         return;
       }
     }
-    // Special handling for triangulation: auto-close the polygon before playback
+    // Special handling for triangulation and visibility: auto-close the polygon before playback
     // TODO: Move to the algorithm itself
-    if (window.algorithmManager.currentAlgorithm === "triangulation") {
+    if (
+      window.algorithmManager.currentAlgorithm === "triangulation" ||
+      window.algorithmManager.currentAlgorithm === "monotoneTriangulation" ||
+      window.algorithmManager.currentAlgorithm === "visibilityPolygon"
+    ) {
       const algorithm = window.algorithmManager.getCurrentAlgorithm();
       if (
         algorithm &&
         algorithm.polygon &&
-        !algorithm.polygon.isComplete &&
-        algorithm.polygon.vertices.length >= 3
+        ((!algorithm.polygon.isComplete &&
+          algorithm.polygon.vertices.length >= 3) ||
+          algorithm.openHole?.length >= 3)
       ) {
         algorithm.completePolygon();
         this.updateButtons();
@@ -673,6 +774,12 @@ class UIControls {
       document.getElementById("instructions") || this.instructionsEl;
     this.algorithmInfoEl =
       document.getElementById("algorithm-info") || this.algorithmInfoEl;
+    const constrainedDelaunay =
+      window.algorithmManager?.algorithms.delaunay.mode === "constrained";
+    const weightedVoronoi =
+      window.algorithmManager?.algorithms.voronoi.mode === "weighted";
+    const lloydVoronoi =
+      window.algorithmManager?.algorithms.voronoi.mode === "lloyd";
 
     const instructions = {
       grahamScan: {
@@ -693,6 +800,30 @@ class UIControls {
         middle: "Pan",
         wheel: "Zoom",
       },
+      monotoneChain: {
+        left: "Add points",
+        right: "Remove points",
+        middle: "Pan",
+        wheel: "Zoom",
+      },
+      chanHull: {
+        left: "Add points",
+        right: "Remove points",
+        middle: "Pan",
+        wheel: "Zoom",
+      },
+      kirkpatrickSeidel: {
+        left: "Add points",
+        right: "Remove points",
+        middle: "Pan",
+        wheel: "Zoom",
+      },
+      mergeHull: {
+        left: "Add points",
+        right: "Remove points",
+        middle: "Pan",
+        wheel: "Zoom",
+      },
       segmentIntersection: {
         left: "Click + drag to create segments",
         right: "Remove segments",
@@ -700,19 +831,39 @@ class UIControls {
         wheel: "Zoom",
       },
       triangulation: {
-        left: "Add vertices (in order)",
+        left: "Add vertices (in order); inside the closed polygon, draw holes",
         right: "Remove vertices",
         middle: "Pan",
         wheel: "Zoom",
       },
       delaunay: {
+        left: constrainedDelaunay
+          ? "Click to add points, drag to draw constraint segments"
+          : "Add points",
+        right: constrainedDelaunay
+          ? "Remove segments or points"
+          : "Remove points",
+        middle: "Pan",
+        wheel: "Zoom",
+      },
+      lawsonFlip: {
+        left: "Add points",
+        right: "Remove points",
+        middle: "Pan",
+        wheel: "Zoom",
+      },
+      randomizedDelaunay: {
         left: "Add points",
         right: "Remove points",
         middle: "Pan",
         wheel: "Zoom",
       },
       voronoi: {
-        left: "Add sites",
+        left: weightedVoronoi
+          ? "Add sites, or drag a site's circle to change its radius"
+          : lloydVoronoi
+          ? "Add sites, drag to draw the bounding box; Shift+click adds boundary polygon vertices"
+          : "Add sites",
         right: "Remove sites",
         middle: "Pan",
         wheel: "Zoom",
@@ -723,14 +874,20 @@ class UIControls {
         middle: "Pan",
         wheel: "Zoom",
       },
+      orderKVoronoi: {
+        left: "Add sites; on the last step, hover to query the k nearest sites",
+        right: "Remove sites",
+        middle: "Pan",
+        wheel: "Zoom",
+      },
       intervalTree: {
-        left: "Click + drag to create intervals",
+        left: "Click + drag to create intervals; click / drag on the number line to query",
         right: "Remove intervals",
         middle: "Pan",
         wheel: "Zoom",
       },
       segmentTree: {
-        left: "Click + drag to create intervals",
+        left: "Click + drag to create intervals; click on the number line to query (Shift: count only)",
         right: "Remove intervals",
         middle: "Pan",
         wheel: "Zoom",
@@ -754,11 +911,23 @@ class UIControls {
         wheel: "Zoom",
       },
       artGallery: {
-        left: "Add polygon vertices",
+        left: "Add polygon vertices; on the last step, drag or add guards",
+        right: "Remove vertices; on the last step, remove guards",
+        middle: "Pan",
+        wheel: "Zoom",
+      },
+      monotoneTriangulation: {
+        left: "Add vertices (in order)",
         right: "Remove vertices",
         middle: "Pan",
         wheel: "Zoom",
       },
+      visibilityPolygon: {
+        left: "Add polygon vertices; once closed, place or drag the viewpoint",
+        right: "Remove vertices or the viewpoint",
+        middle: "Pan",
+        wheel: "Zoom",
+      },
     };
 
     const algorithmInfo = {
@@ -817,8 +986,72 @@ class UIControls {
           },
         ],
       },
+      monotoneChain: {
+        desc: "Monotone Chain (Andrew's algorithm) sorts the points by x-coordinate and builds the lower and upper hulls with a stack, popping points that do not make a counter-clockwise turn. The two chains together form the convex hull, in O(n log n) time.",
+        resources: [
+          {
+            url: "https://en.wikibooks.org/wiki/Algorithm_Implementation/Geometry/Convex_hull/Monotone_chain",
+            text: "Monotone chain (Wikibooks)",
+          },
+          {
+            url: "https://doi.org/10.1016/0020-0190(79)90072-3",
+            text: "'Another efficient algorithm for convex hulls in two dimensions' by A.M. Andrew",
+          },
+          {
+            url: "",
+            text: "Chapter 1, 'Computational Geometry: An Introduction' in 'Computational Geometry: Algorithms and Applications' by Mark de Berg et al.",
+          },
+        ],
+      },
+      chanHull: {
+        desc: "Chan's algorithm guesses the hull size h with m = 2^(2^t). It splits the points into groups of at most m, builds each group's mini hull with Graham scan, then runs at most m Jarvis march wraps, finding the tangent to each mini hull by binary search. If the hull does not close, m is squared. Total time is O(n log h).",
+        resources: [
+          {
+            url: "https://en.wikipedia.org/wiki/Chan%27s_algorithm",
+            text: "Chan's algorithm (Wikipedia)",
+          },
+          {
+            url: "https://doi.org/10.1007/BF02712873",
+            text: "'Optimal output-sensitive convex hull algorithms in two and three dimensions' by T.M. Chan",
+          },
+          {
+            url: "https://www.geomalgorithms.com/a15-_tangents.html",
+            text: "Tangents to a convex polygon (Dan Sunday)",
+          },
+        ],
+      },
+      kirkpatrickSeidel: {
+        desc: "The Kirkpatrick-Seidel algorithm builds the upper and lower hulls by 'marriage before conquest': it splits the points at the median x and first finds the bridge, the hull edge crossing that line, by prune-and-search. Pairs of points are compared against the median pair slope and one point of every ruled-out pair is discarded, then the algorithm recurses on each side. Total time is O(n log h).",
+        resources: [
+          {
+            url: "https://en.wikipedia.org/wiki/Kirkpatrick%E2%80%93Seidel_algorithm",
+            text: "Kirkpatrick–Seidel algorithm (Wikipedia)",
+          },
+          {
+            url: "https://doi.org/10.1137/0215021",
+            text: "'The Ultimate Planar Convex Hull Algorithm?' by D.G. Kirkpatrick and R. Seidel",
+          },
+        ],
+      },
+      mergeHull: {
+        desc: "Divide and conquer (Merge Hull) sorts the points by x-coordinate and splits them at the median until at most 3 points remain. Two hulls separated by x are merged by walking the upper and lower common tangents outward from the closest pair of extreme points, and dropping the vertices between them. Total time is O(n log n).",
+        resources: [
+          {
+            url: "https://en.wikipedia.org/wiki/Convex_hull_algorithms#Divide_and_conquer",
+            text: "Convex hull algorithms: divide and conquer (Wikipedia)",
+          },
+          {
+            url: "https://doi.org/10.1145/359423.359430",
+            text: "'Convex hulls of finite sets of points in two and three dimensions' by F.P. Preparata and S.J. Hong",
+          },
+          {
+            url: "",
+            text: "Chapter 3, 'Convex Hulls: Basic Algorithms' in 'Computational Geometry: An Introduction' by F.P. Preparata and M.I. Shamos",
+          },
+        ],
+      },
       segmentIntersection: {
-        desc: "The Line Sweep algorithm detects intersections by moving a vertical line left to right, processing segment endpoints as events, and maintaining an active set of segments.",
+        desc: "The Bentley-Ottmann line sweep detects intersections by moving a vertical line left to right. Endpoints and discovered crossings are events; the status keeps the segments on the sweep line ordered by y, and only new neighbours are tested.",
         resources: [
           {
             url: "https://en.wikipedia.org/wiki/Sweep_line_algorithm",
@@ -843,7 +1076,7 @@ class UIControls {
         ],
       },
       triangulation: {
-        desc: 'Ear Clipping triangulates a polygon by repeatedly removing "ear" triangles.',
+        desc: 'Ear Clipping triangulates a polygon by repeatedly removing "ear" triangles. Once the polygon is closed, click inside it to draw holes (click the first hole vertex or press Play to close one); each hole is joined to the outer boundary by a bridge edge before clipping. The triangles then form a dual tree, and a DFS over it 3-colors the vertices, as in Fisk\'s proof of the art gallery theorem.',
         resources: [
           {
             url: "https://en.wikipedia.org/wiki/Polygon_triangulation#Ear_clipping_method",
@@ -853,14 +1086,39 @@ class UIControls {
             url: "https://www.youtube.com/watch?v=aVrSr3IjpSI",
             text: "Triangulation of Arbitrary Polygon — Dr. Sandeep Sen (NPTEL)",
           },
+          {
+            url: "",
+            text: "'Triangulation by Ear Clipping' by David Eberly (Geometric Tools) - bridging holes into the outer boundary",
+          },
           {
             url: "",
             text: "See chapters on polygon triangulation in 'Computational Geometry: Algorithms and Applications' by Mark de Berg et al.",
           },
+          {
+            url: "",
+            text: "'A short proof of Chvátal's watchman theorem' by Steve Fisk (Journal of Combinatorial Theory, Series B, 1978)",
+          },
+        ],
+      },
+      monotoneTriangulation: {
+        desc: "Triangulates a simple polygon in O(n log n) time. A sweep line moves down over the vertices, classifying each as a start, split, merge, end or regular vertex, and keeps the edges with the interior to their right in a status structure, each with a helper vertex. Diagonals to helpers remove split and merge vertices, leaving y-monotone pieces; each piece is then triangulated in linear time with a stack. Add vertices and press Play to close the polygon.",
+        resources: [
+          {
+            url: "https://en.wikipedia.org/wiki/Polygon_triangulation#Using_monotone_polygons",
+            text: "Polygon triangulation using monotone polygons (Wikipedia)",
+          },
+          {
+            url: "",
+            text: "Chapter 3, 'Polygon Triangulation' in 'Computational Geometry: Algorithms and Applications' by Mark de Berg et al.",
+          },
+          {
+            url: "",
+            text: "M. R. Garey, D. S. Johnson, F. P. Preparata and R. E. Tarjan, 'Triangulating a simple polygon', Information Processing Letters (1978)",
+          },
         ],
       },
       delaunay: {
-        desc: "Bowyer-Watson algorithm builds Delaunay triangulation by incrementally adding points.",
+        desc: "Bowyer-Watson algorithm builds Delaunay triangulation by incrementally adding points. In constrained mode, each segment is then forced into the triangulation: the triangles it crosses are removed and the cavities on both sides are retriangulated, and triangles outside the polygons (or inside holes) are discarded. The lifting map view lifts each point onto the paraboloid z = x² + y²: the Delaunay triangles are its lower hull facets, and a point is inside a triangle's circumcircle exactly when it lifts below the plane through the triangle's lifted corners.",
         resources: [
           {
             url: "https://en.wikipedia.org/wiki/Delaunay_triangulation",
@@ -878,10 +1136,52 @@ class UIControls {
             url: "",
             text: "Chapter 9, 'Delaunay Triangulation' in 'Computational Geometry: Algorithms and Applications' by Mark de Berg et al.",
           },
+          {
+            url: "",
+            text: "L. P. Chew, 'Constrained Delaunay triangulations', Algorithmica (1989)",
+          },
+          {
+            url: "",
+            text: "M. V. Anglada, 'An improved incremental algorithm for constructing restricted Delaunay triangulations', Computers & Graphics (1997)",
+          },
+        ],
+      },
+      lawsonFlip: {
+        desc: "Lawson's algorithm starts from any triangulation (a fan or a sweep) and flips illegal edges - those whose opposite vertex lies inside the circle through the other triangle - until none is left. Each flip raises the smallest angle of its quadrilateral, so the result is the Delaunay triangulation, the one that maximizes the minimum angle.",
+        resources: [
+          {
+            url: "https://en.wikipedia.org/wiki/Delaunay_triangulation#Flip_algorithms",
+            text: "Flip algorithms (Wikipedia)",
+          },
+          {
+            url: "",
+            text: "C. L. Lawson, 'Software for C1 surface interpolation', Mathematical Software III (1977)",
+          },
+          {
+            url: "",
+            text: "Section 9.1, 'Triangulations of Planar Point Sets' in 'Computational Geometry: Algorithms and Applications' by Mark de Berg et al.",
+          },
+        ],
+      },
+      randomizedDelaunay: {
+        desc: "The randomized incremental algorithm inserts the points in random order into a bounding triangle made of the highest point and two symbolic points. Each point is located by walking a history DAG of every triangle created so far, splits its triangle into 3, and the new triangles are legalized by edge flips. The expected running time is O(n log n), and the DAG has O(n) expected nodes.",
+        resources: [
+          {
+            url: "https://en.wikipedia.org/wiki/Delaunay_triangulation#Incremental",
+            text: "Incremental construction (Wikipedia)",
+          },
+          {
+            url: "",
+            text: "L. J. Guibas, D. E. Knuth and M. Sharir, 'Randomized incremental construction of Delaunay and Voronoi diagrams', Algorithmica (1992)",
+          },
+          {
+            url: "",
+            text: "Chapter 9, 'Delaunay Triangulations' in 'Computational Geometry: Algorithms and Applications' by Mark de Berg et al.",
+          },
         ],
       },
       voronoi: {
-        desc: "Voronoi diagrams partition space into regions based on proximity to sites. Each cell contains all points closest to its site. Constructed using the dual of Delaunay triangulation.",
+        desc: "Voronoi diagrams partition space into regions based on proximity to sites. Each cell contains all points closest to its site. Constructed using the dual of Delaunay triangulation. The lifting map view shows that Delaunay triangulation as the lower hull of the sites lifted onto the paraboloid z = x² + y². In weighted mode each site has a radius r and the power distance |x − p|² − r² gives the power diagram, built as its dual regular (weighted Delaunay) triangulation; a site can lose its cell entirely. The farthest-point mode gives each site the region farther from it than from any other site: only convex hull vertices get a cell, and the diagram's vertices and edges hold the center of the smallest enclosing circle. The Lloyd relaxation mode moves every site to the centroid of its cell, clipped to a bounding box or polygon, and repeats; the energy falls each iteration as the sites approach a centroidal Voronoi tessellation (CVT).",
         resources: [
           {
             url: "https://en.wikipedia.org/wiki/Voronoi_diagram",
@@ -903,10 +1203,42 @@ class UIControls {
             url: "",
             text: "Section 8.4, 'Voronoi Diagrams' in 'Computational Geometry: Algorithms and Applications' by Mark de Berg et al.",
           },
+          {
+            url: "https://en.wikipedia.org/wiki/Power_diagram",
+            text: "Power diagram (Wikipedia)",
+          },
+          {
+            url: "",
+            text: "F. Aurenhammer, 'Power diagrams: properties, algorithms and applications', SIAM Journal on Computing (1987)",
+          },
+          {
+            url: "https://en.wikipedia.org/wiki/Smallest-circle_problem",
+            text: "Smallest-circle problem (Wikipedia)",
+          },
+          {
+            url: "",
+            text: "Section 7.4, 'Farthest-Point Voronoi Diagrams' in 'Computational Geometry: Algorithms and Applications' by Mark de Berg et al.",
+          },
+          {
+            url: "",
+            text: "S. Skyum, 'A simple algorithm for computing the smallest enclosing circle', Information Processing Letters (1991)",
+          },
+          {
+            url: "https://en.wikipedia.org/wiki/Lloyd%27s_algorithm",
+            text: "Lloyd's algorithm (Wikipedia)",
+          },
+          {
+            url: "https://en.wikipedia.org/wiki/Centroidal_Voronoi_tessellation",
+            text: "Centroidal Voronoi tessellation (Wikipedia)",
+          },
+          {
+            url: "",
+            text: "Q. Du, V. Faber, M. Gunzburger, 'Centroidal Voronoi Tessellations: Applications and Algorithms', SIAM Review (1999)",
+          },
         ],
       },
       fortuneVoronoi: {
-        desc: "Fortune's sweep-line algorithm constructs Voronoi diagrams by maintaining a beach line of parabolic arcs as a horizontal sweep line moves downward.",
+        desc: "Fortune's sweep-line algorithm constructs Voronoi diagrams by maintaining a beach line of parabolic arcs as a horizontal sweep line moves downward. Site events split arcs; circle events squeeze arcs out and emit Voronoi vertices.",
         resources: [
           {
             url: "https://en.wikipedia.org/wiki/Voronoi_diagram",
@@ -922,8 +1254,25 @@ class UIControls {
           },
         ],
       },
+      orderKVoronoi: {
+        desc: "The order-k Voronoi diagram partitions the plane into regions whose k nearest sites are the same set; order 1 is the ordinary Voronoi diagram. It is built one order at a time: each order-(k−1) region, with nearest sites T, is split by the Voronoi diagram of the sites outside T, and the piece nearest to q joins the order-k region of T ∪ {q}. Move the k slider to see the regions change, and hover the finished diagram for a k-nearest-neighbour query.",
+        resources: [
+          {
+            url: "https://en.wikipedia.org/wiki/Voronoi_diagram",
+            text: "Voronoi diagram (Wikipedia)",
+          },
+          {
+            url: "https://en.wikipedia.org/wiki/K-nearest_neighbors_algorithm",
+            text: "k-nearest neighbors algorithm (Wikipedia)",
+          },
+          {
+            url: "",
+            text: "D. T. Lee, 'On k-nearest neighbor Voronoi diagrams in the plane', IEEE Transactions on Computers (1982)",
+          },
+        ],
+      },
       intervalTree: {
-        desc: "Interval Tree is a binary search tree that efficiently stores intervals and supports fast interval queries. Each node stores a median value and intervals that cross that median.",
+        desc: "Interval Tree is a binary search tree that efficiently stores intervals and supports fast interval queries. Each node stores a median value and intervals that cross that median, sorted by start and by end. Click the number line for a stabbing query or drag along it for a range query.",
         resources: [
           {
             url: "https://en.wikipedia.org/wiki/Interval_tree",
@@ -936,7 +1285,7 @@ class UIControls {
         ],
       },
       segmentTree: {
-        desc: "Segment Tree stores aggregated data over disjoint elementary intervals (slabs) built from endpoints. Each node covers a range of slabs; an interval is stored in O(log n) nodes fully covered by it.",
+        desc: "Segment Tree stores aggregated data over disjoint elementary intervals (slabs) built from endpoints. Each node covers a range of slabs; an interval is stored in O(log n) nodes fully covered by it. A stabbing query walks from the root to the slab containing the query point and reports the canonical lists on that path in O(log n + k) time; counting only needs the list sizes, in O(log n).",
         resources: [
           {
             url: "https://en.wikipedia.org/wiki/Segment_tree",
@@ -992,7 +1341,7 @@ class UIControls {
         ],
       },
       artGallery: {
-        desc: "Art Gallery Problem finds the minimum number of guards needed to watch an entire polygon gallery. Uses triangulation and 3-coloring to achieve optimal guard placement (≤ ⌊n/3⌋ guards). Start adding vertices. The last edge will be auto-added.",
+        desc: "Art Gallery Problem finds the minimum number of guards needed to watch an entire polygon gallery. Uses triangulation and 3-coloring to achieve optimal guard placement (≤ ⌊n/3⌋ guards). Each guard's exact visibility polygon is then computed with a rotational sweep, and the coverage of their union is measured. Start adding vertices. The last edge will be auto-added. On the last step, drag, add or remove guards to see which regions go unseen.",
         resources: [
           {
             url: "https://en.wikipedia.org/wiki/Art_gallery_problem",
@@ -1012,6 +1361,27 @@ class UIControls {
           },
         ],
       },
+      visibilityPolygon: {
+        desc: "The visibility polygon of a viewpoint is the part of a simple polygon it can see. A ray from the viewpoint sweeps around it through the vertices in angular order, keeping the edges it crosses as the active set. Only the nearest active edge is visible; where it changes at a vertex, the ray's hits just before and after the vertex become vertices of the visibility polygon. Add vertices, press Play to close the polygon, then click inside to place the viewpoint and drag it around.",
+        resources: [
+          {
+            url: "https://en.wikipedia.org/wiki/Visibility_polygon",
+            text: "Visibility polygon (Wikipedia)",
+          },
+          {
+            url: "",
+            text: "T. Asano, T. Asano, L. Guibas, J. Hershberger and H. Imai, 'Visibility of disjoint polygons', Algorithmica (1986)",
+          },
+          {
+            url: "https://archive.org/details/artgallerytheore0000orou",
+            text: "Joseph O'Rourke, 'Art Gallery Theorems and Algorithms' (archive)",
+          },
+          {
+            url: "",
+            text: "Chapter 15, 'Visibility Graphs' in 'Computational Geometry: Algorithms and Applications' by Mark de Berg et al.",
+          },
+        ],
+      },
     };
 
     // Write structured instruction pieces into their spans
@@ -1188,32 +1558,94 @@ class UIControls {
         "Recursively process right subset",
         "Complete QuickHull",
       ],
+      monotoneChain: [
+        "Sort points by x-coordinate (ties by y)",
+        "Lower hull: scan points left → right",
+        "Pop while the last turn is not counter-clockwise",
+        "Push the point onto the chain",
+        "Upper hull: scan points right → left",
+        "Concatenate lower and upper chains",
+      ],
+      chanHull: [
+        "Guess m = 2^(2^t) (capped at n)",
+        "Partition points into ⌈n/m⌉ groups",
+        "Graham scan: mini hull of each group",
+        "Jarvis march: start at the leftmost point",
+        "Binary-search the tangent to each mini hull",
+        "Advance to the best tangent point",
+        "Not closed after m wraps: square m",
+        "Hull closed: convex hull complete",
+      ],
+      kirkpatrickSeidel: [
+        "Find the extreme points; keep the points between them",
+        "Split the subproblem at the median x",
+        "Pair candidates; supporting line with the median slope K",
+        "Prune: discard one point of each ruled-out pair",
+        "Bridge found: recurse into the left and right sides",
+        "Join the upper and lower hulls",
+      ],
+      mergeHull: [
+        "Sort points by x-coordinate (ties by y)",
+        "Divide: split the points at the median",
+        "Base case: hull of at most 3 points",
+        "Merge: start the upper tangent at the closest extremes",
+        "Walk the upper tangent outward",
+        "Merge: start the lower tangent at the closest extremes",
+        "Walk the lower tangent outward",
+        "Join the hulls along both tangents",
+        "Convex hull complete",
+      ],
       segmentIntersection: [
-        "Create event points from line segments",
-        "Sort events by x-coordinate",
-        "Initialize sweep line",
-        "Process start events",
-        "Check intersections with active segments",
-        "Process end events",
+        "Create event points from segment endpoints",
+        "Sort events by x (then y); empty status",
+        "Start event: insert segment into status (by y)",
+        "End event: remove segment from status",
+        "Intersection event: report and swap in status",
+        "Test new neighbours; queue crossings ahead",
         "Complete intersection detection",
       ],
       triangulation: [
         "Validate polygon (≥3 vertices)",
-        "Find ear vertices",
-        "Create triangle from ear",
-        "Remove ear vertex",
-        "Update remaining polygon",
-        "Repeat until 3 vertices remain",
+        "Bridge holes into the outer boundary",
+        "Find an ear and create its triangle",
+        "Remove the ear vertex; repeat until 3 vertices remain",
         "Add final triangle",
+        "Build the dual graph of the triangles (a tree)",
+        "DFS over the dual tree, coloring each new vertex",
+        "Smallest color class: at most ⌊n/3⌋ guards",
+      ],
+      monotoneTriangulation: [
+        "Draw a simple polygon",
+        "Sweep down: classify the vertex, update the status edges and helpers",
+        "Split or merge vertex: insert a diagonal to a helper",
+        "Split the polygon into y-monotone pieces",
+        "Triangulate each piece with a stack, top to bottom",
+        "Triangulation complete (n - 2 triangles)",
       ],
       delaunay: [
         "Create super triangle",
         "Add points incrementally",
         "Find triangles with point in circumcircle",
-        "Remove bad triangles",
-        "Create new triangles",
-        "Update triangulation",
+        "Remove bad triangles and create new ones",
         "Remove super triangle",
+        "Insert constraint: remove the triangles it crosses",
+        "Retriangulate the cavities on both sides",
+        "Remove triangles outside the domain and in holes",
+        "Constrained triangulation complete",
+      ],
+      lawsonFlip: [
+        "Build a starting triangulation and stack its interior edges",
+        "Pop an edge: legal if the opposite vertex is outside the circle",
+        "Illegal edge: the opposite vertex is inside the circle",
+        "Flip to the other diagonal and push the quadrilateral's sides",
+        "No illegal edges left: Delaunay triangulation",
+      ],
+      randomizedDelaunay: [
+        "Start from the bounding triangle p0 p₋₁ p₋₂ (the DAG root)",
+        "Walk the history DAG down to the leaf containing the point",
+        "Split the leaf triangle into 3 (or 4 on an edge)",
+        "Legalize the edges opposite the point, flipping illegal ones",
+        "Remove the symbolic points and their triangles",
       ],
       voronoi: [
         "Introduction to Voronoi diagrams",
@@ -1224,20 +1656,58 @@ class UIControls {
         "Sort vertices by polar angle",
         "Construct Voronoi cells",
         "Visualize duality with Delaunay",
+        "Weighted: lift sites to x² + y² − r², start from a super triangle",
+        "Insert a site: find the triangles it has negative power to",
+        "Retriangulate the cavity; sites inside it are hidden",
+        "Redundant site: no conflicts, its cell is empty",
+        "Remove the super triangle; power centers of the triangles",
+        "Power diagram complete (vanished cells flagged)",
+        "Farthest-point: compute the convex hull; only its vertices get cells",
+        "Cut off the ear with the largest circle: a diagram vertex",
+        "Farthest-point Voronoi diagram complete",
+        "Smallest enclosing circle: check vertices and edge midpoints",
+        "Smallest enclosing circle found",
+        "Lloyd: clip the Voronoi cells to the boundary",
+        "Iteration: move every site to its cell's centroid",
+        "Converged to a centroidal Voronoi tessellation (or stopped)",
+      ],
+      orderKVoronoi: [
+        "Order 1: the ordinary Voronoi diagram",
+        "Next order: split every region of the previous order",
+        "Split a region by the Voronoi diagram of the sites outside its set",
+        "Merge the pieces with the same set into one region",
+        "Order-k diagram complete; hover for k-nearest-neighbour queries",
       ],
       fortuneVoronoi: [
-        "Initialize event queue with sites (by y)",
-        "Sweep line starts at first site",
-        "Process site events; update beach line (parabola arcs)",
-        "(Circle events omitted in this visualization)", // TODO: Add maybe? We can show them.
-        "Finalize Voronoi (built via Delaunay)",
+        "Initialize event queue with site events (by y)",
+        "Site event: split the arc above the new site",
+        "Cancel false-alarm circle events",
+        "Queue circle events for new arc triples",
+        "Circle event: remove squeezed arc, emit Voronoi vertex",
+        "Extend unbounded edges; Voronoi diagram complete",
+      ],
+      intervalTree: [
+        "Collect intervals",
+        "Sort intervals by start point",
+        "Find median of all endpoints",
+        "Create node: split into left / center / right",
+        "Interval tree complete",
+        "Query: compare query with node median",
+        "Scan sorted center list; report overlaps",
+        "Recurse into child subtree(s)",
+        "Query complete",
       ],
       segmentTree: [
+        "Collect intervals",
         "Collect and sort unique endpoints",
-        "Build elementary slabs from consecutive endpoints",
+        "Build elementary slabs: each endpoint and the open gaps between them",
         "Build full binary tree over slab index range",
         "Assign each interval to fully covered nodes",
-        "Segment tree ready for range queries",
+        "Segment tree ready for stabbing queries",
+        "Query: locate the slab containing q",
+        "Collect (or count) the node's canonical list",
+        "Descend into the child containing the slab",
+        "Query complete",
       ],
       rectangleUnion: [
         "Initialize with rectangles",
@@ -1267,7 +1737,14 @@ class UIControls {
         "Triangulate polygon using ear clipping",
         "3-color the triangulation vertices",
         "Select guards from minimum color class",
-        "Show visibility regions for guards",
+        "Compute exact visibility polygons and measure coverage",
+      ],
+      visibilityPolygon: [
+        "Draw a simple polygon and place the viewpoint",
+        "Sort vertices by angle; find the edges crossing the first ray",
+        "Rotate the ray to a hidden vertex: update the active edges only",
+        "Nearest edge changes: emit the hits before and after the vertex",
+        "Close the visibility polygon",
       ],
     };
     return steps[algorithmName] || [];
@@ -1297,6 +1774,15 @@ class UIControls {
       case "grahamScan":
         this.updateGrahamScanEvents(step, algorithm);
         break;
+      case "monotoneChain":
+        this.updateMonotoneChainEvents(step, algorithm);
+        break;
+      case "chanHull":
+        this.updateChanHullEvents(step, algorithm);
+        break;
+      case "mergeHull":
+        this.updateMergeHullEvents(step, algorithm);
+        break;
       case "giftWrap":
         this.updateGiftWrapEvents(step, algorithm);
         break;
@@ -1309,14 +1795,26 @@ class UIControls {
       case "triangulation":
         this.updateTriangulationEvents(step, algorithm);
         break;
+      case "monotoneTriangulation":
+        this.updateMonotoneTriangulationEvents(step, algorithm);
+        break;
       case "delaunay":
         this.updateDelaunayEvents(step, algorithm);
         break;
+      case "lawsonFlip":
+        this.updateLawsonFlipEvents(step, algorithm);
+        break;
+      case "randomizedDelaunay":
+        this.updateRandomizedDelaunayEvents(step, algorithm);
+        break;
       case "voronoi":
         this.updateVoronoiEvents(step, algorithm);
         break;
       case "fortuneVoronoi":
-        this.updateVoronoiEvents(step, algorithm);
+        this.updateFortuneVoronoiEvents(step, algorithm);
+        break;
+      case "orderKVoronoi":
+        this.updateOrderKVoronoiEvents(step, algorithm);
         break;
       case "rectangleUnion":
         this.updateRectangleUnionEvents(step, algorithm);
@@ -1330,6 +1828,9 @@ class UIControls {
       case "artGallery":
         this.updateArtGalleryEvents(step, algorithm);
         break;
+      case "visibilityPolygon":
+        this.updateVisibilityPolygonEvents(step, algorithm);
+        break;
     }
   }
 
@@ -1561,6 +2062,9 @@ class UIControls {
           case "current":
             li.classList.add("event-current");
             break;
+          case "completed":
+            li.classList.add("event-accepted");
+            break;
           default:
             li.classList.add("event-pending");
         }
@@ -1570,6 +2074,33 @@ class UIControls {
       this.eventSetsEl.appendChild(intervalsDiv);
     }
 
+    // Root-to-leaf query path with the canonical list (or its size) per node
+    if (step.eventSets && step.eventSets.path && step.eventSets.path.length) {
+      const pathDiv = document.createElement("div");
+      pathDiv.className = "event-group";
+      const title = document.createElement("h4");
+      title.textContent = "Query Path (root → leaf)";
+      pathDiv.appendChild(title);
+      const list = document.createElement("ul");
+      list.className = "event-list";
+      step.eventSets.path.forEach((p) => {
+        const li = document.createElement("li");
+        li.textContent = `Node [${p.node.l}, ${p.node.r}]: ${p.label}`;
+        li.classList.add(
+          p.status === "current" ? "event-current" : "event-processed"
+        );
+        list.appendChild(li);
+      });
+      if (step.eventSets.total) {
+        const li = document.createElement("li");
+        li.textContent = step.eventSets.total;
+        li.classList.add("event-accepted");
+        list.appendChild(li);
+      }
+      pathDiv.appendChild(list);
+      this.eventSetsEl.appendChild(pathDiv);
+    }
+
     // Nodes covered in current assignment step
     if (step.eventSets && step.eventSets.nodes && step.eventSets.nodes.length) {
       const nodesDiv = document.createElement("div");
@@ -1667,6 +2198,418 @@ class UIControls {
     }
   }
 
+  updateMonotoneChainEvents(step, algorithm) {
+    if (!step || !algorithm.points.length || !step.eventSets) return;
+
+    // Ordered lists: the sorted scan order and both chains (stack bottom → top)
+    const addGroup = (titleText, items) => {
+      const div = document.createElement("div");
+      div.className = "event-group";
+      const title = document.createElement("h4");
+      title.textContent = titleText;
+      div.appendChild(title);
+      const list = document.createElement("ul");
+      list.className = "event-list";
+      items.forEach(({ text, cls }) => {
+        const li = document.createElement("li");
+        li.textContent = text;
+        li.classList.add(cls);
+        list.appendChild(li);
+      });
+      div.appendChild(list);
+      this.eventSetsEl.appendChild(div);
+    };
+
+    if (step.eventSets.points) {
+      const statusClass = {
+        accepted: "event-accepted",
+        rejected: "event-rejected",
+        current: "event-current",
+        backtrack: "event-backtrack",
+      };
+      addGroup(
+        "Points (sorted by x)",
+        step.eventSets.points.map((pd, i) => ({
+          text: `P${i + 1}: (${pd.point.x.toFixed(1)}, ${pd.point.y.toFixed(
+            1
+          )})`,
+          cls: statusClass[pd.status] || "event-pending",
+        }))
+      );
+    }
+
+    const chainItems = (chain, active) =>
+      chain.length
+        ? chain.map((lbl, i) => ({
+            text: i === chain.length - 1 ? `${lbl} ← top` : lbl,
+            cls: active ? "event-accepted" : "event-processed",
+          }))
+        : [{ text: "(empty)", cls: "event-pending" }];
+
+    if (step.eventSets.lowerHull && step.phase !== "sort") {
+      addGroup(
+        "Lower Chain (stack)",
+        chainItems(step.eventSets.lowerHull, step.phase === "lower")
+      );
+    }
+    if (
+      step.eventSets.upperHull &&
+      (step.phase === "upper" || step.phase === "done")
+    ) {
+      addGroup(
+        "Upper Chain (stack)",
+        chainItems(step.eventSets.upperHull, step.phase === "upper")
+      );
+    }
+
+    if (step.isBacktrack && step.poppedPoint) {
+      const idx = step.sortedPoints.indexOf(step.poppedPoint);
+      addGroup("⬅ Pop", [
+        {
+          text: `P${
+            idx + 1
+          } removed: the turn through it is not counter-clockwise`,
+          cls: "event-backtrack",
+        },
+      ]);
+    }
+
+    if (step.phase === "done" && step.eventSets.output) {
+      addGroup(
+        "Convex Hull",
+        step.eventSets.output.map((o) => ({
+          text: o.label,
+          cls: "event-accepted",
+        }))
+      );
+    }
+  }
+
+  updateChanHullEvents(step, algorithm) {
+    if (!step || !algorithm.points.length || !step.eventSets) return;
+
+    // Ordered lists: the guesses for m so far and the probes of the current tangent search
+    const addGroup = (titleText, items) => {
+      const div = document.createElement("div");
+      div.className = "event-group";
+      const title = document.createElement("h4");
+      title.textContent = titleText;
+      div.appendChild(title);
+      const list = document.createElement("ul");
+      list.className = "event-list";
+      items.forEach(({ text, cls }) => {
+        const li = document.createElement("li");
+        li.textContent = text;
+        li.classList.add(cls);
+        list.appendChild(li);
+      });
+      div.appendChild(list);
+      this.eventSetsEl.appendChild(div);
+    };
+
+    const { guesses, probes } = step.eventSets;
+    if (guesses && guesses.length) {
+      const statusClass = {
+        accepted: "event-accepted",
+        rejected: "event-rejected",
+        current: "event-current",
+      };
+      addGroup(
+        "Guesses for m",
+        guesses.map((g) => ({
+          text: `Round ${g.round}: m = ${g.m}${
+            g.status === "rejected"
+              ? " (failed, squared)"
+              : g.status === "accepted"
+              ? " (hull closed)"
+              : ""
+          }`,
+          cls: statusClass[g.status] || "event-pending",
+        }))
+      );
+    }
+
+    if (probes && probes.length) {
+      addGroup(
+        `Tangent Search (group ${step.currentGroup + 1}, ${
+          step.miniHulls[step.currentGroup].length
+        } vertices)`,
+        probes.map((pr, i) => ({
+          text: `${i + 1}. ${pr.label}`,
+          cls: pr.status === "current" ? "event-current" : "event-processed",
+        }))
+      );
+    }
+  }
+
+  updateMergeHullEvents(step, algorithm) {
+    if (!step || !algorithm.points.length || !step.eventSets) return;
+    const { tree } = step.eventSets;
+    if (!tree || !tree.length) return;
+
+    // Recursion tree in preorder, indented by depth
+    const div = document.createElement("div");
+    div.className = "event-group";
+    const title = document.createElement("h4");
+    title.textContent = "Recursion Tree";
+    div.appendChild(title);
+    const list = document.createElement("ul");
+    list.className = "event-list";
+    const statusClass = {
+      current: "event-current",
+      active: "event-backtrack",
+      done: "event-processed",
+    };
+    tree.forEach((node) => {
+      const li = document.createElement("li");
+      li.textContent = `${node.depth > 0 ? "└ " : ""}${node.label}`;
+      li.style.marginLeft = `${node.depth * 14}px`;
+      li.classList.add(statusClass[node.status] || "event-pending");
+      list.appendChild(li);
+    });
+    div.appendChild(list);
+    this.eventSetsEl.appendChild(div);
+  }
+
+  updateVisibilityPolygonEvents(step, algorithm) {
+    if (!step || !step.eventSets || !step.eventSets.ray) return;
+    const { angle, nearest, before, after } = step.eventSets.ray;
+
+    // State of the sweep ray: its angle from the first ray, the visible edge and its hits
+    const div = document.createElement("div");
+    div.className = "event-group";
+    const title = document.createElement("h4");
+    title.textContent = "Sweep Ray";
+    div.appendChild(title);
+    const list = document.createElement("ul");
+    list.className = "event-list";
+    [
+      [`Angle from the first ray: ${angle}°`, "event-current"],
+      [`Nearest (visible) edge: ${nearest}`, "event-processed"],
+      [`Hit before the vertex: ${before}`, "event-pending"],
+      [`Hit after the vertex: ${after}`, "event-pending"],
+    ].forEach(([text, className]) => {
+      const li = document.createElement("li");
+      li.textContent = text;
+      li.className = className;
+      list.appendChild(li);
+    });
+    div.appendChild(list);
+    this.eventSetsEl.appendChild(div);
+  }
+
+  updateMonotoneTriangulationEvents(step, algorithm) {
+    if (!step || !step.pieces) return;
+
+    // The y-monotone pieces, the one being triangulated highlighted
+    const div = document.createElement("div");
+    div.className = "event-group";
+    const title = document.createElement("h4");
+    title.textContent = "Monotone Pieces";
+    div.appendChild(title);
+    const list = document.createElement("ul");
+    list.className = "event-list";
+    step.pieces.forEach((piece, k) => {
+      const li = document.createElement("li");
+      li.textContent = `Piece ${k + 1}: ${piece
+        .map((vi) => `V${vi + 1}`)
+        .join(" ")}`;
+      li.className =
+        k === step.currentPiece
+          ? "event-current"
+          : step.currentPiece > k || step.algorithmStep === 5
+          ? "event-processed"
+          : "event-pending";
+      list.appendChild(li);
+    });
+    div.appendChild(list);
+    this.eventSetsEl.appendChild(div);
+  }
+
+  updateLawsonFlipEvents(step, algorithm) {
+    if (!step || !step.eventSets || !step.eventSets.flips) return;
+    const { flips, checked, stacked, minAngle, initialMinAngle } =
+      step.eventSets.flips;
+
+    // Running totals of the flip loop
+    const div = document.createElement("div");
+    div.className = "event-group";
+    const title = document.createElement("h4");
+    title.textContent = "Flip Counter";
+    div.appendChild(title);
+    const list = document.createElement("ul");
+    list.className = "event-list";
+    [
+      [`Flips: ${flips}`, "event-current"],
+      [`Edges tested: ${checked}`, "event-processed"],
+      [`Edges on the stack: ${stacked}`, "event-pending"],
+      [
+        `Smallest angle: ${minAngle}° (started at ${initialMinAngle}°)`,
+        "event-processed",
+      ],
+    ].forEach(([text, className]) => {
+      const li = document.createElement("li");
+      li.textContent = text;
+      li.className = className;
+      list.appendChild(li);
+    });
+    div.appendChild(list);
+    this.eventSetsEl.appendChild(div);
+  }
+
+  updateRandomizedDelaunayEvents(step, algorithm) {
+    if (!step || !step.dag || !step.eventSets || !step.eventSets.dag) return;
+    const { nodes, leaves, visited, visitedTotal, inserted, flips } =
+      step.eventSets.dag;
+
+    // The DAG as it was at this step: the nodes created so far, layered by depth
+    const svgNS = "http://www.w3.org/2000/svg";
+    const dag = algorithm.dagNodes.slice(0, step.dag.size).map((node) => ({
+      depth: node.depth,
+      children: node.children.filter((child) => child < step.dag.size),
+    }));
+    const layers = [];
+    dag.forEach((node, id) => {
+      if (!layers[node.depth]) layers[node.depth] = [];
+      layers[node.depth].push(id);
+    });
+    const parents = dag.map(() => []);
+    dag.forEach((node, id) =>
+      node.children.forEach((child) => parents[child].push(id))
+    );
+
+    // Order each layer by the mean position of its parents, to keep edges short
+    const width = 280;
+    const layerGap = 28;
+    const x = [];
+    layers.forEach((layer) => {
+      const meanX = (id) =>
+        parents[id].length
+          ? parents[id].reduce((sum, p) => sum + x[p], 0) / parents[id].length
+          : width / 2;
+      layer
+        .map((id) => [id, meanX(id)])
+        .sort((a, b) => a[1] - b[1] || a[0] - b[0])
+        .forEach(([id], k) => (x[id] = ((k + 0.5) * width) / layer.length));
+    });
+    const y = (id) => 10 + dag[id].depth * layerGap;
+    const radius = Math.max(
+      1.5,
+      Math.min(5, width / (2.5 * Math.max(...layers.map((l) => l.length))))
+    );
+
+    const div = document.createElement("div");
+    div.className = "event-group";
+    const title = document.createElement("h4");
+    title.textContent = "History DAG";
+    div.appendChild(title);
+    const svg = document.createElementNS(svgNS, "svg");
+    svg.setAttribute(
+      "viewBox",
+      `0 0 ${width} ${20 + (layers.length - 1) * layerGap}`
+    );
+    svg.setAttribute("width", "100%");
+    const onPath = new Set(step.dag.path);
+    const created = new Set(step.dag.created);
+    dag.forEach((node, id) =>
+      node.children.forEach((child) => {
+        const edge = document.createElementNS(svgNS, "line");
+        edge.setAttribute("x1", x[id]);
+        edge.setAttribute("y1", y(id));
+        edge.setAttribute("x2", x[child]);
+        edge.setAttribute("y2", y(child));
+        const walked = onPath.has(id) && onPath.has(child);
+        edge.setAttribute("stroke", walked ? "#ff9600" : "#999");
+        edge.setAttribute("stroke-width", walked ? 2 : 0.5);
+        svg.appendChild(edge);
+      })
+    );
+    // Leaves (current triangles) in blue, the walk in orange, new nodes in green
+    dag.forEach((node, id) => {
+      const circle = document.createElementNS(svgNS, "circle");
+      circle.setAttribute("cx", x[id]);
+      circle.setAttribute("cy", y(id));
+      circle.setAttribute("r", radius);
+      circle.setAttribute(
+        "fill",
+        created.has(id)
+          ? "#00b400"
+          : onPath.has(id)
+          ? "#ff9600"
+          : node.children.length === 0
+          ? "#4682b4"
+          : "#bbb"
+      );
+      const tooltip = document.createElementNS(svgNS, "title");
+      tooltip.textContent = `Node ${id + 1}`;
+      circle.appendChild(tooltip);
+      svg.appendChild(circle);
+    });
+    div.appendChild(svg);
+
+    const list = document.createElement("ul");
+    list.className = "event-list";
+    [
+      [`Nodes: ${nodes} (${leaves} leaves)`, "event-current"],
+      [`Nodes visited on this walk: ${visited}`, "event-processed"],
+      [
+        `Average walk: ${(visitedTotal / Math.max(1, inserted)).toFixed(
+          1
+        )} nodes per point`,
+        "event-processed",
+      ],
+      [`Flips: ${flips}`, "event-processed"],
+    ].forEach(([text, className]) => {
+      const li = document.createElement("li");
+      li.textContent = text;
+      li.className = className;
+      list.appendChild(li);
+    });
+    div.appendChild(list);
+    this.eventSetsEl.appendChild(div);
+  }
+
+  // Order and region counts; the regions themselves are listed in the standard output set
+  updateOrderKVoronoiEvents(step, algorithm) {
+    if (!step || !step.level) return;
+
+    const div = document.createElement("div");
+    div.className = "event-group";
+    const title = document.createElement("h4");
+    title.textContent = `Order ${step.level} of k = ${step.k}`;
+    div.appendChild(title);
+
+    const list = document.createElement("ul");
+    list.className = "event-list";
+    const rows = [
+      [
+        `Regions of order ${step.regionsOrder}: ${step.regions.length}`,
+        "event-current",
+      ],
+      [`Sites per region: ${step.regionsOrder}`, "event-processed"],
+    ];
+    if (step.currentRegion)
+      rows.push([
+        `Splitting {${step.currentRegion.sites
+          .map((i) => `P${i + 1}`)
+          .join(", ")}}: ${step.newPieces.length} pieces`,
+        "event-current",
+      ]);
+    if (algorithm.k > step.k)
+      rows.push([
+        `k = ${algorithm.k} is capped at n − 1 = ${step.k}`,
+        "event-rejected",
+      ]);
+    rows.forEach(([text, className]) => {
+      const li = document.createElement("li");
+      li.textContent = text;
+      li.className = className;
+      list.appendChild(li);
+    });
+    div.appendChild(list);
+    this.eventSetsEl.appendChild(div);
+  }
+
   updateLineSweepEvents(step, algorithm) {
     if (!step || !algorithm.segments.length) return;
 
@@ -1751,6 +2694,58 @@ class UIControls {
       this.eventSetsEl.appendChild(segmentsDiv);
     }
 
+    // Status structure section (top to bottom along the sweep line)
+    if (step.eventSets && step.eventSets.status) {
+      const statusDiv = document.createElement("div");
+      statusDiv.className = "event-group";
+
+      const statusTitle = document.createElement("h4");
+      statusTitle.textContent = "Status (ordered by y, top → bottom)";
+      statusDiv.appendChild(statusTitle);
+
+      const before = step.eventSets.statusBefore || [];
+      const beforeText = document.createElement("p");
+      beforeText.textContent = `Before event: ${
+        before.length ? before.map((k) => `S${k + 1}`).join(" → ") : "(empty)"
+      }`;
+      beforeText.style.fontSize = "0.9em";
+      statusDiv.appendChild(beforeText);
+
+      const statusList = document.createElement("ul");
+      statusList.className = "event-list";
+
+      if (step.eventSets.status.length === 0) {
+        const li = document.createElement("li");
+        li.textContent = "(empty)";
+        li.classList.add("event-pending");
+        statusList.appendChild(li);
+      }
+
+      step.eventSets.status.forEach((entry, rank) => {
+        const li = document.createElement("li");
+        let text = `${rank + 1}. Segment ${entry.index + 1}`;
+        if (entry.status === "new") text += " (inserted)";
+        if (entry.status === "swapped") text += " (swapped)";
+
+        // Apply status-based styling
+        switch (entry.status) {
+          case "new":
+          case "swapped":
+          case "current":
+            li.classList.add("event-current");
+            break;
+          default:
+            li.classList.add("event-accepted");
+        }
+
+        li.textContent = text;
+        statusList.appendChild(li);
+      });
+
+      statusDiv.appendChild(statusList);
+      this.eventSetsEl.appendChild(statusDiv);
+    }
+
     // Intersections section
     if (step.intersections && step.intersections.length > 0) {
       const intersectionsDiv = document.createElement("div");
@@ -1770,9 +2765,9 @@ class UIControls {
         )}, ${intersection.y.toFixed(1)})`;
 
         if (intersection.segments) {
-          text += ` [segments ${intersection.segments[0] + 1} & ${
-            intersection.segments[1] + 1
-          }]`;
+          text += ` [segments ${intersection.segments
+            .map((k) => k + 1)
+            .join(" & ")}]`;
         }
 
         li.textContent = text;
@@ -2076,7 +3071,8 @@ class UIControls {
   }
 
   updateDelaunayEvents(step, algorithm) {
-    if (!step || !algorithm.points.length) return;
+    // In constrained mode the sites also include the segments' endpoints
+    if (!step || !(algorithm.points.length || algorithm.sites.length)) return;
 
     // Points section
     if (step.eventSets && step.eventSets.points) {
@@ -2190,9 +3186,20 @@ class UIControls {
         li.textContent = `Site ${index + 1}: (${point.x.toFixed(
           1
         )}, ${point.y.toFixed(1)})`;
+        if (algorithm.mode === "weighted")
+          li.textContent += `, r = ${algorithm.radiusOf(index).toFixed(1)}`;
 
         // Apply status-based styling
         switch (pointData.status) {
+          case "rejected":
+            li.textContent +=
+              algorithm.mode === "farthest"
+                ? " - no cell (not a hull vertex)"
+                : algorithm.mode === "lloyd"
+                ? " - empty cell (outside the boundary)"
+                : " - cell vanished";
+            li.classList.add("event-rejected");
+            break;
           case "processed":
             li.classList.add("event-processed");
             break;
@@ -2293,6 +3300,8 @@ class UIControls {
       this.eventSetsEl.appendChild(cellsDiv);
     }
 
+    if (step.lloyd) this.updateLloydPlots(step, algorithm);
+
     // Duality information
     if (step.showDuality) {
       const dualityDiv = document.createElement("div");
@@ -2306,7 +3315,11 @@ class UIControls {
 
       const dualityText = document.createElement("p");
       dualityText.innerHTML =
-        "• Delaunay triangulation shown in blue<br>• Voronoi vertices are Delaunay circumcenters<br>• Voronoi edges connect circumcenters";
+        algorithm.mode === "weighted"
+          ? "• Regular triangulation shown in blue<br>• Power diagram vertices are its power centers<br>• Hidden sites are not triangle vertices"
+          : algorithm.mode === "farthest"
+          ? "• Farthest-point Delaunay triangulation shown in blue<br>• Diagram vertices are its circumcenters<br>• Only hull vertices are triangle vertices"
+          : "• Delaunay triangulation shown in blue<br>• Voronoi vertices are Delaunay circumcenters<br>• Voronoi edges connect circumcenters";
       dualityText.style.fontSize = "0.9em";
       dualityDiv.appendChild(dualityText);
 
@@ -2314,6 +3327,108 @@ class UIControls {
     }
   }
 
+  // Lloyd relaxation: energy and largest site move per iteration, over the whole run
+  updateLloydPlots(step, algorithm) {
+    const run = algorithm.steps[algorithm.steps.length - 1].lloyd;
+    if (!run || run.energy.length === 0) return;
+    const svgNS = "http://www.w3.org/2000/svg";
+    const width = 280;
+    const height = 80;
+    const pad = 6;
+
+    const div = document.createElement("div");
+    div.className = "event-group";
+    const title = document.createElement("h4");
+    title.textContent = `Lloyd relaxation: iteration ${step.lloyd.iteration} of ${run.energy.length}`;
+    div.appendChild(title);
+
+    [
+      [
+        "Energy (mean squared distance to the nearest site)",
+        run.energy,
+        "#0050c8",
+      ],
+      ["Largest site move (px)", run.movement, "#c83200"],
+    ].forEach(([label, values, color]) => {
+      const caption = document.createElement("p");
+      const current = values[step.lloyd.iteration - 1];
+      caption.textContent =
+        current === undefined ? label : `${label}: ${current.toFixed(1)}`;
+      caption.style.fontSize = "0.85em";
+      caption.style.margin = "4px 0";
+      div.appendChild(caption);
+
+      const max = Math.max(...values) || 1;
+      const min = Math.min(0, ...values);
+      const x = (k) =>
+        pad + (k * (width - 2 * pad)) / Math.max(1, values.length - 1);
+      const y = (v) =>
+        height - pad - ((v - min) * (height - 2 * pad)) / (max - min || 1);
+      const svg = document.createElementNS(svgNS, "svg");
+      svg.setAttribute("viewBox", `0 0 ${width} ${height}`);
+      svg.setAttribute("width", "100%");
+      const axis = document.createElementNS(svgNS, "polyline");
+      axis.setAttribute(
+        "points",
+        `${pad},${pad} ${pad},${height - pad} ${width - pad},${height - pad}`
+      );
+      axis.setAttribute("fill", "none");
+      axis.setAttribute("stroke", "#999");
+      svg.appendChild(axis);
+      const curve = document.createElementNS(svgNS, "polyline");
+      curve.setAttribute(
+        "points",
+        values.map((v, k) => `${x(k)},${y(v)}`).join(" ")
+      );
+      curve.setAttribute("fill", "none");
+      curve.setAttribute("stroke", color);
+      curve.setAttribute("stroke-width", 1.5);
+      svg.appendChild(curve);
+      // The iteration shown on the canvas
+      if (current !== undefined) {
+        const marker = document.createElementNS(svgNS, "circle");
+        marker.setAttribute("cx", x(step.lloyd.iteration - 1));
+        marker.setAttribute("cy", y(current));
+        marker.setAttribute("r", 3.5);
+        marker.setAttribute("fill", "#ff9600");
+        svg.appendChild(marker);
+      }
+      div.appendChild(svg);
+    });
+    this.eventSetsEl.appendChild(div);
+  }
+
+  updateFortuneVoronoiEvents(step, algorithm) {
+    if (!step || !algorithm.points.length) return;
+
+    // Beach line, in left-to-right order (not sorted by status like the standard sets)
+    if (step.eventSets && step.eventSets.beachLine) {
+      const beachDiv = document.createElement("div");
+      beachDiv.className = "event-group";
+
+      const title = document.createElement("h4");
+      title.textContent = `Beach Line (left → right, ${step.eventSets.beachLine.length} arcs)`;
+      beachDiv.appendChild(title);
+
+      const beachList = document.createElement("ul");
+      beachList.className = "event-list";
+
+      step.eventSets.beachLine.forEach((arcData, index) => {
+        const li = document.createElement("li");
+        li.textContent = `Arc ${index + 1}: ${arcData.label}`;
+        li.classList.add(
+          arcData.status === "current" ? "event-current" : "event-accepted"
+        );
+        beachList.appendChild(li);
+      });
+
+      beachDiv.appendChild(beachList);
+      this.eventSetsEl.appendChild(beachDiv);
+    }
+
+    this.updateVoronoiEvents(step, algorithm);
+  }
+
   updateRectangleUnionEvents(step, algorithm) {
     if (!step || !algorithm.rectangles.length) return;
 
@@ -2735,6 +3850,21 @@ class UIControls {
       li2.className = "event-completed";
       visibilityList.appendChild(li2);
 
+      if (visibilityInfo.seenArea !== undefined) {
+        const li3 = document.createElement("li");
+        li3.textContent = `Seen area: ${visibilityInfo.seenArea}`;
+        li3.className = "event-completed";
+        visibilityList.appendChild(li3);
+
+        const li4 = document.createElement("li");
+        li4.textContent = `Unseen area: ${visibilityInfo.unseenArea}`;
+        li4.className =
+          visibilityInfo.unseenRegions > 0
+            ? "event-current"
+            : "event-completed";
+        visibilityList.appendChild(li4);
+      }
+
       visibilityDiv.appendChild(visibilityList);
       this.eventSetsEl.appendChild(visibilityDiv);
     }
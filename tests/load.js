@@ -0,0 +1,28 @@
+/**
+ * Loads the app's browser scripts (paths relative to the repo root) into a fresh VM context,
+ * in order, as index.html does. Top-level classes are reachable with `context.get("Name")`.
+ */
+
+const fs = require("node:fs");
+const path = require("node:path");
+const vm = require("node:vm");
+
+const ROOT = path.join(__dirname, "..");
+
+function loadScripts(files) {
+  const context = { console, document: { getElementById: () => null } };
+  context.window = context;
+  vm.createContext(context);
+  for (const file of files)
+    vm.runInContext(fs.readFileSync(path.join(ROOT, file), "utf8"), context, {
+      filename: file,
+    });
+  context.run = (code) => vm.runInContext(code, context);
+  context.get = (name) => vm.runInContext(name, context);
+  return context;
+}
+
+// Objects from the VM context have its own prototypes; compare them as plain data
+const plain = (value) => JSON.parse(JSON.stringify(value));
+
+module.exports = { loadScripts, plain };
@@ -0,0 +1,313 @@
+/**
+ * Scene round trips: inputs saved to JSON or a link hash come back unchanged.
+ * Run with `node --test tests/` (Node 18+). The browser scripts are loaded into a VM context
+ * with a small stand-in for AlgorithmManager; no canvas or p5.js is needed.
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadScripts, plain } = require("./load");
+
+const SCRIPTS = [
+  "js/common/utils.js",
+  "js/geometry/point.js",
+  "js/geometry/line.js",
+  "js/geometry/polygon.js",
+  "js/geometry/interval.js",
+  "js/geometry/dualLine.js",
+  "js/geometry/rectangle.js",
+  "js/common/scene.js",
+  "js/algorithms/quickHull.js",
+  "js/algorithms/triangulation.js",
+  "js/algorithms/delaunay.js",
+  "js/algorithms/voronoi.js",
+  "js/algorithms/orderKVoronoi.js",
+  "js/algorithms/intervalTree.js",
+  "js/algorithms/segmentTree.js",
+  "js/algorithms/artGallery.js",
+  "js/algorithms/visibilityPolygon.js",
+];
+
+// The parts of AlgorithmManager (js/main.js) that Scene.restore uses, without the DOM updates
+const MANAGER = `
+  class TestManager {
+    constructor() {
+      this.algorithms = {
+        artGallery: new ArtGalleryAlgorithm(),
+        intervalTree: new IntervalTreeAlgorithm(),
+        segmentTree: new SegmentTreeAlgorithm(),
+        triangulation: new PolygonTriangulation(),
+        voronoi: new VoronoiAlgorithm(),
+        orderKVoronoi: new OrderKVoronoiAlgorithm(),
+        visibilityPolygon: new VisibilityPolygonAlgorithm(),
+      };
+      this.currentAlgorithm = "artGallery";
+    }
+    setAlgorithm(name) { this.currentAlgorithm = name; }
+    getCurrentAlgorithm() { return this.algorithms[this.currentAlgorithm]; }
+    addPoint(point) {
+      const alg = this.getCurrentAlgorithm();
+      if (alg.addPoint) alg.addPoint(point);
+      else if (alg.addVertex) alg.addVertex(point);
+    }
+    addInterval(interval) { this.getCurrentAlgorithm().addInterval(interval); }
+    setMode(mode) {
+      const alg = this.getCurrentAlgorithm();
+      if (alg.setMode) alg.setMode(mode);
+    }
+    setK(k) {
+      const alg = this.getCurrentAlgorithm();
+      if (!alg.setK) return;
+      alg.setK(k);
+      if (alg.points.length) {
+        alg.computeSteps();
+        alg.currentStep = alg.steps.length - 1;
+      }
+    }
+    softClear() { this.getCurrentAlgorithm().clear(); }
+    getCurrentStep() { return this.getCurrentAlgorithm().getCurrentStep(); }
+    updateStepLog() {}
+  }
+  window.TestManager = TestManager;
+`;
+
+function loadApp() {
+  const context = loadScripts(SCRIPTS);
+  context.run(MANAGER);
+  const app = {
+    context,
+    Scene: context.Scene,
+    Interval: context.get("Interval"),
+    Point: context.get("Point"),
+    // Installs a fresh manager on the algorithm and returns it
+    newManager(algorithm) {
+      const manager = new context.TestManager();
+      manager.setAlgorithm(algorithm);
+      context.algorithmManager = manager;
+      return manager;
+    },
+  };
+  return app;
+}
+
+// Restores a scene into a fresh manager, through JSON and through the link hash
+function roundTrips(app, algorithm) {
+  const scene = JSON.parse(JSON.stringify(app.Scene.serialize()));
+  const hash = app.Scene.toHash();
+  return [
+    ["JSON", scene],
+    ["hash", hash],
+  ].map(([via, saved]) => {
+    const manager = app.newManager(algorithm);
+    if (via === "JSON") app.Scene.restore(saved);
+    else assert.equal(app.Scene.restoreFromHash(saved), true);
+    return [via, manager.getCurrentAlgorithm()];
+  });
+}
+
+const guardsOf = (alg) =>
+  plain(alg.guards.map(({ x, y, color }) => ({ x, y, color })));
+
+test("art gallery guards, moved and added by hand, survive a round trip", () => {
+  const app = loadApp();
+  const alg = app.newManager("artGallery").getCurrentAlgorithm();
+  // An L-shaped room
+  [
+    [100, 100],
+    [400, 100],
+    [400, 200],
+    [200, 200],
+    [200, 400],
+    [100, 400],
+  ].forEach(([x, y]) => alg.addVertex(x, y));
+  alg.completePolygon();
+  assert.ok(alg.guards.length > 0);
+  assert.equal(alg.moveGuard(0, 150, 150), true);
+  assert.equal(alg.addGuard(150, 350), true);
+
+  for (const [via, restored] of roundTrips(app, "artGallery")) {
+    assert.deepEqual(guardsOf(restored), guardsOf(alg), via);
+    const last = restored.steps[restored.steps.length - 1];
+    assert.equal(last.guards.length, alg.guards.length, via);
+    assert.equal(last.description, alg.steps[alg.steps.length - 1].description);
+  }
+});
+
+test("an interval tree range query survives a round trip", () => {
+  const app = loadApp();
+  const alg = app.newManager("intervalTree").getCurrentAlgorithm();
+  [
+    [10, 40],
+    [25, 60],
+    [55, 90],
+  ].forEach(([a, b]) => alg.addInterval(new app.Interval(a, b)));
+  alg.setQuery(30, 58);
+
+  for (const [via, restored] of roundTrips(app, "intervalTree")) {
+    assert.deepEqual({ ...restored.query }, { lo: 30, hi: 58 }, via);
+    assert.equal(restored.steps.length, alg.steps.length, via);
+    assert.equal(restored.currentStep, alg.currentStep, via);
+  }
+});
+
+test("a count-only segment tree stabbing query survives a round trip", () => {
+  const app = loadApp();
+  const alg = app.newManager("segmentTree").getCurrentAlgorithm();
+  [
+    [10, 40],
+    [25, 60],
+    [40, 40],
+  ].forEach(([a, b]) => alg.addInterval(new app.Interval(a, b)));
+  alg.setQuery(40, 40, { countOnly: true });
+  const count = alg.steps[alg.steps.length - 1].queryCount;
+  assert.equal(count, 3);
+
+  for (const [via, restored] of roundTrips(app, "segmentTree")) {
+    assert.equal(restored.query, 40, via);
+    assert.equal(restored.countOnly, true, via);
+    assert.equal(
+      restored.steps[restored.steps.length - 1].queryCount,
+      count,
+      via
+    );
+    assert.equal(restored.currentStep, alg.currentStep, via);
+  }
+});
+
+test("polygon holes with a vertex near their first one survive a round trip", () => {
+  const app = loadApp();
+  const alg = app.newManager("triangulation").getCurrentAlgorithm();
+  [
+    [50, 50],
+    [350, 50],
+    [350, 350],
+    [50, 350],
+  ].forEach(([x, y]) => alg.addVertex(x, y));
+  alg.completePolygon();
+  // An 8 px square, and a ring whose last vertex is 7 px from its first
+  const holes = [
+    [
+      [200, 200],
+      [208, 200],
+      [208, 208],
+      [200, 208],
+    ],
+    [
+      [100, 100],
+      [150, 100],
+      [150, 150],
+      [105, 105],
+    ],
+  ];
+  holes.forEach((ring) =>
+    alg.polygon.addHole(ring.map(([x, y]) => ({ x, y })))
+  );
+  alg.reset();
+  alg.computeSteps();
+
+  for (const [via, restored] of roundTrips(app, "triangulation")) {
+    assert.deepEqual(
+      plain(
+        restored.polygon.holes.map((ring) => ring.map(({ x, y }) => [x, y]))
+      ),
+      holes,
+      via
+    );
+    assert.equal(restored.openHole.length, 0, via);
+    assert.equal(restored.steps.length, alg.steps.length, via);
+  }
+});
+
+test("weighted Voronoi site radii survive a round trip", () => {
+  const app = loadApp();
+  const manager = app.newManager("voronoi");
+  manager.setMode("weighted");
+  const alg = manager.getCurrentAlgorithm();
+  [
+    [100, 100],
+    [300, 120],
+    [200, 300],
+  ].forEach(([x, y]) => alg.addPoint(new app.Point(x, y)));
+  alg.setRadius(1, 55);
+
+  for (const [via, restored] of roundTrips(app, "voronoi")) {
+    assert.equal(restored.mode, "weighted", via);
+    assert.deepEqual(plain(restored.radii), plain(alg.radii), via);
+  }
+});
+
+test("a Lloyd boundary comes back as the same box or polygon", () => {
+  const app = loadApp();
+  for (const box of [true, false]) {
+    const manager = app.newManager("voronoi");
+    manager.setMode("lloyd");
+    const alg = manager.getCurrentAlgorithm();
+    [
+      [150, 150],
+      [250, 200],
+    ].forEach(([x, y]) => alg.addPoint(new app.Point(x, y)));
+    if (box) alg.setBoundaryBox(400, 300, 100, 80);
+    else
+      [
+        [100, 100],
+        [400, 120],
+        [250, 350],
+      ].forEach(([x, y]) => alg.addBoundaryVertex(x, y));
+
+    for (const [via, restored] of roundTrips(app, "voronoi")) {
+      assert.equal(restored.boundaryIsBox, box, via);
+      assert.deepEqual(plain(restored.boundary), plain(alg.boundary), via);
+    }
+  }
+});
+
+test("the order k of an order-k Voronoi diagram survives a round trip", () => {
+  const app = loadApp();
+  const manager = app.newManager("orderKVoronoi");
+  const alg = manager.getCurrentAlgorithm();
+  [
+    [100, 100],
+    [300, 120],
+    [200, 300],
+    [120, 260],
+    [320, 280],
+  ].forEach(([x, y]) => alg.addPoint(new app.Point(x, y)));
+  manager.setK(3);
+
+  for (const [via, restored] of roundTrips(app, "orderKVoronoi")) {
+    assert.equal(restored.k, 3, via);
+    assert.equal(restored.steps.length, alg.steps.length, via);
+    assert.equal(restored.currentStep, alg.currentStep, via);
+  }
+});
+
+test("a visibility polygon viewpoint survives a round trip", () => {
+  const app = loadApp();
+  const alg = app.newManager("visibilityPolygon").getCurrentAlgorithm();
+  // The L-shaped room; from (150, 350) the far end of the top arm is hidden
+  [
+    [100, 100],
+    [400, 100],
+    [400, 200],
+    [200, 200],
+    [200, 400],
+    [100, 400],
+  ].forEach(([x, y]) => alg.addVertex(x, y));
+  alg.completePolygon();
+  assert.equal(alg.setViewpoint(150, 350), true);
+
+  for (const [via, restored] of roundTrips(app, "visibilityPolygon")) {
+    assert.deepEqual({ ...restored.viewpoint }, { x: 150, y: 350 }, via);
+    assert.equal(restored.steps.length, alg.steps.length, via);
+  }
+});
+
+test("scenes without guards or a query leave them out", () => {
+  const app = loadApp();
+  const alg = app.newManager("segmentTree").getCurrentAlgorithm();
+  alg.addInterval(new app.Interval(10, 20));
+  const { inputs } = app.Scene.serialize();
+  assert.equal(inputs.query, undefined);
+  assert.equal(inputs.guards, undefined);
+  assert.ok(!app.Scene.toHash().includes("q="));
+});
@@ -0,0 +1,46 @@
+/**
+ * Bentley-Ottmann sweep (js/algorithms/segmentIntersection.js). Run with `node --test tests/`.
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadScripts, plain } = require("./load");
+
+const app = loadScripts([
+  "js/common/utils.js",
+  "js/geometry/point.js",
+  "js/geometry/line.js",
+  "js/algorithms/segmentIntersection.js",
+]);
+const Point = app.get("Point");
+const LineSegment = app.get("LineSegment");
+const LineSegmentIntersection = app.get("LineSegmentIntersection");
+
+const segment = ([x1, y1, x2, y2]) =>
+  new LineSegment(new Point(x1, y1), new Point(x2, y2));
+
+test("a zero-length segment leaves the status and hides no intersection", () => {
+  const alg = new LineSegmentIntersection();
+  // Pushed directly: addSegment would drop the zero-length one
+  alg.segments.push(
+    ...[
+      [0, 0, 200, 200],
+      [0, 200, 200, 0],
+      [0, 100, 40, 100],
+      [20, 110, 20, 110],
+    ].map(segment)
+  );
+  alg.computeSteps();
+  const last = alg.steps[alg.steps.length - 1];
+  assert.deepEqual(plain(last.statusOrder), []);
+  assert.deepEqual(plain(alg.intersections.map(({ x, y }) => ({ x, y }))), [
+    { x: 100, y: 100 },
+  ]);
+});
+
+test("addSegment ignores zero-length segments", () => {
+  const alg = new LineSegmentIntersection();
+  alg.addSegment(segment([20, 110, 20, 110]));
+  alg.addSegment(segment([0, 0, 10, 10]));
+  assert.equal(alg.segments.length, 1);
+});